@@ -0,0 +1,48 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Filter rendering Cloudflare Stream embeds as players.
+ *
+ * @package     filter_cfstream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+use local_cloudflarestream\embed_manager;
+
+/**
+ * Replaces {cfstream id=...} embeds with the Cloudflare Stream player of the video.
+ */
+class filter_cfstream extends moodle_text_filter {
+
+    /**
+     * Filter a text.
+     *
+     * @param string $text Text to filter
+     * @param array $options Filter options
+     * @return string Filtered text
+     */
+    public function filter($text, array $options = []) {
+        if (!is_string($text) || !embed_manager::has_embeds($text)) {
+            return $text;
+        }
+
+        return embed_manager::render_embeds($text, $this->context);
+    }
+}
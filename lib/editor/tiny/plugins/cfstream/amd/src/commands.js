@@ -0,0 +1,60 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Button and menu item opening the Cloudflare Stream video picker.
+ *
+ * @module     tiny_cfstream/commands
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getString} from 'core/str';
+import {getContextId} from 'editor_tiny/options';
+import EmbedPicker from 'local_cloudflarestream/embed_picker';
+
+import Common from './common';
+
+/**
+ * Open the picker and insert the embed of the picked video at the cursor.
+ *
+ * @param {TinyMCE} editor Editor instance
+ */
+const openPicker = (editor) => {
+    EmbedPicker.open(getContextId(editor), (text) => editor.insertContent(text));
+};
+
+/**
+ * Get the function registering the button and the menu item with an editor.
+ *
+ * @returns {Promise<Function>} Setup function
+ */
+export const getSetup = async() => {
+    const buttonTitle = await getString('buttontitle', Common.component);
+
+    return (editor) => {
+        editor.ui.registry.addButton(Common.buttonName, {
+            icon: Common.icon,
+            tooltip: buttonTitle,
+            onAction: () => openPicker(editor),
+        });
+
+        editor.ui.registry.addMenuItem(Common.buttonName, {
+            icon: Common.icon,
+            text: buttonTitle,
+            onAction: () => openPicker(editor),
+        });
+    };
+};
@@ -0,0 +1,37 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Places the Cloudflare Stream video button in the toolbar and the Insert menu.
+ *
+ * @module     tiny_cfstream/configuration
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {addMenubarItem, addToolbarButton} from 'editor_tiny/utils';
+
+import Common from './common';
+
+/**
+ * Add the button and the menu item to the editor configuration.
+ *
+ * @param {Object} instanceConfig Editor configuration
+ * @returns {Object} Changed configuration
+ */
+export const configure = (instanceConfig) => ({
+    toolbar: addToolbarButton(instanceConfig.toolbar, 'content', Common.buttonName),
+    menu: addMenubarItem(instanceConfig.menu, 'insert', Common.buttonName),
+});
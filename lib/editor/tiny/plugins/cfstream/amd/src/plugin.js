@@ -0,0 +1,49 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * TinyMCE plugin adding the Cloudflare Stream video picker.
+ *
+ * @module     tiny_cfstream/plugin
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getTinyMCE} from 'editor_tiny/loader';
+import {getPluginMetadata} from 'editor_tiny/utils';
+
+import Common from './common';
+import * as Commands from './commands';
+import * as Configuration from './configuration';
+
+// eslint-disable-next-line no-async-promise-executor
+export default new Promise(async(resolve) => {
+    const [
+        tinyMCE,
+        setupCommands,
+        pluginMetadata,
+    ] = await Promise.all([
+        getTinyMCE(),
+        Commands.getSetup(),
+        getPluginMetadata(Common.component, Common.pluginName),
+    ]);
+
+    tinyMCE.PluginManager.add(Common.pluginName, (editor) => {
+        setupCommands(editor);
+        return pluginMetadata;
+    });
+
+    resolve([Common.pluginName, Configuration]);
+});
@@ -0,0 +1,88 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * TinyMCE plugin information for the Cloudflare Stream video button.
+ *
+ * @package     tiny_cfstream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace tiny_cfstream;
+
+use context;
+use editor_tiny\editor;
+use editor_tiny\plugin;
+use editor_tiny\plugin_with_buttons;
+use editor_tiny\plugin_with_menuitems;
+use local_cloudflarestream\config_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Offers the video picker to the teachers of a course.
+ */
+class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menuitems {
+
+    /**
+     * Whether the button is shown in an editor.
+     *
+     * The picker lists the videos of the course the text is edited in, so
+     * editors outside a course get no button.
+     *
+     * @param context $context Context of the editor
+     * @param array $options Editor options
+     * @param array $fpoptions File picker options
+     * @param editor|null $editor Editor instance
+     * @return bool True if enabled
+     */
+    public static function is_enabled(
+        context $context,
+        array $options,
+        array $fpoptions,
+        ?editor $editor = null
+    ): bool {
+        $coursecontext = $context->get_course_context(false);
+        if (!$coursecontext || $coursecontext->instanceid == SITEID) {
+            return false;
+        }
+
+        return config_manager::is_configured() && has_capability('moodle/course:update', $coursecontext);
+    }
+
+    /**
+     * Get the buttons the plugin adds.
+     *
+     * @return array Button names
+     */
+    public static function get_available_buttons(): array {
+        return [
+            'tiny_cfstream/tiny_cfstream_video',
+        ];
+    }
+
+    /**
+     * Get the menu items the plugin adds.
+     *
+     * @return array Menu item names
+     */
+    public static function get_available_menuitems(): array {
+        return [
+            'tiny_cfstream/tiny_cfstream_video',
+        ];
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Plugin version and other meta-data are defined here.
+ *
+ * @package     tiny_cfstream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+$plugin->component = 'tiny_cfstream';
+$plugin->release = '1.0.0';
+$plugin->version = 2025011500; // YYYYMMDDHH format
+$plugin->requires = 2022112800; // Moodle 4.1, the first release with TinyMCE
+$plugin->maturity = MATURITY_STABLE;
+$plugin->supported = [401, 404]; // Moodle 4.1 to 4.4
+
+// Plugin dependencies
+$plugin->dependencies = [
+    'local_cloudflarestream' => 2025011520
+];
@@ -0,0 +1,134 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Access rules of a course or a single video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\access_rule_manager;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$videoid = optional_param('videoid', 0, PARAM_INT);
+$courseid = optional_param('courseid', 0, PARAM_INT);
+
+$video = null;
+if ($videoid) {
+    $video = video_manager::get_video($videoid);
+    if (!$video) {
+        throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+    }
+    $courseid = $video->course_id;
+}
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/access.php', $video ? ['videoid' => $video->id] : ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('access_rules', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+$timezone = core_date::get_user_timezone_object();
+
+if (data_submitted() && confirm_sesskey()) {
+    $rules = [
+        'max_views' => optional_param('max_views', 0, PARAM_INT),
+        'ip_ranges' => optional_param('ip_ranges', '', PARAM_RAW_TRIMMED),
+        'allowed_countries' => optional_param('allowed_countries', '', PARAM_RAW_TRIMMED),
+        'blocked_countries' => optional_param('blocked_countries', '', PARAM_RAW_TRIMMED)
+    ];
+
+    // Dates come from datetime-local inputs in the user's timezone
+    foreach (['available_from', 'available_until'] as $field) {
+        $value = optional_param($field, '', PARAM_RAW_TRIMMED);
+        $date = $value !== '' ? DateTime::createFromFormat('Y-m-d\TH:i', $value, $timezone) : false;
+        $rules[$field] = $date ? $date->getTimestamp() : 0;
+    }
+
+    $result = access_rule_manager::save_rules($course->id, $video ? $video->id : 0, $rules);
+    if ($result['success']) {
+        redirect($url, get_string('access_rules_saved', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+    redirect($url, $result['error'], null, \core\output\notification::NOTIFY_ERROR);
+}
+
+$rules = access_rule_manager::get_rules($course->id, $video ? $video->id : 0);
+$templatecontext = [
+    'isvideo' => (bool)$video,
+    'available_from' => local_cloudflarestream_access_date($rules['available_from'], $timezone),
+    'available_until' => local_cloudflarestream_access_date($rules['available_until'], $timezone),
+    'max_views' => $rules['max_views'] ?: '',
+    'ip_ranges' => $rules['ip_ranges'],
+    'allowed_countries' => $rules['allowed_countries'],
+    'blocked_countries' => $rules['blocked_countries'],
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey()
+];
+
+if ($video) {
+    $title = player_handler::get_video_title($video);
+    $templatecontext['courseurl'] = (new moodle_url('/local/cloudflarestream/access.php',
+        ['courseid' => $course->id]))->out(false);
+    $templatecontext['backurl'] = (new moodle_url('/local/cloudflarestream/report.php',
+        ['videoid' => $video->id]))->out(false);
+} else {
+    $title = $course->fullname;
+
+    // Videos that set rules of their own
+    $overrides = [];
+    foreach (video_manager::get_videos(access_rule_manager::get_videos_with_rules($course->id)) as $coursevideo) {
+        $overrides[] = [
+            'title' => player_handler::get_video_title($coursevideo),
+            'url' => (new moodle_url('/local/cloudflarestream/access.php', ['videoid' => $coursevideo->id]))->out(false)
+        ];
+    }
+    $templatecontext['overrides'] = $overrides;
+    $templatecontext['hasoverrides'] = !empty($overrides);
+    $templatecontext['backurl'] = (new moodle_url('/local/cloudflarestream/report.php',
+        ['courseid' => $course->id]))->out(false);
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('access_rules_for', 'local_cloudflarestream', s($title)));
+echo $OUTPUT->render_from_template('local_cloudflarestream/access_rules', $templatecontext);
+echo $OUTPUT->footer();
+
+/**
+ * Format a timestamp for a datetime-local input.
+ *
+ * @param int $timestamp Timestamp, 0 for none
+ * @param DateTimeZone $timezone User timezone
+ * @return string Input value
+ */
+function local_cloudflarestream_access_date($timestamp, DateTimeZone $timezone) {
+    if (!$timestamp) {
+        return '';
+    }
+    return (new DateTime('@' . $timestamp))->setTimezone($timezone)->format('Y-m-d\TH:i');
+}
@@ -27,6 +27,8 @@ require_once($CFG->libdir . '/adminlib.php');
 
 use local_cloudflarestream\video_manager;
 use local_cloudflarestream\config_manager;
+use local_cloudflarestream\sync_manager;
+use local_cloudflarestream\usage_manager;
 use local_cloudflarestream\handlers\upload_handler;
 use local_cloudflarestream\task\cleanup_tokens;
 use local_cloudflarestream\auth\token_manager;
@@ -39,6 +41,7 @@ $PAGE->set_heading(get_string('dashboard', 'local_cloudflarestream'));
 
 // Add JavaScript for dashboard functionality
 $PAGE->requires->js_call_amd('local_cloudflarestream/admin', 'initDashboard');
+$PAGE->requires->js_call_amd('local_cloudflarestream/sync_console', 'init');
 
 // Handle actions
 $action = optional_param('action', '', PARAM_ALPHA);
@@ -46,45 +49,6 @@ $confirm = optional_param('confirm', 0, PARAM_INT);
 
 if ($action && confirm_sesskey()) {
     switch ($action) {
-        case 'sync_videos':
-            if ($confirm) {
-                $result = \local_cloudflarestream\sync_manager::manual_full_sync(false);
-                if ($result['success']) {
-                    \core\notification::success("Sync completed: {$result['updated']} videos updated, {$result['errors']} errors");
-                } else {
-                    \core\notification::error('Sync failed: ' . ($result['error'] ?? 'Unknown error'));
-                }
-                redirect($PAGE->url);
-            }
-            break;
-            
-        case 'sync_all_videos':
-            if ($confirm) {
-                $result = \local_cloudflarestream\sync_manager::manual_full_sync(true);
-                if ($result['success']) {
-                    \core\notification::success("Full sync completed: {$result['updated']} videos updated, {$result['errors']} errors");
-                } else {
-                    \core\notification::error('Full sync failed: ' . ($result['error'] ?? 'Unknown error'));
-                }
-                redirect($PAGE->url);
-            }
-            break;
-            
-        case 'cleanup_orphans':
-            if ($confirm) {
-                $result = \local_cloudflarestream\sync_manager::cleanup_orphaned_videos(false);
-                if ($result['success']) {
-                    $message = "Orphan cleanup completed: ";
-                    $message .= "{$result['moodle_orphans_cleaned']} Moodle orphans cleaned, ";
-                    $message .= "{$result['cloudflare_orphans_cleaned']} Cloudflare orphans cleaned";
-                    \core\notification::success($message);
-                } else {
-                    \core\notification::error('Orphan cleanup failed: ' . ($result['error'] ?? 'Unknown error'));
-                }
-                redirect($PAGE->url);
-            }
-            break;
-            
         case 'cleanup_tokens':
             if ($confirm) {
                 $cleaned = token_manager::cleanup_expired_tokens();
@@ -120,6 +84,17 @@ if (!$systemstatus['api_connected']) {
     echo $OUTPUT->notification('Cannot connect to Cloudflare API. Please check your credentials.', 'error');
 }
 
+// Accounts that reached a quota alert threshold in their latest snapshot
+foreach ($stats['usage'] as $snapshot) {
+    if ($snapshot->storage_alert) {
+        echo $OUTPUT->notification(get_string('usage_storage_warning', 'local_cloudflarestream', [
+            'account' => usage_manager::get_account_name($snapshot->profile_id),
+            'percent' => (int)floor($snapshot->stored_minutes * 100 / $snapshot->storage_limit),
+            'url' => (new moodle_url('/local/cloudflarestream/usage.php'))->out(false)
+        ]), $snapshot->stored_minutes >= $snapshot->storage_limit ? 'error' : 'warning');
+    }
+}
+
 // Dashboard content
 echo html_writer::start_div('cloudflare-dashboard');
 
@@ -132,6 +107,9 @@ echo render_system_status($systemstatus);
 // Queue status section
 echo render_queue_status($queuestatus);
 
+// Sync console
+echo render_sync_console();
+
 // Recent videos section
 echo render_recent_videos($recentvideos);
 
@@ -155,7 +133,8 @@ function get_dashboard_statistics() {
     return [
         'videos' => $videostats,
         'uploads' => $uploadstats,
-        'tokens' => $tokenstats
+        'tokens' => $tokenstats,
+        'usage' => usage_manager::get_latest_snapshots()
     ];
 }
 
@@ -252,6 +231,20 @@ function render_statistics_cards($stats) {
             'color' => 'info'
         ]
     ];
+
+    // Minutes stored on Cloudflare, from the latest usage snapshot of each account
+    if ($stats['usage']) {
+        $stored = array_sum(array_column($stats['usage'], 'stored_minutes'));
+        $limits = array_map('intval', array_column($stats['usage'], 'storage_limit'));
+        $limit = in_array(0, $limits) ? 0 : array_sum($limits);
+        $cards[] = [
+            'title' => get_string('usage_stored_minutes', 'local_cloudflarestream'),
+            'value' => $limit ? get_string('usage_of_limit', 'local_cloudflarestream', ['used' => $stored, 'limit' => $limit]) :
+                $stored,
+            'icon' => 'fa-film',
+            'color' => array_filter(array_column($stats['usage'], 'storage_alert')) ? 'warning' : 'info'
+        ];
+    }
     
     $context = ['cards' => $cards];
     return $OUTPUT->render_from_template('local_cloudflarestream/dashboard_cards', $context);
@@ -296,6 +289,28 @@ function render_queue_status($queue) {
     return $OUTPUT->render_from_template('local_cloudflarestream/queue_status', $context);
 }
 
+/**
+ * Render the sync console.
+ *
+ * @return string HTML output
+ */
+function render_sync_console() {
+    global $OUTPUT;
+
+    $statuses = [];
+    foreach ([video_manager::STATUS_PENDING, video_manager::STATUS_UPLOADING, video_manager::STATUS_PROCESSING,
+            video_manager::STATUS_READY, video_manager::STATUS_ERROR] as $status) {
+        $statuses[] = ['value' => $status, 'label' => get_string('status_' . $status, 'local_cloudflarestream')];
+    }
+
+    $context = [
+        'statuses' => $statuses,
+        'batchsize' => sync_manager::CONSOLE_BATCH_SIZE,
+        'orphansurl' => (new moodle_url('/local/cloudflarestream/orphans.php'))->out(false)
+    ];
+    return $OUTPUT->render_from_template('local_cloudflarestream/sync_console', $context);
+}
+
 /**
  * Render recent videos section.
  *
@@ -334,27 +349,6 @@ function render_admin_actions() {
     global $OUTPUT, $PAGE;
     
     $actions = [
-        [
-            'title' => 'Sync Videos',
-            'description' => 'Sync pending/processing videos with Cloudflare Stream',
-            'action' => 'sync_videos',
-            'class' => 'btn-primary',
-            'icon' => 'fa-refresh'
-        ],
-        [
-            'title' => 'Full Sync',
-            'description' => 'Force sync all videos including ready ones',
-            'action' => 'sync_all_videos',
-            'class' => 'btn-info',
-            'icon' => 'fa-refresh'
-        ],
-        [
-            'title' => 'Cleanup Orphans',
-            'description' => 'Remove orphaned videos from both platforms',
-            'action' => 'cleanup_orphans',
-            'class' => 'btn-danger',
-            'icon' => 'fa-unlink'
-        ],
         [
             'title' => 'Cleanup Tokens',
             'description' => 'Remove expired access tokens',
@@ -21,7 +21,8 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Ajax, Notification, Str) {
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'local_cloudflarestream/status_channel'],
+function($, Ajax, Notification, Str, StatusChannel) {
     'use strict';
 
     /**
@@ -34,6 +35,18 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
             testConnection();
         });
 
+        // Register webhook button handler
+        $('#cloudflarestream-webhook-btn').on('click', function(e) {
+            e.preventDefault();
+            registerWebhook($(this), $('#cloudflarestream-webhook-status'), 0);
+        });
+
+        // Rotate signing key button handler
+        $('#cloudflarestream-signing-key-btn').on('click', function(e) {
+            e.preventDefault();
+            rotateSigningKey($(this), $('#cloudflarestream-signing-key-status'), 0);
+        });
+
         // Auto-test when credentials change (with debounce)
         var testTimeout;
         $('#id_s_local_cloudflarestream_api_token, #id_s_local_cloudflarestream_account_id').on('input', function() {
@@ -49,18 +62,79 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
         });
     }
 
+    /**
+     * Initialize the credential profile pages.
+     *
+     * Every profile has its own connection test, webhook and signing key, so
+     * the buttons act on the profile they belong to.
+     */
+    function initProfiles() {
+        var $profiles = $('[data-region="profile"]');
+
+        $profiles.on('click', '[data-action="test-profile"]', function(e) {
+            e.preventDefault();
+            var $profile = $(this).closest('[data-region="profile"]');
+            var data = {profileid: $profile.data('profileid')};
+
+            // The edit form tests the values typed in, before they are saved
+            var $token = $profile.find('[name="api_token"]');
+            if ($token.length) {
+                data.api_token = $token.val();
+                data.account_id = $profile.find('[name="account_id"]').val();
+            }
+
+            runConnectionTest($(this), $profile.find('[data-region="test-result"]'), data);
+        });
+
+        $profiles.on('click', '[data-action="register-webhook"]', function(e) {
+            e.preventDefault();
+            var $profile = $(this).closest('[data-region="profile"]');
+            registerWebhook($(this), $profile.find('[data-region="webhook-status"]'), $profile.data('profileid'));
+        });
+
+        $profiles.on('click', '[data-action="rotate-signing-key"]', function(e) {
+            e.preventDefault();
+            var $profile = $(this).closest('[data-region="profile"]');
+            rotateSigningKey($(this), $profile.find('[data-region="signing-key-status"]'), $profile.data('profileid'));
+        });
+
+        $profiles.on('submit', 'form[data-action="delete-profile"]', function(e) {
+            e.preventDefault();
+            var form = this;
+
+            Str.get_strings([
+                {key: 'confirm', component: 'core'},
+                {key: 'profile_delete_confirm', component: 'local_cloudflarestream', param: $(form).data('name')},
+                {key: 'delete', component: 'core'},
+                {key: 'cancel', component: 'core'}
+            ]).done(function(strings) {
+                Notification.confirm(strings[0], strings[1], strings[2], strings[3], function() {
+                    form.submit();
+                });
+            }).fail(Notification.exception);
+        });
+    }
+
     /**
      * Test the Cloudflare API connection.
      */
     function testConnection() {
-        var $button = $('#cloudflarestream-test-btn');
-        var $result = $('#cloudflarestream-test-result');
-        
-        // Get current form values
-        var apiToken = $('#id_s_local_cloudflarestream_api_token').val();
-        var accountId = $('#id_s_local_cloudflarestream_account_id').val();
-        var zoneId = $('#id_s_local_cloudflarestream_zone_id').val();
+        runConnectionTest($('#cloudflarestream-test-btn'), $('#cloudflarestream-test-result'), {
+            // Get current form values
+            api_token: $('#id_s_local_cloudflarestream_api_token').val(),
+            account_id: $('#id_s_local_cloudflarestream_account_id').val(),
+            zone_id: $('#id_s_local_cloudflarestream_zone_id').val()
+        });
+    }
 
+    /**
+     * Test a set of Cloudflare credentials and show the result.
+     *
+     * @param {jQuery} $button Test button
+     * @param {jQuery} $result Element the result is shown in
+     * @param {Object} data Credentials to test, or the profileid of stored ones
+     */
+    function runConnectionTest($button, $result, data) {
         // Update UI to show testing state
         $button.prop('disabled', true);
         $button.text(M.util.get_string('test_connection_testing', 'local_cloudflarestream'));
@@ -71,12 +145,7 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
         $.ajax({
             url: M.cfg.wwwroot + '/local/cloudflarestream/test_connection.php',
             type: 'POST',
-            data: {
-                api_token: apiToken,
-                account_id: accountId,
-                zone_id: zoneId,
-                sesskey: M.cfg.sesskey
-            },
+            data: $.extend({sesskey: M.cfg.sesskey}, data),
             dataType: 'json',
             timeout: 30000 // 30 seconds
         })
@@ -109,13 +178,68 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
         });
     }
 
+    /**
+     * Register the webhook URL with Cloudflare and show the result.
+     *
+     * @param {jQuery} $button Register button
+     * @param {jQuery} $status Element the result is shown in
+     * @param {Number} profileid Credential profile ID, 0 for the site credentials
+     */
+    function registerWebhook($button, $status, profileid) {
+        $button.prop('disabled', true);
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_register_webhook',
+            args: {profileid: profileid}
+        }])[0].done(function(response) {
+            $status.empty().append($('<span></span>')
+                .addClass(response.success ? 'text-success' : 'text-danger')
+                .text(response.message));
+        }).fail(Notification.exception).always(function() {
+            $button.prop('disabled', false);
+        });
+    }
+
+    /**
+     * Replace the Stream signing key after confirmation and show the result.
+     *
+     * @param {jQuery} $button Rotate button
+     * @param {jQuery} $status Element the result is shown in
+     * @param {Number} profileid Credential profile ID, 0 for the site credentials
+     */
+    function rotateSigningKey($button, $status, profileid) {
+        Str.get_strings([
+            {key: 'confirm', component: 'core'},
+            {key: 'rotate_signing_key_confirm', component: 'local_cloudflarestream'},
+            {key: 'rotate_signing_key_button', component: 'local_cloudflarestream'},
+            {key: 'cancel', component: 'core'}
+        ]).done(function(strings) {
+            Notification.confirm(strings[0], strings[1], strings[2], strings[3], function() {
+                $button.prop('disabled', true);
+
+                Ajax.call([{
+                    methodname: 'local_cloudflarestream_rotate_signing_key',
+                    args: {profileid: profileid}
+                }])[0].done(function(response) {
+                    $status.empty().append($('<span></span>')
+                        .addClass(response.success ? 'text-success' : 'text-danger')
+                        .text(response.message));
+                }).fail(Notification.exception).always(function() {
+                    $button.prop('disabled', false);
+                });
+            });
+        }).fail(Notification.exception);
+    }
+
     /**
      * Initialize dashboard functionality.
      */
     function initDashboard() {
-        // Auto-refresh dashboard every 30 seconds
+        // Auto-refresh dashboard every 30 seconds while it is visible
         setInterval(function() {
-            refreshDashboardData();
+            if (!document.hidden) {
+                refreshDashboardData();
+            }
         }, 30000);
 
         // Set up action confirmations
@@ -151,18 +275,11 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
      * Update statistics cards.
      */
     function updateStatisticsCards() {
-        $.ajax({
-            url: M.cfg.wwwroot + '/local/cloudflarestream/ajax/dashboard_data.php',
-            type: 'POST',
-            data: {
-                action: 'get_statistics',
-                sesskey: M.cfg.sesskey
-            },
-            dataType: 'json'
-        }).done(function(response) {
-            if (response.success) {
-                updateCardValues(response.data);
-            }
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_dashboard_statistics',
+            args: {}
+        }])[0].done(function(statistics) {
+            updateCardValues(statistics);
         }).fail(function() {
             console.error('Failed to update statistics');
         });
@@ -189,18 +306,11 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
      * Update system status.
      */
     function updateSystemStatus() {
-        $.ajax({
-            url: M.cfg.wwwroot + '/local/cloudflarestream/ajax/dashboard_data.php',
-            type: 'POST',
-            data: {
-                action: 'get_system_status',
-                sesskey: M.cfg.sesskey
-            },
-            dataType: 'json'
-        }).done(function(response) {
-            if (response.success) {
-                updateStatusBadges(response.data);
-            }
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_system_status',
+            args: {}
+        }])[0].done(function(status) {
+            updateStatusBadges(status);
         }).fail(function() {
             console.error('Failed to update system status');
         });
@@ -233,18 +343,11 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
      * Update queue status.
      */
     function updateQueueStatus() {
-        $.ajax({
-            url: M.cfg.wwwroot + '/local/cloudflarestream/ajax/dashboard_data.php',
-            type: 'POST',
-            data: {
-                action: 'get_queue_status',
-                sesskey: M.cfg.sesskey
-            },
-            dataType: 'json'
-        }).done(function(response) {
-            if (response.success) {
-                updateQueueNumbers(response.data);
-            }
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_queue_status',
+            args: {}
+        }])[0].done(function(queue) {
+            updateQueueNumbers(queue);
         }).fail(function() {
             console.error('Failed to update queue status');
         });
@@ -263,53 +366,29 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
 
     /**
      * Set up real-time updates for processing videos.
+     *
+     * All rows are followed through one shared status request.
      */
     function setupRealTimeUpdates() {
-        // Check for videos in processing state and update them
-        $('.video-status[data-status="processing"], .video-status[data-status="uploading"]').each(function() {
-            var videoId = $(this).data('video-id');
+        $('.video-status[data-status]').each(function() {
             var statusElement = $(this);
-            
-            // Check status every 10 seconds for processing videos
-            setInterval(function() {
-                updateVideoStatus(videoId, statusElement);
-            }, 10000);
+
+            StatusChannel.watch(statusElement.data('video-id'), statusElement.data('status'), function(video) {
+                updateVideoStatus(statusElement, video);
+            });
         });
     }
 
     /**
-     * Update individual video status.
+     * Update the status badge of a video in place.
      *
-     * @param {number} videoId Video ID
      * @param {jQuery} statusElement Status element
+     * @param {Object} video Video returned by the status channel
      */
-    function updateVideoStatus(videoId, statusElement) {
-        $.ajax({
-            url: M.cfg.wwwroot + '/local/cloudflarestream/upload_status.php',
-            type: 'POST',
-            data: {
-                action: 'get_status',
-                video_id: videoId,
-                sesskey: M.cfg.sesskey
-            },
-            dataType: 'json'
-        }).done(function(response) {
-            if (response.status && response.status !== statusElement.data('status')) {
-                // Status changed, update the display
-                statusElement.data('status', response.status);
-                statusElement.removeClass().addClass('badge video-status').addClass('badge-' + getStatusClass(response.status));
-                statusElement.text(getStatusText(response.status));
-                
-                // If video is now ready, refresh the page to show updated info
-                if (response.status === 'ready') {
-                    setTimeout(function() {
-                        location.reload();
-                    }, 2000);
-                }
-            }
-        }).fail(function() {
-            console.error('Failed to update video status for video ' + videoId);
-        });
+    function updateVideoStatus(statusElement, video) {
+        statusElement.data('status', video.status).attr('data-status', video.status);
+        statusElement.removeClass().addClass('badge video-status').addClass('badge-' + getStatusClass(video.status));
+        statusElement.text(getStatusText(video.status));
     }
 
     /**
@@ -357,6 +436,7 @@ define(['jquery', 'core/ajax', 'core/notification', 'core/str'], function($, Aja
 
     return {
         init: init,
+        initProfiles: initProfiles,
         initDashboard: initDashboard
     };
 });
\ No newline at end of file
@@ -0,0 +1,271 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Quiz questions asked at checkpoints of a Cloudflare Stream video.
+ *
+ * Playback pauses when it reaches a question the user has not answered.
+ * Required questions cannot be skipped, and seeking past one brings the
+ * player back to it.
+ *
+ * @module     local_cloudflarestream/checkpoints
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['core/ajax', 'core/str', 'core/notification'], function(Ajax, Str, Notification) {
+    'use strict';
+
+    /** @var {number} Largest step between two time updates of regular playback, in seconds */
+    var MAX_PLAYBACK_STEP = 2;
+
+    /**
+     * Set up the checkpoint questions of a player.
+     *
+     * @param {Object} api Player API from local_cloudflarestream/player
+     * @param {HTMLElement} region Checkpoint region inside the player wrapper
+     * @param {Object} config Checkpoints of the video with the user's answers
+     */
+    function init(api, region, config) {
+        var checkpoints = {
+            api: api,
+            region: region,
+            form: region.querySelector('[data-region="checkpoint-form"]'),
+            question: region.querySelector('[data-region="question"]'),
+            choices: region.querySelector('[data-region="choices"]'),
+            feedback: region.querySelector('[data-region="feedback"]'),
+            answerButton: region.querySelector('[data-action="answer"]'),
+            skipButton: region.querySelector('[data-action="skip"]'),
+            continueButton: region.querySelector('[data-action="continue"]'),
+            list: (config.checkpoints || []).slice().sort(function(a, b) {
+                return a.position - b.position;
+            }),
+            active: null,
+            lastTime: null,
+            skipped: {}
+        };
+
+        if (!checkpoints.list.length) {
+            return;
+        }
+
+        api.on('timeupdate', function(e) {
+            checkTime(checkpoints, e.currentTime);
+        });
+
+        // Playback started from the keyboard or another control waits for the answer
+        api.on('play', function() {
+            if (checkpoints.active) {
+                api.pause();
+            }
+        });
+
+        checkpoints.form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            submitAnswer(checkpoints);
+        });
+
+        checkpoints.skipButton.addEventListener('click', function() {
+            checkpoints.skipped[checkpoints.active.id] = true;
+            close(checkpoints);
+        });
+
+        checkpoints.continueButton.addEventListener('click', function() {
+            close(checkpoints);
+        });
+    }
+
+    /**
+     * Ask the question playback has reached, or bring the player back to a required one it went past.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     * @param {number} time Playback position in seconds
+     */
+    function checkTime(checkpoints, time) {
+        var last = checkpoints.lastTime;
+        checkpoints.lastTime = time;
+        if (checkpoints.active) {
+            return;
+        }
+
+        // Before the first update, a question just behind the start position still counts as reached
+        var from = last === null ? time - MAX_PLAYBACK_STEP : last;
+        var playing = time >= from && time - from <= MAX_PLAYBACK_STEP;
+
+        for (var i = 0; i < checkpoints.list.length; i++) {
+            var checkpoint = checkpoints.list[i];
+            if (checkpoint.position > time) {
+                return;
+            }
+            if (checkpoint.answered || checkpoints.skipped[checkpoint.id]) {
+                continue;
+            }
+
+            if (playing && checkpoint.position > from) {
+                open(checkpoints, checkpoint);
+                return;
+            }
+
+            if (checkpoint.required) {
+                checkpoints.lastTime = checkpoint.position;
+                checkpoints.api.seek(checkpoint.position).catch(function(error) {
+                    console.warn('Unable to seek to the checkpoint:', error);
+                });
+                open(checkpoints, checkpoint);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Pause the player and show a question.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     * @param {Object} checkpoint Checkpoint
+     */
+    function open(checkpoints, checkpoint) {
+        checkpoints.active = checkpoint;
+        checkpoints.api.pause().catch(function(error) {
+            console.warn('Unable to pause for the checkpoint:', error);
+        });
+
+        checkpoints.question.textContent = checkpoint.question;
+        checkpoints.choices.innerHTML = '';
+        checkpoint.choices.forEach(function(choice, index) {
+            checkpoints.choices.appendChild(createChoice(checkpoints, checkpoint, choice, index));
+        });
+
+        checkpoints.feedback.hidden = true;
+        checkpoints.answerButton.hidden = false;
+        checkpoints.answerButton.disabled = false;
+        checkpoints.skipButton.hidden = checkpoint.required;
+        checkpoints.continueButton.hidden = true;
+        checkpoints.region.hidden = false;
+
+        var first = checkpoints.choices.querySelector('input');
+        if (first) {
+            first.focus();
+        }
+    }
+
+    /**
+     * Create the radio button of a choice.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     * @param {Object} checkpoint Checkpoint
+     * @param {string} label Choice text
+     * @param {number} index Choice index
+     * @return {HTMLElement} Choice element
+     */
+    function createChoice(checkpoints, checkpoint, label, index) {
+        var wrapper = document.createElement('div');
+        var input = document.createElement('input');
+        var text = document.createElement('label');
+        var id = checkpoints.question.id;
+
+        wrapper.className = 'custom-control custom-radio';
+        input.type = 'radio';
+        input.className = 'custom-control-input';
+        input.name = 'choice';
+        input.value = index;
+        input.required = true;
+        input.id = id + '-' + checkpoint.id + '-' + index;
+        text.className = 'custom-control-label';
+        text.htmlFor = input.id;
+        text.textContent = label;
+
+        wrapper.appendChild(input);
+        wrapper.appendChild(text);
+
+        return wrapper;
+    }
+
+    /**
+     * Send the chosen answer and show whether it was correct.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     */
+    function submitAnswer(checkpoints) {
+        var checkpoint = checkpoints.active;
+        var selected = checkpoints.choices.querySelector('input:checked');
+        if (!checkpoint || !selected) {
+            return;
+        }
+
+        checkpoints.answerButton.disabled = true;
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_answer_checkpoint',
+            args: {checkpointid: checkpoint.id, choice: parseInt(selected.value, 10)}
+        }])[0].done(function(result) {
+            checkpoint.answered = true;
+            checkpoint.choice = parseInt(selected.value, 10);
+            checkpoint.correct = result.correct;
+            checkpoint.correctchoice = result.correctchoice;
+            showFeedback(checkpoints, checkpoint, result);
+        }).fail(function(error) {
+            checkpoints.answerButton.disabled = false;
+            Notification.exception(error);
+        });
+    }
+
+    /**
+     * Show the result of an answer and let playback continue.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     * @param {Object} checkpoint Answered checkpoint
+     * @param {Object} result Answer result with correct, correctchoice, grade and maxgrade
+     */
+    function showFeedback(checkpoints, checkpoint, result) {
+        Array.prototype.forEach.call(checkpoints.choices.querySelectorAll('input'), function(input) {
+            input.disabled = true;
+        });
+
+        Str.get_strings([
+            result.correct ?
+                {key: 'checkpoint_correct', component: 'local_cloudflarestream'} :
+                {key: 'checkpoint_incorrect', component: 'local_cloudflarestream',
+                    param: checkpoint.choices[result.correctchoice]},
+            {key: 'checkpoint_grade', component: 'local_cloudflarestream',
+                param: {grade: result.grade, max: result.maxgrade}}
+        ]).then(function(strings) {
+            checkpoints.feedback.textContent = strings[0] + ' ' + strings[1];
+            checkpoints.feedback.hidden = false;
+            return strings;
+        }).catch(Notification.exception);
+
+        checkpoints.answerButton.hidden = true;
+        checkpoints.skipButton.hidden = true;
+        checkpoints.continueButton.hidden = false;
+        checkpoints.continueButton.focus();
+    }
+
+    /**
+     * Hide the question and resume playback.
+     *
+     * @param {Object} checkpoints Checkpoints state
+     */
+    function close(checkpoints) {
+        checkpoints.active = null;
+        checkpoints.region.hidden = true;
+        checkpoints.api.play().catch(function(error) {
+            console.warn('Unable to resume playback:', error);
+        });
+    }
+
+    return {
+        init: init
+    };
+});
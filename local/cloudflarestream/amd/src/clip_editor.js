@@ -0,0 +1,359 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Timeline for choosing the part of a video to cut into a clip.
+ *
+ * Thumbnails along the timeline come from the player, and scrubbing or
+ * dragging the handles seeks the player, so the teacher sees the exact
+ * frames the clip starts and ends on.
+ *
+ * @module     local_cloudflarestream/clip_editor
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    /** @var {number} Thumbnails shown along the timeline */
+    var FRAMES = 10;
+
+    /** @var {number} Height in pixels of the timeline thumbnails */
+    var FRAME_HEIGHT = 54;
+
+    /** @var {number} Height in pixels of the thumbnail shown while scrubbing */
+    var PREVIEW_HEIGHT = 90;
+
+    /** @var {number} Seconds a handle moves with Page Up and Page Down */
+    var PAGE_STEP = 10;
+
+    /** @var {RegExp} A time written as m:ss or h:mm:ss */
+    var POSITION_PATTERN = /^(?:\d+:)?\d{1,2}:\d{2}$/;
+
+    /**
+     * Set up the clip editor of a player.
+     *
+     * @param {Object} api Player API from local_cloudflarestream/player
+     * @param {HTMLElement} region Clip editor region
+     * @param {Object} config Duration of the video in seconds
+     */
+    function init(api, region, config) {
+        var editor = {
+            api: api,
+            region: region,
+            timeline: region.querySelector('[data-region="timeline"]'),
+            selection: region.querySelector('[data-region="selection"]'),
+            playhead: region.querySelector('[data-region="playhead"]'),
+            preview: region.querySelector('[data-region="preview"]'),
+            handles: {
+                start: region.querySelector('[data-handle="start"]'),
+                end: region.querySelector('[data-handle="end"]')
+            },
+            fields: {
+                start: region.querySelector('[data-field="start"]'),
+                end: region.querySelector('[data-field="end"]')
+            },
+            minLength: parseInt(region.getAttribute('data-min-length'), 10) || 1,
+            duration: config.duration || 0,
+            start: 0,
+            end: 0,
+            dragging: null,
+            previewing: false,
+            previewTime: -1
+        };
+
+        if (editor.duration) {
+            setup(editor);
+            return;
+        }
+
+        // Videos processed before their duration was stored learn it from the player
+        var onTimeUpdate = function(e) {
+            if (e.duration) {
+                api.off('timeupdate', onTimeUpdate);
+                editor.duration = Math.floor(e.duration);
+                setup(editor);
+            }
+        };
+        api.on('timeupdate', onTimeUpdate);
+    }
+
+    /**
+     * Draw the timeline and bind its controls once the duration is known.
+     *
+     * @param {Object} editor Editor state
+     */
+    function setup(editor) {
+        drawFilmstrip(editor);
+
+        // Times typed before a failed submission are kept by the server
+        var start = parseTime(editor.fields.start.value);
+        var end = parseTime(editor.fields.end.value);
+        editor.start = 0;
+        editor.end = editor.duration;
+        setBoundary(editor, 'end', end === null || end === 0 ? editor.duration : end);
+        setBoundary(editor, 'start', start === null ? 0 : start);
+
+        bindTimeline(editor);
+        bindHandles(editor);
+        bindControls(editor);
+
+        editor.api.on('timeupdate', function(e) {
+            editor.playhead.style.left = toPercent(editor, e.currentTime) + '%';
+            if (editor.previewing && e.currentTime >= editor.end) {
+                editor.previewing = false;
+                editor.api.pause();
+            }
+        });
+
+        editor.timeline.hidden = false;
+    }
+
+    /**
+     * Fill the timeline with thumbnails spread over the video.
+     *
+     * @param {Object} editor Editor state
+     */
+    function drawFilmstrip(editor) {
+        var filmstrip = editor.region.querySelector('[data-region="filmstrip"]');
+
+        for (var i = 0; i < FRAMES; i++) {
+            var image = document.createElement('img');
+            image.src = editor.api.getThumbnailUrl(editor.duration * (i + 0.5) / FRAMES, FRAME_HEIGHT);
+            image.alt = '';
+            image.loading = 'lazy';
+            filmstrip.appendChild(image);
+        }
+    }
+
+    /**
+     * Show the frame under the pointer and seek to where the timeline is clicked.
+     *
+     * @param {Object} editor Editor state
+     */
+    function bindTimeline(editor) {
+        editor.timeline.addEventListener('mousemove', function(e) {
+            showPreview(editor, timeAt(editor, e.clientX));
+        });
+        editor.timeline.addEventListener('mouseleave', function() {
+            if (!editor.dragging) {
+                editor.preview.hidden = true;
+            }
+        });
+        editor.timeline.addEventListener('click', function(e) {
+            if (e.target.hasAttribute('data-handle')) {
+                return;
+            }
+            editor.previewing = false;
+            editor.api.seek(timeAt(editor, e.clientX));
+        });
+    }
+
+    /**
+     * Let the handles be dragged with the pointer and moved with the keyboard.
+     *
+     * @param {Object} editor Editor state
+     */
+    function bindHandles(editor) {
+        Object.keys(editor.handles).forEach(function(which) {
+            var handle = editor.handles[which];
+
+            handle.addEventListener('pointerdown', function(e) {
+                e.preventDefault();
+                editor.dragging = which;
+                handle.setPointerCapture(e.pointerId);
+            });
+            handle.addEventListener('pointermove', function(e) {
+                if (editor.dragging === which) {
+                    setBoundary(editor, which, timeAt(editor, e.clientX));
+                    showPreview(editor, editor[which]);
+                }
+            });
+            handle.addEventListener('pointerup', function(e) {
+                if (editor.dragging === which) {
+                    editor.dragging = null;
+                    handle.releasePointerCapture(e.pointerId);
+                    editor.preview.hidden = true;
+                    editor.api.seek(editor[which]);
+                }
+            });
+
+            handle.addEventListener('keydown', function(e) {
+                var steps = {ArrowLeft: -1, ArrowRight: 1, PageDown: -PAGE_STEP, PageUp: PAGE_STEP};
+                if (e.key === 'Home' || e.key === 'End') {
+                    setBoundary(editor, which, e.key === 'Home' ? 0 : editor.duration);
+                } else if (steps[e.key]) {
+                    setBoundary(editor, which, editor[which] + steps[e.key]);
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                editor.api.seek(editor[which]);
+            });
+        });
+    }
+
+    /**
+     * Bind the time fields and the buttons under the timeline.
+     *
+     * @param {Object} editor Editor state
+     */
+    function bindControls(editor) {
+        Object.keys(editor.fields).forEach(function(which) {
+            editor.fields[which].addEventListener('change', function() {
+                var time = parseTime(this.value);
+                if (time === null) {
+                    // Put back the last time that could be read
+                    this.value = formatTime(editor[which]);
+                    return;
+                }
+                setBoundary(editor, which, time);
+                editor.api.seek(editor[which]);
+            });
+        });
+
+        editor.region.querySelectorAll('[data-action="set-start"], [data-action="set-end"]').forEach(function(button) {
+            button.addEventListener('click', function() {
+                var which = button.getAttribute('data-action') === 'set-start' ? 'start' : 'end';
+                setBoundary(editor, which, editor.api.getCurrentTime());
+            });
+        });
+
+        editor.region.querySelector('[data-action="play-selection"]').addEventListener('click', function() {
+            editor.previewing = true;
+            editor.api.seek(editor.start).then(function() {
+                return editor.api.play();
+            }).catch(function() {
+                editor.previewing = false;
+            });
+        });
+    }
+
+    /**
+     * Move the start or end of the clip, keeping it within the video and at least minLength long.
+     *
+     * @param {Object} editor Editor state
+     * @param {string} which start or end
+     * @param {number} time Wanted time in seconds
+     */
+    function setBoundary(editor, which, time) {
+        time = Math.round(time);
+        if (which === 'start') {
+            editor.start = Math.max(0, Math.min(time, editor.end - editor.minLength));
+        } else {
+            editor.end = Math.min(editor.duration, Math.max(time, editor.start + editor.minLength));
+        }
+
+        var start = toPercent(editor, editor.start);
+        var end = toPercent(editor, editor.end);
+        editor.selection.style.left = start + '%';
+        editor.selection.style.width = (end - start) + '%';
+
+        ['start', 'end'].forEach(function(name) {
+            var handle = editor.handles[name];
+            handle.style.left = toPercent(editor, editor[name]) + '%';
+            handle.setAttribute('aria-valuemin', name === 'start' ? 0 : editor.start + editor.minLength);
+            handle.setAttribute('aria-valuemax', name === 'start' ? editor.end - editor.minLength : editor.duration);
+            handle.setAttribute('aria-valuenow', editor[name]);
+            handle.setAttribute('aria-valuetext', formatTime(editor[name]));
+            editor.fields[name].value = formatTime(editor[name]);
+        });
+    }
+
+    /**
+     * Show the thumbnail of a moment above the timeline.
+     *
+     * @param {Object} editor Editor state
+     * @param {number} time Moment in seconds
+     */
+    function showPreview(editor, time) {
+        editor.preview.style.left = toPercent(editor, time) + '%';
+        editor.preview.querySelector('[data-region="preview-time"]').textContent = formatTime(time);
+
+        // Each second is fetched once while the pointer moves over it
+        if (time !== editor.previewTime) {
+            editor.previewTime = time;
+            editor.preview.querySelector('img').src = editor.api.getThumbnailUrl(time, PREVIEW_HEIGHT);
+        }
+        editor.preview.hidden = false;
+    }
+
+    /**
+     * Get the moment of the video at a horizontal position of the timeline.
+     *
+     * @param {Object} editor Editor state
+     * @param {number} clientX Pointer position in the viewport
+     * @return {number} Time in whole seconds
+     */
+    function timeAt(editor, clientX) {
+        var rect = editor.timeline.getBoundingClientRect();
+        var ratio = rect.width ? (clientX - rect.left) / rect.width : 0;
+        return Math.round(Math.max(0, Math.min(1, ratio)) * editor.duration);
+    }
+
+    /**
+     * Get where a moment of the video is on the timeline.
+     *
+     * @param {Object} editor Editor state
+     * @param {number} time Time in seconds
+     * @return {number} Percentage of the timeline width
+     */
+    function toPercent(editor, time) {
+        return editor.duration ? Math.max(0, Math.min(100, time / editor.duration * 100)) : 0;
+    }
+
+    /**
+     * Read a time typed as seconds, m:ss or h:mm:ss.
+     *
+     * @param {string} text Time as typed
+     * @return {number|null} Seconds, or null if the time cannot be read
+     */
+    function parseTime(text) {
+        text = (text || '').trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        if (!POSITION_PATTERN.test(text)) {
+            return null;
+        }
+
+        return text.split(':').reduce(function(seconds, part) {
+            return seconds * 60 + parseInt(part, 10);
+        }, 0);
+    }
+
+    /**
+     * Format a time as m:ss or h:mm:ss, the way the server reads it.
+     *
+     * @param {number} seconds Time in seconds
+     * @return {string} Formatted time
+     */
+    function formatTime(seconds) {
+        seconds = Math.max(0, Math.floor(seconds));
+        var hours = Math.floor(seconds / 3600);
+        var minutes = Math.floor((seconds % 3600) / 60);
+        var secs = ('0' + (seconds % 60)).slice(-2);
+
+        if (hours > 0) {
+            return hours + ':' + ('0' + minutes).slice(-2) + ':' + secs;
+        }
+        return minutes + ':' + secs;
+    }
+
+    return {
+        init: init
+    };
+});
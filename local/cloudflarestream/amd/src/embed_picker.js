@@ -0,0 +1,190 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Dialogue picking a video of the course and its player options, for editors embedding a video.
+ *
+ * @module     local_cloudflarestream/embed_picker
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'core/templates', 'core/modal_factory',
+        'core/modal_events'],
+function($, Ajax, Notification, Str, Templates, ModalFactory, ModalEvents) {
+    'use strict';
+
+    /** @var {number} Milliseconds to wait after the last keystroke before searching */
+    var SEARCH_DELAY = 300;
+
+    /** @var {RegExp} A start time written as m:ss or h:mm:ss */
+    var POSITION_PATTERN = /^(?:\d+:)?\d{1,2}:\d{2}$/;
+
+    /** @var {Array} Player options switched on by a checkbox */
+    var BOOLEAN_OPTIONS = ['autoplay', 'muted', 'loop'];
+
+    /**
+     * Open the picker.
+     *
+     * @param {Number} contextId Context the text is edited in
+     * @param {Function} insert Called with the embed text once a video is picked
+     */
+    function open(contextId, insert) {
+        Str.get_strings([
+            {key: 'embed_picker_title', component: 'local_cloudflarestream'},
+            {key: 'embed_insert', component: 'local_cloudflarestream'}
+        ]).then(function(strings) {
+            return ModalFactory.create({
+                type: ModalFactory.types.SAVE_CANCEL,
+                title: strings[0],
+                body: Templates.render('local_cloudflarestream/embed_picker', {}),
+                large: true,
+                removeOnClose: true
+            }).then(function(modal) {
+                modal.setSaveButtonText(strings[1]);
+                setup(modal, contextId, insert);
+                modal.show();
+                return modal;
+            });
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Wire up the search, the video list and the insert button of an opened picker.
+     *
+     * @param {Object} modal Picker dialogue
+     * @param {Number} contextId Context the text is edited in
+     * @param {Function} insert Called with the embed text once a video is picked
+     */
+    function setup(modal, contextId, insert) {
+        var root = modal.getRoot();
+        var state = {videoid: 0, request: 0};
+        var searchTimer = null;
+
+        /**
+         * Load the videos matching the search.
+         */
+        var load = function() {
+            // Answers to earlier requests, e.g. while typing a search, are dropped
+            var request = ++state.request;
+
+            Ajax.call([{
+                methodname: 'local_cloudflarestream_get_embeddable_videos',
+                args: {
+                    contextid: contextId,
+                    search: (root.find('[data-region="search"]').val() || '').trim()
+                }
+            }])[0].then(function(response) {
+                if (request !== state.request) {
+                    return null;
+                }
+                return Templates.render('local_cloudflarestream/embed_picker_videos', {
+                    hasvideos: response.videos.length > 0,
+                    videos: response.videos
+                }).then(function(html, js) {
+                    Templates.replaceNodeContents(root.find('[data-region="videos"]'), html, js);
+                    markSelected(root, state.videoid);
+                    return html;
+                });
+            }).catch(Notification.exception);
+        };
+
+        modal.getBodyPromise().then(function() {
+            load();
+            return null;
+        }).catch(Notification.exception);
+
+        root.on('input', '[data-region="search"]', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(load, SEARCH_DELAY);
+        });
+
+        root.on('click', '[data-action="select-video"]', function() {
+            state.videoid = $(this).data('videoid');
+            markSelected(root, state.videoid);
+            root.find('[data-region="error"]').prop('hidden', true);
+        });
+
+        root.on(ModalEvents.save, function(e) {
+            var embed = buildEmbed(root, state.videoid);
+            if (embed.error) {
+                e.preventDefault();
+                showError(root, embed.error);
+                return;
+            }
+            insert(embed.text);
+        });
+    }
+
+    /**
+     * Highlight the picked video in the list.
+     *
+     * @param {jQuery} root Picker root
+     * @param {Number} videoId Picked video record ID, 0 for none
+     */
+    function markSelected(root, videoId) {
+        root.find('[data-action="select-video"]').each(function() {
+            var selected = $(this).data('videoid') === videoId;
+            $(this).toggleClass('active', selected).attr('aria-selected', selected ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Write the embed of the picked video with the chosen options.
+     *
+     * @param {jQuery} root Picker root
+     * @param {Number} videoId Picked video record ID, 0 for none
+     * @return {Object} The embed text, or the string key of what is wrong
+     */
+    function buildEmbed(root, videoId) {
+        if (!videoId) {
+            return {error: 'embed_error_video'};
+        }
+
+        var text = '{cfstream id=' + videoId;
+
+        var start = (root.find('[data-option="start"]').val() || '').trim();
+        if (start !== '' && start !== '0') {
+            if (!/^\d+$/.test(start) && !POSITION_PATTERN.test(start)) {
+                return {error: 'embed_error_start'};
+            }
+            text += ' start=' + start;
+        }
+
+        BOOLEAN_OPTIONS.forEach(function(option) {
+            if (root.find('[data-option="' + option + '"]').prop('checked')) {
+                text += ' ' + option + '=1';
+            }
+        });
+
+        return {text: text + '}'};
+    }
+
+    /**
+     * Show what keeps the picker from inserting an embed.
+     *
+     * @param {jQuery} root Picker root
+     * @param {String} key String key of the message
+     */
+    function showError(root, key) {
+        Str.get_string(key, 'local_cloudflarestream').done(function(message) {
+            root.find('[data-region="error"]').text(message).prop('hidden', false);
+        }).fail(Notification.exception);
+    }
+
+    return {
+        open: open
+    };
+});
@@ -0,0 +1,383 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Video library of a course: filters, sorting, paging and bulk actions.
+ *
+ * @module     local_cloudflarestream/library
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'core/templates'],
+function($, Ajax, Notification, Str, Templates) {
+    'use strict';
+
+    /** @var {number} Milliseconds to wait after the last keystroke before searching */
+    var SEARCH_DELAY = 300;
+
+    /** @var {string} Local storage key remembering the grid or list view */
+    var VIEW_STORAGE_KEY = 'local_cloudflarestream_library_view';
+
+    var config = null;
+    var root = null;
+    var state = {page: 0, view: 'grid', total: 0, videos: [], request: 0};
+    var searchTimer = null;
+
+    /**
+     * Initialise the video library.
+     *
+     * @param {Object} options Library options: courseid and perPage
+     */
+    function init(options) {
+        config = options;
+        root = $('#cloudflarestream-library');
+        state.view = readView();
+        updateViewButtons();
+
+        root.find('[data-filter]').on('change', function() {
+            reload();
+        });
+        root.find('[data-filter="search"]').on('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(reload, SEARCH_DELAY);
+        });
+
+        root.on('click', '[data-action="view"]', function() {
+            state.view = $(this).data('view');
+            storeView(state.view);
+            updateViewButtons();
+            render();
+        });
+
+        root.on('click', '[data-action="page"]', function() {
+            state.page += $(this).data('direction');
+            load();
+        });
+
+        root.on('change', '[data-action="select"]', function() {
+            updateSelection();
+        });
+        root.find('[data-action="select-all"]').on('change', function() {
+            root.find('[data-region="videos"] [data-action="select"]').prop('checked', this.checked);
+            updateSelection();
+        });
+
+        root.find('[data-region="bulk-action"]').on('change', function() {
+            updateSelection();
+        });
+        root.find('[data-action="apply"]').on('click', function() {
+            applyBulkAction(root.find('[data-region="bulk-action"]').val(), getSelectedIds());
+        });
+
+        load();
+    }
+
+    /**
+     * Go back to the first page and load the videos matching the filters.
+     */
+    function reload() {
+        state.page = 0;
+        load();
+    }
+
+    /**
+     * Read the filters from the toolbar.
+     *
+     * Dates are sent as the start and end of the chosen days, durations in seconds.
+     *
+     * @return {Object} Filter arguments for local_cloudflarestream_get_library_videos
+     */
+    function getFilters() {
+        var value = function(name) {
+            return root.find('[data-filter="' + name + '"]').val() || '';
+        };
+        var day = function(date, time) {
+            return date ? Math.floor(new Date(date + 'T' + time).getTime() / 1000) : 0;
+        };
+
+        return {
+            search: value('search').trim(),
+            status: value('status'),
+            uploader: parseInt(value('uploader'), 10) || 0,
+            datefrom: day(value('datefrom'), '00:00:00'),
+            dateto: day(value('dateto'), '23:59:59'),
+            minduration: Math.round((parseFloat(value('minduration')) || 0) * 60),
+            maxduration: Math.round((parseFloat(value('maxduration')) || 0) * 60),
+            sort: value('sort') || 'upload_date',
+            direction: value('direction') || 'desc'
+        };
+    }
+
+    /**
+     * Load the current page of videos.
+     */
+    function load() {
+        // Answers to earlier requests, e.g. while typing a search, are dropped
+        var request = ++state.request;
+        var args = $.extend({
+            courseid: config.courseid,
+            page: state.page,
+            perpage: config.perPage
+        }, getFilters());
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_library_videos',
+            args: args
+        }])[0].done(function(response) {
+            if (request !== state.request) {
+                return;
+            }
+
+            state.total = response.total;
+            state.videos = response.videos;
+
+            // A bulk action may have emptied the last page
+            if (!state.videos.length && state.page > 0) {
+                state.page = Math.max(0, Math.ceil(state.total / config.perPage) - 1);
+                load();
+                return;
+            }
+
+            render();
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Render the loaded videos in the chosen view.
+     */
+    function render() {
+        Templates.render('local_cloudflarestream/library_videos', {
+            grid: state.view === 'grid',
+            hasvideos: state.videos.length > 0,
+            videos: state.videos
+        }).then(function(html, js) {
+            Templates.replaceNodeContents(root.find('[data-region="videos"]'), html, js);
+            updatePagination();
+            updateSelection();
+            return html;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Show the total and the page navigation.
+     */
+    function updatePagination() {
+        var pages = Math.max(1, Math.ceil(state.total / config.perPage));
+        var pagination = root.find('[data-region="pagination"]');
+
+        pagination.prop('hidden', pages < 2);
+        pagination.find('[data-direction="-1"]').prop('disabled', state.page <= 0);
+        pagination.find('[data-direction="1"]').prop('disabled', state.page >= pages - 1);
+
+        Str.get_strings([
+            {key: 'library_page', component: 'local_cloudflarestream', param: {page: state.page + 1, pages: pages}},
+            {key: 'library_total', component: 'local_cloudflarestream', param: state.total}
+        ]).then(function(strings) {
+            pagination.find('[data-region="page"]').text(strings[0]);
+            root.find('[data-region="total"]').text(strings[1]);
+            return strings;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Get the IDs of the selected videos.
+     *
+     * @return {Array} Video record IDs
+     */
+    function getSelectedIds() {
+        return root.find('[data-region="videos"] [data-action="select"]:checked').map(function() {
+            return parseInt(this.value, 10);
+        }).get();
+    }
+
+    /**
+     * Update the selection count, the select all box and the bulk action controls.
+     */
+    function updateSelection() {
+        var boxes = root.find('[data-region="videos"] [data-action="select"]');
+        var selected = getSelectedIds().length;
+        var bulkaction = root.find('[data-region="bulk-action"]');
+
+        root.find('[data-action="select-all"]').prop({
+            checked: boxes.length > 0 && selected === boxes.length,
+            indeterminate: selected > 0 && selected < boxes.length
+        });
+        bulkaction.prop('disabled', selected === 0);
+        root.find('[data-action="apply"]').prop('disabled', selected === 0 || !bulkaction.val());
+
+        if (!selected) {
+            root.find('[data-region="selected-count"]').text('');
+            return;
+        }
+        Str.get_string('library_selected', 'local_cloudflarestream', selected).then(function(text) {
+            root.find('[data-region="selected-count"]').text(text);
+            return text;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Apply a bulk action to the selected videos, asking first before deleting.
+     *
+     * @param {string} action Bulk action
+     * @param {Array} videoids Video record IDs
+     */
+    function applyBulkAction(action, videoids) {
+        if (!action || !videoids.length) {
+            return;
+        }
+
+        if (action === 'download') {
+            downloadOriginals(videoids);
+            return;
+        }
+
+        if (action !== 'delete') {
+            runBulkAction(action, videoids);
+            return;
+        }
+
+        Str.get_strings([
+            {key: 'confirm'},
+            {key: 'library_confirm_delete', component: 'local_cloudflarestream', param: videoids.length},
+            {key: 'delete'},
+            {key: 'cancel'}
+        ]).then(function(strings) {
+            Notification.confirm(strings[0], strings[1], strings[2], strings[3], function() {
+                runBulkAction(action, videoids);
+            });
+            return strings;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Send a bulk action to the server and report how it went.
+     *
+     * @param {string} action Bulk action
+     * @param {Array} videoids Video record IDs
+     */
+    function runBulkAction(action, videoids) {
+        root.find('[data-action="apply"]').prop('disabled', true);
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_bulk_video_action',
+            args: {
+                courseid: config.courseid,
+                action: action,
+                videoids: videoids
+            }
+        }])[0].done(function(response) {
+            var succeeded = response.results.filter(function(result) {
+                return result.success;
+            });
+
+            Str.get_string('library_results', 'local_cloudflarestream', {
+                success: succeeded.length,
+                total: response.results.length
+            }).then(function(message) {
+                Notification.addNotification({
+                    message: message,
+                    type: succeeded.length === response.results.length ? 'success' : 'warning'
+                });
+                return message;
+            }).catch(Notification.exception);
+
+            response.results.forEach(function(result) {
+                if (!result.success) {
+                    Notification.addNotification({
+                        message: getTitle(result.videoid) + ': ' + result.message,
+                        type: 'error'
+                    });
+                }
+            });
+
+            root.find('[data-region="bulk-action"]').val('');
+            load();
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Download the original files of videos through a form post, so the browser handles the file.
+     *
+     * @param {Array} videoids Video record IDs
+     */
+    function downloadOriginals(videoids) {
+        var form = $('<form method="post"></form>').attr('action', root.data('download-url'));
+        form.append($('<input type="hidden" name="sesskey">').val(M.cfg.sesskey));
+        form.append($('<input type="hidden" name="action" value="download">'));
+        videoids.forEach(function(videoid) {
+            form.append($('<input type="hidden" name="videoids[]">').val(videoid));
+        });
+
+        $('body').append(form);
+        form.submit();
+        form.remove();
+    }
+
+    /**
+     * Get the title of a loaded video.
+     *
+     * @param {number} videoid Video record ID
+     * @return {string} Title, or the ID if the video is not on this page
+     */
+    function getTitle(videoid) {
+        var video = state.videos.filter(function(candidate) {
+            return candidate.id === videoid;
+        })[0];
+        return video ? video.title : String(videoid);
+    }
+
+    /**
+     * Mark the button of the current view as pressed.
+     */
+    function updateViewButtons() {
+        root.find('[data-action="view"]').each(function() {
+            var active = $(this).data('view') === state.view;
+            $(this).toggleClass('active', active).attr('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Read the view the teacher chose last time.
+     *
+     * @return {string} grid or list
+     */
+    function readView() {
+        try {
+            return window.localStorage.getItem(VIEW_STORAGE_KEY) === 'list' ? 'list' : 'grid';
+        } catch (e) {
+            // Storage may be disabled, e.g. in private browsing
+            return 'grid';
+        }
+    }
+
+    /**
+     * Remember the chosen view.
+     *
+     * @param {string} view grid or list
+     */
+    function storeView(view) {
+        try {
+            window.localStorage.setItem(VIEW_STORAGE_KEY, view);
+        } catch (e) {
+            // Storage unavailable, the view is just not remembered
+        }
+    }
+
+    return {
+        init: init
+    };
+});
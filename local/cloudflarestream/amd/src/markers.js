@@ -0,0 +1,327 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Chapter list and private bookmarks shown over a Cloudflare Stream player.
+ *
+ * @module     local_cloudflarestream/markers
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['core/ajax', 'core/str', 'core/notification'], function(Ajax, Str, Notification) {
+    'use strict';
+
+    /**
+     * Set up the chapters and bookmarks sidebar of a player.
+     *
+     * @param {Object} api Player API from local_cloudflarestream/player
+     * @param {HTMLElement} region Markers region inside the player wrapper
+     * @param {Object} config Chapters, bookmarks and whether the user can keep bookmarks
+     */
+    function init(api, region, config) {
+        var markers = {
+            api: api,
+            region: region,
+            panel: region.querySelector('.cloudflare-stream-markers-panel'),
+            toggle: region.querySelector('[data-action="toggle-markers"]'),
+            chapterList: region.querySelector('[data-region="chapters"]'),
+            bookmarkList: region.querySelector('[data-region="bookmarks"]'),
+            noBookmarks: region.querySelector('[data-region="no-bookmarks"]'),
+            form: region.querySelector('[data-region="bookmark-form"]'),
+            chapters: config.chapters || [],
+            bookmarks: (config.bookmarks || []).slice(),
+            activeChapter: -1,
+            strings: {}
+        };
+
+        if (!markers.chapters.length && !config.trackProgress) {
+            return;
+        }
+
+        Str.get_strings([
+            {key: 'edit_bookmark', component: 'local_cloudflarestream'},
+            {key: 'delete_bookmark', component: 'local_cloudflarestream'}
+        ]).then(function(strings) {
+            markers.strings = {edit: strings[0], remove: strings[1]};
+            renderChapters(markers);
+            if (config.trackProgress) {
+                region.querySelector('[data-region="bookmarks-section"]').hidden = false;
+                renderBookmarks(markers);
+            }
+            region.hidden = false;
+            return strings;
+        }).catch(Notification.exception);
+
+        markers.toggle.addEventListener('click', function() {
+            var open = markers.panel.hidden;
+            markers.panel.hidden = !open;
+            markers.toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        });
+
+        api.on('timeupdate', function(e) {
+            highlightChapter(markers, e.currentTime);
+        });
+
+        markers.form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            addBookmark(markers, markers.form.elements.note.value);
+        });
+    }
+
+    /**
+     * Render the chapter list.
+     *
+     * @param {Object} markers Markers state
+     */
+    function renderChapters(markers) {
+        if (!markers.chapters.length) {
+            return;
+        }
+
+        markers.chapters.forEach(function(chapter) {
+            var item = document.createElement('li');
+            item.appendChild(createSeekButton(markers, chapter.start, chapter.title));
+            markers.chapterList.appendChild(item);
+        });
+
+        markers.region.querySelector('[data-region="chapters-section"]').hidden = false;
+        highlightChapter(markers, markers.api.getCurrentTime());
+    }
+
+    /**
+     * Mark the chapter being played.
+     *
+     * @param {Object} markers Markers state
+     * @param {number} time Playback position in seconds
+     */
+    function highlightChapter(markers, time) {
+        var index = -1;
+        markers.chapters.forEach(function(chapter, i) {
+            if (chapter.start <= time) {
+                index = i;
+            }
+        });
+
+        if (index === markers.activeChapter) {
+            return;
+        }
+
+        var items = markers.chapterList.children;
+        if (markers.activeChapter !== -1 && items[markers.activeChapter]) {
+            items[markers.activeChapter].classList.remove('active');
+        }
+        if (index !== -1 && items[index]) {
+            items[index].classList.add('active');
+        }
+        markers.activeChapter = index;
+    }
+
+    /**
+     * Render the bookmarks of the current user.
+     *
+     * @param {Object} markers Markers state
+     */
+    function renderBookmarks(markers) {
+        markers.bookmarks.sort(function(a, b) {
+            return a.position - b.position || a.id - b.id;
+        });
+
+        markers.bookmarkList.innerHTML = '';
+        markers.bookmarks.forEach(function(bookmark) {
+            var item = document.createElement('li');
+            item.appendChild(createSeekButton(markers, bookmark.position, bookmark.note));
+            item.appendChild(createIconButton('fa-pencil', markers.strings.edit, function() {
+                editBookmark(markers, bookmark, item);
+            }));
+            item.appendChild(createIconButton('fa-trash', markers.strings.remove, function() {
+                deleteBookmark(markers, bookmark);
+            }));
+            markers.bookmarkList.appendChild(item);
+        });
+
+        markers.noBookmarks.hidden = markers.bookmarks.length > 0;
+    }
+
+    /**
+     * Create a button that seeks the player and starts playback.
+     *
+     * @param {Object} markers Markers state
+     * @param {number} position Position in seconds
+     * @param {string} label Text shown after the time
+     * @return {HTMLElement} Button
+     */
+    function createSeekButton(markers, position, label) {
+        var button = document.createElement('button');
+        var time = document.createElement('span');
+
+        button.type = 'button';
+        time.className = 'marker-time';
+        time.textContent = formatTime(position);
+        button.appendChild(time);
+        button.appendChild(document.createTextNode(label));
+
+        button.addEventListener('click', function() {
+            markers.api.seek(position).then(function() {
+                return markers.api.play();
+            }).catch(function(error) {
+                console.warn('Unable to seek to marker:', error);
+            });
+        });
+
+        return button;
+    }
+
+    /**
+     * Create a small icon-only button.
+     *
+     * @param {string} icon Font Awesome icon class
+     * @param {string} label Accessible label
+     * @param {Function} handler Click handler
+     * @return {HTMLElement} Button
+     */
+    function createIconButton(icon, label, handler) {
+        var button = document.createElement('button');
+        var iconElement = document.createElement('i');
+
+        button.type = 'button';
+        button.className = 'btn btn-link btn-sm text-light';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        iconElement.className = 'fa ' + icon;
+        iconElement.setAttribute('aria-hidden', 'true');
+        button.appendChild(iconElement);
+        button.addEventListener('click', handler);
+
+        return button;
+    }
+
+    /**
+     * Bookmark the current playback position.
+     *
+     * @param {Object} markers Markers state
+     * @param {string} note Optional note
+     */
+    function addBookmark(markers, note) {
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_add_bookmark',
+            args: {
+                videoid: markers.api.videoRecordId,
+                position: Math.floor(markers.api.getCurrentTime()),
+                note: note.trim()
+            }
+        }])[0].done(function(bookmark) {
+            markers.bookmarks.push(bookmark);
+            markers.form.reset();
+            renderBookmarks(markers);
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Let the user change the note of a bookmark in place.
+     *
+     * @param {Object} markers Markers state
+     * @param {Object} bookmark Bookmark
+     * @param {HTMLElement} item List item of the bookmark
+     */
+    function editBookmark(markers, bookmark, item) {
+        var input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm';
+        input.maxLength = 1000;
+        input.value = bookmark.note;
+        input.setAttribute('aria-label', markers.strings.edit);
+
+        item.innerHTML = '';
+        item.appendChild(input);
+        input.focus();
+
+        var done = false;
+        var finish = function(save) {
+            if (done) {
+                return;
+            }
+            done = true;
+
+            if (!save || input.value.trim() === bookmark.note) {
+                renderBookmarks(markers);
+                return;
+            }
+
+            Ajax.call([{
+                methodname: 'local_cloudflarestream_update_bookmark',
+                args: {bookmarkid: bookmark.id, note: input.value.trim()}
+            }])[0].done(function(updated) {
+                bookmark.note = updated.note;
+                renderBookmarks(markers);
+            }).fail(function(error) {
+                renderBookmarks(markers);
+                Notification.exception(error);
+            });
+        };
+
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', function() {
+            finish(true);
+        });
+    }
+
+    /**
+     * Delete a bookmark.
+     *
+     * @param {Object} markers Markers state
+     * @param {Object} bookmark Bookmark
+     */
+    function deleteBookmark(markers, bookmark) {
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_delete_bookmark',
+            args: {bookmarkid: bookmark.id}
+        }])[0].done(function() {
+            markers.bookmarks = markers.bookmarks.filter(function(other) {
+                return other.id !== bookmark.id;
+            });
+            renderBookmarks(markers);
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Format a position as m:ss or h:mm:ss.
+     *
+     * @param {number} seconds Position in seconds
+     * @return {string} Formatted position
+     */
+    function formatTime(seconds) {
+        var total = Math.floor(seconds);
+        var hours = Math.floor(total / 3600);
+        var minutes = Math.floor((total % 3600) / 60);
+        var secs = ('0' + (total % 60)).slice(-2);
+
+        if (hours) {
+            return hours + ':' + ('0' + minutes).slice(-2) + ':' + secs;
+        }
+        return minutes + ':' + secs;
+    }
+
+    return {
+        init: init
+    };
+});
@@ -21,89 +21,1057 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notification) {
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'core/fragment', 'core/templates',
+        'local_cloudflarestream/status_channel', 'local_cloudflarestream/transcript', 'local_cloudflarestream/markers',
+        'local_cloudflarestream/watermark', 'local_cloudflarestream/checkpoints', 'local_cloudflarestream/clip_editor'],
+function($, Ajax, Notification, Str, Fragment, Templates, StatusChannel, Transcript, Markers, Watermark, Checkpoints,
+        ClipEditor) {
     'use strict';
 
+    /** @var {string} Cloudflare Stream Player SDK URL */
+    var SDK_URL = 'https://embed.cloudflarestream.com/embed/sdk.latest.js';
+
+    /** @var {number} Maximum token refresh attempts before giving up */
+    var MAX_REFRESH_ATTEMPTS = 5;
+
+    /** @var {number} Base delay in seconds between refresh attempts */
+    var REFRESH_RETRY_DELAY = 5;
+
+    /** @var {Array} Events that other modules can subscribe to through the player API */
+    var PLAYER_EVENTS = ['play', 'pause', 'timeupdate', 'ended', 'error', 'qualitychange'];
+
+    /** @var {number} Seconds of playback between playback position saves */
+    var POSITION_SAVE_INTERVAL = 15;
+
+    /** @var {number} Seconds between watched segment heartbeats */
+    var HEARTBEAT_INTERVAL = 15;
+
+    /** @var {number} Seconds between heartbeats of a playing session under the concurrent stream limit */
+    var SESSION_HEARTBEAT_INTERVAL = 15;
+
+    /** @var {number} Seconds after its last heartbeat a session is no longer renewed under the concurrent stream limit */
+    var SESSION_ACTIVE_TIMEOUT = 45;
+
+    /** @var {number} Largest jump in seconds between timeupdate events still treated as continuous playback */
+    var MAX_TIMEUPDATE_GAP = 2;
+
+    /** @var {Array} SDK events that prove the embedded player loaded and is talking to the page */
+    var LOAD_EVENTS = ['loadstart', 'suspend', 'durationchange', 'loadedmetadata', 'canplay', 'play'];
+
+    /** @var {number} Seconds the embedded player has to talk to the page once its frame loaded */
+    var HANDSHAKE_TIMEOUT = 10;
+
+    /** @var {string} Cloudflare Stream delivery domain serving thumbnails at any moment of a video */
+    var THUMBNAIL_DOMAIN = 'videodelivery.net';
+
+    /** @var {string} HLS manifest mime type */
+    var HLS_MIME = 'application/vnd.apple.mpegurl';
+
+    /** @var {number} Seconds between checks of whether a live session started or ended */
+    var LIVE_POLL_INTERVAL = 20;
+
     var players = {};
+    var sdkPromise = null;
+
+    /**
+     * Initialize a Cloudflare Stream player.
+     *
+     * @param {Object} config Player configuration
+     */
+    function init(config) {
+        var playerId = config.playerId;
+        var player = {
+            id: playerId,
+            config: config,
+            element: document.getElementById(playerId),
+            playbackId: null,
+            tokenExpires: config.tokenExpires,
+            refreshTimer: null,
+            sdk: null,
+            sdkPromise: null,
+            listeners: {},
+            lastKnownTime: (config.config && config.config.start) || 0,
+            textTrack: (config.config && config.config.defaultTextTrack) || null,
+            duration: 0,
+            hasPlayed: false,
+            lastSavedPosition: null,
+            percentageWatched: config.watchedPercentage || 0,
+            watch: {segment: null, pending: [], lastHeartbeat: 0},
+            loaded: false,
+            handshakeTimer: null,
+            handshakeRetried: false,
+            onMessage: null,
+            waitingOnline: false,
+            fallback: null,
+            watermark: null,
+            session: null
+        };
+
+        if (!player.element) {
+            console.error('Cloudflare Stream player element not found:', playerId);
+            return;
+        }
+
+        // The signed token in the embed URL also signs thumbnail requests
+        player.playbackId = new URL(player.element.src).pathname.split('/')[1];
+
+        player.api = createPlayerApi(player);
+        players[playerId] = player;
+
+        // Attach the Stream Player SDK so playback state can be read and restored
+        attachSdk(player);
+
+        // Set up token refresh
+        setupTokenRefresh(player);
+
+        // Set up event listeners
+        setupEventListeners(player);
+
+        // Set up error handling
+        setupErrorHandling(player);
+
+        // Draw the viewer's identity over the video
+        setupWatermark(player);
+
+        if (config.liveSessionId) {
+            // A broadcast has nothing to resume or track, it only ends
+            setupLiveWatch(player);
+            console.log('Cloudflare Stream live player initialized:', playerId);
+            return;
+        }
+
+        if (config.clipEditor) {
+            // The teacher is cutting the video, not watching it
+            setupClipEditor(player);
+            console.log('Cloudflare Stream clip editor player initialized:', playerId);
+            return;
+        }
+
+        // Remember where the user stops watching and offer to resume there
+        setupPositionTracking(player);
+        setupResumePrompt(player);
+
+        // Report which parts of the video were actually watched
+        setupWatchTracking(player);
+
+        // Show the captions as a clickable transcript
+        setupTranscript(player);
+
+        // List chapters and the user's bookmarks over the video
+        setupMarkers(player);
+
+        // Pause at the quiz questions of the video
+        setupCheckpoints(player);
+
+        // Pause this player when the user plays more streams at once than allowed
+        setupStreamLimit(player);
+
+        console.log('Cloudflare Stream player initialized:', playerId);
+    }
+
+    /**
+     * Set up automatic token refresh.
+     *
+     * @param {Object} player Player object
+     */
+    function setupTokenRefresh(player) {
+        var now = Math.floor(Date.now() / 1000);
+        var expiresIn = player.tokenExpires - now;
+        var refreshTime = Math.max(expiresIn - 300, 60); // Refresh 5 minutes before expiry, minimum 1 minute
+
+        if (refreshTime > 0) {
+            player.refreshTimer = setTimeout(function() {
+                refreshPlayerToken(player);
+            }, refreshTime * 1000);
+        }
+    }
+
+    /**
+     * Load the Cloudflare Stream Player SDK once per page.
+     *
+     * @return {Promise} Resolved with the global Stream function
+     */
+    function loadStreamSdk() {
+        if (sdkPromise) {
+            return sdkPromise;
+        }
+
+        var deferred = $.Deferred();
+        if (typeof window.Stream === 'function') {
+            deferred.resolve(window.Stream);
+        } else {
+            var script = document.createElement('script');
+            script.src = SDK_URL;
+            script.async = true;
+            script.onload = function() {
+                deferred.resolve(window.Stream);
+            };
+            script.onerror = function() {
+                // Allow a later attempt, e.g. after a network drop.
+                sdkPromise = null;
+                deferred.reject(new Error('Failed to load Cloudflare Stream SDK'));
+            };
+            document.head.appendChild(script);
+        }
+
+        sdkPromise = deferred.promise();
+        return sdkPromise;
+    }
+
+    /**
+     * Attach the Stream Player SDK to the player iframe.
+     *
+     * @param {Object} player Player object
+     * @return {Promise} Resolved with the SDK player instance
+     */
+    function attachSdk(player) {
+        player.sdkPromise = loadStreamSdk().then(function(Stream) {
+            player.sdk = Stream(player.element);
+            bindSdkEvents(player, player.sdk);
+            return player.sdk;
+        }).fail(function(error) {
+            player.sdk = null;
+            console.warn('Cloudflare Stream SDK unavailable for player:', player.id, error);
+        });
+
+        return player.sdkPromise;
+    }
+
+    /**
+     * Forward events from an SDK instance to the player's subscribers.
+     *
+     * Subscribers are kept on the player rather than the SDK instance so they
+     * survive the iframe being pointed at a new signed URL.
+     *
+     * @param {Object} player Player object
+     * @param {Object} sdk SDK player instance
+     */
+    function bindSdkEvents(player, sdk) {
+        sdk.addEventListener('timeupdate', function() {
+            player.lastKnownTime = sdk.currentTime;
+            emit(player, 'timeupdate', {currentTime: sdk.currentTime, duration: sdk.duration});
+        });
+
+        ['play', 'pause', 'ended'].forEach(function(name) {
+            sdk.addEventListener(name, function() {
+                emit(player, name, {currentTime: sdk.currentTime, duration: sdk.duration});
+            });
+        });
+
+        sdk.addEventListener('error', function(e) {
+            emit(player, 'error', {currentTime: sdk.currentTime, error: e});
+            handleLoadFailure(player, 'error');
+        });
+
+        LOAD_EVENTS.forEach(function(name) {
+            sdk.addEventListener(name, function() {
+                markLoaded(player);
+            });
+        });
+
+        // The SDK forwards the media element's resize event, which fires when
+        // adaptive streaming switches to a rendition with different dimensions.
+        sdk.addEventListener('resize', function() {
+            emit(player, 'qualitychange', {
+                currentTime: sdk.currentTime,
+                width: sdk.videoWidth,
+                height: sdk.videoHeight
+            });
+        });
+    }
+
+    /**
+     * Notify subscribers of a player event.
+     *
+     * @param {Object} player Player object
+     * @param {string} name Event name
+     * @param {Object} data Event data
+     */
+    function emit(player, name, data) {
+        var callbacks = player.listeners[name] || [];
+        var event = $.extend({type: name, playerId: player.id}, data);
+
+        callbacks.slice().forEach(function(callback) {
+            try {
+                callback(event);
+            } catch (e) {
+                // One misbehaving subscriber must not stop the others.
+                console.error('Cloudflare Stream player listener failed:', name, e);
+            }
+        });
+    }
+
+    /**
+     * Run a command once the SDK is attached to the player.
+     *
+     * @param {Object} player Player object
+     * @param {Function} command Callback receiving the SDK instance
+     * @return {Promise} Resolved with the command result
+     */
+    function whenReady(player, command) {
+        var promise = player.sdkPromise;
+        if (!promise || promise.state() === 'rejected') {
+            promise = attachSdk(player);
+        }
+        return promise.then(function(sdk) {
+            return command(sdk);
+        });
+    }
+
+    /**
+     * Create the public API object for a player.
+     *
+     * @param {Object} player Player object
+     * @return {Object} Player API
+     */
+    function createPlayerApi(player) {
+        return {
+            id: player.id,
+            element: player.element,
+            videoRecordId: player.config.videoRecordId,
+
+            /**
+             * @return {Promise} Resolved once the embedded player can be controlled
+             */
+            ready: function() {
+                return whenReady(player, function(sdk) {
+                    return sdk;
+                });
+            },
+
+            /**
+             * @return {Promise} Resolved when playback has been requested
+             */
+            play: function() {
+                return whenReady(player, function(sdk) {
+                    return sdk.play();
+                });
+            },
+
+            /**
+             * @return {Promise} Resolved when playback has been paused
+             */
+            pause: function() {
+                return whenReady(player, function(sdk) {
+                    return sdk.pause();
+                });
+            },
+
+            /**
+             * @param {number} seconds Position to seek to
+             * @return {Promise} Resolved when the seek has been requested
+             */
+            seek: function(seconds) {
+                return whenReady(player, function(sdk) {
+                    sdk.currentTime = Math.max(0, Number(seconds) || 0);
+                    player.lastKnownTime = sdk.currentTime;
+                    return sdk.currentTime;
+                });
+            },
+
+            /**
+             * @return {number} Current playback position in seconds
+             */
+            getCurrentTime: function() {
+                return player.sdk ? player.sdk.currentTime : player.lastKnownTime;
+            },
+
+            /**
+             * @return {number} Duration of the video in seconds, 0 until it is known
+             */
+            getDuration: function() {
+                return (player.sdk && player.sdk.duration) || player.duration || 0;
+            },
+
+            /**
+             * @param {number} seconds Moment of the video
+             * @param {number} height Thumbnail height in pixels
+             * @return {string} URL of a thumbnail of the video at that moment
+             */
+            getThumbnailUrl: function(seconds, height) {
+                var url = new URL('https://' + THUMBNAIL_DOMAIN + '/' + player.playbackId + '/thumbnails/thumbnail.jpg');
+                url.searchParams.set('time', Math.max(0, Math.floor(seconds)) + 's');
+                url.searchParams.set('height', height);
+                return url.toString();
+            },
+
+            /**
+             * @return {number} Percentage of the video the current user has watched so far
+             */
+            getPercentageWatched: function() {
+                return player.percentageWatched;
+            },
+
+            /**
+             * @param {number} rate Playback rate, e.g. 1.5
+             * @return {Promise} Resolved when the rate has been applied
+             */
+            setPlaybackRate: function(rate) {
+                return whenReady(player, function(sdk) {
+                    sdk.playbackRate = rate;
+                    return rate;
+                });
+            },
+
+            /**
+             * @param {string} name Event name, one of PLAYER_EVENTS
+             * @param {Function} callback Called with the event data
+             * @return {Object} This API, for chaining
+             */
+            on: function(name, callback) {
+                if (PLAYER_EVENTS.indexOf(name) === -1) {
+                    throw new Error('Unknown Cloudflare Stream player event: ' + name);
+                }
+                player.listeners[name] = player.listeners[name] || [];
+                player.listeners[name].push(callback);
+                return this;
+            },
+
+            /**
+             * @param {string} name Event name
+             * @param {Function} callback Callback to remove, or all callbacks if omitted
+             * @return {Object} This API, for chaining
+             */
+            off: function(name, callback) {
+                if (!callback) {
+                    delete player.listeners[name];
+                } else if (player.listeners[name]) {
+                    player.listeners[name] = player.listeners[name].filter(function(cb) {
+                        return cb !== callback;
+                    });
+                }
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Capture the current playback state of a player.
+     *
+     * @param {Object} player Player object
+     * @return {Object} Playback state
+     */
+    function capturePlaybackState(player) {
+        var state = {
+            currentTime: player.lastKnownTime,
+            paused: true,
+            volume: null,
+            muted: false,
+            textTrack: player.textTrack
+        };
+
+        if (player.sdk) {
+            state.currentTime = player.sdk.currentTime || player.lastKnownTime;
+            state.paused = player.sdk.paused;
+            state.volume = player.sdk.volume;
+            state.muted = player.sdk.muted;
+        }
+
+        return state;
+    }
+
+    /**
+     * Build the iframe URL for a new playback token, carrying over playback state.
+     *
+     * @param {Object} player Player object
+     * @param {string} playbackId Signed token or video ID
+     * @param {Object} state Playback state to restore
+     * @return {string} Iframe URL
+     */
+    function buildPlaybackUrl(player, playbackId, state) {
+        var url = new URL(player.element.src);
+        url.pathname = '/' + playbackId;
+
+        if (state.currentTime > 0) {
+            url.searchParams.set('startTime', Math.floor(state.currentTime) + 's');
+        }
+        if (state.paused) {
+            url.searchParams.delete('autoplay');
+        } else {
+            url.searchParams.set('autoplay', 'true');
+        }
+        if (state.muted) {
+            url.searchParams.set('muted', 'true');
+        }
+        if (state.textTrack) {
+            url.searchParams.set('defaultTextTrack', state.textTrack);
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Point the player iframe at a freshly signed URL without losing the learner's place.
+     *
+     * @param {Object} player Player object
+     * @param {string} playbackId Signed token or video ID
+     */
+    function swapPlaybackSource(player, playbackId) {
+        player.playbackId = playbackId;
+
+        if (player.fallback) {
+            if (player.fallback.type === 'hls') {
+                swapFallbackSource(player, playbackId);
+            }
+            return;
+        }
+
+        var state = capturePlaybackState(player);
+        var newsrc = buildPlaybackUrl(player, playbackId, state);
+
+        // Commands issued while the new source loads wait for the new SDK instance.
+        var pending = $.Deferred();
+
+        var onload = function() {
+            player.element.removeEventListener('load', onload);
+            attachSdk(player).then(function(sdk) {
+                if (state.volume !== null) {
+                    sdk.volume = state.volume;
+                }
+                sdk.muted = state.muted;
+                if (!state.paused) {
+                    // Autoplay may be blocked by the browser, in which case the learner resumes manually.
+                    var playresult = sdk.play();
+                    if (playresult && typeof playresult.catch === 'function') {
+                        playresult.catch(function() {
+                            return null;
+                        });
+                    }
+                }
+                pending.resolve(sdk);
+            }).fail(pending.reject);
+        };
+
+        player.sdk = null;
+        player.sdkPromise = pending.promise();
+        player.element.addEventListener('load', onload);
+        player.element.src = newsrc;
+    }
+
+    /**
+     * Refresh player access token.
+     *
+     * @param {Object} player Player object
+     * @param {number} attempt Current attempt number (starting at 1)
+     */
+    function refreshPlayerToken(player, attempt) {
+        attempt = attempt || 1;
+
+        // Under the stream limit only playing sessions are renewed, so wait until playback resumes
+        if (player.session && Date.now() - player.session.lastHeartbeat > SESSION_ACTIVE_TIMEOUT * 1000) {
+            player.session.refreshDue = true;
+            return;
+        }
+
+        var request = player.config.liveSessionId ? {
+            methodname: 'local_cloudflarestream_refresh_live_token',
+            args: {sessionid: player.config.liveSessionId}
+        } : {
+            methodname: 'local_cloudflarestream_refresh_token',
+            args: {
+                videoid: player.config.videoRecordId,
+                sessionkey: player.config.sessionKey
+            }
+        };
+
+        Ajax.call([request])[0].done(function(response) {
+            if (!players[player.id]) {
+                // Player destroyed while the request was in flight.
+                return;
+            }
+
+            if (response.success) {
+                player.tokenExpires = response.expires_at;
+                if (response.playback_id) {
+                    swapPlaybackSource(player, response.playback_id);
+                }
+                hidePlayerError(player);
+
+                // Set up next refresh
+                setupTokenRefresh(player);
+            } else if (player.session && player.session.ended) {
+                // The stream plays on another device, the takeover notice already says so
+                console.warn('Token not refreshed, the stream was taken over:', player.id);
+            } else {
+                // Access was refused (e.g. unenrolled), retrying will not help.
+                console.error('Failed to refresh token:', response.error);
+                showPlayerErrorString(player, 'player_session_expired');
+            }
+        }).fail(function(error) {
+            if (!players[player.id]) {
+                return;
+            }
+            scheduleRefreshRetry(player, attempt, error);
+        });
+    }
+
+    /**
+     * Retry a failed token refresh with exponential backoff.
+     *
+     * @param {Object} player Player object
+     * @param {number} attempt Attempt that just failed
+     * @param {string} error Failure reason
+     */
+    function scheduleRefreshRetry(player, attempt, error) {
+        var now = Math.floor(Date.now() / 1000);
+
+        if (attempt >= MAX_REFRESH_ATTEMPTS) {
+            console.error('Token refresh failed after ' + attempt + ' attempts:', error);
+            showPlayerErrorString(player, 'player_refresh_failed');
+            return;
+        }
+
+        var delay = REFRESH_RETRY_DELAY * Math.pow(2, attempt - 1);
+        var retry = function() {
+            refreshPlayerToken(player, attempt + 1);
+        };
+
+        // Wait for the connection to come back rather than burning attempts while offline.
+        if (navigator.onLine === false) {
+            window.addEventListener('online', function onOnline() {
+                window.removeEventListener('online', onOnline);
+                retry();
+            });
+            return;
+        }
+
+        console.warn('Token refresh failed (attempt ' + attempt + '), retrying in ' + delay + 's:', error);
+        player.refreshTimer = setTimeout(retry, Math.max(Math.min(delay, player.tokenExpires - now), 1) * 1000);
+    }
+
+    /**
+     * Periodically save the playback position of the current user.
+     *
+     * @param {Object} player Player object
+     */
+    function setupPositionTracking(player) {
+        if (!player.config.trackProgress) {
+            return;
+        }
+
+        player.api.on('play', function() {
+            player.hasPlayed = true;
+        });
+
+        player.api.on('timeupdate', function(e) {
+            player.duration = e.duration || player.duration;
+            if (player.lastSavedPosition === null ||
+                    Math.abs(e.currentTime - player.lastSavedPosition) >= POSITION_SAVE_INTERVAL) {
+                savePosition(player, e.currentTime);
+            }
+        });
+
+        player.api.on('pause', function(e) {
+            savePosition(player, e.currentTime);
+        });
+
+        // A finished video starts from the beginning next time.
+        player.api.on('ended', function() {
+            savePosition(player, 0);
+        });
+
+        // Regular requests may be cancelled on unload, a beacon is not.
+        window.addEventListener('pagehide', function() {
+            if (players[player.id]) {
+                savePosition(player, player.api.getCurrentTime(), true);
+            }
+        });
+    }
+
+    /**
+     * Send the playback position of the current user to the server.
+     *
+     * @param {Object} player Player object
+     * @param {number} position Playback position in seconds
+     * @param {boolean} useBeacon Whether to send the position with navigator.sendBeacon
+     */
+    function savePosition(player, position, useBeacon) {
+        // Never overwrite a saved position before the user has actually watched anything.
+        if (!player.hasPlayed) {
+            return;
+        }
+
+        position = Math.floor(position || 0);
+        player.lastSavedPosition = position;
+
+        var request = {
+            methodname: 'local_cloudflarestream_save_position',
+            args: {
+                videoid: player.config.videoRecordId,
+                position: position,
+                duration: Math.floor(player.duration || 0)
+            }
+        };
+
+        if (useBeacon && sendBeacon(request)) {
+            return;
+        }
+
+        Ajax.call([request])[0].fail(function(error) {
+            console.warn('Failed to save playback position:', error);
+        });
+    }
+
+    /**
+     * Track watched time ranges and report them to the server in heartbeats.
+     *
+     * @param {Object} player Player object
+     */
+    function setupWatchTracking(player) {
+        if (!player.config.trackProgress) {
+            return;
+        }
+
+        player.api.on('timeupdate', function(e) {
+            player.duration = e.duration || player.duration;
+            trackSegment(player, e.currentTime);
+            if (Date.now() - player.watch.lastHeartbeat >= HEARTBEAT_INTERVAL * 1000) {
+                sendHeartbeat(player);
+            }
+        });
+
+        ['pause', 'ended'].forEach(function(name) {
+            player.api.on(name, function(e) {
+                trackSegment(player, e.currentTime);
+                closeSegment(player);
+                sendHeartbeat(player);
+            });
+        });
+
+        window.addEventListener('pagehide', function() {
+            if (players[player.id]) {
+                closeSegment(player);
+                sendHeartbeat(player, true);
+            }
+        });
+    }
+
+    /**
+     * Extend the current watched segment, or start a new one after a seek.
+     *
+     * @param {Object} player Player object
+     * @param {number} time Current playback time in seconds
+     */
+    function trackSegment(player, time) {
+        var segment = player.watch.segment;
+        if (segment && time >= segment[1] - 0.5 && time <= segment[1] + MAX_TIMEUPDATE_GAP) {
+            segment[1] = Math.max(segment[1], time);
+            return;
+        }
+
+        closeSegment(player);
+        player.watch.segment = [time, time];
+    }
+
+    /**
+     * Move the current watched segment to the list awaiting the next heartbeat.
+     *
+     * @param {Object} player Player object
+     */
+    function closeSegment(player) {
+        var segment = player.watch.segment;
+        if (segment && segment[1] > segment[0]) {
+            player.watch.pending.push(segment);
+        }
+        player.watch.segment = null;
+    }
+
+    /**
+     * Send watched segments collected since the last heartbeat.
+     *
+     * @param {Object} player Player object
+     * @param {boolean} useBeacon Whether to send the heartbeat with navigator.sendBeacon
+     */
+    function sendHeartbeat(player, useBeacon) {
+        var segments = player.watch.pending;
+        var current = player.watch.segment;
+
+        // Report the open segment so far and keep extending it from where it was cut.
+        if (current && current[1] > current[0]) {
+            segments.push([current[0], current[1]]);
+            player.watch.segment = [current[1], current[1]];
+        }
+
+        player.watch.pending = [];
+        player.watch.lastHeartbeat = Date.now();
+
+        if (!segments.length) {
+            return;
+        }
+
+        var request = {
+            methodname: 'local_cloudflarestream_record_watch',
+            args: {
+                videoid: player.config.videoRecordId,
+                segments: segments.map(function(segment) {
+                    return {start: segment[0], end: segment[1]};
+                }),
+                duration: Math.floor(player.duration || 0),
+                cmid: player.config.cmid || 0,
+                cmidsignature: player.config.cmidSignature || '',
+                sessionkey: player.config.sessionKey || ''
+            }
+        };
+
+        if (useBeacon && sendBeacon(request)) {
+            return;
+        }
+
+        Ajax.call([request])[0].done(function(response) {
+            if (response.success) {
+                player.percentageWatched = response.percentage;
+            } else {
+                console.warn('Watch time was not recorded:', response.error);
+            }
+        }).fail(function(error) {
+            // Keep the segments so the next heartbeat delivers them.
+            player.watch.pending = segments.concat(player.watch.pending);
+            console.warn('Failed to send watch heartbeat:', error);
+        });
+    }
+
+    /**
+     * Send an external function call that must survive the page being unloaded.
+     *
+     * core/ajax requests may be cancelled on unload, so this posts the same
+     * payload to the AJAX service endpoint with navigator.sendBeacon.
+     *
+     * @param {Object} request Request with methodname and args
+     * @return {boolean} True if the beacon was queued
+     */
+    function sendBeacon(request) {
+        if (!navigator.sendBeacon) {
+            return false;
+        }
+
+        var url = M.cfg.wwwroot + '/lib/ajax/service.php?sesskey=' + M.cfg.sesskey +
+            '&info=' + encodeURIComponent(request.methodname);
+        var body = JSON.stringify([{index: 0, methodname: request.methodname, args: request.args}]);
+
+        return navigator.sendBeacon(url, new Blob([body], {type: 'text/plain'}));
+    }
+
+    /**
+     * Wire up the "Resume from / Start over" prompt rendered with the player.
+     *
+     * @param {Object} player Player object
+     */
+    function setupResumePrompt(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
+        var prompt = wrapper ? wrapper.querySelector('.cloudflare-stream-resume') : null;
+        if (!prompt) {
+            return;
+        }
+
+        var position = parseInt(prompt.getAttribute('data-resume-position'), 10) || 0;
+
+        var dismiss = function() {
+            prompt.style.display = 'none';
+            player.api.off('play', dismiss);
+        };
+
+        var startFrom = function(seconds) {
+            dismiss();
+            player.hasPlayed = true;
+            player.lastSavedPosition = seconds;
+            player.api.seek(seconds).then(function() {
+                return player.api.play();
+            }).catch(function(error) {
+                console.warn('Unable to start playback:', error);
+            });
+        };
+
+        // Starting playback from the player controls means starting over.
+        player.api.on('play', dismiss);
+
+        prompt.querySelector('[data-action="resume"]').addEventListener('click', function() {
+            startFrom(position);
+        });
+
+        prompt.querySelector('[data-action="startover"]').addEventListener('click', function() {
+            startFrom(0);
+            savePosition(player, 0);
+        });
+    }
+
+    /**
+     * Set up the interactive transcript rendered next to the player.
+     *
+     * @param {Object} player Player object
+     */
+    function setupTranscript(player) {
+        var panel = document.querySelector('[data-transcript-for="' + player.id + '"]');
+        if (panel) {
+            Transcript.init(player.api, panel, player.textTrack || '');
+        }
+    }
+
+    /**
+     * Set up the chapters and bookmarks sidebar inside the player wrapper.
+     *
+     * @param {Object} player Player object
+     */
+    function setupMarkers(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
+        var region = wrapper ? wrapper.querySelector('[data-region="markers"]') : null;
+        if (region) {
+            Markers.init(player.api, region, {
+                chapters: player.config.chapters,
+                bookmarks: player.config.bookmarks,
+                trackProgress: player.config.trackProgress
+            });
+        }
+    }
+
+    /**
+     * Set up the checkpoint questions shown over the video.
+     *
+     * @param {Object} player Player object
+     */
+    function setupCheckpoints(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
+        var region = wrapper ? wrapper.querySelector('[data-region="checkpoint"]') : null;
+        if (region && player.config.checkpoints && player.config.checkpoints.length) {
+            Checkpoints.init(player.api, region, {
+                checkpoints: player.config.checkpoints
+            });
+        }
+    }
 
     /**
-     * Initialize a Cloudflare Stream player.
+     * Set up the clip editor timeline that drives the player.
      *
-     * @param {Object} config Player configuration
+     * @param {Object} player Player object
      */
-    function init(config) {
-        var playerId = config.playerId;
-        var player = {
-            id: playerId,
-            config: config,
-            element: document.getElementById(playerId),
-            tokenExpires: config.tokenExpires,
-            refreshTimer: null
-        };
+    function setupClipEditor(player) {
+        var region = document.querySelector('[data-region="clip-editor"]');
+        if (region) {
+            ClipEditor.init(player.api, region, {
+                duration: player.config.duration
+            });
+        }
+    }
 
-        if (!player.element) {
-            console.error('Cloudflare Stream player element not found:', playerId);
+    /**
+     * Set up the viewer watermark and the fullscreen button that keeps it in view.
+     *
+     * The embed's own fullscreen would only show the iframe, so the whole
+     * wrapper goes fullscreen instead. Each kind of tampering is reported once.
+     *
+     * @param {Object} player Player object
+     */
+    function setupWatermark(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
+        var node = wrapper ? wrapper.querySelector('[data-region="watermark"]') : null;
+        if (!player.config.watermark || !node) {
             return;
         }
 
-        players[playerId] = player;
-
-        // Set up token refresh
-        setupTokenRefresh(player);
-
-        // Set up event listeners
-        setupEventListeners(player);
-
-        // Set up error handling
-        setupErrorHandling(player);
+        var reported = {};
+        player.watermark = Watermark.init(wrapper, node, player.config.watermark, function(type) {
+            // Tampering is logged against a video, a live broadcast has none yet
+            if (reported[type] || !player.config.videoRecordId) {
+                return;
+            }
+            reported[type] = true;
+            Ajax.call([{
+                methodname: 'local_cloudflarestream_report_watermark_tamper',
+                args: {videoid: player.config.videoRecordId, type: type}
+            }])[0].fail(function(error) {
+                console.warn('Failed to report watermark tampering:', error);
+            });
+        });
 
-        console.log('Cloudflare Stream player initialized:', playerId);
+        var button = wrapper.querySelector('[data-action="fullscreen"]');
+        if (button) {
+            button.addEventListener('click', function() {
+                if (document.fullscreenElement === wrapper) {
+                    document.exitFullscreen();
+                } else if (wrapper.requestFullscreen) {
+                    wrapper.requestFullscreen();
+                }
+            });
+        }
     }
 
     /**
-     * Set up automatic token refresh.
+     * Set up the heartbeats that hold this player's place under the concurrent stream limit.
+     *
+     * A heartbeat is sent when playback starts and regularly while it goes on. When a
+     * newer session takes the stream, the player pauses and offers to watch here again.
      *
      * @param {Object} player Player object
      */
-    function setupTokenRefresh(player) {
-        var now = Math.floor(Date.now() / 1000);
-        var expiresIn = player.tokenExpires - now;
-        var refreshTime = Math.max(expiresIn - 300, 60); // Refresh 5 minutes before expiry, minimum 1 minute
-
-        if (refreshTime > 0) {
-            player.refreshTimer = setTimeout(function() {
-                refreshPlayerToken(player);
-            }, refreshTime * 1000);
+    function setupStreamLimit(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
+        var notice = wrapper ? wrapper.querySelector('[data-region="takeover"]') : null;
+        if (!player.config.streamLimit || !player.config.sessionKey || !notice) {
+            return;
         }
+
+        player.session = {notice: notice, lastHeartbeat: 0, ended: false, refreshDue: false};
+
+        player.api.on('play', function() {
+            sendSessionHeartbeat(player, false);
+        });
+        player.api.on('timeupdate', function() {
+            if (Date.now() - player.session.lastHeartbeat >= SESSION_HEARTBEAT_INTERVAL * 1000) {
+                sendSessionHeartbeat(player, false);
+            }
+        });
+
+        notice.querySelector('[data-action="takeover"]').addEventListener('click', function() {
+            sendSessionHeartbeat(player, true);
+        });
     }
 
     /**
-     * Refresh player access token.
+     * Tell the server this player's session is playing, pausing it if another session took over.
      *
      * @param {Object} player Player object
+     * @param {boolean} takeover Whether to take the stream back from the other sessions
      */
-    function refreshPlayerToken(player) {
+    function sendSessionHeartbeat(player, takeover) {
+        player.session.lastHeartbeat = Date.now();
+
         Ajax.call([{
-            methodname: 'local_cloudflarestream_refresh_token',
+            methodname: 'local_cloudflarestream_stream_heartbeat',
             args: {
-                videoid: player.config.videoRecordId
+                videoid: player.config.videoRecordId,
+                sessionkey: player.config.sessionKey,
+                takeover: takeover
             }
         }])[0].done(function(response) {
-            if (response.success) {
-                // Update token expiry
-                player.tokenExpires = response.expires_at;
-                
-                // Set up next refresh
-                setupTokenRefresh(player);
-                
-                console.log('Token refreshed for player:', player.id);
-            } else {
-                console.error('Failed to refresh token:', response.error);
-                showPlayerError(player, 'Session expired. Please refresh the page.');
+            if (!players[player.id]) {
+                return;
+            }
+
+            if (!response.active) {
+                player.session.ended = true;
+                player.session.notice.hidden = false;
+                player.api.pause();
+                return;
+            }
+
+            if (takeover) {
+                player.session.ended = false;
+                player.session.notice.hidden = true;
+                hidePlayerError(player);
+
+                // A token refresh that came due while the stream played elsewhere was refused
+                if (player.session.refreshDue || player.tokenExpires - Math.floor(Date.now() / 1000) <= 300) {
+                    player.session.refreshDue = false;
+                    refreshPlayerToken(player);
+                } else {
+                    player.api.play();
+                }
+            } else if (player.session.refreshDue) {
+                // The refresh waited for playback to resume
+                player.session.refreshDue = false;
+                refreshPlayerToken(player);
             }
         }).fail(function(error) {
-            console.error('Token refresh failed:', error);
-            showPlayerError(player, 'Unable to refresh session. Please refresh the page.');
+            console.warn('Failed to send the stream heartbeat:', error);
         });
     }
 
@@ -121,49 +1089,314 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
 
             player.element.addEventListener('error', function() {
                 console.error('Player iframe error:', player.id);
-                showPlayerError(player, 'Failed to load video player.');
+                handleLoadFailure(player, 'error');
             });
         }
+    }
 
-        // Listen for visibility changes to pause/resume
-        document.addEventListener('visibilitychange', function() {
-            if (document.hidden) {
-                // Page is hidden, could pause player if needed
-                console.log('Page hidden, player:', player.id);
-            } else {
-                // Page is visible, could resume player if needed
-                console.log('Page visible, player:', player.id);
+    /**
+     * Set up error handling for the player.
+     *
+     * The fallback player takes over when the SDK cannot be fetched, the iframe
+     * or the embed reports an error, or the embed misses its handshake: once the
+     * frame loaded, the player inside has to talk to the page within a few
+     * seconds. It does so as soon as it starts, before the learner presses play,
+     * so an idle player passes while a frame whose content a network blocked does not.
+     *
+     * @param {Object} player Player object
+     */
+    function setupErrorHandling(player) {
+        // The SDK is served from the embed domain, so when it is blocked the embed is too
+        player.sdkPromise.fail(function() {
+            handleLoadFailure(player, 'sdk');
+        });
+
+        if (player.element.tagName !== 'IFRAME') {
+            return;
+        }
+
+        player.onMessage = function(e) {
+            if (player.element.contentWindow && e.source === player.element.contentWindow) {
+                markLoaded(player);
             }
+        };
+        window.addEventListener('message', player.onMessage);
+
+        player.element.addEventListener('load', function() {
+            armHandshake(player);
         });
+        armHandshake(player);
     }
 
     /**
-     * Set up error handling for the player.
+     * Give the embedded player a deadline to talk to the page.
+     *
+     * The deadline starts again whenever the frame loads. The frame may have
+     * loaded and spoken before this module listened, so the first missed
+     * deadline loads the embed again and only the second one gives up on it.
      *
      * @param {Object} player Player object
      */
-    function setupErrorHandling(player) {
-        // Set up a timeout to detect if player fails to load
-        setTimeout(function() {
-            if (player.element && !isPlayerLoaded(player)) {
-                console.warn('Player may have failed to load:', player.id);
-                // Could show a fallback or error message
+    function armHandshake(player) {
+        clearTimeout(player.handshakeTimer);
+        if (player.loaded || player.fallback) {
+            return;
+        }
+
+        player.handshakeTimer = setTimeout(function() {
+            if (player.loaded || player.fallback || !players[player.id]) {
+                return;
             }
-        }, 10000); // 10 seconds timeout
+            if (!player.handshakeRetried) {
+                player.handshakeRetried = true;
+                retryEmbed(player);
+                armHandshake(player);
+                return;
+            }
+            handleLoadFailure(player, 'handshake');
+        }, HANDSHAKE_TIMEOUT * 1000);
     }
 
     /**
-     * Check if player has loaded successfully.
+     * Record that the embedded player loaded.
      *
      * @param {Object} player Player object
-     * @return {boolean} True if player appears to be loaded
      */
-    function isPlayerLoaded(player) {
-        if (player.element.tagName === 'IFRAME') {
-            // For iframe, we can't easily check content, so assume loaded if no error
-            return true;
+    function markLoaded(player) {
+        player.loaded = true;
+        clearTimeout(player.handshakeTimer);
+        player.handshakeTimer = null;
+    }
+
+    /**
+     * React to the embed failing to load.
+     *
+     * Nothing can load while the browser is offline, so in that case the embed
+     * is tried again once the connection is back instead of giving up on it.
+     *
+     * @param {Object} player Player object
+     * @param {string} reason What gave the failure away: sdk, error or handshake
+     */
+    function handleLoadFailure(player, reason) {
+        if (player.loaded || player.fallback || !players[player.id]) {
+            return;
+        }
+
+        if (navigator.onLine === false) {
+            if (!player.waitingOnline) {
+                player.waitingOnline = true;
+                window.addEventListener('online', function() {
+                    player.waitingOnline = false;
+                    retryEmbed(player);
+                }, {once: true});
+            }
+            return;
+        }
+
+        switchToFallback(player, reason);
+    }
+
+    /**
+     * Load the embed again, e.g. after the connection came back.
+     *
+     * @param {Object} player Player object
+     */
+    function retryEmbed(player) {
+        if (player.loaded || player.fallback || !players[player.id]) {
+            return;
+        }
+
+        player.element.src = player.element.src;
+        attachSdk(player).fail(function() {
+            handleLoadFailure(player, 'sdk');
+        });
+    }
+
+    /**
+     * Replace the embed with the HTML5 fallback player.
+     *
+     * @param {Object} player Player object
+     * @param {string} reason Why the embed is given up on
+     */
+    function switchToFallback(player, reason) {
+        if (player.fallback || !players[player.id]) {
+            return;
+        }
+
+        console.warn('Cloudflare Stream player failed to load (' + reason + '):', player.id);
+
+        // Set straight away so later failure signals do not start a second switch
+        player.fallback = {type: null, hls: null};
+
+        if (!player.config.fallbackEnabled) {
+            failFallback(player);
+            return;
+        }
+
+        Fragment.loadFragment('local_cloudflarestream', 'fallback_player', player.config.contextId, {
+            videoid: player.config.videoRecordId,
+            sessionkey: player.config.sessionKey
+        }).done(function(html) {
+            if (!players[player.id]) {
+                return;
+            }
+
+            var content = $('<div>').html(html);
+            var fallback = content.find('.cloudflare-stream-fallback').get(0);
+            if (!fallback) {
+                // No local file and no HLS stream either, e.g. the video was removed
+                failFallback(player);
+                return;
+            }
+
+            $(player.element).replaceWith(content.contents());
+            activateFallback(player, fallback);
+        }).fail(function(error) {
+            console.error('Failed to load the fallback player:', error);
+            failFallback(player);
+        });
+    }
+
+    /**
+     * Start playback in the fallback player that replaced the embed.
+     *
+     * The video element offers the same properties, methods and events as the
+     * Stream SDK, so it takes the SDK's place and position saving, watch
+     * tracking, markers and the transcript carry on unchanged.
+     *
+     * @param {Object} player Player object
+     * @param {HTMLElement} fallback Fallback player container
+     */
+    function activateFallback(player, fallback) {
+        var video = fallback.querySelector('video');
+        var source = video.querySelector('source');
+
+        player.fallback.type = fallback.getAttribute('data-fallback-type');
+        if (player.config.watermark) {
+            // Native fullscreen and picture-in-picture would show the video without the watermark
+            video.setAttribute('controlslist', 'nofullscreen nodownload');
+            video.disablePictureInPicture = true;
+        }
+        player.element = video;
+        player.api.element = video;
+        player.sdk = video;
+        player.sdkPromise = $.Deferred().resolve(video).promise();
+        bindSdkEvents(player, video);
+
+        // Errors of <source> children fire on the source element, not the video
+        (source || video).addEventListener('error', function() {
+            showPlayerErrorString(player, 'player_load_failed');
+        });
+
+        // Autoplay is left to the template, only the start position needs restoring
+        restoreFallbackState(player, video, {currentTime: player.lastKnownTime, paused: true});
+
+        if (player.fallback.type === 'hls') {
+            attachHls(player, video, video.getAttribute('data-hls-src'));
+        } else if (player.refreshTimer) {
+            // The original file needs no playback token
+            clearTimeout(player.refreshTimer);
+            player.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Give up on playing the video and say so.
+     *
+     * @param {Object} player Player object
+     */
+    function failFallback(player) {
+        if (player.refreshTimer) {
+            clearTimeout(player.refreshTimer);
+            player.refreshTimer = null;
+        }
+        showPlayerErrorString(player, 'player_load_failed');
+    }
+
+    /**
+     * Play an HLS manifest in the fallback video element.
+     *
+     * Safari and most mobile browsers play HLS natively, elsewhere the copy of
+     * hls.js shipped with the plugin is loaded, only when it is needed.
+     *
+     * @param {Object} player Player object
+     * @param {HTMLVideoElement} video Fallback video element
+     * @param {string} src Manifest URL
+     */
+    function attachHls(player, video, src) {
+        if (player.fallback.hls) {
+            player.fallback.hls.destroy();
+            player.fallback.hls = null;
         }
-        return false;
+
+        if (video.canPlayType(HLS_MIME)) {
+            video.src = src;
+            return;
+        }
+
+        require(['local_cloudflarestream/hls'], function(Hls) {
+            if (!players[player.id]) {
+                return;
+            }
+            if (!Hls || !Hls.isSupported()) {
+                showPlayerErrorString(player, 'player_fallback_unsupported');
+                return;
+            }
+
+            var hls = new Hls();
+            hls.on(Hls.Events.ERROR, function(event, data) {
+                if (data.fatal) {
+                    console.error('Fallback HLS playback failed:', data.details);
+                    showPlayerErrorString(player, 'player_load_failed');
+                }
+            });
+            hls.loadSource(src);
+            hls.attachMedia(video);
+            player.fallback.hls = hls;
+        }, function(error) {
+            console.error('Failed to load hls.js:', error);
+            showPlayerErrorString(player, 'player_fallback_unsupported');
+        });
+    }
+
+    /**
+     * Seek and resume the fallback video once its new source is loaded.
+     *
+     * @param {Object} player Player object
+     * @param {HTMLVideoElement} video Fallback video element
+     * @param {Object} state Playback state with currentTime and paused
+     */
+    function restoreFallbackState(player, video, state) {
+        video.addEventListener('loadedmetadata', function() {
+            if (state.currentTime > 0) {
+                video.currentTime = state.currentTime;
+            }
+            if (!state.paused) {
+                // Autoplay may be blocked by the browser, in which case the learner starts manually.
+                var playresult = video.play();
+                if (playresult && typeof playresult.catch === 'function') {
+                    playresult.catch(function() {
+                        return null;
+                    });
+                }
+            }
+        }, {once: true});
+    }
+
+    /**
+     * Point the fallback player at the manifest of a freshly signed URL.
+     *
+     * @param {Object} player Player object
+     * @param {string} playbackId Signed token or video ID
+     */
+    function swapFallbackSource(player, playbackId) {
+        var video = player.element;
+        var url = new URL(video.getAttribute('data-hls-src'));
+        url.pathname = '/' + playbackId + '/manifest/video.m3u8';
+
+        video.setAttribute('data-hls-src', url.toString());
+        restoreFallbackState(player, video, capturePlaybackState(player));
+        attachHls(player, video, url.toString());
     }
 
     /**
@@ -184,6 +1417,19 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
         }
     }
 
+    /**
+     * Show a localised error message in player area.
+     *
+     * @param {Object} player Player object
+     * @param {string} stringkey Language string key
+     */
+    function showPlayerErrorString(player, stringkey) {
+        Str.get_string(stringkey, 'local_cloudflarestream').then(function(message) {
+            showPlayerError(player, message);
+            return message;
+        }).catch(Notification.exception);
+    }
+
     /**
      * Hide error message and show player.
      *
@@ -201,13 +1447,17 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
     }
 
     /**
-     * Get player by ID.
+     * Get the public API of a player by ID.
+     *
+     * The returned object exposes play(), pause(), seek(), getCurrentTime(),
+     * getPercentageWatched(), setPlaybackRate() and on()/off() for the play, pause, timeupdate, ended,
+     * error and qualitychange events.
      *
      * @param {string} playerId Player ID
-     * @return {Object|null} Player object or null
+     * @return {Object|null} Player API or null
      */
     function getPlayer(playerId) {
-        return players[playerId] || null;
+        return players[playerId] ? players[playerId].api : null;
     }
 
     /**
@@ -222,8 +1472,19 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
             if (player.refreshTimer) {
                 clearTimeout(player.refreshTimer);
             }
+            clearTimeout(player.handshakeTimer);
+            if (player.onMessage) {
+                window.removeEventListener('message', player.onMessage);
+            }
+            if (player.fallback && player.fallback.hls) {
+                player.fallback.hls.destroy();
+            }
+            if (player.watermark) {
+                player.watermark.destroy();
+            }
 
-            // Remove from players registry
+            // Drop subscribers and remove from players registry
+            player.listeners = {};
             delete players[playerId];
 
             console.log('Player destroyed:', playerId);
@@ -241,77 +1502,151 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
     }
 
     /**
-     * Check video status and update player if needed.
+     * Check the status of videos still being processed right away.
      *
-     * @param {string} playerId Player ID
+     * Placeholders on the page are followed automatically, this only skips the wait.
      */
-    function checkVideoStatus(playerId) {
-        var player = players[playerId];
-        if (!player) {
+    function checkVideoStatus() {
+        StatusChannel.checkNow();
+    }
+
+    /**
+     * Follow the status of a processing placeholder through the shared status channel.
+     *
+     * @param {string} placeholderId Placeholder element ID
+     */
+    function watchStatus(placeholderId) {
+        var placeholder = document.getElementById(placeholderId);
+        if (!placeholder) {
             return;
         }
 
-        Ajax.call([{
-            methodname: 'local_cloudflarestream_get_video_status',
-            args: {
-                videoid: player.config.videoRecordId
-            }
-        }])[0].done(function(response) {
-            if (response.status === 'ready' && player.config.status !== 'ready') {
-                // Video is now ready, reload the page to show player
-                location.reload();
-            }
-        }).fail(function(error) {
-            console.error('Status check failed:', error);
+        StatusChannel.watch($(placeholder).data('video-id'), $(placeholder).data('status'), function() {
+            replacePlaceholder(placeholder);
         });
     }
 
     /**
-     * Set up automatic status checking for processing videos.
+     * Poll the status of a live session until it changes.
+     *
+     * @param {number} sessionId Live session ID
+     * @param {string} status Status the page shows
+     * @param {number} videoId Recording the page knows of, 0 for none
+     * @param {Function} onChange Called once the status or the recording changed
+     * @param {Function} isGone Tells whether the page no longer shows the session
+     */
+    function followLiveSession(sessionId, status, videoId, onChange, isGone) {
+        var check = function() {
+            if (isGone()) {
+                return;
+            }
+            Ajax.call([{
+                methodname: 'local_cloudflarestream_get_live_status',
+                args: {sessionid: sessionId}
+            }])[0].done(function(response) {
+                if (response.status !== status || response.videoid !== videoId) {
+                    onChange();
+                } else {
+                    setTimeout(check, LIVE_POLL_INTERVAL * 1000);
+                }
+            }).fail(function(error) {
+                // Keep trying at a slower pace, the stream itself does not depend on this
+                console.warn('Failed to check live session status:', error);
+                setTimeout(check, LIVE_POLL_INTERVAL * 3000);
+            });
+        };
+        setTimeout(check, LIVE_POLL_INTERVAL * 1000);
+    }
+
+    /**
+     * Replace a live player with the session's placeholder or recording once the broadcast ends.
+     *
+     * @param {Object} player Player object
      */
-    function setupStatusChecking() {
-        // Check for status players that need monitoring
-        $('.cloudflare-stream-status[data-status]').each(function() {
-            var status = $(this).data('status');
-            var videoId = $(this).data('video-id');
+    function setupLiveWatch(player) {
+        var wrapper = player.element.closest('.cloudflare-stream-wrapper');
 
-            if (['pending', 'uploading', 'processing'].includes(status)) {
-                // Set up periodic status checking
-                setInterval(function() {
-                    checkVideoStatusById(videoId);
-                }, 30000); // Check every 30 seconds
-            }
+        followLiveSession(player.config.liveSessionId, 'live', player.config.liveVideoId || 0, function() {
+            loadLiveFragment(player.config.contextId, player.config.liveSessionId, player.config.width,
+                    player.config.height).done(function(html, js) {
+                destroyPlayer(player.id);
+                Templates.replaceNode(wrapper, html, js);
+            }).fail(Notification.exception);
+        }, function() {
+            return !players[player.id];
         });
     }
 
     /**
-     * Check video status by video ID.
+     * Follow a live session placeholder and swap in the stream or the recording when there is one.
      *
-     * @param {number} videoId Video record ID
+     * @param {string} placeholderId Placeholder element ID
      */
-    function checkVideoStatusById(videoId) {
-        $.ajax({
-            url: M.cfg.wwwroot + '/local/cloudflarestream/upload_status.php',
-            type: 'POST',
-            data: {
-                action: 'get_status',
-                video_id: videoId,
-                sesskey: M.cfg.sesskey
-            },
-            dataType: 'json'
-        }).done(function(response) {
-            if (response.status === 'ready') {
-                // Video is ready, reload page
-                location.reload();
-            }
-        }).fail(function() {
-            console.error('Failed to check video status');
+    function watchLive(placeholderId) {
+        var placeholder = document.getElementById(placeholderId);
+        if (!placeholder) {
+            return;
+        }
+
+        var $placeholder = $(placeholder);
+        followLiveSession($placeholder.data('live-id'), $placeholder.data('status'), $placeholder.data('video-id') || 0,
+            function() {
+                loadLiveFragment($placeholder.data('context-id'), $placeholder.data('live-id'), $placeholder.data('width'),
+                        $placeholder.data('height')).done(function(html, js) {
+                    Templates.replaceNode(placeholder, html, js);
+                }).fail(Notification.exception);
+            }, function() {
+                return !document.body.contains(placeholder);
+            });
+    }
+
+    /**
+     * Load the current rendering of a live session.
+     *
+     * @param {number} contextId Course context ID
+     * @param {number} sessionId Live session ID
+     * @param {string} width Player width
+     * @param {string} height Player height
+     * @return {Promise} Resolved with the HTML and JavaScript of the fragment
+     */
+    function loadLiveFragment(contextId, sessionId, width, height) {
+        return Fragment.loadFragment('local_cloudflarestream', 'live_player', contextId, {
+            liveid: sessionId,
+            width: width || '',
+            height: height || ''
         });
     }
 
-    // Initialize status checking when DOM is ready
+    /**
+     * Swap a status placeholder for the current rendering of its video.
+     *
+     * Ready videos get the real player, other statuses get an updated placeholder.
+     *
+     * @param {HTMLElement} placeholder Status placeholder element
+     */
+    function replacePlaceholder(placeholder) {
+        var $placeholder = $(placeholder);
+        if (!document.body.contains(placeholder)) {
+            return;
+        }
+
+        Fragment.loadFragment('local_cloudflarestream', 'player', $placeholder.data('context-id'), {
+            videoid: $placeholder.data('video-id'),
+            width: $placeholder.data('width') || '',
+            height: $placeholder.data('height') || '',
+            start: $placeholder.data('start') || 0
+        }).done(function(html, js) {
+            // The new markup initialises itself: players start, placeholders watch their status again
+            Templates.replaceNode(placeholder, html, js);
+        }).fail(Notification.exception);
+    }
+
+    // Failed videos can be checked again on request
     $(document).ready(function() {
-        setupStatusChecking();
+        $(document).on('click', '.cloudflare-stream-status [data-action="refresh-status"]', function(e) {
+            e.preventDefault();
+            replacePlaceholder($(this).closest('.cloudflare-stream-status').get(0));
+        });
     });
 
     // Public API
@@ -320,6 +1655,8 @@ define(['jquery', 'core/ajax', 'core/notification'], function($, Ajax, Notificat
         getPlayer: getPlayer,
         destroyPlayer: destroyPlayer,
         refreshAllPlayers: refreshAllPlayers,
+        watchStatus: watchStatus,
+        watchLive: watchLive,
         checkVideoStatus: checkVideoStatus
     };
 });
\ No newline at end of file
@@ -0,0 +1,217 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Shared channel following the processing status of videos on a page.
+ *
+ * All watched videos are checked with a single long-poll request, so a page
+ * listing hundreds of processing videos still sends one request at a time.
+ * Polling stops while the tab is hidden and backs off exponentially on errors.
+ *
+ * @module     local_cloudflarestream/status_channel
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['core/ajax'], function(Ajax) {
+    'use strict';
+
+    /** @var {number} Seconds the server may hold a request open waiting for a change */
+    var LONG_POLL_WAIT = 20;
+
+    /** @var {number} Seconds between the end of one request and the next one */
+    var POLL_DELAY = 1;
+
+    /** @var {number} Base delay in seconds before retrying a failed request */
+    var RETRY_DELAY = 5;
+
+    /** @var {number} Longest delay in seconds between retries */
+    var MAX_RETRY_DELAY = 300;
+
+    /** @var {Array} Statuses after which a video no longer changes on its own */
+    var FINAL_STATUSES = ['ready', 'error'];
+
+    var watched = {};
+    var pollTimer = null;
+    var requestInFlight = false;
+    var failures = 0;
+    var visibilityBound = false;
+
+    /**
+     * Follow the status of a video.
+     *
+     * The callback receives the exported video each time its status changes.
+     * Videos are dropped from the channel once they are ready or failed.
+     *
+     * @param {number} videoId Video record ID
+     * @param {string} status Status currently shown on the page
+     * @param {Function} callback Called with the video when its status changes
+     */
+    function watch(videoId, status, callback) {
+        videoId = parseInt(videoId, 10);
+        if (!videoId || FINAL_STATUSES.indexOf(status) !== -1) {
+            return;
+        }
+
+        if (!watched[videoId]) {
+            watched[videoId] = {status: status, callbacks: []};
+        }
+        watched[videoId].callbacks.push(callback);
+
+        bindVisibility();
+        schedule(0);
+    }
+
+    /**
+     * Stop following the status of a video.
+     *
+     * @param {number} videoId Video record ID
+     */
+    function unwatch(videoId) {
+        delete watched[parseInt(videoId, 10)];
+    }
+
+    /**
+     * Check the status of all watched videos right away.
+     */
+    function checkNow() {
+        failures = 0;
+        schedule(0);
+    }
+
+    /**
+     * Resume polling as soon as the tab becomes visible again.
+     */
+    function bindVisibility() {
+        if (visibilityBound) {
+            return;
+        }
+        visibilityBound = true;
+
+        document.addEventListener('visibilitychange', function() {
+            if (!document.hidden) {
+                schedule(0);
+            }
+        });
+    }
+
+    /**
+     * Schedule the next request.
+     *
+     * Nothing is scheduled while the tab is hidden; the visibilitychange
+     * listener picks polling up again when the user comes back.
+     *
+     * @param {number} delay Delay in seconds
+     */
+    function schedule(delay) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+
+        if (document.hidden || requestInFlight || !Object.keys(watched).length) {
+            return;
+        }
+
+        pollTimer = setTimeout(poll, delay * 1000);
+    }
+
+    /**
+     * Send one long-poll request for all watched videos.
+     */
+    function poll() {
+        var videos = Object.keys(watched).map(function(videoId) {
+            return {videoid: parseInt(videoId, 10), status: watched[videoId].status};
+        });
+
+        if (!videos.length) {
+            return;
+        }
+
+        requestInFlight = true;
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_videos_status',
+            args: {
+                videos: videos,
+                wait: LONG_POLL_WAIT
+            }
+        }])[0].done(function(response) {
+            failures = 0;
+            handleResponse(videos, response.videos);
+        }).fail(function(error) {
+            failures++;
+            console.warn('Video status check failed (attempt ' + failures + '):', error);
+        }).always(function() {
+            requestInFlight = false;
+
+            if (!failures) {
+                schedule(POLL_DELAY);
+                return;
+            }
+
+            // Wait for the connection to come back rather than retrying while offline
+            if (navigator.onLine === false) {
+                window.addEventListener('online', function onOnline() {
+                    window.removeEventListener('online', onOnline);
+                    checkNow();
+                });
+                return;
+            }
+
+            schedule(Math.min(RETRY_DELAY * Math.pow(2, failures - 1), MAX_RETRY_DELAY));
+        });
+    }
+
+    /**
+     * Notify watchers of videos whose status changed.
+     *
+     * @param {Array} requested Videos sent with the request
+     * @param {Array} videos Videos returned by the server
+     */
+    function handleResponse(requested, videos) {
+        var returned = {};
+
+        videos.forEach(function(video) {
+            var entry = watched[video.id];
+            returned[video.id] = true;
+
+            if (!entry || entry.status === video.status) {
+                return;
+            }
+
+            entry.status = video.status;
+            if (FINAL_STATUSES.indexOf(video.status) !== -1) {
+                delete watched[video.id];
+            }
+
+            entry.callbacks.forEach(function(callback) {
+                callback(video);
+            });
+        });
+
+        // Videos the user cannot see (or that were deleted) are not returned, stop asking for them
+        requested.forEach(function(video) {
+            if (!returned[video.videoid]) {
+                delete watched[video.videoid];
+            }
+        });
+    }
+
+    return {
+        watch: watch,
+        unwatch: unwatch,
+        checkNow: checkNow
+    };
+});
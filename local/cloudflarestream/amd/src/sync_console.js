@@ -0,0 +1,419 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Sync console of the admin dashboard: runs sync and reset actions in small
+ * batches with a live log, and previews orphan cleanup before applying it.
+ *
+ * @module     local_cloudflarestream/sync_console
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'core/templates'],
+function($, Ajax, Notification, Str, Templates) {
+    'use strict';
+
+    /** @var {number} Milliseconds to wait after the last keystroke before searching */
+    var SEARCH_DELAY = 300;
+
+    var root = null;
+    var batchSize = 5;
+    var videos = [];
+    var request = 0;
+    var searchTimer = null;
+    var run = null;
+    var orphans = null;
+
+    /**
+     * Initialise the sync console.
+     */
+    function init() {
+        root = $('#cloudflarestream-sync-console');
+        if (!root.length) {
+            return;
+        }
+        batchSize = parseInt(root.data('batch-size'), 10) || batchSize;
+
+        root.find('[data-filter="status"]').on('change', load);
+        root.find('[data-filter="search"]').on('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(load, SEARCH_DELAY);
+        });
+
+        root.on('change', '[data-action="select"]', updateSelection);
+        root.on('change', '[data-action="select-all"]', function() {
+            root.find('[data-action="select"]').prop('checked', this.checked);
+            updateSelection();
+        });
+
+        root.find('[data-action="run-selected"]').on('click', function() {
+            start(getSelectedIds());
+        });
+        root.find('[data-action="run-all"]').on('click', function() {
+            start(videos.map(function(video) {
+                return video.id;
+            }));
+        });
+        root.find('[data-action="cancel"]').on('click', cancel);
+
+        root.find('[data-action="preview-orphans"]').on('click', previewOrphans);
+        root.find('[data-action="apply-orphans"]').on('click', confirmOrphanCleanup);
+
+        // Leaving the page stops the batches, so warn while one is running
+        window.addEventListener('beforeunload', function(e) {
+            if (run) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
+        load();
+    }
+
+    /**
+     * Load the videos matching the filters.
+     */
+    function load() {
+        // Answers to earlier requests, e.g. while typing a search, are dropped
+        var current = ++request;
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_sync_videos',
+            args: {
+                status: root.find('[data-filter="status"]').val(),
+                search: root.find('[data-filter="search"]').val().trim()
+            }
+        }])[0].done(function(response) {
+            if (current !== request) {
+                return;
+            }
+            videos = response.videos;
+            render();
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Render the listed videos.
+     */
+    function render() {
+        Templates.render('local_cloudflarestream/sync_console_videos', {
+            hasvideos: videos.length > 0,
+            videos: videos
+        }).then(function(html, js) {
+            Templates.replaceNodeContents(root.find('[data-region="videos"]'), html, js);
+            updateSelection();
+            return html;
+        }).catch(Notification.exception);
+
+        Str.get_string('sync_listed', 'local_cloudflarestream', videos.length).then(function(text) {
+            root.find('[data-region="total"]').text(text);
+            return text;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Get the IDs of the selected videos.
+     *
+     * @return {Array} Video record IDs
+     */
+    function getSelectedIds() {
+        return root.find('[data-action="select"]:checked').map(function() {
+            return parseInt(this.value, 10);
+        }).get();
+    }
+
+    /**
+     * Update the select all box and the run buttons.
+     */
+    function updateSelection() {
+        var boxes = root.find('[data-action="select"]');
+        var selected = getSelectedIds().length;
+
+        root.find('[data-action="select-all"]').prop({
+            checked: boxes.length > 0 && selected === boxes.length,
+            indeterminate: selected > 0 && selected < boxes.length
+        });
+        root.find('[data-action="run-selected"]').prop('disabled', run !== null || selected === 0);
+        root.find('[data-action="run-all"]').prop('disabled', run !== null || videos.length === 0);
+    }
+
+    /**
+     * Start running the chosen action on the videos, one batch after the other.
+     *
+     * @param {Array} videoids Video record IDs
+     */
+    function start(videoids) {
+        if (run || !videoids.length) {
+            return;
+        }
+
+        run = {
+            action: root.find('[data-region="action"]').val(),
+            queue: videoids.slice(),
+            total: videoids.length,
+            done: 0,
+            success: 0,
+            updated: 0,
+            failed: 0,
+            cancelled: false
+        };
+
+        root.find('[data-region="filters"] :input, [data-region="action"]').prop('disabled', true);
+        root.find('[data-action="cancel"]').prop({hidden: false, disabled: false});
+        root.find('[data-region="progress"]').prop('hidden', false);
+        root.find('[data-region="log"]').empty().prop('hidden', false);
+        updateSelection();
+        updateProgress();
+
+        Str.get_string('sync_started', 'local_cloudflarestream', run.total).then(function(text) {
+            log(text, 'muted');
+            return text;
+        }).catch(Notification.exception);
+
+        nextBatch();
+    }
+
+    /**
+     * Send the next batch, or finish when the queue is empty or the run was cancelled.
+     */
+    function nextBatch() {
+        if (run.cancelled || !run.queue.length) {
+            finish();
+            return;
+        }
+
+        var batch = run.queue.splice(0, batchSize);
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_sync_video_batch',
+            args: {
+                action: run.action,
+                videoids: batch
+            }
+        }])[0].done(function(response) {
+            response.results.forEach(function(result) {
+                run.done++;
+                if (result.success) {
+                    run.success++;
+                } else {
+                    run.failed++;
+                }
+                if (result.updated) {
+                    run.updated++;
+                }
+                log(getTitle(result.videoid) + ': ' + result.message,
+                    result.success ? (result.updated ? 'success' : 'muted') : 'danger');
+            });
+            updateProgress();
+            nextBatch();
+        }).fail(function(error) {
+            // Keep going with the other batches, the failed videos are logged
+            run.done += batch.length;
+            run.failed += batch.length;
+            batch.forEach(function(videoid) {
+                log(getTitle(videoid) + ': ' + (error.message || error.error || ''), 'danger');
+            });
+            updateProgress();
+            nextBatch();
+        });
+    }
+
+    /**
+     * Stop after the batch that is running.
+     */
+    function cancel() {
+        if (!run) {
+            return;
+        }
+        run.cancelled = true;
+        root.find('[data-action="cancel"]').prop('disabled', true);
+
+        Str.get_string('sync_cancelling', 'local_cloudflarestream').then(function(text) {
+            log(text, 'muted');
+            return text;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Log the summary of the run and reload the list with the new statuses.
+     */
+    function finish() {
+        var type = run.failed ? 'warning' : 'muted';
+        var summary = run.cancelled && run.done < run.total ?
+            {key: 'sync_cancelled', param: {done: run.done, total: run.total}} :
+            {key: 'sync_finished', param: {success: run.success, updated: run.updated, failed: run.failed}};
+
+        Str.get_string(summary.key, 'local_cloudflarestream', summary.param).then(function(text) {
+            log(text, type);
+            return text;
+        }).catch(Notification.exception);
+
+        run = null;
+        root.find('[data-region="filters"] :input, [data-region="action"]').prop('disabled', false);
+        root.find('[data-action="cancel"]').prop('hidden', true);
+        load();
+    }
+
+    /**
+     * Show how far the run got.
+     */
+    function updateProgress() {
+        var percent = run.total ? Math.round(run.done / run.total * 100) : 100;
+
+        root.find('[data-region="progress"] .progress-bar')
+            .css('width', percent + '%')
+            .attr('aria-valuenow', percent);
+
+        Str.get_string('sync_progress', 'local_cloudflarestream', {done: run.done, total: run.total}).then(function(text) {
+            root.find('[data-region="progress-text"]').text(text);
+            return text;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Add a line to the log and keep the newest line in view.
+     *
+     * @param {string} text Log text
+     * @param {string} type Bootstrap text colour: success, warning, danger or muted
+     */
+    function log(text, type) {
+        var list = root.find('[data-region="log"]');
+        list.append($('<li></li>').addClass('text-' + type).text(text));
+        list.scrollTop(list.prop('scrollHeight'));
+    }
+
+    /**
+     * Get the title of a listed video.
+     *
+     * @param {number} videoid Video record ID
+     * @return {string} Title, or the ID if the video is not listed
+     */
+    function getTitle(videoid) {
+        var video = videos.filter(function(candidate) {
+            return candidate.id === videoid;
+        })[0];
+        return video ? video.title : String(videoid);
+    }
+
+    /**
+     * Run the orphan cleanup, as a dry run for the preview.
+     *
+     * Applying a preview sends the orphans it listed, so the cleanup never
+     * touches orphans the admin has not seen.
+     *
+     * @param {Object|null} preview Confirmed preview result, or null for a dry run
+     * @return {Promise} Resolved with the cleanup result
+     */
+    function cleanupOrphans(preview) {
+        var args = {
+            action: 'cleanup_orphans',
+            dryrun: !preview
+        };
+        if (preview) {
+            args.moodleorphans = preview.moodle_orphans.map(function(video) {
+                return video.id;
+            });
+            args.cloudflareorphans = preview.cloudflare_orphans.map(function(video) {
+                return video.uid;
+            });
+        }
+        return Ajax.call([{
+            methodname: 'local_cloudflarestream_sync_videos',
+            args: args
+        }])[0];
+    }
+
+    /**
+     * Show what an orphan cleanup would change.
+     */
+    function previewOrphans() {
+        var button = root.find('[data-action="preview-orphans"]').prop('disabled', true);
+        root.find('[data-action="apply-orphans"]').prop('disabled', true);
+
+        cleanupOrphans(null).then(function(result) {
+            if (!result.success) {
+                Notification.addNotification({message: result.message, type: 'error'});
+                return result;
+            }
+            orphans = result;
+            root.find('[data-action="apply-orphans"]')
+                .prop('disabled', !result.moodle_orphans_found && !result.cloudflare_orphans_found);
+            return Templates.render('local_cloudflarestream/sync_console_orphans', {
+                hasorphans: result.moodle_orphans_found > 0 || result.cloudflare_orphans_found > 0,
+                hasmoodle: result.moodle_orphans.length > 0,
+                hascloudflare: result.cloudflare_orphans.length > 0,
+                moodle_orphans: result.moodle_orphans,
+                cloudflare_orphans: result.cloudflare_orphans
+            }).then(function(html, js) {
+                Templates.replaceNodeContents(root.find('[data-region="orphans"]'), html, js);
+                return html;
+            });
+        }).catch(Notification.exception).always(function() {
+            button.prop('disabled', false);
+        });
+    }
+
+    /**
+     * Ask before applying the previewed cleanup, as Cloudflare deletions cannot be undone.
+     */
+    function confirmOrphanCleanup() {
+        if (!orphans) {
+            return;
+        }
+
+        Str.get_strings([
+            {key: 'confirm'},
+            {key: 'sync_orphans_confirm', component: 'local_cloudflarestream', param: {
+                moodle: orphans.moodle_orphans_found,
+                cloudflare: orphans.cloudflare_orphans_found
+            }},
+            {key: 'sync_orphans_apply', component: 'local_cloudflarestream'},
+            {key: 'cancel'}
+        ]).then(function(strings) {
+            Notification.confirm(strings[0], strings[1], strings[2], strings[3], applyOrphanCleanup);
+            return strings;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Apply the orphan cleanup and report what it did.
+     */
+    function applyOrphanCleanup() {
+        root.find('[data-action="apply-orphans"]').prop('disabled', true);
+
+        cleanupOrphans(orphans).then(function(result) {
+            orphans = null;
+            root.find('[data-region="orphans"]').empty();
+            if (!result.success) {
+                Notification.addNotification({message: result.message, type: 'error'});
+                return result;
+            }
+            return Str.get_string('sync_orphans_done', 'local_cloudflarestream', {
+                moodle: result.moodle_orphans_cleaned,
+                cloudflare: result.cloudflare_orphans_cleaned
+            }).then(function(message) {
+                var failed = result.cloudflare_orphans_cleaned < result.cloudflare_orphans_found;
+                Notification.addNotification({message: message, type: failed ? 'warning' : 'success'});
+                return message;
+            });
+        }).catch(Notification.exception).always(load);
+    }
+
+    return {
+        init: init
+    };
+});
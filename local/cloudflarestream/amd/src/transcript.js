@@ -0,0 +1,288 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Interactive transcript shown next to a Cloudflare Stream player.
+ *
+ * Lines come from the caption track of the video. The line being spoken is
+ * highlighted during playback and clicking a line seeks the player to it.
+ *
+ * @module     local_cloudflarestream/transcript
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['core/ajax'], function(Ajax) {
+    'use strict';
+
+    /** @var {number} Seconds after the learner scrolls the transcript before it follows playback again */
+    var MANUAL_SCROLL_PAUSE = 5;
+
+    /**
+     * Set up the transcript panel of a player.
+     *
+     * The panel stays hidden when the video has no captions.
+     *
+     * @param {Object} api Player API from local_cloudflarestream/player
+     * @param {HTMLElement} panel Transcript panel element
+     * @param {string} language Preferred caption language, empty for the video's default
+     */
+    function init(api, panel, language) {
+        var transcript = {
+            api: api,
+            panel: panel,
+            list: panel.querySelector('[data-region="cues"]'),
+            search: panel.querySelector('[data-region="search"]'),
+            languageSelect: panel.querySelector('[data-region="language"]'),
+            noResults: panel.querySelector('[data-region="noresults"]'),
+            cues: [],
+            items: [],
+            activeIndex: -1,
+            lastManualScroll: 0
+        };
+
+        api.on('timeupdate', function(e) {
+            highlight(transcript, e.currentTime);
+        });
+
+        transcript.list.addEventListener('click', function(e) {
+            var item = e.target.closest('[data-index]');
+            if (item) {
+                var cue = transcript.cues[parseInt(item.getAttribute('data-index'), 10)];
+                api.seek(cue.start).then(function() {
+                    return api.play();
+                }).catch(function(error) {
+                    console.warn('Unable to seek to transcript line:', error);
+                });
+            }
+        });
+
+        // Let the learner read ahead without the list jumping back to the current line
+        ['wheel', 'touchmove'].forEach(function(name) {
+            transcript.list.addEventListener(name, function() {
+                transcript.lastManualScroll = Date.now();
+            }, {passive: true});
+        });
+
+        transcript.search.addEventListener('input', function() {
+            filter(transcript, transcript.search.value);
+        });
+
+        transcript.languageSelect.addEventListener('change', function() {
+            load(transcript, transcript.languageSelect.value);
+        });
+
+        load(transcript, language || '');
+    }
+
+    /**
+     * Load the cues of a language and render them.
+     *
+     * @param {Object} transcript Transcript state
+     * @param {string} language Caption language, empty for the video's default
+     */
+    function load(transcript, language) {
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_get_transcript',
+            args: {videoid: transcript.api.videoRecordId, language: language}
+        }])[0].done(function(response) {
+            if (!response.cues.length) {
+                transcript.panel.hidden = true;
+                return;
+            }
+
+            renderLanguages(transcript, response.languages, response.language);
+            render(transcript, response.cues);
+            transcript.panel.hidden = false;
+        }).fail(function(error) {
+            // The player works without a transcript, so keep the panel out of the way
+            console.warn('Unable to load transcript:', error);
+        });
+    }
+
+    /**
+     * Fill the language selector, shown only when there is a choice.
+     *
+     * @param {Object} transcript Transcript state
+     * @param {Array} languages Available languages with language and label
+     * @param {string} current Language being shown
+     */
+    function renderLanguages(transcript, languages, current) {
+        var select = transcript.languageSelect;
+        select.innerHTML = '';
+
+        languages.forEach(function(track) {
+            var option = document.createElement('option');
+            option.value = track.language;
+            option.textContent = track.label;
+            option.selected = track.language === current;
+            select.appendChild(option);
+        });
+
+        select.hidden = languages.length < 2;
+    }
+
+    /**
+     * Render the transcript lines.
+     *
+     * @param {Object} transcript Transcript state
+     * @param {Array} cues Cues with start, end and text
+     */
+    function render(transcript, cues) {
+        transcript.cues = cues;
+        transcript.items = [];
+        transcript.activeIndex = -1;
+        transcript.list.innerHTML = '';
+
+        cues.forEach(function(cue, index) {
+            var item = document.createElement('li');
+            var button = document.createElement('button');
+            var time = document.createElement('span');
+            var text = document.createElement('span');
+
+            item.setAttribute('data-index', index);
+            button.type = 'button';
+            time.className = 'cue-time';
+            time.textContent = formatTime(cue.start);
+            text.className = 'cue-text';
+            text.textContent = cue.text;
+
+            button.appendChild(time);
+            button.appendChild(text);
+            item.appendChild(button);
+            transcript.list.appendChild(item);
+            transcript.items.push(item);
+        });
+
+        filter(transcript, transcript.search.value);
+        highlight(transcript, transcript.api.getCurrentTime());
+    }
+
+    /**
+     * Highlight the line being spoken and keep it in view.
+     *
+     * @param {Object} transcript Transcript state
+     * @param {number} time Playback position in seconds
+     */
+    function highlight(transcript, time) {
+        var index = findCue(transcript.cues, time);
+        if (index === transcript.activeIndex) {
+            return;
+        }
+
+        if (transcript.activeIndex !== -1) {
+            transcript.items[transcript.activeIndex].classList.remove('active');
+            transcript.items[transcript.activeIndex].removeAttribute('aria-current');
+        }
+        transcript.activeIndex = index;
+        if (index === -1) {
+            return;
+        }
+
+        var item = transcript.items[index];
+        item.classList.add('active');
+        item.setAttribute('aria-current', 'true');
+
+        if (Date.now() - transcript.lastManualScroll > MANUAL_SCROLL_PAUSE * 1000 && !item.hidden) {
+            // Scroll the list only, never the page around the player
+            var list = transcript.list;
+            list.scrollTop = item.offsetTop - (list.clientHeight - item.offsetHeight) / 2;
+        }
+    }
+
+    /**
+     * Find the cue shown at a playback position.
+     *
+     * @param {Array} cues Cues sorted by start time
+     * @param {number} time Playback position in seconds
+     * @return {number} Cue index, or -1 between cues
+     */
+    function findCue(cues, time) {
+        var low = 0;
+        var high = cues.length - 1;
+        var found = -1;
+
+        // Last cue starting at or before the position
+        while (low <= high) {
+            var middle = (low + high) >> 1;
+            if (cues[middle].start <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found !== -1 && time < cues[found].end ? found : -1;
+    }
+
+    /**
+     * Show only the lines containing a search term, marking the matches.
+     *
+     * @param {Object} transcript Transcript state
+     * @param {string} query Search term
+     */
+    function filter(transcript, query) {
+        var needle = query.trim().toLowerCase();
+        var matches = 0;
+
+        transcript.items.forEach(function(item, index) {
+            var text = item.querySelector('.cue-text');
+            var cuetext = transcript.cues[index].text;
+            var position = needle ? cuetext.toLowerCase().indexOf(needle) : -1;
+
+            item.hidden = needle !== '' && position === -1;
+            if (!item.hidden) {
+                matches++;
+            }
+
+            text.textContent = '';
+            if (position === -1) {
+                text.textContent = cuetext;
+                return;
+            }
+
+            var mark = document.createElement('mark');
+            mark.textContent = cuetext.substr(position, needle.length);
+            text.appendChild(document.createTextNode(cuetext.substr(0, position)));
+            text.appendChild(mark);
+            text.appendChild(document.createTextNode(cuetext.substr(position + needle.length)));
+        });
+
+        transcript.noResults.hidden = matches > 0;
+    }
+
+    /**
+     * Format a position as m:ss or h:mm:ss.
+     *
+     * @param {number} seconds Position in seconds
+     * @return {string} Formatted position
+     */
+    function formatTime(seconds) {
+        var total = Math.floor(seconds);
+        var hours = Math.floor(total / 3600);
+        var minutes = Math.floor((total % 3600) / 60);
+        var secs = ('0' + (total % 60)).slice(-2);
+
+        if (hours) {
+            return hours + ':' + ('0' + minutes).slice(-2) + ':' + secs;
+        }
+        return minutes + ':' + secs;
+    }
+
+    return {
+        init: init
+    };
+});
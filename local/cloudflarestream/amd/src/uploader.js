@@ -0,0 +1,646 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Resumable uploads from the browser straight to Cloudflare Stream.
+ *
+ * The server hands out a one-time tus upload URL per file; the file is then
+ * sent in chunks with the tus protocol so uploads survive network drops,
+ * pauses and page reloads.
+ *
+ * @module     local_cloudflarestream/uploader
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/ajax', 'core/notification', 'core/str', 'core/templates', 'local_cloudflarestream/status_channel'],
+function($, Ajax, Notification, Str, Templates, StatusChannel) {
+    'use strict';
+
+    /** @var {string} tus protocol version spoken by Cloudflare */
+    var TUS_VERSION = '1.0.0';
+
+    /** @var {number} Bytes per PATCH request, Cloudflare requires a multiple of 256 KiB of at least 5 MiB */
+    var CHUNK_SIZE = 50 * 1024 * 1024;
+
+    /** @var {number} Base delay in seconds before retrying a failed request */
+    var RETRY_DELAY = 5;
+
+    /** @var {number} Longest delay in seconds between retries */
+    var MAX_RETRY_DELAY = 120;
+
+    /** @var {number} Automatic retries before the user has to retry by hand */
+    var MAX_RETRY_ATTEMPTS = 10;
+
+    /** @var {string} Prefix of the local storage keys remembering upload URLs */
+    var STORAGE_PREFIX = 'local_cloudflarestream_upload_';
+
+    /** @var {RegExp} A time written as m:ss or h:mm:ss */
+    var POSITION_PATTERN = /^(?:\d+:)?\d{1,2}:\d{2}$/;
+
+    var config = null;
+    var uploads = [];
+
+    /**
+     * Initialise the upload widget.
+     *
+     * @param {Object} options Widget options: courseid, formats and maxFileSize
+     */
+    function init(options) {
+        config = options;
+
+        var root = $('#cloudflarestream-uploader');
+        var dropzone = root.find('[data-region="dropzone"]');
+
+        root.find('[data-region="fileinput"]').on('change', function() {
+            addFiles(this.files);
+            this.value = '';
+        });
+
+        dropzone.on('dragover', function(e) {
+            e.preventDefault();
+            dropzone.addClass('dragover');
+        }).on('dragleave', function() {
+            dropzone.removeClass('dragover');
+        }).on('drop', function(e) {
+            e.preventDefault();
+            dropzone.removeClass('dragover');
+            addFiles(e.originalEvent.dataTransfer.files);
+        });
+
+        // Leaving the page stops the uploads, ask first
+        window.addEventListener('beforeunload', function(e) {
+            if (hasActiveUploads()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    /**
+     * Validate selected files and start uploading them.
+     *
+     * @param {FileList} files Selected or dropped files
+     */
+    function addFiles(files) {
+        // The trim applies to the files added while it is set
+        var trim = readTrim();
+        if (!trim) {
+            Str.get_string('error_trim_time', 'local_cloudflarestream').then(function(message) {
+                Notification.addNotification({message: message, type: 'error'});
+                return message;
+            }).catch(Notification.exception);
+            return;
+        }
+
+        Array.prototype.forEach.call(files, function(file) {
+            var extension = file.name.split('.').pop().toLowerCase();
+            var error = null;
+
+            if (config.formats.indexOf(extension) === -1) {
+                error = 'error_unsupported_format';
+            } else if (file.size > config.maxFileSize) {
+                error = 'error_file_too_large';
+            }
+
+            if (error) {
+                Str.get_string(error, 'local_cloudflarestream').then(function(message) {
+                    Notification.addNotification({message: file.name + ': ' + message, type: 'error'});
+                    return message;
+                }).catch(Notification.exception);
+                return;
+            }
+
+            addUpload(file, trim);
+        });
+    }
+
+    /**
+     * Read how much to cut from the start and end of the next uploads.
+     *
+     * @return {Object|null} Seconds to cut as intro and outro, or null if a time cannot be read
+     */
+    function readTrim() {
+        var root = $('#cloudflarestream-uploader');
+        var intro = parseTime(root.find('[data-region="trimintro"]').val());
+        var outro = parseTime(root.find('[data-region="trimoutro"]').val());
+
+        if (intro === null || outro === null) {
+            return null;
+        }
+        return {intro: intro, outro: outro};
+    }
+
+    /**
+     * Read a time typed as seconds, m:ss or h:mm:ss.
+     *
+     * @param {string} text Time as typed, empty for none
+     * @return {number|null} Seconds, or null if the time cannot be read
+     */
+    function parseTime(text) {
+        text = (text || '').trim();
+        if (text === '') {
+            return 0;
+        }
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        if (!POSITION_PATTERN.test(text)) {
+            return null;
+        }
+
+        return text.split(':').reduce(function(seconds, part) {
+            return seconds * 60 + parseInt(part, 10);
+        }, 0);
+    }
+
+    /**
+     * Render a row for a file and start its upload.
+     *
+     * @param {File} file File to upload
+     * @param {Object} trim Seconds to cut from the start and end once processed
+     */
+    function addUpload(file, trim) {
+        Templates.render('local_cloudflarestream/upload_item', {
+            filename: file.name,
+            filesize: formatSize(file.size)
+        }).then(function(html, js) {
+            var row = $(html);
+            $('#cloudflarestream-uploader [data-region="uploads"]').append(row);
+            Templates.runTemplateJS(js);
+
+            var upload = {
+                file: file,
+                trim: trim,
+                row: row,
+                uploadKey: createUploadKey(),
+                videoId: null,
+                uploadUrl: null,
+                offset: 0,
+                xhr: null,
+                paused: false,
+                done: false,
+                failed: false,
+                failures: 0,
+                retryTimer: null
+            };
+            uploads.push(upload);
+
+            bindControls(upload);
+            start(upload);
+            return row;
+        }).fail(Notification.exception);
+    }
+
+    /**
+     * Bind the pause, resume and retry buttons of an upload.
+     *
+     * @param {Object} upload Upload state
+     */
+    function bindControls(upload) {
+        upload.row.on('click', '[data-action="pause"]', function() {
+            pause(upload);
+        });
+        upload.row.on('click', '[data-action="resume"], [data-action="retry"]', function() {
+            resume(upload);
+        });
+    }
+
+    /**
+     * Start an upload, continuing an earlier attempt for the same file if there is one.
+     *
+     * @param {Object} upload Upload state
+     */
+    function start(upload) {
+        var stored = getStoredUpload(upload.file);
+        if (stored && stored.uploadKey) {
+            upload.uploadKey = stored.uploadKey;
+        }
+        if (stored && stored.uploadUrl) {
+            upload.videoId = stored.videoId;
+            upload.uploadUrl = stored.uploadUrl;
+            syncOffset(upload);
+            return;
+        }
+
+        // Keep the key first, so asking again after a lost answer or a reload reuses the video it created
+        storeUpload(upload);
+        setMessage(upload, 'upload_uploading');
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_create_upload',
+            args: {
+                courseid: config.courseid,
+                filename: upload.file.name,
+                filesize: upload.file.size,
+                trimintro: upload.trim.intro,
+                trimoutro: upload.trim.outro,
+                uploadkey: upload.uploadKey
+            }
+        }])[0].done(function(response) {
+            if (!response.success) {
+                fail(upload, response.error);
+                return;
+            }
+
+            upload.videoId = response.videoid;
+            upload.uploadUrl = response.uploadurl;
+            storeUpload(upload);
+            sendChunk(upload);
+        }).fail(function(error) {
+            scheduleRetry(upload, error);
+        });
+    }
+
+    /**
+     * Ask Cloudflare how much of the file it already has, then carry on from there.
+     *
+     * @param {Object} upload Upload state
+     */
+    function syncOffset(upload) {
+        var xhr = new XMLHttpRequest();
+        upload.xhr = xhr;
+
+        xhr.open('HEAD', upload.uploadUrl);
+        xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+        xhr.onload = function() {
+            if (isExpired(xhr.status)) {
+                restart(upload);
+                return;
+            }
+            if (xhr.status < 200 || xhr.status >= 300) {
+                scheduleRetry(upload, 'HTTP ' + xhr.status);
+                return;
+            }
+
+            upload.offset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10) || 0;
+            setMessage(upload, 'upload_uploading');
+            updateProgress(upload, upload.offset);
+            sendChunk(upload);
+        };
+        xhr.onerror = function() {
+            scheduleRetry(upload, 'Network error');
+        };
+        xhr.send();
+    }
+
+    /**
+     * Send the next chunk of the file.
+     *
+     * @param {Object} upload Upload state
+     */
+    function sendChunk(upload) {
+        if (upload.paused) {
+            return;
+        }
+
+        if (upload.offset >= upload.file.size) {
+            complete(upload);
+            return;
+        }
+
+        var end = Math.min(upload.offset + CHUNK_SIZE, upload.file.size);
+        var xhr = new XMLHttpRequest();
+        upload.xhr = xhr;
+
+        xhr.open('PATCH', upload.uploadUrl);
+        xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+        xhr.setRequestHeader('Upload-Offset', upload.offset);
+        xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+
+        xhr.upload.onprogress = function(e) {
+            updateProgress(upload, upload.offset + e.loaded);
+        };
+        xhr.onload = function() {
+            if (xhr.status === 204 || xhr.status === 200) {
+                upload.failures = 0;
+                upload.offset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10) || end;
+                updateProgress(upload, upload.offset);
+                sendChunk(upload);
+            } else if (isExpired(xhr.status)) {
+                restart(upload);
+            } else {
+                // Offset conflicts and server errors are resolved by asking for the offset again
+                scheduleRetry(upload, 'HTTP ' + xhr.status);
+            }
+        };
+        xhr.onerror = function() {
+            scheduleRetry(upload, 'Network error');
+        };
+        xhr.send(upload.file.slice(upload.offset, end));
+    }
+
+    /**
+     * Tell Moodle the file has been sent and follow the video through processing.
+     *
+     * @param {Object} upload Upload state
+     */
+    function complete(upload) {
+        forgetUpload(upload.file);
+        setMessage(upload, 'upload_finishing');
+
+        Ajax.call([{
+            methodname: 'local_cloudflarestream_complete_upload',
+            args: {
+                videoid: upload.videoId
+            }
+        }])[0].done(function(response) {
+            upload.done = true;
+            upload.row.find('[data-action]').prop('hidden', true);
+            showStatus(upload, response.status);
+
+            StatusChannel.watch(upload.videoId, response.status, function(video) {
+                showStatus(upload, video.status);
+            });
+        }).fail(function(error) {
+            scheduleRetry(upload, error);
+        });
+    }
+
+    /**
+     * Retry after a failure with exponential backoff.
+     *
+     * @param {Object} upload Upload state
+     * @param {*} error Failure reason
+     */
+    function scheduleRetry(upload, error) {
+        if (upload.paused) {
+            return;
+        }
+
+        upload.failures++;
+        if (upload.failures > MAX_RETRY_ATTEMPTS) {
+            Str.get_string('upload_failed', 'local_cloudflarestream', error.message || error).then(function(message) {
+                fail(upload, message);
+                return message;
+            }).catch(Notification.exception);
+            return;
+        }
+
+        var retry = function() {
+            if (upload.videoId) {
+                syncOffset(upload);
+            } else {
+                start(upload);
+            }
+        };
+
+        // Wait for the connection to come back rather than burning attempts while offline
+        if (navigator.onLine === false) {
+            setMessage(upload, 'upload_offline');
+            window.addEventListener('online', function onOnline() {
+                window.removeEventListener('online', onOnline);
+                if (!upload.paused) {
+                    retry();
+                }
+            });
+            return;
+        }
+
+        var delay = Math.min(RETRY_DELAY * Math.pow(2, upload.failures - 1), MAX_RETRY_DELAY);
+        console.warn('Upload of ' + upload.file.name + ' failed (attempt ' + upload.failures + '), retrying in ' +
+            delay + 's:', error);
+        setMessage(upload, 'upload_retrying', delay);
+        upload.retryTimer = setTimeout(retry, delay * 1000);
+    }
+
+    /**
+     * Pause an upload.
+     *
+     * @param {Object} upload Upload state
+     */
+    function pause(upload) {
+        upload.paused = true;
+        clearTimeout(upload.retryTimer);
+        if (upload.xhr) {
+            upload.xhr.abort();
+        }
+
+        toggleControls(upload, 'resume');
+        setMessage(upload, 'upload_paused');
+    }
+
+    /**
+     * Resume a paused or failed upload.
+     *
+     * @param {Object} upload Upload state
+     */
+    function resume(upload) {
+        upload.paused = false;
+        upload.failed = false;
+        upload.failures = 0;
+        upload.row.find('[data-region="progress"]').removeClass('bg-danger');
+
+        toggleControls(upload, 'pause');
+        if (upload.videoId) {
+            syncOffset(upload);
+        } else {
+            start(upload);
+        }
+    }
+
+    /**
+     * Start over with a new upload URL after the old one expired.
+     *
+     * The upload keeps its key, so the server gives the new URL to the video
+     * it created the first time.
+     *
+     * @param {Object} upload Upload state
+     */
+    function restart(upload) {
+        upload.videoId = null;
+        upload.uploadUrl = null;
+        upload.offset = 0;
+        updateProgress(upload, 0);
+        start(upload);
+    }
+
+    /**
+     * Stop an upload with an error the user has to act on.
+     *
+     * @param {Object} upload Upload state
+     * @param {string} message Error message
+     */
+    function fail(upload, message) {
+        upload.failed = true;
+        upload.row.find('[data-region="progress"]').addClass('bg-danger');
+        upload.row.find('[data-region="message"]').text(message);
+        toggleControls(upload, 'retry');
+    }
+
+    /**
+     * Show the button for the next action the user can take.
+     *
+     * @param {Object} upload Upload state
+     * @param {string} action Visible action: pause, resume or retry
+     */
+    function toggleControls(upload, action) {
+        upload.row.find('[data-action]').each(function() {
+            $(this).prop('hidden', $(this).data('action') !== action);
+        });
+    }
+
+    /**
+     * Show the processing status of an uploaded video.
+     *
+     * @param {Object} upload Upload state
+     * @param {string} status Video status
+     */
+    function showStatus(upload, status) {
+        var bar = upload.row.find('[data-region="progress"]');
+        bar.toggleClass('bg-success', status === 'ready').toggleClass('bg-danger', status === 'error')
+            .toggleClass('progress-bar-striped progress-bar-animated', status === 'processing');
+        setMessage(upload, 'status_' + status);
+    }
+
+    /**
+     * Update the progress bar.
+     *
+     * @param {Object} upload Upload state
+     * @param {number} bytes Bytes received by Cloudflare
+     */
+    function updateProgress(upload, bytes) {
+        var percent = upload.file.size ? Math.floor(bytes * 100 / upload.file.size) : 0;
+        upload.row.find('[data-region="progress"]')
+            .css('width', percent + '%')
+            .attr('aria-valuenow', percent)
+            .text(percent + '%');
+    }
+
+    /**
+     * Show a status message below the progress bar.
+     *
+     * @param {Object} upload Upload state
+     * @param {string} key Language string key
+     * @param {*} param Language string parameter
+     */
+    function setMessage(upload, key, param) {
+        Str.get_string(key, 'local_cloudflarestream', param).then(function(message) {
+            upload.row.find('[data-region="message"]').text(message);
+            return message;
+        }).catch(Notification.exception);
+    }
+
+    /**
+     * Check whether a tus response means the upload URL no longer exists.
+     *
+     * @param {number} status HTTP status code
+     * @return {boolean} Whether the upload has to start over
+     */
+    function isExpired(status) {
+        return status === 404 || status === 410;
+    }
+
+    /**
+     * Check whether any upload is still sending data.
+     *
+     * @return {boolean} Whether leaving the page would interrupt an upload
+     */
+    function hasActiveUploads() {
+        return uploads.some(function(upload) {
+            return !upload.done && !upload.failed && !upload.paused;
+        });
+    }
+
+    /**
+     * Get the local storage key for a file.
+     *
+     * @param {File} file File
+     * @return {string} Storage key
+     */
+    function getStorageKey(file) {
+        return STORAGE_PREFIX + [config.courseid, file.name, file.size, file.lastModified].join('_');
+    }
+
+    /**
+     * Remember the upload URL of a file so the upload can resume after a reload.
+     *
+     * @param {Object} upload Upload state
+     */
+    function storeUpload(upload) {
+        try {
+            window.localStorage.setItem(getStorageKey(upload.file), JSON.stringify({
+                uploadKey: upload.uploadKey,
+                videoId: upload.videoId,
+                uploadUrl: upload.uploadUrl
+            }));
+        } catch (e) {
+            // Storage unavailable (private browsing), the upload just cannot survive a reload
+        }
+    }
+
+    /**
+     * Get the stored upload of a file.
+     *
+     * @param {File} file File
+     * @return {Object|null} Stored uploadKey, videoId and uploadUrl
+     */
+    function getStoredUpload(file) {
+        try {
+            return JSON.parse(window.localStorage.getItem(getStorageKey(file)));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Create the key an upload is known by until it is finished.
+     *
+     * @return {string} Random key of letters and digits
+     */
+    function createUploadKey() {
+        var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        var values = new Uint32Array(32);
+        window.crypto.getRandomValues(values);
+
+        return Array.prototype.map.call(values, function(value) {
+            return chars.charAt(value % chars.length);
+        }).join('');
+    }
+
+    /**
+     * Forget the stored upload of a file.
+     *
+     * @param {File} file File
+     */
+    function forgetUpload(file) {
+        try {
+            window.localStorage.removeItem(getStorageKey(file));
+        } catch (e) {
+            // Nothing stored
+        }
+    }
+
+    /**
+     * Format a file size for display.
+     *
+     * @param {number} bytes Size in bytes
+     * @return {string} Human readable size
+     */
+    function formatSize(bytes) {
+        var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        var unit = 0;
+        while (bytes >= 1024 && unit < units.length - 1) {
+            bytes /= 1024;
+            unit++;
+        }
+        return (unit ? bytes.toFixed(1) : bytes) + ' ' + units[unit];
+    }
+
+    return {
+        init: init
+    };
+});
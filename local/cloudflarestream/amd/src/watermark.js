@@ -0,0 +1,206 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Viewer watermark drawn over a Cloudflare Stream player.
+ *
+ * The watermark moves to a random spot every few seconds and puts itself back
+ * when it is removed, restyled or hidden through the browser's developer tools.
+ *
+ * @module     local_cloudflarestream/watermark
+ * @copyright  2025 Your Name <your@email.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    /** @var {string} Placeholder replaced with the current date and time */
+    var TIME_PLACEHOLDER = '{time}';
+
+    /** @var {number} Seconds between checks that the watermark is still visible */
+    var CHECK_INTERVAL = 2;
+
+    /** @var {number} Stacking order above the video, the chapter list and the fullscreen button */
+    var Z_INDEX = 4;
+
+    /**
+     * Start drawing the watermark inside a player wrapper.
+     *
+     * @param {HTMLElement} wrapper Player wrapper
+     * @param {HTMLElement} node Watermark element from the player template
+     * @param {Object} options Watermark text, opacity between 0 and 1 and frequency in seconds
+     * @param {Function} onTamper Called with removed, modified or hidden when the watermark is interfered with
+     * @return {Object} Watermark with a destroy() method
+     */
+    function init(wrapper, node, options, onTamper) {
+        var watermark = {
+            wrapper: wrapper,
+            node: node,
+            options: options,
+            onTamper: onTamper,
+            left: 0,
+            top: 0,
+            text: '',
+            moveTimer: null,
+            checkTimer: null,
+            wrapperObserver: null,
+            nodeObserver: null
+        };
+
+        watermark.wrapperObserver = new MutationObserver(function() {
+            if (watermark.node.parentNode !== watermark.wrapper) {
+                render(watermark);
+                watermark.onTamper('removed');
+            }
+        });
+        watermark.nodeObserver = new MutationObserver(function() {
+            render(watermark);
+            watermark.onTamper('modified');
+        });
+        watermark.wrapperObserver.observe(wrapper, {childList: true});
+        watermark.nodeObserver.observe(node, {attributes: true, childList: true, characterData: true, subtree: true});
+
+        move(watermark);
+        watermark.moveTimer = setInterval(function() {
+            move(watermark);
+        }, options.frequency * 1000);
+
+        watermark.checkTimer = setInterval(function() {
+            check(watermark);
+        }, CHECK_INTERVAL * 1000);
+
+        return {
+            destroy: function() {
+                destroy(watermark);
+            }
+        };
+    }
+
+    /**
+     * Move the watermark to a random spot that keeps it inside the player.
+     *
+     * @param {Object} watermark Watermark state
+     */
+    function move(watermark) {
+        watermark.text = getText(watermark);
+        render(watermark);
+
+        var maxLeft = Math.max(0, watermark.wrapper.clientWidth - watermark.node.offsetWidth);
+        var maxTop = Math.max(0, watermark.wrapper.clientHeight - watermark.node.offsetHeight);
+        watermark.left = Math.round(Math.random() * maxLeft);
+        watermark.top = Math.round(Math.random() * maxTop);
+        render(watermark);
+    }
+
+    /**
+     * Put the watermark back in place with its own text and styles.
+     *
+     * Changes made here are dropped from the observers' queues, so only changes
+     * made by someone else count as tampering.
+     *
+     * @param {Object} watermark Watermark state
+     */
+    function render(watermark) {
+        var node = watermark.node;
+        var styles = {
+            'position': 'absolute',
+            'left': watermark.left + 'px',
+            'top': watermark.top + 'px',
+            'right': 'auto',
+            'bottom': 'auto',
+            'z-index': String(Z_INDEX),
+            'display': 'block',
+            'visibility': 'visible',
+            'opacity': String(watermark.options.opacity),
+            'transform': 'none',
+            'margin': '0',
+            'padding': '0.25rem',
+            'color': '#fff',
+            'font-size': '14px',
+            'line-height': '1.2',
+            'white-space': 'nowrap',
+            'text-shadow': '0 0 2px #000',
+            'pointer-events': 'none',
+            'user-select': 'none'
+        };
+
+        if (node.parentNode !== watermark.wrapper) {
+            watermark.wrapper.appendChild(node);
+        }
+        if (node.childNodes.length !== 1 || node.textContent !== watermark.text) {
+            node.textContent = watermark.text;
+        }
+        node.removeAttribute('class');
+        node.setAttribute('aria-hidden', 'true');
+        node.removeAttribute('style');
+        Object.keys(styles).forEach(function(name) {
+            node.style.setProperty(name, styles[name], 'important');
+        });
+
+        watermark.wrapperObserver.takeRecords();
+        watermark.nodeObserver.takeRecords();
+    }
+
+    /**
+     * Check that no style sheet hides the watermark and keep the time current.
+     *
+     * @param {Object} watermark Watermark state
+     */
+    function check(watermark) {
+        var style = window.getComputedStyle(watermark.node);
+        var hidden = style.display === 'none' || style.visibility !== 'visible' ||
+            parseFloat(style.opacity) < watermark.options.opacity / 2;
+
+        var text = getText(watermark);
+        if (hidden || text !== watermark.text) {
+            watermark.text = text;
+            render(watermark);
+        }
+        if (hidden) {
+            watermark.onTamper('hidden');
+        }
+    }
+
+    /**
+     * Get the watermark text with the current time filled in.
+     *
+     * @param {Object} watermark Watermark state
+     * @return {string} Text
+     */
+    function getText(watermark) {
+        var now = new Date().toLocaleString([], {
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+        return watermark.options.text.split(TIME_PLACEHOLDER).join(now);
+    }
+
+    /**
+     * Stop moving and guarding the watermark.
+     *
+     * @param {Object} watermark Watermark state
+     */
+    function destroy(watermark) {
+        clearInterval(watermark.moveTimer);
+        clearInterval(watermark.checkTimer);
+        watermark.wrapperObserver.disconnect();
+        watermark.nodeObserver.disconnect();
+    }
+
+    return {
+        init: init
+    };
+});
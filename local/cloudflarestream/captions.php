@@ -0,0 +1,160 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Caption track editor for a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\api\caption_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$videoid = required_param('videoid', PARAM_INT);
+$edit = optional_param('edit', '', PARAM_ALPHANUMEXT);
+
+$video = video_manager::get_video($videoid);
+if (!$video || empty($video->cloudflare_video_id)) {
+    throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+}
+
+$course = get_course($video->course_id);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/captions.php', ['videoid' => $video->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('captions', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+$manager = caption_manager::for_video($video);
+if (!$manager) {
+    throw new moodle_exception('error_not_configured', 'local_cloudflarestream');
+}
+
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+    $language = optional_param('language', '', PARAM_ALPHANUMEXT);
+    $message = '';
+
+    switch ($action) {
+        case 'upload':
+            // Uploaded file, or the edited content of an existing track
+            $content = optional_param('content', null, PARAM_RAW);
+            if ($content === null) {
+                $file = $_FILES['captionfile'] ?? null;
+                if (!$file || $file['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) {
+                    redirect($url, get_string('error_caption_file', 'local_cloudflarestream'), null,
+                        \core\output\notification::NOTIFY_ERROR);
+                }
+                $content = file_get_contents($file['tmp_name']);
+            }
+            $result = $manager->upload_caption($video->id, $language, $content);
+            $message = get_string('caption_uploaded', 'local_cloudflarestream');
+            break;
+
+        case 'generate':
+            $result = $manager->generate_captions($video->id, $language);
+            $message = get_string('caption_generation_started', 'local_cloudflarestream');
+            break;
+
+        case 'delete':
+            $result = $manager->delete_caption($video->id, $language);
+            $message = get_string('caption_deleted', 'local_cloudflarestream');
+            break;
+
+        case 'setdefault':
+            if ($language !== '' && !caption_manager::is_valid_language($language)) {
+                $result = ['success' => false, 'error' => get_string('error_caption_language', 'local_cloudflarestream')];
+            } else {
+                $result = ['success' => caption_manager::set_default_text_track($video->id, $language ?: null)];
+            }
+            $message = get_string('caption_default_saved', 'local_cloudflarestream');
+            break;
+
+        default:
+            throw new moodle_exception('invalidparameter', 'debug');
+    }
+
+    if ($result['success']) {
+        redirect($url, $message, null, \core\output\notification::NOTIFY_SUCCESS);
+    }
+    redirect($url, $result['error'] ?? get_string('error'), null,
+        \core\output\notification::NOTIFY_ERROR);
+}
+
+$languages = get_string_manager()->get_list_of_languages();
+$result = $manager->list_captions($video->id);
+if (!$result['success']) {
+    \core\notification::error($result['error']);
+}
+
+$captions = [];
+$existing = [];
+foreach ($result['captions'] ?? [] as $caption) {
+    $existing[] = $caption['language'];
+    $captions[] = array_merge($caption, [
+        'name' => $languages[$caption['language']] ?? $caption['label'],
+        'ready' => $caption['status'] === 'ready',
+        'inprogress' => $caption['status'] === 'inprogress',
+        'editurl' => (new moodle_url($url, ['edit' => $caption['language']]))->out(false)
+    ]);
+}
+
+$languageoptions = [];
+foreach ($languages as $code => $name) {
+    $languageoptions[] = [
+        'code' => $code,
+        'name' => $name,
+        'selected' => $code === current_language()
+    ];
+}
+
+$editor = null;
+if ($edit !== '' && in_array($edit, $existing)) {
+    $vtt = $manager->get_caption($video->id, $edit);
+    if ($vtt['success']) {
+        $editor = [
+            'language' => $edit,
+            'name' => $languages[$edit] ?? $edit,
+            'content' => $vtt['vtt']
+        ];
+    } else {
+        \core\notification::error($vtt['error']);
+    }
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('captions_for', 'local_cloudflarestream', s(player_handler::get_video_title($video))));
+echo $OUTPUT->render_from_template('local_cloudflarestream/captions', [
+    'captions' => $captions,
+    'hascaptions' => !empty($captions),
+    'languages' => $languageoptions,
+    'editor' => $editor,
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'backurl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $video->id]))->out(false)
+]);
+echo $OUTPUT->footer();
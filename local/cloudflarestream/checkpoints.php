@@ -0,0 +1,175 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checkpoint questions of a video and the answers of the course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\checkpoint_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$videoid = required_param('videoid', PARAM_INT);
+$edit = optional_param('edit', 0, PARAM_INT);
+
+$video = video_manager::get_video($videoid);
+if (!$video) {
+    throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+}
+
+$course = get_course($video->course_id);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/checkpoints.php', ['videoid' => $video->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('checkpoints', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+$form = null;
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+    $checkpointid = optional_param('checkpointid', 0, PARAM_INT);
+
+    switch ($action) {
+        case 'save':
+            $form = [
+                'id' => $checkpointid,
+                'position' => optional_param('position', '', PARAM_RAW_TRIMMED),
+                'question' => optional_param('question', '', PARAM_TEXT),
+                'choices' => optional_param('choices', '', PARAM_TEXT),
+                'correct' => optional_param('correct', 1, PARAM_INT),
+                'points' => optional_param('points', 1, PARAM_INT),
+                'required' => optional_param('required', 0, PARAM_BOOL)
+            ];
+
+            $position = position_manager::parse_position($form['position']);
+            if ($position === null) {
+                $result = ['success' => false, 'error' => get_string('error_checkpoint_position', 'local_cloudflarestream')];
+            } else {
+                // Choices are typed one per line and the correct one is counted from 1
+                $result = checkpoint_manager::save_checkpoint($video->id, [
+                    'position' => $position,
+                    'question' => $form['question'],
+                    'choices' => preg_split('/\R/', $form['choices']),
+                    'correct_choice' => $form['correct'] - 1,
+                    'points' => $form['points'],
+                    'required' => $form['required']
+                ], $checkpointid);
+            }
+
+            if ($result['success']) {
+                redirect($url, get_string('checkpoint_saved', 'local_cloudflarestream'), null,
+                    \core\output\notification::NOTIFY_SUCCESS);
+            }
+            // Keep what the teacher typed so the mistake can be fixed
+            \core\notification::error($result['error']);
+            break;
+
+        case 'delete':
+            if (checkpoint_manager::delete_checkpoint($video->id, $checkpointid)) {
+                redirect($url, get_string('checkpoint_deleted', 'local_cloudflarestream'), null,
+                    \core\output\notification::NOTIFY_SUCCESS);
+            }
+            redirect($url, get_string('error_checkpoint_not_found', 'local_cloudflarestream'), null,
+                \core\output\notification::NOTIFY_ERROR);
+            break;
+
+        default:
+            throw new moodle_exception('invalidparameter', 'debug');
+    }
+}
+
+$checkpoints = checkpoint_manager::get_checkpoints($video->id);
+$statistics = checkpoint_manager::get_checkpoint_statistics($video->id);
+
+$rows = [];
+foreach ($checkpoints as $checkpoint) {
+    $answers = $statistics[$checkpoint->id] ?? null;
+    $choices = [];
+    foreach (json_decode($checkpoint->choices, true) ?: [] as $index => $choice) {
+        $choices[] = ['text' => $choice, 'correct' => $index == $checkpoint->correct_choice];
+    }
+
+    $rows[] = [
+        'id' => $checkpoint->id,
+        'time' => position_manager::format_position($checkpoint->position),
+        'question' => $checkpoint->question,
+        'choices' => $choices,
+        'points' => $checkpoint->points,
+        'required' => (bool)$checkpoint->required,
+        'answered' => $answers ? (int)$answers->answered : 0,
+        'correct_percentage' => $answers && $answers->answered ? (int)round(100 * $answers->correct / $answers->answered) : 0,
+        'editurl' => (new moodle_url($url, ['edit' => $checkpoint->id]))->out(false)
+    ];
+
+    // Fill the form with the checkpoint being edited
+    if ($form === null && $checkpoint->id == $edit) {
+        $form = [
+            'id' => $checkpoint->id,
+            'position' => position_manager::format_position($checkpoint->position),
+            'question' => $checkpoint->question,
+            'choices' => implode("\n", json_decode($checkpoint->choices, true) ?: []),
+            'correct' => $checkpoint->correct_choice + 1,
+            'points' => $checkpoint->points,
+            'required' => (bool)$checkpoint->required
+        ];
+    }
+}
+
+$maxgrade = checkpoint_manager::get_max_grade($video->id);
+$users = [];
+if ($checkpoints) {
+    foreach (checkpoint_manager::get_video_report($video->id) as $row) {
+        $users[] = [
+            'fullname' => $row['fullname'],
+            'email' => $row['email'],
+            'answered' => $row['answered'],
+            'correct' => $row['correct'],
+            'grade' => $row['grade'],
+            'lastanswered' => $row['lastanswered'] ? userdate($row['lastanswered']) : '-'
+        ];
+    }
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('checkpoints_for', 'local_cloudflarestream', s(player_handler::get_video_title($video))));
+echo $OUTPUT->render_from_template('local_cloudflarestream/checkpoints', [
+    'checkpoints' => $rows,
+    'hascheckpoints' => !empty($rows),
+    'form' => $form ?? ['id' => 0, 'position' => '', 'question' => '', 'choices' => '', 'correct' => 1, 'points' => 1,
+        'required' => false],
+    'editing' => !empty($form['id']),
+    'users' => $users,
+    'hasusers' => !empty($users),
+    'total' => count($checkpoints),
+    'maxgrade' => $maxgrade,
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'backurl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $video->id]))->out(false)
+]);
+echo $OUTPUT->footer();
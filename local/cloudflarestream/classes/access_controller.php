@@ -93,6 +93,64 @@ class access_controller {
         return $result;
     }
 
+    /**
+     * Check if user can watch a live session.
+     *
+     * Live sessions are open to everyone enrolled in the course; access rules
+     * apply to the recording once it is a video.
+     *
+     * @param \stdClass $session Live session record
+     * @param int $userid User ID (optional, defaults to current user)
+     * @return array Access check result
+     */
+    public static function can_view_live_session($session, $userid = null) {
+        global $USER;
+
+        if ($userid === null) {
+            $userid = $USER->id;
+        }
+
+        if (!$userid) {
+            return [
+                'allowed' => false,
+                'reason' => 'user_not_authenticated',
+                'message' => 'User must be logged in to view videos'
+            ];
+        }
+
+        $context = \context_course::instance($session->course_id);
+        if ($session->user_id == $userid || has_capability('moodle/course:update', $context, $userid)) {
+            return [
+                'allowed' => true,
+                'reason' => 'manager',
+                'message' => 'User manages the course'
+            ];
+        }
+
+        if (!is_enrolled($context, $userid)) {
+            return [
+                'allowed' => false,
+                'reason' => 'not_enrolled',
+                'message' => 'User is not enrolled in the course'
+            ];
+        }
+
+        $course = get_course($session->course_id);
+        if (!$course->visible && !has_capability('moodle/course:viewhiddencourses', $context, $userid)) {
+            return [
+                'allowed' => false,
+                'reason' => 'course_hidden',
+                'message' => 'Course is not visible to user'
+            ];
+        }
+
+        return [
+            'allowed' => true,
+            'reason' => 'enrolled',
+            'message' => 'User is enrolled in course'
+        ];
+    }
+
     /**
      * Check if user can download video.
      *
@@ -302,6 +360,21 @@ class access_controller {
                 ];
             }
 
+            // Hidden from the video library, only people who manage the course still see it
+            if (library_manager::is_hidden($video) && !has_capability('moodle/course:update', $context, $userid)) {
+                return [
+                    'allowed' => false,
+                    'reason' => 'video_hidden',
+                    'message' => get_string('error_video_hidden', 'local_cloudflarestream')
+                ];
+            }
+
+            // Availability window, view limit and IP ranges set by the teacher
+            $rulecheck = access_rule_manager::check_access($video, $userid);
+            if (!$rulecheck['allowed']) {
+                return $rulecheck;
+            }
+
             return [
                 'allowed' => true,
                 'reason' => 'enrolled',
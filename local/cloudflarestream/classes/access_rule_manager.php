@@ -0,0 +1,372 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-course and per-video access rules.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\auth\signing_key_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages the availability window, view limit, IP ranges and countries
+ * teachers set on a course or on a single video.
+ *
+ * Course rules are stored with video_id 0 and apply to every video of the
+ * course; a rule set on a video replaces the course value for that video.
+ * Rules only apply to learners, people who can manage the course are never
+ * held back by them.
+ */
+class access_rule_manager {
+
+    /** @var string Table name for access rules */
+    const TABLE_RULES = 'local_cloudflarestream_rules';
+
+    /** @var array Rule fields with their empty value */
+    const FIELDS = [
+        'available_from' => 0,
+        'available_until' => 0,
+        'max_views' => 0,
+        'ip_ranges' => '',
+        'allowed_countries' => '',
+        'blocked_countries' => ''
+    ];
+
+    // Reasons access is refused for
+    const REASON_NOT_YET_AVAILABLE = 'not_yet_available';
+    const REASON_NO_LONGER_AVAILABLE = 'no_longer_available';
+    const REASON_VIEW_LIMIT = 'view_limit_reached';
+    const REASON_IP_NOT_ALLOWED = 'ip_not_allowed';
+    const REASON_COUNTRY_NOT_ALLOWED = 'country_not_allowed';
+
+    /** @var array All reasons a rule can refuse access for */
+    const REASONS = [
+        self::REASON_NOT_YET_AVAILABLE,
+        self::REASON_NO_LONGER_AVAILABLE,
+        self::REASON_VIEW_LIMIT,
+        self::REASON_IP_NOT_ALLOWED,
+        self::REASON_COUNTRY_NOT_ALLOWED
+    ];
+
+    /**
+     * Get the rules set directly on a course or a video.
+     *
+     * @param int $courseid Course ID
+     * @param int $videoid Video record ID, or 0 for the course rules
+     * @return array Rule values, empty where nothing is set
+     */
+    public static function get_rules($courseid, $videoid = 0) {
+        global $DB;
+
+        $rules = self::FIELDS;
+        $record = $DB->get_record(self::TABLE_RULES, ['course_id' => $courseid, 'video_id' => $videoid]);
+        if ($record) {
+            foreach (array_keys(self::FIELDS) as $field) {
+                $rules[$field] = $record->$field ?? self::FIELDS[$field];
+            }
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Get the rules that apply to a video, its own rules taking precedence over the course ones.
+     *
+     * @param \stdClass $video Video record
+     * @return array Rule values
+     */
+    public static function get_effective_rules($video) {
+        $courserules = self::get_rules($video->course_id);
+        $videorules = self::get_rules($video->course_id, $video->id);
+
+        $rules = [];
+        foreach (self::FIELDS as $field => $empty) {
+            $rules[$field] = $videorules[$field] != $empty ? $videorules[$field] : $courserules[$field];
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Save the rules of a course or a video.
+     *
+     * @param int $courseid Course ID
+     * @param int $videoid Video record ID, or 0 for the course rules
+     * @param array $rules Rule values; missing or empty ones are cleared
+     * @return array Result with success, and error when the rules are invalid
+     */
+    public static function save_rules($courseid, $videoid, array $rules) {
+        global $DB;
+
+        $clean = [
+            'available_from' => max(0, (int)($rules['available_from'] ?? 0)),
+            'available_until' => max(0, (int)($rules['available_until'] ?? 0)),
+            'max_views' => max(0, (int)($rules['max_views'] ?? 0)),
+            'ip_ranges' => implode("\n", signing_key_manager::parse_ip_ranges($rules['ip_ranges'] ?? '')),
+            'allowed_countries' => implode(',', signing_key_manager::parse_countries($rules['allowed_countries'] ?? '')),
+            'blocked_countries' => implode(',', signing_key_manager::parse_countries($rules['blocked_countries'] ?? ''))
+        ];
+
+        if ($clean['available_from'] && $clean['available_until'] && $clean['available_from'] >= $clean['available_until']) {
+            return [
+                'success' => false,
+                'error' => get_string('error_access_window', 'local_cloudflarestream')
+            ];
+        }
+
+        $record = $DB->get_record(self::TABLE_RULES, ['course_id' => $courseid, 'video_id' => $videoid]);
+
+        // Nothing left to enforce, drop the record
+        if ($clean == self::FIELDS) {
+            if ($record) {
+                $DB->delete_records(self::TABLE_RULES, ['id' => $record->id]);
+            }
+            return ['success' => true];
+        }
+
+        $now = time();
+        if ($record) {
+            $DB->update_record(self::TABLE_RULES, (object)(['id' => $record->id, 'timemodified' => $now] + $clean));
+        } else {
+            $DB->insert_record(self::TABLE_RULES, (object)([
+                'course_id' => $courseid,
+                'video_id' => $videoid,
+                'timecreated' => $now,
+                'timemodified' => $now
+            ] + $clean));
+        }
+
+        return ['success' => true];
+    }
+
+    /**
+     * Check whether the rules of a video apply to a user.
+     *
+     * @param \stdClass $video Video record
+     * @param int $userid User ID
+     * @return bool False for the uploader and people who can manage the course
+     */
+    public static function applies_to($video, $userid) {
+        if ($video->user_id == $userid) {
+            return false;
+        }
+        return !has_capability('moodle/course:update', \context_course::instance($video->course_id), $userid);
+    }
+
+    /**
+     * Check the availability window, IP ranges and countries of a video for a learner.
+     *
+     * Countries are only checked when the country of the viewer is known; Cloudflare
+     * enforces them through the token either way. The view limit is checked separately,
+     * only when a player is opened or starts playing.
+     *
+     * @param \stdClass $video Video record
+     * @param int $userid User ID
+     * @param string|null $ip Address of the viewer, defaults to the current request
+     * @param int|null $now Current time, for tests
+     * @return array Access check result with allowed, reason and message
+     */
+    public static function check_access($video, $userid, $ip = null, $now = null) {
+        if (!self::applies_to($video, $userid)) {
+            return ['allowed' => true, 'reason' => 'rules_exempt', 'message' => 'Access rules do not apply to the user'];
+        }
+
+        $rules = self::get_effective_rules($video);
+        $now = $now ?? time();
+
+        if ($rules['available_from'] && $now < $rules['available_from']) {
+            return self::deny(self::REASON_NOT_YET_AVAILABLE, userdate($rules['available_from']));
+        }
+        if ($rules['available_until'] && $now >= $rules['available_until']) {
+            return self::deny(self::REASON_NO_LONGER_AVAILABLE, userdate($rules['available_until']));
+        }
+
+        $ranges = self::get_ip_ranges($rules);
+        if ($ranges && !address_in_subnet($ip ?? getremoteaddr(), implode(',', $ranges))) {
+            return self::deny(self::REASON_IP_NOT_ALLOWED);
+        }
+
+        // Same order as the token rules: blocked countries first, then an allowed address or country
+        $country = self::get_viewer_country($ip);
+        if ($country !== '') {
+            list($allowed, $blocked) = self::get_countries($rules);
+            if (in_array($country, $blocked) || ($allowed && !$ranges && !in_array($country, $allowed))) {
+                return self::deny(self::REASON_COUNTRY_NOT_ALLOWED, $country);
+            }
+        }
+
+        return ['allowed' => true, 'reason' => 'rules_passed', 'message' => 'Access rules allow the user'];
+    }
+
+    /**
+     * Check whether a learner may open the player of a video once more.
+     *
+     * Kept apart from check_access(), as the player that used up the last view
+     * must keep refreshing its token and saving progress.
+     *
+     * @param \stdClass $video Video record
+     * @param int $userid User ID
+     * @return array Access check result with allowed, reason and message
+     */
+    public static function check_view_limit($video, $userid) {
+        if (!self::applies_to($video, $userid)) {
+            return ['allowed' => true, 'reason' => 'rules_exempt', 'message' => 'Access rules do not apply to the user'];
+        }
+
+        $maxviews = self::get_effective_rules($video)['max_views'];
+        if ($maxviews) {
+            $view = watch_manager::get_view($userid, $video->id);
+            if ($view && $view->play_count >= $maxviews) {
+                return self::deny(self::REASON_VIEW_LIMIT, $maxviews);
+            }
+        }
+
+        return ['allowed' => true, 'reason' => 'rules_passed', 'message' => 'Access rules allow the user'];
+    }
+
+    /**
+     * Build the Cloudflare access rules a playback token for a user carries.
+     *
+     * Learners get the rules of the video, falling back to the site settings
+     * where the video and course set nothing. Countries blocked by the site stay blocked.
+     *
+     * @param \stdClass $video Video record
+     * @param int $userid User ID
+     * @param string|null $viewerip Address the token is limited to, if any
+     * @return array Access rules
+     */
+    public static function get_token_rules($video, $userid, $viewerip = null) {
+        if (!self::applies_to($video, $userid)) {
+            return signing_key_manager::get_site_access_rules($viewerip);
+        }
+
+        $rules = self::get_effective_rules($video);
+
+        $ranges = self::get_ip_ranges($rules);
+        if ($viewerip && (!$ranges || address_in_subnet($viewerip, implode(',', $ranges)))) {
+            $ranges = signing_key_manager::parse_ip_ranges($viewerip);
+        }
+
+        list($allowed, $blocked) = self::get_countries($rules);
+
+        return signing_key_manager::build_access_rules($allowed, $blocked, $ranges);
+    }
+
+    /**
+     * Find the country a viewer connects from.
+     *
+     * Sites behind Cloudflare get it from the CF-IPCountry header of the request,
+     * others from the GeoIP database Moodle is set up with. The header can be
+     * forged by viewers who reach the site directly, which only changes the
+     * message they see, as Cloudflare checks the country again when they play.
+     *
+     * @param string|null $ip Address of the viewer, defaults to the current request
+     * @return string Upper case country code, or an empty string when unknown
+     */
+    public static function get_viewer_country($ip = null) {
+        global $CFG;
+
+        if ($ip === null && !empty($_SERVER['HTTP_CF_IPCOUNTRY'])) {
+            $country = strtoupper(clean_param($_SERVER['HTTP_CF_IPCOUNTRY'], PARAM_ALPHA));
+            // XX is sent for addresses Cloudflare cannot place
+            return (strlen($country) == 2 && $country !== 'XX') ? $country : '';
+        }
+
+        if (empty($CFG->geoip2file) || !file_exists($CFG->geoip2file)) {
+            return '';
+        }
+
+        try {
+            $reader = new \GeoIp2\Database\Reader($CFG->geoip2file);
+            return strtoupper((string)$reader->city($ip ?? getremoteaddr())->country->isoCode);
+        } catch (\Exception $e) {
+            // Private and unknown addresses are not in the database
+            return '';
+        }
+    }
+
+    /**
+     * Get the videos of a course that set rules of their own.
+     *
+     * @param int $courseid Course ID
+     * @return array Video record IDs
+     */
+    public static function get_videos_with_rules($courseid) {
+        global $DB;
+        return $DB->get_fieldset_select(self::TABLE_RULES, 'video_id', 'course_id = ? AND video_id > 0', [$courseid]);
+    }
+
+    /**
+     * Delete the rules of a video.
+     *
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function delete_video_rules($videoid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_RULES, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Get the IP ranges that apply, the site ones when the rules set none.
+     *
+     * @param array $rules Effective rules
+     * @return array CIDR ranges
+     */
+    private static function get_ip_ranges(array $rules) {
+        $ranges = $rules['ip_ranges'] !== '' ? $rules['ip_ranges'] : (string)config_manager::get('allowed_ip_ranges', '');
+        return signing_key_manager::parse_ip_ranges($ranges);
+    }
+
+    /**
+     * Get the allowed and blocked countries that apply.
+     *
+     * The site allowed countries are used when the rules set none, and the
+     * site blocked countries stay blocked.
+     *
+     * @param array $rules Effective rules
+     * @return array Allowed and blocked country codes
+     */
+    private static function get_countries(array $rules) {
+        $allowed = $rules['allowed_countries'] !== '' ? $rules['allowed_countries'] :
+            (string)config_manager::get('allowed_countries', '');
+        $blocked = $rules['blocked_countries'] . ',' . config_manager::get('blocked_countries', '');
+
+        return [signing_key_manager::parse_countries($allowed), signing_key_manager::parse_countries($blocked)];
+    }
+
+    /**
+     * Build a refused access result with the message shown to the learner.
+     *
+     * @param string $reason One of the REASON_* constants
+     * @param mixed $a Value for the message string
+     * @return array Access check result
+     */
+    private static function deny($reason, $a = null) {
+        return [
+            'allowed' => false,
+            'reason' => $reason,
+            'message' => get_string('access_denied_' . $reason, 'local_cloudflarestream', $a)
+        ];
+    }
+}
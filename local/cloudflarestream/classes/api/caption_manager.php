@@ -0,0 +1,543 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Caption and subtitle manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\api;
+
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages the caption tracks of videos on Cloudflare Stream.
+ */
+class caption_manager {
+
+    /** @var string Regular expression matching a WebVTT cue timing line */
+    const VTT_TIMING = '/^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(\s.*)?$/';
+
+    /** @var string Regular expression matching an SRT cue timing line */
+    const SRT_TIMING = '/^(\d+:\d{2}:\d{2}),(\d{3})\s+-->\s+(\d+:\d{2}:\d{2}),(\d{3})(\s.*)?$/';
+
+    /** @var int Largest caption file accepted, Cloudflare's own limit */
+    const MAX_CAPTION_SIZE = 10485760;
+
+    /** @var cloudflare_client API client */
+    private $client;
+
+    /**
+     * Constructor.
+     *
+     * @param cloudflare_client $client API client
+     */
+    public function __construct(cloudflare_client $client) {
+        $this->client = $client;
+    }
+
+    /**
+     * List the caption tracks of a video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Result with captions
+     */
+    public function list_captions($videoid) {
+        try {
+            $video = $this->get_cloudflare_video($videoid);
+            $response = $this->client->list_captions($video->cloudflare_video_id);
+            $default = self::get_default_text_track($video);
+
+            $captions = [];
+            foreach ($response['result'] ?? [] as $track) {
+                $captions[] = [
+                    'language' => $track['language'],
+                    'label' => $track['label'] ?? $track['language'],
+                    'generated' => !empty($track['generated']),
+                    'status' => $track['status'] ?? 'ready',
+                    'default' => $track['language'] === $default
+                ];
+            }
+
+            return [
+                'success' => true,
+                'captions' => $captions
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Upload a WebVTT or SRT caption file for one language.
+     *
+     * SRT files are converted to WebVTT, which is the only format Cloudflare accepts.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language BCP 47 language tag
+     * @param string $content Caption file content
+     * @return array Upload result
+     */
+    public function upload_caption($videoid, $language, $content) {
+        try {
+            if (!self::is_valid_language($language)) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_caption_language', 'local_cloudflarestream')
+                ];
+            }
+
+            $prepared = self::prepare_vtt($content);
+            if (!$prepared['valid']) {
+                return [
+                    'success' => false,
+                    'error' => $prepared['error']
+                ];
+            }
+
+            $video = $this->get_cloudflare_video($videoid);
+            $this->client->upload_caption($video->cloudflare_video_id, $language, $prepared['vtt']);
+            self::purge_transcripts($video->id);
+
+            return ['success' => true];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Ask Cloudflare to generate captions for a language with speech recognition.
+     *
+     * Generation runs in the background; the track is listed as in progress until it is done.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language BCP 47 language tag
+     * @return array Result
+     */
+    public function generate_captions($videoid, $language) {
+        try {
+            if (!self::is_valid_language($language)) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_caption_language', 'local_cloudflarestream')
+                ];
+            }
+
+            $video = $this->get_cloudflare_video($videoid);
+            $this->client->generate_captions($video->cloudflare_video_id, $language);
+            self::purge_transcripts($video->id);
+
+            return ['success' => true];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Delete the caption track of a language.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language BCP 47 language tag
+     * @return array Result
+     */
+    public function delete_caption($videoid, $language) {
+        try {
+            $video = $this->get_cloudflare_video($videoid);
+            $this->client->delete_caption($video->cloudflare_video_id, $language);
+            self::purge_transcripts($video->id);
+
+            if (self::get_default_text_track($video) === $language) {
+                self::set_default_text_track($video->id, null);
+            }
+
+            return ['success' => true];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Download the WebVTT content of a caption track.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language BCP 47 language tag
+     * @return array Result with vtt
+     */
+    public function get_caption($videoid, $language) {
+        try {
+            $video = $this->get_cloudflare_video($videoid);
+
+            return [
+                'success' => true,
+                'vtt' => $this->client->get_caption_vtt($video->cloudflare_video_id, $language)
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Get the transcript of a video as a list of cues.
+     *
+     * Tracks and cues are cached, so players do not hit the Cloudflare API on every page view.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language Preferred language, empty for the video's default
+     * @return array Result with language, languages and cues
+     */
+    public function get_transcript($videoid, $language = '') {
+        try {
+            $video = $this->get_cloudflare_video($videoid);
+            $cache = \cache::make('local_cloudflarestream', 'transcripts');
+
+            $tracks = $cache->get($video->id);
+            if ($tracks === false) {
+                $tracks = [];
+                foreach ($this->client->list_captions($video->cloudflare_video_id)['result'] ?? [] as $track) {
+                    if (($track['status'] ?? 'ready') === 'ready') {
+                        $tracks[$track['language']] = $track['label'] ?? $track['language'];
+                    }
+                }
+                $cache->set($video->id, $tracks);
+            }
+
+            $language = self::pick_language(array_keys($tracks), $language, self::get_default_text_track($video));
+            if ($language === null) {
+                return [
+                    'success' => true,
+                    'language' => '',
+                    'languages' => [],
+                    'cues' => []
+                ];
+            }
+
+            $cachekey = $video->id . '_' . str_replace('-', '_', $language);
+            $cues = $cache->get($cachekey);
+            if ($cues === false) {
+                $cues = self::parse_vtt($this->client->get_caption_vtt($video->cloudflare_video_id, $language));
+                $cache->set($cachekey, $cues);
+            }
+
+            $languages = [];
+            foreach ($tracks as $code => $label) {
+                $languages[] = ['language' => $code, 'label' => $label];
+            }
+
+            return [
+                'success' => true,
+                'language' => $language,
+                'languages' => $languages,
+                'cues' => $cues
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Choose the transcript language to show.
+     *
+     * @param array $available Languages with a ready track
+     * @param string $requested Language asked for by the viewer
+     * @param string|null $default Default caption language of the video
+     * @return string|null Language, or null when there is no track
+     */
+    private static function pick_language(array $available, $requested, $default) {
+        $preferred = [$requested, $default, current_language(), substr(current_language(), 0, 2)];
+        foreach ($preferred as $language) {
+            if ($language && in_array($language, $available)) {
+                return $language;
+            }
+        }
+
+        return $available ? reset($available) : null;
+    }
+
+    /**
+     * Parse WebVTT into cues with plain text.
+     *
+     * @param string $vtt WebVTT content
+     * @return array Cues with start, end and text
+     */
+    public static function parse_vtt($vtt) {
+        $vtt = str_replace(["\r\n", "\r"], "\n", $vtt);
+
+        $cues = [];
+        foreach (preg_split('/\n{2,}/', trim($vtt)) as $block) {
+            $lines = explode("\n", trim($block));
+
+            // Skip the header, notes, styles and regions, and an optional cue identifier
+            while ($lines && strpos($lines[0], '-->') === false) {
+                array_shift($lines);
+            }
+            if (!$lines || !preg_match(self::VTT_TIMING, trim(array_shift($lines)), $matches)) {
+                continue;
+            }
+
+            // Drop voice, class and timestamp tags inside the cue text
+            $text = trim(html_entity_decode(strip_tags(implode(' ', $lines)), ENT_QUOTES | ENT_HTML5, 'UTF-8'));
+            if ($text === '') {
+                continue;
+            }
+
+            $cues[] = [
+                'start' => self::to_seconds($matches[1]),
+                'end' => self::to_seconds($matches[2]),
+                'text' => $text
+            ];
+        }
+
+        return $cues;
+    }
+
+    /**
+     * Forget the cached transcripts of a video.
+     *
+     * @param int $videoid Video record ID
+     */
+    private static function purge_transcripts($videoid) {
+        $cache = \cache::make('local_cloudflarestream', 'transcripts');
+        $tracks = $cache->get($videoid) ?: [];
+
+        $keys = [$videoid];
+        foreach (array_keys($tracks) as $language) {
+            $keys[] = $videoid . '_' . str_replace('-', '_', $language);
+        }
+        $cache->delete_many($keys);
+    }
+
+    /**
+     * Get the caption language the player shows by default.
+     *
+     * @param \stdClass $video Video record
+     * @return string|null Language tag, or null to show no captions by default
+     */
+    public static function get_default_text_track($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        return $metadata['default_text_track'] ?? null;
+    }
+
+    /**
+     * Set the caption language the player shows by default.
+     *
+     * @param int $videoid Video record ID
+     * @param string|null $language Language tag, or null to show no captions by default
+     * @return bool Success
+     */
+    public static function set_default_text_track($videoid, $language) {
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return false;
+        }
+
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        if ($language === null) {
+            unset($metadata['default_text_track']);
+        } else {
+            $metadata['default_text_track'] = $language;
+        }
+
+        return video_manager::update_video($videoid, ['metadata' => json_encode($metadata)]);
+    }
+
+    /**
+     * Check a language tag.
+     *
+     * @param string $language Language tag such as en, pt-BR or zh-Hans
+     * @return bool Whether the tag is well formed
+     */
+    public static function is_valid_language($language) {
+        return (bool)preg_match('/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/', $language);
+    }
+
+    /**
+     * Turn an uploaded caption file into validated WebVTT.
+     *
+     * @param string $content WebVTT or SRT content
+     * @return array Result with valid, vtt and error
+     */
+    public static function prepare_vtt($content) {
+        if (strlen($content) > self::MAX_CAPTION_SIZE) {
+            return [
+                'valid' => false,
+                'error' => get_string('error_file_too_large', 'local_cloudflarestream')
+            ];
+        }
+
+        // Strip the byte order mark and normalise line endings
+        $content = preg_replace('/^\xEF\xBB\xBF/', '', $content);
+        $content = str_replace(["\r\n", "\r"], "\n", $content);
+
+        if (strpos(ltrim($content), 'WEBVTT') !== 0) {
+            $content = self::convert_srt_to_vtt($content);
+        }
+
+        $validation = self::validate_vtt($content);
+        if (!$validation['valid']) {
+            return $validation;
+        }
+
+        return [
+            'valid' => true,
+            'vtt' => $content
+        ];
+    }
+
+    /**
+     * Convert SRT subtitles to WebVTT.
+     *
+     * @param string $srt SRT content with normalised line endings
+     * @return string WebVTT content
+     */
+    public static function convert_srt_to_vtt($srt) {
+        $lines = [];
+        foreach (explode("\n", trim($srt)) as $line) {
+            // Only timing lines change, SRT uses a comma before the milliseconds
+            if (preg_match(self::SRT_TIMING, trim($line), $matches)) {
+                $line = "{$matches[1]}.{$matches[2]} --> {$matches[3]}.{$matches[4]}";
+            }
+            $lines[] = $line;
+        }
+
+        return "WEBVTT\n\n" . implode("\n", $lines) . "\n";
+    }
+
+    /**
+     * Validate WebVTT content.
+     *
+     * @param string $vtt WebVTT content with normalised line endings
+     * @return array Result with valid and error
+     */
+    public static function validate_vtt($vtt) {
+        $lines = explode("\n", $vtt);
+
+        if (!preg_match('/^WEBVTT(\s|$)/', trim($lines[0]))) {
+            return [
+                'valid' => false,
+                'error' => get_string('error_caption_header', 'local_cloudflarestream')
+            ];
+        }
+
+        $cues = 0;
+        foreach ($lines as $number => $line) {
+            if (strpos($line, '-->') === false) {
+                continue;
+            }
+
+            if (!preg_match(self::VTT_TIMING, trim($line), $matches)
+                    || self::to_seconds($matches[1]) >= self::to_seconds($matches[2])) {
+                return [
+                    'valid' => false,
+                    'error' => get_string('error_caption_timing', 'local_cloudflarestream', $number + 1)
+                ];
+            }
+            $cues++;
+        }
+
+        if (!$cues) {
+            return [
+                'valid' => false,
+                'error' => get_string('error_caption_empty', 'local_cloudflarestream')
+            ];
+        }
+
+        return ['valid' => true];
+    }
+
+    /**
+     * Convert a WebVTT timestamp to seconds.
+     *
+     * @param string $timestamp Timestamp such as 01:02:03.456 or 02:03.456
+     * @return float Seconds
+     */
+    private static function to_seconds($timestamp) {
+        $seconds = 0;
+        foreach (explode(':', $timestamp) as $part) {
+            $seconds = $seconds * 60 + (float)$part;
+        }
+        return $seconds;
+    }
+
+    /**
+     * Get a video that exists on Cloudflare.
+     *
+     * @param int $videoid Video record ID
+     * @return \stdClass Video record
+     * @throws \moodle_exception If the video has not been uploaded yet
+     */
+    private function get_cloudflare_video($videoid) {
+        $video = video_manager::get_video($videoid);
+        if (!$video || empty($video->cloudflare_video_id)) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+
+        return $video;
+    }
+
+    /**
+     * Get instance for the site credentials or a credential profile.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return self|null Caption manager instance or null if not configured
+     */
+    public static function get_instance($profileid = 0) {
+        $client = cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return null;
+        }
+
+        return new self($client);
+    }
+
+    /**
+     * Get instance for the Cloudflare account a video lives in.
+     *
+     * @param \stdClass $video Video record
+     * @return self|null Caption manager instance or null if not configured
+     */
+    public static function for_video($video) {
+        return self::get_instance($video->profile_id ?? 0);
+    }
+}
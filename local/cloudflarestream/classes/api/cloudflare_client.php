@@ -153,6 +153,71 @@ class cloudflare_client {
         return $this->make_request('POST', "/accounts/{$this->accountid}/stream", null, $curloptions);
     }
 
+    /**
+     * Create a one-time tus upload URL a browser can upload to directly.
+     *
+     * Cloudflare answers the tus creation request with an empty body and
+     * returns the upload URL and video ID in response headers.
+     *
+     * @param int $filesize Size of the file to upload in bytes
+     * @param array $metadata Upload metadata (name, requiresignedurls, expiry, ...), null values are sent as flags
+     * @return array API response with uploadURL and uid in result
+     * @throws \Exception On request failure
+     */
+    public function create_tus_upload($filesize, $metadata = []) {
+        $uploadmetadata = [];
+        foreach ($metadata as $key => $value) {
+            $uploadmetadata[] = $value === null ? $key : $key . ' ' . base64_encode($value);
+        }
+
+        $headers = [];
+        $curloptions = $this->curloptions;
+        $curloptions[CURLOPT_FOLLOWLOCATION] = false;
+        $curloptions[CURLOPT_HTTPHEADER] = [
+            'Authorization: Bearer ' . $this->apitoken,
+            'Tus-Resumable: 1.0.0',
+            'Upload-Length: ' . (int)$filesize,
+            'Upload-Metadata: ' . implode(',', $uploadmetadata),
+        ];
+        $curloptions[CURLOPT_POSTFIELDS] = '';
+        $curloptions[CURLOPT_HEADERFUNCTION] = function($curl, $header) use (&$headers) {
+            $parts = explode(':', $header, 2);
+            if (count($parts) === 2) {
+                $headers[strtolower(trim($parts[0]))] = trim($parts[1]);
+            }
+            return strlen($header);
+        };
+
+        $curl = curl_init();
+        curl_setopt_array($curl, $curloptions);
+        curl_setopt($curl, CURLOPT_URL, self::API_BASE_URL . "/accounts/{$this->accountid}/stream?direct_user=true");
+        curl_setopt($curl, CURLOPT_CUSTOMREQUEST, 'POST');
+
+        $response = curl_exec($curl);
+        $httpcode = curl_getinfo($curl, CURLINFO_HTTP_CODE);
+        $error = curl_error($curl);
+        curl_close($curl);
+
+        if ($response === false) {
+            throw new \Exception('cURL error: ' . $error);
+        }
+
+        if ($httpcode != 201 || empty($headers['location']) || empty($headers['stream-media-id'])) {
+            $decoded = json_decode($response, true);
+            throw new \Exception("HTTP {$httpcode}: " . ($decoded ? $this->format_error_message($decoded) : 'Upload URL not returned'));
+        }
+
+        $this->log_request('POST', "/accounts/{$this->accountid}/stream?direct_user=true", $httpcode, 1);
+
+        return [
+            'success' => true,
+            'result' => [
+                'uploadURL' => $headers['location'],
+                'uid' => $headers['stream-media-id']
+            ]
+        ];
+    }
+
     /**
      * Get video status and details.
      *
@@ -173,6 +238,31 @@ class cloudflare_client {
         return $this->make_request('DELETE', "/accounts/{$this->accountid}/stream/{$videoid}");
     }
 
+    /**
+     * Create a new video from part of a video already on Cloudflare Stream.
+     *
+     * The clip is processed like an upload and reports its status the same way.
+     *
+     * @param string $videoid Cloudflare video ID of the source video
+     * @param int $start Second of the source video the clip starts at
+     * @param int $end Second of the source video the clip ends at
+     * @param array $metadata Clip metadata (name)
+     * @return array API response with the new video in result
+     */
+    public function create_clip($videoid, $start, $end, $metadata = []) {
+        $data = [
+            'clippedFromVideoUID' => $videoid,
+            'startTimeSeconds' => (int)$start,
+            'endTimeSeconds' => (int)$end,
+            'requireSignedURLs' => true
+        ];
+        if (isset($metadata['name'])) {
+            $data['meta'] = ['name' => $metadata['name']];
+        }
+
+        return $this->make_request('POST', "/accounts/{$this->accountid}/stream/clip", $data);
+    }
+
     /**
      * Generate signed URL for video access.
      *
@@ -193,6 +283,9 @@ class cloudflare_client {
         if (isset($options['pem'])) {
             $data['pem'] = $options['pem'];
         }
+        if (!empty($options['accessRules'])) {
+            $data['accessRules'] = $options['accessRules'];
+        }
 
         return $this->make_request('POST', "/accounts/{$this->accountid}/stream/{$videoid}/token", $data);
     }
@@ -250,12 +343,226 @@ class cloudflare_client {
     }
 
     /**
-     * Get account usage statistics.
+     * List the caption tracks of a video.
+     *
+     * @param string $videoid Cloudflare video ID
+     * @return array API response
+     */
+    public function list_captions($videoid) {
+        return $this->make_request('GET', "/accounts/{$this->accountid}/stream/{$videoid}/captions");
+    }
+
+    /**
+     * Upload a WebVTT caption track, replacing any track in the same language.
+     *
+     * @param string $videoid Cloudflare video ID
+     * @param string $language BCP 47 language tag
+     * @param string $vtt WebVTT content
+     * @return array API response
+     */
+    public function upload_caption($videoid, $language, $vtt) {
+        $filepath = make_request_directory() . '/' . $language . '.vtt';
+        file_put_contents($filepath, $vtt);
+
+        $curloptions = $this->curloptions;
+        $curloptions[CURLOPT_HTTPHEADER] = [
+            'Authorization: Bearer ' . $this->apitoken,
+            // Don't set Content-Type for multipart uploads - let cURL handle it
+        ];
+        $curloptions[CURLOPT_POSTFIELDS] = [
+            'file' => new \CURLFile($filepath, 'text/vtt', basename($filepath))
+        ];
+
+        return $this->make_request('PUT', "/accounts/{$this->accountid}/stream/{$videoid}/captions/" . rawurlencode($language),
+            null, $curloptions);
+    }
+
+    /**
+     * Ask Cloudflare to generate a caption track with speech recognition.
+     *
+     * @param string $videoid Cloudflare video ID
+     * @param string $language BCP 47 language tag
+     * @return array API response
+     */
+    public function generate_captions($videoid, $language) {
+        return $this->make_request('POST',
+            "/accounts/{$this->accountid}/stream/{$videoid}/captions/" . rawurlencode($language) . '/generate');
+    }
+
+    /**
+     * Delete a caption track.
+     *
+     * @param string $videoid Cloudflare video ID
+     * @param string $language BCP 47 language tag
+     * @return array API response
+     */
+    public function delete_caption($videoid, $language) {
+        return $this->make_request('DELETE', "/accounts/{$this->accountid}/stream/{$videoid}/captions/" . rawurlencode($language));
+    }
+
+    /**
+     * Download a caption track as WebVTT.
+     *
+     * @param string $videoid Cloudflare video ID
+     * @param string $language BCP 47 language tag
+     * @return string WebVTT content
+     * @throws \Exception On request failure
+     */
+    public function get_caption_vtt($videoid, $language) {
+        $endpoint = "/accounts/{$this->accountid}/stream/{$videoid}/captions/" . rawurlencode($language) . '/vtt';
+
+        $curl = curl_init();
+        curl_setopt_array($curl, $this->curloptions);
+        curl_setopt($curl, CURLOPT_URL, self::API_BASE_URL . $endpoint);
+
+        $response = curl_exec($curl);
+        $httpcode = curl_getinfo($curl, CURLINFO_HTTP_CODE);
+        $error = curl_error($curl);
+        curl_close($curl);
+
+        if ($response === false) {
+            throw new \Exception('cURL error: ' . $error);
+        }
+
+        // Errors come back as JSON, captions as plain text
+        if ($httpcode >= 400) {
+            $decoded = json_decode($response, true);
+            throw new \Exception("HTTP {$httpcode}: " . ($decoded ? $this->format_error_message($decoded) : $response));
+        }
+
+        $this->log_request('GET', $endpoint, $httpcode, 1);
+
+        return $response;
+    }
+
+    /**
+     * Create a live input that records every broadcast it receives.
+     *
+     * The response carries the input ID and its RTMPS, SRT and WebRTC ingest details.
+     *
+     * @param string $name Input name
+     * @param int $timeout Seconds to wait for the encoder to reconnect before a recording is finished
+     * @return array API response
+     */
+    public function create_live_input($name, $timeout = 0) {
+        return $this->make_request('POST', "/accounts/{$this->accountid}/stream/live_inputs", [
+            'meta' => ['name' => $name],
+            'recording' => [
+                'mode' => 'automatic',
+                'requireSignedURLs' => true,
+                'timeoutSeconds' => $timeout
+            ]
+        ]);
+    }
+
+    /**
+     * List the videos of a live input: the broadcast in progress and its recordings.
+     *
+     * @param string $inputid Live input ID
+     * @return array API response
+     */
+    public function list_live_input_videos($inputid) {
+        return $this->make_request('GET', "/accounts/{$this->accountid}/stream/live_inputs/{$inputid}/videos");
+    }
+
+    /**
+     * Delete a live input. Its recordings are kept.
+     *
+     * @param string $inputid Live input ID
+     * @return array API response
+     */
+    public function delete_live_input($inputid) {
+        return $this->make_request('DELETE', "/accounts/{$this->accountid}/stream/live_inputs/{$inputid}");
+    }
+
+    /**
+     * Register the URL Cloudflare sends video status notifications to.
+     *
+     * The response contains the secret the notifications are signed with.
+     *
+     * @param string $notificationurl Webhook URL
+     * @return array API response
+     */
+    public function register_webhook($notificationurl) {
+        return $this->make_request('PUT', "/accounts/{$this->accountid}/stream/webhook", [
+            'notificationUrl' => $notificationurl
+        ]);
+    }
+
+    /**
+     * Get the registered webhook.
+     *
+     * @return array API response
+     */
+    public function get_webhook() {
+        return $this->make_request('GET', "/accounts/{$this->accountid}/stream/webhook");
+    }
+
+    /**
+     * Create a signing key playback tokens can be signed with locally.
+     *
+     * The response carries the key ID and the private key as a base64 encoded PEM.
+     * Cloudflare does not return the private key again later.
+     *
+     * @return array API response
+     */
+    public function create_signing_key() {
+        return $this->make_request('POST', "/accounts/{$this->accountid}/stream/keys");
+    }
+
+    /**
+     * Delete a signing key, invalidating every token signed with it.
+     *
+     * @param string $keyid Signing key ID
+     * @return array API response
+     */
+    public function delete_signing_key($keyid) {
+        return $this->make_request('DELETE', "/accounts/{$this->accountid}/stream/keys/{$keyid}");
+    }
+
+    /**
+     * Get the storage usage of the account.
+     *
+     * The result carries totalStorageMinutes, totalStorageMinutesLimit (the
+     * limit of the plan) and videoCount.
      *
      * @return array API response
      */
     public function get_usage_statistics() {
-        return $this->make_request('GET', "/accounts/{$this->accountid}/stream/analytics/views");
+        return $this->make_request('GET', "/accounts/{$this->accountid}/stream/storage-usage");
+    }
+
+    /**
+     * Get the minutes of video delivered to viewers between two dates.
+     *
+     * Delivery is only available from the GraphQL analytics API, which answers
+     * with data and errors instead of the usual success and result.
+     *
+     * @param string $start First day, as YYYY-MM-DD
+     * @param string $end Day after the last day, as YYYY-MM-DD
+     * @return array API response
+     */
+    public function get_minutes_viewed($start, $end) {
+        $query = 'query ($accountTag: string!, $start: Date!, $end: Date!) {
+            viewer {
+                accounts(filter: {accountTag: $accountTag}) {
+                    streamMinutesViewedAdaptiveGroups(limit: 1, filter: {date_geq: $start, date_lt: $end}) {
+                        sum {
+                            minutesViewed
+                        }
+                    }
+                }
+            }
+        }';
+
+        return $this->make_request('POST', '/graphql', [
+            'query' => $query,
+            'variables' => [
+                'accountTag' => $this->accountid,
+                'start' => $start,
+                'end' => $end
+            ]
+        ]);
     }
 
     /**
@@ -387,12 +694,23 @@ class cloudflare_client {
     }
 
     /**
-     * Get API configuration from plugin settings.
+     * Get a client for the site credentials or for a credential profile.
      *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
      * @return self|null Client instance or null if not configured
      */
-    public static function get_instance() {
+    public static function get_instance($profileid = 0) {
+        if ($profileid) {
+            $profile = \local_cloudflarestream\profile_manager::get_profile($profileid);
+            if (!$profile) {
+                return null;
+            }
+            return new self(\local_cloudflarestream\config_manager::decrypt_value($profile->api_token),
+                $profile->account_id);
+        }
+
         $apitoken = get_config('local_cloudflarestream', 'api_token');
+        $apitoken = \local_cloudflarestream\config_manager::decrypt_value($apitoken);
         $accountid = get_config('local_cloudflarestream', 'account_id');
         $zoneid = get_config('local_cloudflarestream', 'zone_id');
 
@@ -402,4 +720,14 @@ class cloudflare_client {
 
         return new self($apitoken, $accountid, $zoneid);
     }
+
+    /**
+     * Get a client for the Cloudflare account a video lives in.
+     *
+     * @param \stdClass $video Video record
+     * @return self|null Client instance or null if not configured
+     */
+    public static function for_video($video) {
+        return self::get_instance($video->profile_id ?? 0);
+    }
 }
\ No newline at end of file
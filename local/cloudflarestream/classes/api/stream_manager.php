@@ -24,6 +24,7 @@
 
 namespace local_cloudflarestream\api;
 
+use local_cloudflarestream\clip_manager;
 use local_cloudflarestream\video_manager;
 
 defined('MOODLE_INTERNAL') || die();
@@ -33,6 +34,9 @@ defined('MOODLE_INTERNAL') || die();
  */
 class stream_manager {
 
+    /** @var int Seconds a direct upload URL stays valid, the longest Cloudflare allows */
+    const DIRECT_UPLOAD_EXPIRY = 21600;
+
     /** @var cloudflare_client API client */
     private $client;
 
@@ -121,7 +125,7 @@ class stream_manager {
                 'cloudflare_video_id' => $cloudflaredata['uid'],
                 'status' => $this->map_cloudflare_status($cloudflaredata['status']['state']),
                 'processing_date' => time(),
-                'metadata' => json_encode($cloudflaredata)
+                'metadata' => $this->merge_metadata(video_manager::get_video($videoid), $cloudflaredata)
             ];
 
             // Add duration and thumbnail if available
@@ -178,6 +182,273 @@ class stream_manager {
         }
     }
 
+    /**
+     * Create a video that the browser uploads straight to Cloudflare.
+     *
+     * Returns a one-time tus upload URL, so the file never passes through
+     * Moodle's file store, PHP upload limits or the upload queue.
+     *
+     * The browser names each upload with a key of its own. When it asks again
+     * with the same key, because the upload URL expired or the answer to the
+     * first request was lost, the video created then gets the new upload URL
+     * instead of a second video being created next to it.
+     *
+     * @param int $courseid Course ID
+     * @param int $userid Uploading user ID
+     * @param string $filename Original filename
+     * @param int $filesize File size in bytes
+     * @param array|null $trim Intro and outro to cut once the upload is processed, see clip_manager::make_trim()
+     * @param string $uploadkey Key the browser gave the upload, empty for none
+     * @return array Result with videoid and upload_url
+     */
+    public function create_direct_upload($courseid, $userid, $filename, $filesize, $trim = null, $uploadkey = '') {
+        try {
+            $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+            if (!in_array($extension, $this->supportedformats)) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_unsupported_format', 'local_cloudflarestream')
+                ];
+            }
+
+            if ($filesize <= 0 || $filesize > $this->maxfilesize) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_file_too_large', 'local_cloudflarestream')
+                ];
+            }
+
+            $response = $this->client->create_tus_upload($filesize, [
+                'name' => $filename,
+                'requiresignedurls' => null,
+                'expiry' => gmdate('Y-m-d\TH:i:s\Z', time() + self::DIRECT_UPLOAD_EXPIRY)
+            ]);
+
+            $metadata = [
+                'name' => $filename,
+                'original_filename' => $filename,
+                'direct_upload' => true
+            ];
+            if ($trim) {
+                $metadata['trim'] = $trim;
+            }
+            if ($uploadkey !== '') {
+                $metadata['upload_key'] = $uploadkey;
+            }
+
+            $video = $uploadkey !== '' ? $this->find_direct_upload($courseid, $userid, $uploadkey) : null;
+            if ($video) {
+                // Nothing was sent to the earlier upload URL that is still wanted
+                $this->delete_abandoned_upload($video->cloudflare_video_id);
+                $videoid = $video->id;
+                video_manager::update_video($videoid, [
+                    'cloudflare_video_id' => $response['result']['uid'],
+                    'file_size' => $filesize,
+                    'metadata' => json_encode($metadata)
+                ]);
+            } else {
+                $videoid = video_manager::create_video(null, $courseid, $userid, $filesize, $metadata);
+                video_manager::update_video($videoid, [
+                    'cloudflare_video_id' => $response['result']['uid'],
+                    'status' => video_manager::STATUS_UPLOADING
+                ]);
+            }
+
+            return [
+                'success' => true,
+                'videoid' => $videoid,
+                'upload_url' => $response['result']['uploadURL']
+            ];
+
+        } catch (\Exception $e) {
+            debugging('Failed to create direct upload: ' . $e->getMessage(), DEBUG_DEVELOPER);
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Find the video of an unfinished direct upload by the key the browser gave it.
+     *
+     * @param int $courseid Course ID
+     * @param int $userid Uploading user ID
+     * @param string $uploadkey Upload key
+     * @return \stdClass|null Video record
+     */
+    private function find_direct_upload($courseid, $userid, $uploadkey) {
+        global $DB;
+
+        $videos = $DB->get_records(video_manager::TABLE_VIDEOS, [
+            'course_id' => $courseid,
+            'user_id' => $userid,
+            'status' => video_manager::STATUS_UPLOADING
+        ]);
+        foreach ($videos as $video) {
+            $metadata = json_decode($video->metadata ?: '{}', true);
+            if (($metadata['upload_key'] ?? '') === $uploadkey) {
+                return $video;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Delete the Cloudflare video of a direct upload that is started over.
+     *
+     * A failure is only logged; the orphan scan finds the video later since no
+     * record points at it any more.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID of the abandoned upload
+     */
+    private function delete_abandoned_upload($cloudflarevideoid) {
+        try {
+            $response = $this->client->delete_video($cloudflarevideoid);
+            if (!$response['success']) {
+                debugging('Failed to delete abandoned upload from Cloudflare: ' . $this->format_api_error($response));
+            }
+        } catch (\Exception $e) {
+            debugging('Failed to delete abandoned upload from Cloudflare: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Mark a direct upload as finished by the browser.
+     *
+     * Cloudflare starts processing on its own; the video is synced from the
+     * queue so it turns ready without waiting for the scheduled sync.
+     *
+     * @param int $videoid Video record ID
+     * @return array Result with the new status
+     */
+    public function complete_direct_upload($videoid) {
+        $video = video_manager::get_video($videoid);
+        if (!$video || $video->status !== video_manager::STATUS_UPLOADING) {
+            return [
+                'success' => false,
+                'error' => get_string('error_video_not_found', 'local_cloudflarestream')
+            ];
+        }
+
+        video_manager::update_video($videoid, ['status' => video_manager::STATUS_PROCESSING]);
+        video_manager::queue_action($videoid, 'sync', 3);
+
+        return [
+            'success' => true,
+            'status' => video_manager::STATUS_PROCESSING
+        ];
+    }
+
+    /**
+     * Have Cloudflare cut a clip out of its parent video.
+     *
+     * The clip is processed like an upload; it is synced from the queue so
+     * it turns ready without waiting for the scheduled sync.
+     *
+     * @param int $videoid Video record ID of the clip
+     * @return array Result with the new status, or error and whether to retry
+     */
+    public function create_clip($videoid) {
+        $clip = video_manager::get_video($videoid);
+        $parent = $clip && $clip->parent_video_id ? video_manager::get_video($clip->parent_video_id) : false;
+        if (!$parent || !$parent->cloudflare_video_id) {
+            return [
+                'success' => false,
+                'error' => get_string('error_clip_not_ready', 'local_cloudflarestream'),
+                'retry' => false
+            ];
+        }
+
+        try {
+            $response = $this->client->create_clip($parent->cloudflare_video_id, $clip->clip_start, $clip->clip_end,
+                ['name' => json_decode($clip->metadata ?: '{}', true)['name'] ?? '']);
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage(), 'retry' => true];
+        }
+
+        if (!$response['success']) {
+            return ['success' => false, 'error' => $this->format_api_error($response), 'retry' => true];
+        }
+
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => $response['result']['uid'],
+            'status' => video_manager::STATUS_PROCESSING,
+            'duration' => $clip->clip_end - $clip->clip_start,
+            'error_message' => null
+        ]);
+        video_manager::queue_action($videoid, 'sync', 3);
+
+        return [
+            'success' => true,
+            'status' => video_manager::STATUS_PROCESSING
+        ];
+    }
+
+    /**
+     * Replace a processed upload with a clip that leaves out its intro and outro.
+     *
+     * The video record keeps its ID, so nothing pointing at it changes; only
+     * the Cloudflare video behind it does. The untrimmed video is deleted once
+     * the trimmed one is ready, see apply_cloudflare_data().
+     *
+     * @param int $videoid Video record ID
+     * @return array Result with the new status, or error and whether to retry
+     */
+    public function trim_video($videoid) {
+        $video = video_manager::get_video($videoid);
+        if (!$video || !$video->cloudflare_video_id || !clip_manager::is_trim_pending($video)) {
+            return [
+                'success' => false,
+                'error' => get_string('error_video_not_found', 'local_cloudflarestream'),
+                'retry' => false
+            ];
+        }
+
+        if (!$video->duration) {
+            return ['success' => false, 'error' => 'Duration of the upload not known yet', 'retry' => true];
+        }
+
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        $range = clip_manager::get_trim_range($video);
+        if (!$range) {
+            // Cutting that much would leave nothing worth watching, keep the whole video
+            $metadata['trim']['done'] = true;
+            video_manager::update_video($videoid, [
+                'status' => video_manager::STATUS_READY,
+                'metadata' => json_encode($metadata)
+            ]);
+            return ['success' => true, 'status' => video_manager::STATUS_READY];
+        }
+
+        try {
+            $response = $this->client->create_clip($video->cloudflare_video_id, $range['start'], $range['end'],
+                ['name' => $metadata['name'] ?? '']);
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage(), 'retry' => true];
+        }
+
+        if (!$response['success']) {
+            return ['success' => false, 'error' => $this->format_api_error($response), 'retry' => true];
+        }
+
+        $metadata['trim']['source'] = $video->cloudflare_video_id;
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => $response['result']['uid'],
+            'status' => video_manager::STATUS_PROCESSING,
+            'duration' => $range['end'] - $range['start'],
+            'thumbnail_url' => null,
+            'metadata' => json_encode($metadata)
+        ]);
+        video_manager::queue_action($videoid, 'sync', 3);
+
+        return [
+            'success' => true,
+            'status' => video_manager::STATUS_PROCESSING
+        ];
+    }
+
     /**
      * Validate video file before upload.
      *
@@ -267,6 +538,18 @@ class stream_manager {
         return $uploadmetadata;
     }
 
+    /**
+     * Merge video details returned by Cloudflare into the local metadata.
+     *
+     * @param \stdClass|false $video Video record
+     * @param array $cloudflaredata Video details from the API
+     * @return string Metadata JSON
+     */
+    private function merge_metadata($video, $cloudflaredata) {
+        $metadata = $video ? json_decode($video->metadata ?: '{}', true) : [];
+        return json_encode(array_merge($metadata ?: [], $cloudflaredata));
+    }
+
     /**
      * Map Cloudflare status to internal status.
      *
@@ -405,45 +688,102 @@ class stream_manager {
                 ];
             }
 
-            $cloudflaredata = $response['result'];
-            $newstatus = $this->map_cloudflare_status($cloudflaredata['status']['state']);
+            return array_merge(['success' => true], $this->apply_cloudflare_data($video, $response['result']));
 
-            // Update local record if status changed
-            $updatedata = [];
-            if ($video->status !== $newstatus) {
-                $updatedata['status'] = $newstatus;
-                
-                if ($newstatus === video_manager::STATUS_READY && !$video->ready_date) {
-                    $updatedata['ready_date'] = time();
-                }
-            }
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
 
-            // Update duration and thumbnail if available and not set
-            if (isset($cloudflaredata['duration']) && !$video->duration) {
-                $updatedata['duration'] = (int)$cloudflaredata['duration'];
+    /**
+     * Update a video record from the video data Cloudflare reports.
+     *
+     * Used by the status sync and by the webhook, which receives the same data.
+     *
+     * @param \stdClass $video Video record
+     * @param array $cloudflaredata Video data from Cloudflare
+     * @return array Result with status, old_status, new_status and updated
+     */
+    public function apply_cloudflare_data(\stdClass $video, array $cloudflaredata) {
+        $newstatus = $this->map_cloudflare_status($cloudflaredata['status']['state'] ?? '');
+
+        // An upload to be trimmed is only ready once its trimmed copy is; a failed trim keeps its error
+        $trimpending = $newstatus === video_manager::STATUS_READY && clip_manager::is_trim_pending($video);
+        if ($trimpending) {
+            if ($video->status === video_manager::STATUS_ERROR) {
+                $newstatus = video_manager::STATUS_ERROR;
+            } else {
+                $newstatus = video_manager::STATUS_PROCESSING;
+                clip_manager::queue_trim($video->id);
             }
-            if (isset($cloudflaredata['thumbnail']) && !$video->thumbnail_url) {
-                $updatedata['thumbnail_url'] = $cloudflaredata['thumbnail'];
+        }
+
+        // Update local record if status changed
+        $updatedata = [];
+        if ($video->status !== $newstatus) {
+            $updatedata['status'] = $newstatus;
+            
+            if ($newstatus === video_manager::STATUS_READY && !$video->ready_date) {
+                $updatedata['ready_date'] = time();
             }
+        }
 
-            // Update metadata
-            $updatedata['metadata'] = json_encode($cloudflaredata);
+        // Keep why Cloudflare could not process the video
+        if ($newstatus === video_manager::STATUS_ERROR && !$trimpending) {
+            $updatedata['error_message'] = $cloudflaredata['status']['errorReasonText'] ??
+                ($cloudflaredata['status']['errorReasonCode'] ?? 'Processing failed on Cloudflare');
+        }
 
-            if (!empty($updatedata)) {
-                video_manager::update_video($videoid, $updatedata);
-            }
+        // Update duration and thumbnail if available and not set
+        if (isset($cloudflaredata['duration']) && $cloudflaredata['duration'] > 0 && !$video->duration) {
+            $updatedata['duration'] = (int)$cloudflaredata['duration'];
+        }
+        if (isset($cloudflaredata['thumbnail']) && !$video->thumbnail_url) {
+            $updatedata['thumbnail_url'] = $cloudflaredata['thumbnail'];
+        }
 
-            return [
-                'success' => true,
-                'status' => $newstatus,
-                'updated' => !empty($updatedata)
-            ];
+        // Update metadata, keeping what Moodle stored about the video
+        $updatedata['metadata'] = $this->merge_metadata($video, $cloudflaredata);
+
+        // The trimmed copy is ready, so the untrimmed upload is no longer needed
+        $trim = clip_manager::get_trim($video);
+        if ($newstatus === video_manager::STATUS_READY && !empty($trim['source'])) {
+            $this->delete_trim_source($trim['source']);
+            $metadata = json_decode($updatedata['metadata'], true);
+            unset($metadata['trim']['source']);
+            $metadata['trim']['done'] = true;
+            $updatedata['metadata'] = json_encode($metadata);
+        }
+
+        video_manager::update_video($video->id, $updatedata);
+
+        return [
+            'status' => $newstatus,
+            'old_status' => $video->status,
+            'new_status' => $newstatus,
+            'updated' => !empty($updatedata)
+        ];
+    }
 
+    /**
+     * Delete the untrimmed upload a trimmed video was cut from.
+     *
+     * A failure is not worth failing the sync for; the orphan scan finds the
+     * video later since no record points at it any more.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID of the untrimmed upload
+     */
+    private function delete_trim_source($cloudflarevideoid) {
+        try {
+            $response = $this->client->delete_video($cloudflarevideoid);
+            if (!$response['success']) {
+                debugging('Failed to delete untrimmed video from Cloudflare: ' . $this->format_api_error($response));
+            }
         } catch (\Exception $e) {
-            return [
-                'success' => false,
-                'error' => $e->getMessage()
-            ];
+            debugging('Failed to delete untrimmed video from Cloudflare: ' . $e->getMessage());
         }
     }
 
@@ -519,6 +859,64 @@ class stream_manager {
         }
     }
 
+    /**
+     * List the videos stored on the Cloudflare account.
+     *
+     * @param int $limit Maximum number of videos
+     * @return array List result with data, the videos indexed by Cloudflare ID
+     */
+    public function list_videos($limit = 1000) {
+        try {
+            $response = $this->client->list_videos([], 1, $limit);
+
+            if (!$response['success']) {
+                return [
+                    'success' => false,
+                    'error' => $this->format_api_error($response)
+                ];
+            }
+
+            $videos = [];
+            foreach ($response['result'] ?? [] as $cfvideo) {
+                $videos[$cfvideo['uid']] = $cfvideo;
+            }
+
+            return [
+                'success' => true,
+                'data' => $videos
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Delete a video from Cloudflare that has no Moodle record.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID
+     * @return array Delete result
+     */
+    public function delete_cloudflare_video($cloudflarevideoid) {
+        try {
+            $response = $this->client->delete_video($cloudflarevideoid);
+
+            return $response['success'] ? ['success' => true] : [
+                'success' => false,
+                'error' => $this->format_api_error($response)
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
     /**
      * Update video metadata on Cloudflare.
      *
@@ -680,16 +1078,37 @@ class stream_manager {
     }
 
     /**
-     * Get instance with default client.
+     * Get instance for the site credentials or a credential profile.
      *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
      * @return self|null Stream manager instance or null if not configured
      */
-    public static function get_instance() {
-        $client = cloudflare_client::get_instance();
+    public static function get_instance($profileid = 0) {
+        $client = cloudflare_client::get_instance($profileid);
         if (!$client) {
             return null;
         }
 
         return new self($client);
     }
+
+    /**
+     * Get instance for the Cloudflare account a video lives in.
+     *
+     * @param \stdClass $video Video record
+     * @return self|null Stream manager instance or null if not configured
+     */
+    public static function for_video($video) {
+        return self::get_instance($video->profile_id ?? 0);
+    }
+
+    /**
+     * Get instance for the Cloudflare account new videos of a course go to.
+     *
+     * @param int $courseid Course ID
+     * @return self|null Stream manager instance or null if not configured
+     */
+    public static function for_course($courseid) {
+        return self::get_instance(\local_cloudflarestream\profile_manager::get_course_profile_id($courseid));
+    }
 }
\ No newline at end of file
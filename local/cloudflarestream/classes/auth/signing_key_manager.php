@@ -0,0 +1,443 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Stream signing key manager for locally signed playback tokens.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\auth;
+
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\profile_manager;
+use local_cloudflarestream\api\cloudflare_client;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Keeps the Stream signing keys of the site and signs playback tokens with
+ * them, so a view does not need a call to the Cloudflare token API.
+ *
+ * Keys are stored newest first in the signing_keys setting, with the private
+ * key encrypted. Credential profiles keep their own keys on the profile record,
+ * since a key only signs for the account it was created in. After a rotation the previous key stays on Cloudflare for the
+ * grace period, so tokens already handed out keep working until they expire.
+ */
+class signing_key_manager {
+
+    /** @var string Setting the keys are stored in */
+    const CONFIG_KEYS = 'signing_keys';
+
+    /** @var int Default seconds a replaced key stays valid */
+    const DEFAULT_GRACE_PERIOD = 86400;
+
+    /** @var int Seconds the not-before claim is moved back, for clock differences */
+    const CLOCK_SKEW = 60;
+
+    /** @var int Seconds to wait for another request creating the first key */
+    const LOCK_TIMEOUT = 10;
+
+    /**
+     * Get the stored keys, newest first, without their private keys.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Keys with id, created, retired and valid_until
+     */
+    public static function get_keys($profileid = 0) {
+        $grace = self::get_grace_period();
+        $keys = [];
+        foreach (self::load_keys($profileid) as $key) {
+            $keys[] = [
+                'id' => $key['id'],
+                'created' => $key['created'],
+                'retired' => $key['retired'],
+                'valid_until' => $key['retired'] ? $key['retired'] + $grace : 0
+            ];
+        }
+        return $keys;
+    }
+
+    /**
+     * Get the key new tokens are signed with.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array|null Key with id and decrypted pem, or null if there is none
+     */
+    public static function get_active_key($profileid = 0) {
+        foreach (self::load_keys($profileid) as $key) {
+            if (empty($key['retired'])) {
+                return ['id' => $key['id'], 'pem' => config_manager::decrypt_value($key['pem'])];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the active key, creating the first one through the API if needed.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Result with the key
+     */
+    public static function ensure_key($profileid = 0) {
+        $key = self::get_active_key($profileid);
+        if ($key) {
+            return ['success' => true, 'key' => $key];
+        }
+
+        // Several views can arrive before the first key exists, only one of them creates it
+        $lockfactory = \core\lock\lock_config::get_lock_factory('local_cloudflarestream');
+        $lock = $lockfactory->get_lock('signing_key' . ($profileid ? '_' . $profileid : ''), self::LOCK_TIMEOUT);
+        if (!$lock) {
+            return ['success' => false, 'error' => get_string('error_signing_key_create', 'local_cloudflarestream')];
+        }
+
+        try {
+            $key = self::get_active_key($profileid);
+            if ($key) {
+                return ['success' => true, 'key' => $key];
+            }
+            $result = self::create_key($profileid);
+            if (!$result['success']) {
+                return $result;
+            }
+            return ['success' => true, 'key' => self::get_active_key($profileid)];
+        } finally {
+            $lock->release();
+        }
+    }
+
+    /**
+     * Create a new key through the API and make it the active one.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Result with the new key ID
+     */
+    public static function create_key($profileid = 0) {
+        $client = cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        try {
+            $response = $client->create_signing_key();
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        $pem = base64_decode($response['result']['pem'] ?? '', true);
+        if (empty($response['success']) || empty($response['result']['id']) || !$pem) {
+            return ['success' => false, 'error' => get_string('error_signing_key_create', 'local_cloudflarestream')];
+        }
+
+        self::add_key($response['result']['id'], $pem, null, $profileid);
+
+        return ['success' => true, 'key_id' => $response['result']['id']];
+    }
+
+    /**
+     * Store a key as the active one and start the grace period of the key it replaces.
+     *
+     * @param string $keyid Cloudflare key ID
+     * @param string $pem Private key in PEM format
+     * @param int|null $now Current time, for tests
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     */
+    public static function add_key($keyid, $pem, $now = null, $profileid = 0) {
+        $now = $now ?? time();
+
+        $keys = self::load_keys($profileid);
+        foreach ($keys as &$key) {
+            if (empty($key['retired'])) {
+                $key['retired'] = $now;
+            }
+        }
+        unset($key);
+
+        array_unshift($keys, [
+            'id' => $keyid,
+            'pem' => config_manager::encrypt_value($pem),
+            'created' => $now,
+            'retired' => 0
+        ]);
+
+        self::save_keys($keys, $profileid);
+    }
+
+    /**
+     * Replace the active key with a new one.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Result with the new key ID and when the previous key stops working
+     */
+    public static function rotate($profileid = 0) {
+        $previous = self::get_active_key($profileid);
+
+        $result = self::create_key($profileid);
+        if (!$result['success']) {
+            return $result;
+        }
+
+        $result['previous_valid_until'] = $previous ? time() + self::get_grace_period() : 0;
+        return $result;
+    }
+
+    /**
+     * Delete the keys whose grace period is over, on Cloudflare and here.
+     *
+     * A key that cannot be deleted on Cloudflare is kept and tried again next time.
+     *
+     * @param int|null $now Current time, for tests
+     * @return int Number of keys removed
+     */
+    public static function remove_expired_keys($now = null) {
+        $now = $now ?? time();
+
+        $removed = 0;
+        foreach (profile_manager::get_all_profile_ids() as $profileid) {
+            $removed += self::remove_expired_profile_keys($profileid, $now);
+        }
+        return $removed;
+    }
+
+    /**
+     * Delete the expired keys of one set of credentials.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @param int $now Current time
+     * @return int Number of keys removed
+     */
+    private static function remove_expired_profile_keys($profileid, $now) {
+        $grace = self::get_grace_period();
+
+        $keys = self::load_keys($profileid);
+        $expired = array_filter($keys, function($key) use ($now, $grace) {
+            return !empty($key['retired']) && $key['retired'] + $grace <= $now;
+        });
+        if (empty($expired)) {
+            return 0;
+        }
+
+        $client = cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return 0;
+        }
+
+        $removed = 0;
+        foreach ($expired as $index => $key) {
+            try {
+                $response = $client->delete_signing_key($key['id']);
+            } catch (\Exception $e) {
+                continue;
+            }
+            if (!empty($response['success'])) {
+                unset($keys[$index]);
+                $removed++;
+            }
+        }
+
+        self::save_keys(array_values($keys), $profileid);
+        return $removed;
+    }
+
+    /**
+     * Sign a playback token for a video with the active key.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID
+     * @param int $expiry Expiry timestamp
+     * @param array $options downloadable, access_rules and profile_id
+     * @return array Result with the token
+     */
+    public static function sign_token($cloudflarevideoid, $expiry, $options = []) {
+        $result = self::ensure_key($options['profile_id'] ?? 0);
+        if (!$result['success']) {
+            return $result;
+        }
+        $key = $result['key'];
+
+        $privatekey = openssl_pkey_get_private($key['pem']);
+        if (!$privatekey) {
+            return ['success' => false, 'error' => get_string('error_signing_key_invalid', 'local_cloudflarestream')];
+        }
+
+        $header = ['alg' => 'RS256', 'kid' => $key['id']];
+        $payload = [
+            'sub' => $cloudflarevideoid,
+            'kid' => $key['id'],
+            'exp' => (int)$expiry,
+            'nbf' => time() - self::CLOCK_SKEW,
+            'downloadable' => !empty($options['downloadable'])
+        ];
+        if (!empty($options['access_rules'])) {
+            $payload['accessRules'] = $options['access_rules'];
+        }
+
+        $data = self::base64url_encode(json_encode($header)) . '.' . self::base64url_encode(json_encode($payload));
+        if (!openssl_sign($data, $signature, $privatekey, OPENSSL_ALGO_SHA256)) {
+            return ['success' => false, 'error' => get_string('error_signing_key_invalid', 'local_cloudflarestream')];
+        }
+
+        return ['success' => true, 'token' => $data . '.' . self::base64url_encode($signature)];
+    }
+
+    /**
+     * Build the Cloudflare access rules of a token.
+     *
+     * Rules are checked in order and the first match decides. Blocked countries
+     * are refused first; when allowed ranges or countries are given, a viewer
+     * matching either of them is let through and everyone else is refused.
+     *
+     * @param array $allowedcountries ISO country codes allowed to watch
+     * @param array $blockedcountries ISO country codes refused
+     * @param array $allowedips IP addresses or CIDR ranges allowed to watch
+     * @return array Access rules
+     */
+    public static function build_access_rules(array $allowedcountries = [], array $blockedcountries = [],
+            array $allowedips = []) {
+        $rules = [];
+
+        if ($blockedcountries) {
+            $rules[] = ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => array_values($blockedcountries)];
+        }
+        if ($allowedips) {
+            $rules[] = ['type' => 'ip.src', 'action' => 'allow', 'ip' => array_values($allowedips)];
+        }
+        if ($allowedcountries) {
+            $rules[] = ['type' => 'ip.geoip.country', 'action' => 'allow', 'country' => array_values($allowedcountries)];
+        }
+        if ($allowedips || $allowedcountries) {
+            $rules[] = ['type' => 'any', 'action' => 'block'];
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Build the access rules from the site settings.
+     *
+     * @param string|null $viewerip Address the token is limited to, if any
+     * @return array Access rules
+     */
+    public static function get_site_access_rules($viewerip = null) {
+        $allowedips = self::parse_ip_ranges((string)config_manager::get('allowed_ip_ranges', ''));
+
+        // Narrow the ranges down to the viewer, unless the viewer is outside them anyway
+        if ($viewerip && (!$allowedips || address_in_subnet($viewerip, implode(',', $allowedips)))) {
+            $allowedips = self::parse_ip_ranges($viewerip);
+        }
+
+        return self::build_access_rules(
+            self::parse_countries((string)config_manager::get('allowed_countries', '')),
+            self::parse_countries((string)config_manager::get('blocked_countries', '')),
+            $allowedips
+        );
+    }
+
+    /**
+     * Parse a list of two-letter country codes, ignoring anything else.
+     *
+     * @param string $value Codes separated by commas, spaces or new lines
+     * @return array Upper case country codes
+     */
+    public static function parse_countries($value) {
+        $codes = preg_split('/[\s,]+/', strtoupper($value), -1, PREG_SPLIT_NO_EMPTY);
+        return array_values(array_unique(array_filter($codes, function($code) {
+            return preg_match('/^[A-Z]{2}$/', $code);
+        })));
+    }
+
+    /**
+     * Parse a list of IP addresses and CIDR ranges, ignoring invalid entries.
+     *
+     * Single addresses become /32 or /128 ranges.
+     *
+     * @param string $value Entries separated by commas, spaces or new lines
+     * @return array CIDR ranges
+     */
+    public static function parse_ip_ranges($value) {
+        $ranges = [];
+        foreach (preg_split('/[\s,]+/', $value, -1, PREG_SPLIT_NO_EMPTY) as $entry) {
+            $parts = explode('/', $entry, 2);
+            $ipv4 = filter_var($parts[0], FILTER_VALIDATE_IP, FILTER_FLAG_IPV4);
+            $ipv6 = filter_var($parts[0], FILTER_VALIDATE_IP, FILTER_FLAG_IPV6);
+            if (!$ipv4 && !$ipv6) {
+                continue;
+            }
+            $maxprefix = $ipv4 ? 32 : 128;
+            if (!isset($parts[1])) {
+                $ranges[] = $parts[0] . '/' . $maxprefix;
+            } else if (ctype_digit($parts[1]) && (int)$parts[1] <= $maxprefix) {
+                $ranges[] = $parts[0] . '/' . (int)$parts[1];
+            }
+        }
+        return array_values(array_unique($ranges));
+    }
+
+    /**
+     * Get how long a replaced key stays valid.
+     *
+     * Never shorter than the token lifetime, so no issued token outlives its key.
+     *
+     * @return int Seconds
+     */
+    public static function get_grace_period() {
+        $grace = (int)config_manager::get('signing_key_grace', self::DEFAULT_GRACE_PERIOD);
+        return max($grace, (int)config_manager::get('token_expiry', 3600));
+    }
+
+    /**
+     * Read the stored keys.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Keys newest first, private keys still encrypted
+     */
+    private static function load_keys($profileid = 0) {
+        if ($profileid) {
+            $profile = profile_manager::get_profile($profileid);
+            $stored = $profile ? $profile->signing_keys : '';
+        } else {
+            $stored = get_config('local_cloudflarestream', self::CONFIG_KEYS);
+        }
+        $keys = json_decode((string)$stored, true);
+        return is_array($keys) ? $keys : [];
+    }
+
+    /**
+     * Store the keys.
+     *
+     * @param array $keys Keys newest first, private keys encrypted
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     */
+    private static function save_keys(array $keys, $profileid = 0) {
+        if ($profileid) {
+            profile_manager::set_signing_keys($profileid, json_encode($keys));
+            return;
+        }
+        set_config(self::CONFIG_KEYS, json_encode($keys), 'local_cloudflarestream');
+    }
+
+    /**
+     * Base64 URL encode.
+     *
+     * @param string $data Data to encode
+     * @return string Encoded data
+     */
+    private static function base64url_encode($data) {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+}
@@ -25,6 +25,7 @@
 namespace local_cloudflarestream\auth;
 
 use local_cloudflarestream\video_manager;
+use local_cloudflarestream\access_rule_manager;
 use local_cloudflarestream\config_manager;
 use local_cloudflarestream\token_manager as TokenDB;
 
@@ -91,7 +92,8 @@ class token_manager {
                 $tokenhash,
                 $expiry,
                 self::get_client_ip(),
-                self::get_user_agent()
+                self::get_user_agent(),
+                $options['session_key'] ?? null
             );
 
             return [
@@ -180,23 +182,44 @@ class token_manager {
             return $tokenresult;
         }
 
+        $expiry = $tokenresult['expires_at'];
+        $downloadable = $options['downloadable'] ?? false;
+        $video = video_manager::get_video($videoid);
+        $accessrules = access_rule_manager::get_token_rules(
+            $video,
+            $userid,
+            !empty($options['ip_restriction']) ? self::get_client_ip() : null
+        );
+
+        // Sign locally with the Stream signing key, so a view needs no API call
+        $signed = signing_key_manager::sign_token($tokenresult['video_id'], $expiry, [
+            'downloadable' => $downloadable,
+            'access_rules' => $accessrules,
+            'profile_id' => $video->profile_id
+        ]);
+        if ($signed['success']) {
+            return [
+                'success' => true,
+                'signed_url' => $signed['token'],
+                'expires_at' => $expiry,
+                'internal_token' => $tokenresult['token']
+            ];
+        }
+
         try {
-            // Get Cloudflare Stream manager
-            $streammanager = \local_cloudflarestream\api\stream_manager::get_instance();
-            if (!$streammanager) {
+            // No signing key could be created, ask the API for the token instead
+            $client = \local_cloudflarestream\api\cloudflare_client::for_video($video);
+            if (!$client) {
                 return [
                     'success' => false,
                     'error' => 'Stream manager not available'
                 ];
             }
 
-            // Generate Cloudflare signed URL
-            $expiry = $tokenresult['expires_at'];
             $cloudflareoptions = [
-                'downloadable' => $options['downloadable'] ?? false
+                'downloadable' => $downloadable,
+                'accessRules' => $accessrules
             ];
-
-            $client = \local_cloudflarestream\api\cloudflare_client::get_instance();
             $urlresult = $client->generate_signed_url($tokenresult['video_id'], $expiry, $cloudflareoptions);
 
             if (!$urlresult['success']) {
@@ -221,6 +244,39 @@ class token_manager {
         }
     }
 
+    /**
+     * Generate a signed playback token for the live input of a live session.
+     *
+     * The broadcast has no video record yet, so there is no internal token;
+     * access is checked before the token is signed. The token carries the
+     * access rules of the course, as the token of a video without rules of its own would.
+     *
+     * @param \stdClass $session Live session record
+     * @param int $userid User ID
+     * @return array Signed URL result
+     */
+    public static function generate_live_url($session, $userid) {
+        $expiry = time() + config_manager::get('token_expiry', 3600);
+
+        // Shaped like a video of the course, owned by the teacher who created the session
+        $rulesource = (object)['id' => 0, 'course_id' => $session->course_id, 'user_id' => $session->user_id];
+        $accessrules = access_rule_manager::get_token_rules($rulesource, $userid);
+
+        $signed = signing_key_manager::sign_token($session->live_input_id, $expiry, [
+            'access_rules' => $accessrules,
+            'profile_id' => $session->profile_id
+        ]);
+        if (!$signed['success']) {
+            return $signed;
+        }
+
+        return [
+            'success' => true,
+            'signed_url' => $signed['token'],
+            'expires_at' => $expiry
+        ];
+    }
+
     /**
      * Revoke token.
      *
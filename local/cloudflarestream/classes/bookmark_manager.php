@@ -0,0 +1,172 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Bookmark manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Stores the private timestamped bookmarks and notes users add while watching.
+ */
+class bookmark_manager {
+
+    /** @var string Table name for bookmarks */
+    const TABLE_BOOKMARKS = 'local_cloudflarestream_bookmarks';
+
+    /** @var int Longest note accepted, in characters */
+    const MAX_NOTE_LENGTH = 1000;
+
+    /** @var int Most bookmarks a user can keep on one video */
+    const MAX_BOOKMARKS_PER_VIDEO = 200;
+
+    /**
+     * Add a bookmark.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param int $position Playback position in seconds
+     * @param string $note Optional note
+     * @return \stdClass|false The new bookmark, or false when the user has too many on this video
+     */
+    public static function add_bookmark($userid, $videoid, $position, $note = '') {
+        global $DB;
+
+        $count = $DB->count_records(self::TABLE_BOOKMARKS, ['user_id' => $userid, 'video_id' => $videoid]);
+        if ($count >= self::MAX_BOOKMARKS_PER_VIDEO) {
+            return false;
+        }
+
+        $record = new \stdClass();
+        $record->user_id = $userid;
+        $record->video_id = $videoid;
+        $record->position = max(0, (int)$position);
+        $record->note = self::clean_note($note);
+        $record->timecreated = time();
+        $record->timemodified = $record->timecreated;
+        $record->id = $DB->insert_record(self::TABLE_BOOKMARKS, $record);
+
+        return $record;
+    }
+
+    /**
+     * Change the note of a bookmark owned by a user.
+     *
+     * @param int $userid User ID
+     * @param int $bookmarkid Bookmark ID
+     * @param string $note New note
+     * @return \stdClass|false The updated bookmark, or false if the user does not own it
+     */
+    public static function update_note($userid, $bookmarkid, $note) {
+        global $DB;
+
+        $bookmark = $DB->get_record(self::TABLE_BOOKMARKS, ['id' => $bookmarkid, 'user_id' => $userid]);
+        if (!$bookmark) {
+            return false;
+        }
+
+        $bookmark->note = self::clean_note($note);
+        $bookmark->timemodified = time();
+        $DB->update_record(self::TABLE_BOOKMARKS, $bookmark);
+
+        return $bookmark;
+    }
+
+    /**
+     * Delete a bookmark owned by a user.
+     *
+     * @param int $userid User ID
+     * @param int $bookmarkid Bookmark ID
+     * @return bool True if a bookmark was deleted
+     */
+    public static function delete_bookmark($userid, $bookmarkid) {
+        global $DB;
+
+        if (!$DB->record_exists(self::TABLE_BOOKMARKS, ['id' => $bookmarkid, 'user_id' => $userid])) {
+            return false;
+        }
+
+        return $DB->delete_records(self::TABLE_BOOKMARKS, ['id' => $bookmarkid, 'user_id' => $userid]);
+    }
+
+    /**
+     * Get the bookmarks of a user on a video, in playback order.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return array Bookmark records
+     */
+    public static function get_bookmarks($userid, $videoid) {
+        global $DB;
+        return array_values($DB->get_records(self::TABLE_BOOKMARKS, ['user_id' => $userid, 'video_id' => $videoid],
+            'position ASC, id ASC'));
+    }
+
+    /**
+     * Export bookmarks for the player.
+     *
+     * @param array $bookmarks Bookmark records
+     * @return array Bookmarks with id, position and note
+     */
+    public static function export_bookmarks(array $bookmarks) {
+        return array_map(function($bookmark) {
+            return [
+                'id' => (int)$bookmark->id,
+                'position' => (int)$bookmark->position,
+                'note' => (string)$bookmark->note
+            ];
+        }, $bookmarks);
+    }
+
+    /**
+     * Delete all bookmarks on a video.
+     *
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function delete_video_bookmarks($videoid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_BOOKMARKS, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Delete all bookmarks of a user.
+     *
+     * @param int $userid User ID
+     * @return bool Success
+     */
+    public static function delete_user_bookmarks($userid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_BOOKMARKS, ['user_id' => $userid]);
+    }
+
+    /**
+     * Clean a note before storing it.
+     *
+     * @param string $note Note as typed by the user
+     * @return string Plain text note
+     */
+    private static function clean_note($note) {
+        return \core_text::substr(trim(clean_param($note, PARAM_TEXT)), 0, self::MAX_NOTE_LENGTH);
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Chapter manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages the chapter markers teachers define on a video.
+ *
+ * Chapters are kept in the video metadata as a list of titles and start times.
+ */
+class chapter_manager {
+
+    /** @var int Longest chapter title accepted, in characters */
+    const MAX_TITLE_LENGTH = 255;
+
+    /**
+     * Get the chapters of a video.
+     *
+     * @param \stdClass $video Video record
+     * @return array Chapters with title and start, ordered by start time
+     */
+    public static function get_chapters($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        return $metadata['chapters'] ?? [];
+    }
+
+    /**
+     * Replace the chapters of a video.
+     *
+     * @param int $videoid Video record ID
+     * @param array $chapters Chapters with title and start
+     * @return array Result with success, and error when the chapters are invalid
+     */
+    public static function set_chapters($videoid, array $chapters) {
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return [
+                'success' => false,
+                'error' => get_string('error_video_not_found', 'local_cloudflarestream')
+            ];
+        }
+
+        $clean = [];
+        foreach ($chapters as $chapter) {
+            $title = \core_text::substr(trim(clean_param($chapter['title'] ?? '', PARAM_TEXT)), 0, self::MAX_TITLE_LENGTH);
+            $start = (int)($chapter['start'] ?? -1);
+
+            if ($title === '' || $start < 0 || ($video->duration && $start >= $video->duration)) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_chapter_invalid', 'local_cloudflarestream', s($title))
+                ];
+            }
+            if (isset($clean[$start])) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_chapter_duplicate', 'local_cloudflarestream',
+                        position_manager::format_position($start))
+                ];
+            }
+            $clean[$start] = ['title' => $title, 'start' => $start];
+        }
+        ksort($clean);
+
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        if ($clean) {
+            $metadata['chapters'] = array_values($clean);
+        } else {
+            unset($metadata['chapters']);
+        }
+        video_manager::update_video($videoid, ['metadata' => json_encode($metadata)]);
+
+        return ['success' => true];
+    }
+
+    /**
+     * Parse chapters written one per line as "1:23 Title".
+     *
+     * @param string $text Chapter lines
+     * @return array Result with success, chapters, and error naming the first line that could not be read
+     */
+    public static function parse_chapters($text) {
+        $chapters = [];
+        foreach (preg_split('/\R/', $text) as $line) {
+            $line = trim($line);
+            if ($line === '') {
+                continue;
+            }
+
+            if (!preg_match('/^((?:\d+:)?\d{1,2}:\d{2})\s+(.+)$/', $line, $matches)) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_chapter_line', 'local_cloudflarestream', s($line))
+                ];
+            }
+
+            $start = 0;
+            foreach (explode(':', $matches[1]) as $part) {
+                $start = $start * 60 + (int)$part;
+            }
+            $chapters[] = ['title' => $matches[2], 'start' => $start];
+        }
+
+        return [
+            'success' => true,
+            'chapters' => $chapters
+        ];
+    }
+
+    /**
+     * Format chapters one per line as "1:23 Title", the format parse_chapters() reads.
+     *
+     * @param array $chapters Chapters with title and start
+     * @return string Chapter lines
+     */
+    public static function format_chapters(array $chapters) {
+        $lines = [];
+        foreach ($chapters as $chapter) {
+            $lines[] = position_manager::format_position($chapter['start']) . ' ' . $chapter['title'];
+        }
+
+        return implode("\n", $lines);
+    }
+}
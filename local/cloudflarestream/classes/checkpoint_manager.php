@@ -0,0 +1,496 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checkpoint manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/gradelib.php');
+
+/**
+ * Manages the quiz questions teachers attach to moments of a video.
+ *
+ * The player pauses at each checkpoint and asks its multiple choice
+ * question. A learner answers each question once; the points of the
+ * correct answers make up the learner's grade for the video, kept in a
+ * grade item of the course that has the video's questions as its maximum.
+ */
+class checkpoint_manager {
+
+    /** @var string Table name for checkpoints */
+    const TABLE_CHECKPOINTS = 'local_cloudflarestream_checkpoints';
+
+    /** @var string Table name for answers */
+    const TABLE_ANSWERS = 'local_cloudflarestream_answers';
+
+    /** @var string Source reported to the gradebook */
+    const GRADE_SOURCE = 'local/cloudflarestream';
+
+    /** @var string Item type of the grade items */
+    const GRADE_ITEMTYPE = 'local';
+
+    /** @var string Item module of the grade items, their instance is the video record ID */
+    const GRADE_ITEMMODULE = 'cloudflarestream';
+
+    /** @var int Longest question accepted, in characters */
+    const MAX_QUESTION_LENGTH = 1000;
+
+    /** @var int Longest choice accepted, in characters */
+    const MAX_CHOICE_LENGTH = 255;
+
+    /** @var int Most choices a question can offer */
+    const MAX_CHOICES = 10;
+
+    /**
+     * Get the checkpoints of a video, in playback order.
+     *
+     * @param int $videoid Video record ID
+     * @return array Checkpoint records
+     */
+    public static function get_checkpoints($videoid) {
+        global $DB;
+        return array_values($DB->get_records(self::TABLE_CHECKPOINTS, ['video_id' => $videoid], 'position ASC'));
+    }
+
+    /**
+     * Check whether a video has any checkpoints.
+     *
+     * @param int $videoid Video record ID
+     * @return bool True if the player has questions to ask
+     */
+    public static function has_checkpoints($videoid) {
+        global $DB;
+        return $DB->record_exists(self::TABLE_CHECKPOINTS, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Get a checkpoint.
+     *
+     * @param int $checkpointid Checkpoint ID
+     * @return \stdClass|false Checkpoint record or false if not found
+     */
+    public static function get_checkpoint($checkpointid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_CHECKPOINTS, ['id' => $checkpointid]);
+    }
+
+    /**
+     * Add a checkpoint to a video, or change one of its checkpoints.
+     *
+     * @param int $videoid Video record ID
+     * @param array $data Position, question, choices, correct_choice, points and required
+     * @param int $checkpointid Checkpoint to change, 0 to add one
+     * @return array Result with success and the checkpoint ID, and error when the data is invalid
+     */
+    public static function save_checkpoint($videoid, array $data, $checkpointid = 0) {
+        global $DB;
+
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return [
+                'success' => false,
+                'error' => get_string('error_video_not_found', 'local_cloudflarestream')
+            ];
+        }
+
+        $position = (int)($data['position'] ?? -1);
+        if ($position < 0 || ($video->duration && $position >= $video->duration)) {
+            return ['success' => false, 'error' => get_string('error_checkpoint_position', 'local_cloudflarestream')];
+        }
+
+        $question = \core_text::substr(trim(clean_param($data['question'] ?? '', PARAM_TEXT)), 0, self::MAX_QUESTION_LENGTH);
+        if ($question === '') {
+            return ['success' => false, 'error' => get_string('error_checkpoint_question', 'local_cloudflarestream')];
+        }
+
+        $choices = [];
+        foreach ($data['choices'] ?? [] as $choice) {
+            $choice = \core_text::substr(trim(clean_param($choice, PARAM_TEXT)), 0, self::MAX_CHOICE_LENGTH);
+            if ($choice !== '') {
+                $choices[] = $choice;
+            }
+        }
+        if (count($choices) < 2 || count($choices) > self::MAX_CHOICES) {
+            return [
+                'success' => false,
+                'error' => get_string('error_checkpoint_choices', 'local_cloudflarestream', self::MAX_CHOICES)
+            ];
+        }
+
+        $correct = (int)($data['correct_choice'] ?? -1);
+        if ($correct < 0 || $correct >= count($choices)) {
+            return ['success' => false, 'error' => get_string('error_checkpoint_correct', 'local_cloudflarestream')];
+        }
+
+        $points = (int)($data['points'] ?? 1);
+        if ($points < 1) {
+            return ['success' => false, 'error' => get_string('error_checkpoint_points', 'local_cloudflarestream')];
+        }
+
+        $existing = $DB->get_field(self::TABLE_CHECKPOINTS, 'id', ['video_id' => $videoid, 'position' => $position]);
+        if ($existing && $existing != $checkpointid) {
+            return [
+                'success' => false,
+                'error' => get_string('error_checkpoint_duplicate', 'local_cloudflarestream',
+                    position_manager::format_position($position))
+            ];
+        }
+
+        $record = new \stdClass();
+        $record->video_id = $videoid;
+        $record->position = $position;
+        $record->question = $question;
+        $record->choices = json_encode($choices);
+        $record->correct_choice = $correct;
+        $record->points = $points;
+        $record->required = empty($data['required']) ? 0 : 1;
+        $record->timemodified = time();
+
+        if ($checkpointid) {
+            $checkpoint = $DB->get_record(self::TABLE_CHECKPOINTS, ['id' => $checkpointid, 'video_id' => $videoid]);
+            if (!$checkpoint) {
+                return ['success' => false, 'error' => get_string('error_checkpoint_not_found', 'local_cloudflarestream')];
+            }
+            $record->id = $checkpoint->id;
+            $DB->update_record(self::TABLE_CHECKPOINTS, $record);
+
+            // Answers given to the old question are marked again against the new one
+            if ($checkpoint->correct_choice != $correct || $checkpoint->choices !== $record->choices) {
+                $DB->execute("UPDATE {" . self::TABLE_ANSWERS . "}
+                                 SET correct = CASE WHEN choice = :correct THEN 1 ELSE 0 END
+                               WHERE checkpoint_id = :checkpointid",
+                    ['correct' => $correct, 'checkpointid' => $checkpoint->id]);
+            }
+        } else {
+            $record->timecreated = $record->timemodified;
+            $record->id = $DB->insert_record(self::TABLE_CHECKPOINTS, $record);
+        }
+
+        self::update_grades($video);
+
+        return ['success' => true, 'id' => (int)$record->id];
+    }
+
+    /**
+     * Delete a checkpoint of a video and the answers given to it.
+     *
+     * @param int $videoid Video record ID
+     * @param int $checkpointid Checkpoint ID
+     * @return bool True if a checkpoint was deleted
+     */
+    public static function delete_checkpoint($videoid, $checkpointid) {
+        global $DB;
+
+        if (!$DB->record_exists(self::TABLE_CHECKPOINTS, ['id' => $checkpointid, 'video_id' => $videoid])) {
+            return false;
+        }
+
+        $DB->delete_records(self::TABLE_ANSWERS, ['checkpoint_id' => $checkpointid]);
+        $DB->delete_records(self::TABLE_CHECKPOINTS, ['id' => $checkpointid]);
+
+        $video = video_manager::get_video($videoid);
+        if ($video) {
+            self::update_grades($video);
+        }
+
+        return true;
+    }
+
+    /**
+     * Record the answer of a user to a checkpoint and update the user's grade.
+     *
+     * Only the first answer counts, answering again returns it unchanged.
+     *
+     * @param int $userid User ID
+     * @param \stdClass $checkpoint Checkpoint record
+     * @param int $choice Index of the chosen answer
+     * @return array Result with success, correct, correct_choice, grade and max_grade
+     */
+    public static function answer($userid, $checkpoint, $choice) {
+        global $DB;
+
+        $choices = json_decode($checkpoint->choices, true) ?: [];
+        $choice = (int)$choice;
+        if ($choice < 0 || $choice >= count($choices)) {
+            return ['success' => false, 'error' => get_string('error_checkpoint_choice', 'local_cloudflarestream')];
+        }
+
+        $answer = $DB->get_record(self::TABLE_ANSWERS, ['checkpoint_id' => $checkpoint->id, 'user_id' => $userid]);
+        if (!$answer) {
+            $answer = new \stdClass();
+            $answer->checkpoint_id = $checkpoint->id;
+            $answer->video_id = $checkpoint->video_id;
+            $answer->user_id = $userid;
+            $answer->choice = $choice;
+            $answer->correct = $choice == $checkpoint->correct_choice ? 1 : 0;
+            $answer->timecreated = time();
+            $answer->id = $DB->insert_record(self::TABLE_ANSWERS, $answer);
+
+            $video = video_manager::get_video($checkpoint->video_id);
+            if ($video) {
+                self::push_grades($video, [$userid]);
+            }
+        }
+
+        return [
+            'success' => true,
+            'correct' => (bool)$answer->correct,
+            'correct_choice' => (int)$checkpoint->correct_choice,
+            'grade' => self::get_user_grade($userid, $checkpoint->video_id),
+            'max_grade' => self::get_max_grade($checkpoint->video_id)
+        ];
+    }
+
+    /**
+     * Get the answers of a user on a video.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return array Answer records keyed by checkpoint ID
+     */
+    public static function get_user_answers($userid, $videoid) {
+        global $DB;
+
+        $answers = [];
+        foreach ($DB->get_records(self::TABLE_ANSWERS, ['user_id' => $userid, 'video_id' => $videoid]) as $answer) {
+            $answers[$answer->checkpoint_id] = $answer;
+        }
+
+        return $answers;
+    }
+
+    /**
+     * Export checkpoints for the player.
+     *
+     * The correct choice is only sent for questions the user has already answered.
+     *
+     * @param array $checkpoints Checkpoint records
+     * @param array $answers Answer records of the user keyed by checkpoint ID
+     * @return array Checkpoints with id, position, question, choices, required, answered, choice, correct and correctchoice
+     */
+    public static function export_checkpoints(array $checkpoints, array $answers = []) {
+        return array_map(function($checkpoint) use ($answers) {
+            $answer = $answers[$checkpoint->id] ?? null;
+            return [
+                'id' => (int)$checkpoint->id,
+                'position' => (int)$checkpoint->position,
+                'question' => (string)$checkpoint->question,
+                'choices' => json_decode($checkpoint->choices, true) ?: [],
+                'required' => (bool)$checkpoint->required,
+                'answered' => $answer !== null,
+                'choice' => $answer ? (int)$answer->choice : -1,
+                'correct' => $answer ? (bool)$answer->correct : false,
+                'correctchoice' => $answer ? (int)$checkpoint->correct_choice : -1
+            ];
+        }, $checkpoints);
+    }
+
+    /**
+     * Get the grade of a user on a video: the points of the questions answered correctly.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return int Grade
+     */
+    public static function get_user_grade($userid, $videoid) {
+        global $DB;
+
+        $sql = "SELECT COALESCE(SUM(c.points), 0)
+                  FROM {" . self::TABLE_ANSWERS . "} a
+                  JOIN {" . self::TABLE_CHECKPOINTS . "} c ON c.id = a.checkpoint_id
+                 WHERE a.user_id = :userid AND a.video_id = :videoid AND a.correct = 1";
+
+        return (int)$DB->get_field_sql($sql, ['userid' => $userid, 'videoid' => $videoid]);
+    }
+
+    /**
+     * Get the highest grade of a video: the points of all its questions.
+     *
+     * @param int $videoid Video record ID
+     * @return int Maximum grade
+     */
+    public static function get_max_grade($videoid) {
+        global $DB;
+
+        $sql = "SELECT COALESCE(SUM(points), 0)
+                  FROM {" . self::TABLE_CHECKPOINTS . "}
+                 WHERE video_id = :videoid";
+
+        return (int)$DB->get_field_sql($sql, ['videoid' => $videoid]);
+    }
+
+    /**
+     * Get the answers of every enrolled user of the course of a video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Rows with userid, fullname, email, answered, correct, grade and lastanswered
+     */
+    public static function get_video_report($videoid) {
+        global $DB;
+
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return [];
+        }
+
+        $context = \context_course::instance($video->course_id);
+        $users = get_enrolled_users($context, '', 0, 'u.*', 'u.lastname, u.firstname');
+
+        $sql = "SELECT a.user_id, COUNT(a.id) AS answered, COALESCE(SUM(a.correct), 0) AS correct,
+                       COALESCE(SUM(CASE WHEN a.correct = 1 THEN c.points ELSE 0 END), 0) AS grade,
+                       MAX(a.timecreated) AS lastanswered
+                  FROM {" . self::TABLE_ANSWERS . "} a
+                  JOIN {" . self::TABLE_CHECKPOINTS . "} c ON c.id = a.checkpoint_id
+                 WHERE a.video_id = :videoid
+              GROUP BY a.user_id";
+        $totals = $DB->get_records_sql($sql, ['videoid' => $videoid]);
+
+        $rows = [];
+        foreach ($users as $user) {
+            $total = $totals[$user->id] ?? null;
+            $rows[] = [
+                'userid' => $user->id,
+                'fullname' => fullname($user),
+                'email' => $user->email,
+                'answered' => $total ? (int)$total->answered : 0,
+                'correct' => $total ? (int)$total->correct : 0,
+                'grade' => $total ? (int)$total->grade : 0,
+                'lastanswered' => $total ? $total->lastanswered : null
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Count the answers and correct answers given to each checkpoint of a video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Objects with answered and correct keyed by checkpoint ID
+     */
+    public static function get_checkpoint_statistics($videoid) {
+        global $DB;
+
+        $sql = "SELECT checkpoint_id, COUNT(id) AS answered, COALESCE(SUM(correct), 0) AS correct
+                  FROM {" . self::TABLE_ANSWERS . "}
+                 WHERE video_id = :videoid
+              GROUP BY checkpoint_id";
+
+        return $DB->get_records_sql($sql, ['videoid' => $videoid]);
+    }
+
+    /**
+     * Bring the grade item of a video and the grades of everyone who answered up to date.
+     *
+     * The item is removed once the video has no checkpoints left.
+     *
+     * @param \stdClass $video Video record
+     */
+    public static function update_grades($video) {
+        global $DB;
+
+        $maxgrade = self::get_max_grade($video->id);
+        if (!$maxgrade) {
+            self::delete_grade_item($video);
+            return;
+        }
+
+        grade_update(self::GRADE_SOURCE, $video->course_id, self::GRADE_ITEMTYPE, self::GRADE_ITEMMODULE,
+            $video->id, 0, null, [
+                'itemname' => get_string('checkpoint_grade_item', 'local_cloudflarestream',
+                    player_handler::get_video_title($video)),
+                'gradetype' => GRADE_TYPE_VALUE,
+                'grademax' => $maxgrade,
+                'grademin' => 0
+            ]);
+
+        $userids = $DB->get_fieldset_select(self::TABLE_ANSWERS, 'DISTINCT user_id', 'video_id = ?', [$video->id]);
+        if ($userids) {
+            self::push_grades($video, $userids);
+        }
+    }
+
+    /**
+     * Send the grades of some users on a video to the gradebook.
+     *
+     * @param \stdClass $video Video record
+     * @param array $userids User IDs
+     */
+    public static function push_grades($video, array $userids) {
+        $grades = [];
+        foreach ($userids as $userid) {
+            $grades[$userid] = [
+                'userid' => $userid,
+                'rawgrade' => self::get_user_grade($userid, $video->id)
+            ];
+        }
+
+        grade_update(self::GRADE_SOURCE, $video->course_id, self::GRADE_ITEMTYPE, self::GRADE_ITEMMODULE,
+            $video->id, 0, $grades);
+    }
+
+    /**
+     * Delete all checkpoints and answers of a video, with its grade item.
+     *
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function delete_video_checkpoints($videoid) {
+        global $DB;
+
+        $video = video_manager::get_video($videoid);
+        if ($video) {
+            self::delete_grade_item($video);
+        }
+
+        $DB->delete_records(self::TABLE_ANSWERS, ['video_id' => $videoid]);
+        return $DB->delete_records(self::TABLE_CHECKPOINTS, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Delete all answers of a user.
+     *
+     * The grades already in the gradebook are core data and are left to its own privacy provider.
+     *
+     * @param int $userid User ID
+     * @return bool Success
+     */
+    public static function delete_user_answers($userid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_ANSWERS, ['user_id' => $userid]);
+    }
+
+    /**
+     * Delete the grade item of a video, if it has one.
+     *
+     * @param \stdClass $video Video record
+     */
+    private static function delete_grade_item($video) {
+        grade_update(self::GRADE_SOURCE, $video->course_id, self::GRADE_ITEMTYPE, self::GRADE_ITEMMODULE,
+            $video->id, 0, null, ['deleted' => 1]);
+    }
+}
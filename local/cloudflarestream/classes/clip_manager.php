@@ -0,0 +1,209 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Clip manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Cuts clips out of course videos and trims uploads.
+ *
+ * A clip is a video of its own, made by Cloudflare from part of its parent
+ * and linked to it through parent_video_id. Trimming an upload cuts its
+ * intro and outro the same way: once the upload is processed, a clip of
+ * the part to keep takes its place under the same video record, and the
+ * untrimmed video is deleted when the clip is ready.
+ */
+class clip_manager {
+
+    /** @var int Shortest clip in seconds */
+    const MIN_LENGTH = 5;
+
+    /** @var int Longest clip title accepted, in characters */
+    const MAX_TITLE_LENGTH = 255;
+
+    /**
+     * Create a clip of part of a video.
+     *
+     * The clip is cut by the queue, so it starts out pending and follows the
+     * same statuses as an upload.
+     *
+     * @param int $parentid Video record ID of the video to cut from
+     * @param int $start Second of the video the clip starts at
+     * @param int $end Second of the video the clip ends at
+     * @param string $title Clip title, empty for a title made from the video title and times
+     * @param int $userid User creating the clip
+     * @return array Result with success and the clip's video record ID, or error
+     */
+    public static function create_clip($parentid, $start, $end, $title, $userid) {
+        $parent = video_manager::get_video($parentid);
+        if (!$parent) {
+            return ['success' => false, 'error' => get_string('error_video_not_found', 'local_cloudflarestream')];
+        }
+        if ($parent->status !== video_manager::STATUS_READY || !$parent->cloudflare_video_id) {
+            return ['success' => false, 'error' => get_string('error_clip_not_ready', 'local_cloudflarestream')];
+        }
+
+        $start = (int)$start;
+        $end = (int)$end;
+        if ($start < 0 || ($parent->duration && $end > $parent->duration) || $end - $start < self::MIN_LENGTH) {
+            return [
+                'success' => false,
+                'error' => get_string('error_clip_range', 'local_cloudflarestream', self::MIN_LENGTH)
+            ];
+        }
+
+        $title = \core_text::substr(trim(clean_param($title, PARAM_TEXT)), 0, self::MAX_TITLE_LENGTH);
+        if ($title === '') {
+            $title = get_string('clip_default_title', 'local_cloudflarestream', [
+                'title' => player_handler::get_video_title($parent),
+                'start' => position_manager::format_position($start),
+                'end' => position_manager::format_position($end)
+            ]);
+        }
+
+        $clipid = video_manager::create_video(null, $parent->course_id, $userid, 0, [
+            'name' => $title,
+            'original_filename' => $title
+        ]);
+
+        // Cloudflare cuts clips within an account, so the clip stays where its parent is
+        video_manager::update_video($clipid, [
+            'profile_id' => $parent->profile_id,
+            'parent_video_id' => $parent->id,
+            'clip_start' => $start,
+            'clip_end' => $end
+        ]);
+        video_manager::queue_action($clipid, 'clip', 3);
+
+        return ['success' => true, 'videoid' => $clipid];
+    }
+
+    /**
+     * Get the clips cut from a video, newest first.
+     *
+     * @param int $videoid Video record ID
+     * @return array Clip video records
+     */
+    public static function get_clips($videoid) {
+        global $DB;
+        return array_values($DB->get_records(video_manager::TABLE_VIDEOS, ['parent_video_id' => $videoid],
+            'timecreated DESC, id DESC'));
+    }
+
+    /**
+     * Check whether a video record is a clip of another video.
+     *
+     * @param \stdClass $video Video record
+     * @return bool True for clips
+     */
+    public static function is_clip($video) {
+        return !empty($video->parent_video_id);
+    }
+
+    /**
+     * Build the upload metadata asking for an upload to be trimmed.
+     *
+     * @param int $intro Seconds to cut from the start
+     * @param int $outro Seconds to cut from the end
+     * @return array|null Trim metadata, or null when nothing is cut
+     */
+    public static function make_trim($intro, $outro) {
+        $intro = max(0, (int)$intro);
+        $outro = max(0, (int)$outro);
+        if (!$intro && !$outro) {
+            return null;
+        }
+
+        return ['intro' => $intro, 'outro' => $outro];
+    }
+
+    /**
+     * Get the trim asked for when a video was uploaded.
+     *
+     * @param \stdClass $video Video record
+     * @return array|null Trim with intro and outro, source while the trimmed copy is processed,
+     *     and done once it replaced the upload; null if the upload is not trimmed
+     */
+    public static function get_trim($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        return !empty($metadata['trim']) && is_array($metadata['trim']) ? $metadata['trim'] : null;
+    }
+
+    /**
+     * Check whether a video still waits for its upload to be trimmed.
+     *
+     * @param \stdClass $video Video record
+     * @return bool True until the trimmed copy has been asked for
+     */
+    public static function is_trim_pending($video) {
+        $trim = self::get_trim($video);
+        return $trim && empty($trim['source']) && empty($trim['done']);
+    }
+
+    /**
+     * Get the part of a video a trim keeps.
+     *
+     * @param \stdClass $video Video record with its duration
+     * @return array|null Start and end in seconds, or null if the trim leaves too little of the video
+     */
+    public static function get_trim_range($video) {
+        $trim = self::get_trim($video);
+        if (!$trim || !$video->duration) {
+            return null;
+        }
+
+        $start = (int)$trim['intro'];
+        $end = (int)$video->duration - (int)$trim['outro'];
+        if ($end - $start < self::MIN_LENGTH) {
+            return null;
+        }
+
+        return ['start' => $start, 'end' => $end];
+    }
+
+    /**
+     * Queue the trim of an uploaded video, unless it is already queued.
+     *
+     * Status syncs and webhooks both notice the upload is processed, so this
+     * may be asked for more than once. A trim that ran out of attempts does
+     * not count, so retrying the video queues it again.
+     *
+     * @param int $videoid Video record ID
+     * @return bool True if the trim was queued now
+     */
+    public static function queue_trim($videoid) {
+        global $DB;
+
+        $select = 'video_id = ? AND action = ? AND attempts < max_attempts';
+        if ($DB->record_exists_select(video_manager::TABLE_QUEUE, $select, [$videoid, 'trim'])) {
+            return false;
+        }
+
+        video_manager::queue_action($videoid, 'trim', 3);
+        return true;
+    }
+}
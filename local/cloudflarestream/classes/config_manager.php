@@ -43,12 +43,25 @@ class config_manager {
         'token_expiry' => 3600, // 1 hour
         'player_controls' => 1,
         'autoplay' => 0,
+        'completion_threshold' => 90,
         'cleanup_delay' => 604800, // 7 days
         'allowed_domains' => '',
         'allowed_referrers' => '',
         'enable_fallback_player' => 1,
         'domain_restrictions' => 0,
         'referrer_restrictions' => 0,
+        'allowed_countries' => '',
+        'blocked_countries' => '',
+        'allowed_ip_ranges' => '',
+        'signing_key_grace' => 86400, // 1 day
+        'watermark_enabled' => 0,
+        'watermark_template' => '{fullname} ({email}) {time}',
+        'watermark_opacity' => 30,
+        'watermark_frequency' => 20, // Seconds
+        'max_concurrent_streams' => 0, // No limit
+        'storage_quota' => 0, // Use the plan limit Cloudflare reports
+        'delivery_quota' => 0, // No delivery alerts
+        'usage_alert_thresholds' => '80,95,100',
     ];
 
     /** @var array Required configuration keys */
@@ -205,6 +218,9 @@ class config_manager {
             case 'autoplay':
                 return self::validate_boolean($value);
             
+            case 'completion_threshold':
+                return self::validate_percentage($value);
+            
             default:
                 return ['valid' => true];
         }
@@ -362,6 +378,20 @@ class config_manager {
         return ['valid' => true];
     }
 
+    /**
+     * Validate percentage setting.
+     *
+     * @param mixed $value Percentage value
+     * @return array Validation result
+     */
+    private static function validate_percentage($value) {
+        if (!is_numeric($value) || $value < 0 || $value > 100) {
+            return ['valid' => false, 'error' => 'Value must be a percentage between 0 and 100'];
+        }
+
+        return ['valid' => true];
+    }
+
     /**
      * Validate API credentials by testing connection.
      *
@@ -394,31 +424,40 @@ class config_manager {
      * @return bool True if sensitive
      */
     private static function is_sensitive_key($key) {
-        return in_array($key, ['api_token']);
+        return in_array($key, ['api_token', 'webhook_secret']);
     }
 
     /**
      * Encrypt sensitive configuration value.
      *
+     * Uses the site key of core encryption, so values stay readable after
+     * a restore on the same site but not from a database dump alone.
+     *
      * @param string $value Value to encrypt
      * @return string Encrypted value
      */
-    private static function encrypt_value($value) {
-        // For now, just return the value as-is
-        // In production, implement proper encryption
-        return $value;
+    public static function encrypt_value($value) {
+        if ($value === '' || $value === null) {
+            return '';
+        }
+        return \core\encryption::encrypt($value);
     }
 
     /**
      * Decrypt sensitive configuration value.
      *
+     * Values saved before encryption was added, or straight through the
+     * settings page, are returned as they are.
+     *
      * @param string $value Encrypted value
      * @return string Decrypted value
      */
-    private static function decrypt_value($value) {
-        // For now, just return the value as-is
-        // In production, implement proper decryption
-        return $value;
+    public static function decrypt_value($value) {
+        if (!is_string($value) || !preg_match('/^(' . \core\encryption::METHOD_SODIUM . '|' .
+                \core\encryption::METHOD_OPENSSL . '):/', $value)) {
+            return $value;
+        }
+        return \core\encryption::decrypt($value);
     }
 
     /**
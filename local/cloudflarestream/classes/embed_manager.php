@@ -0,0 +1,168 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Embed manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Reads and renders the {cfstream id=...} embeds teachers put into texts.
+ *
+ * The embed names the video by its record ID, so it keeps working when the
+ * original file is renamed, duplicated or cleaned up. filter_cfstream renders
+ * embeds, the tiny_cfstream editor button writes them.
+ */
+class embed_manager {
+
+    /** @var string Pattern of an embed, the attributes in the first group */
+    const PATTERN = '/\{cfstream\s+([^{}]*)\}/i';
+
+    /** @var array Player options switched on or off by an attribute */
+    const BOOLEAN_OPTIONS = ['autoplay', 'muted', 'loop', 'controls'];
+
+    /** @var int Most videos the picker lists */
+    const PICKER_LIMIT = 50;
+
+    /**
+     * Check whether a text contains an embed, before doing any more work on it.
+     *
+     * @param string $text Text
+     * @return bool True if it may contain one
+     */
+    public static function has_embeds($text) {
+        return stripos($text, '{cfstream') !== false;
+    }
+
+    /**
+     * Read the attributes of an embed.
+     *
+     * Editors may have turned the quotes around values into entities, so those
+     * are read too. Unknown attributes are ignored.
+     *
+     * @param string $attributes Text between the embed name and the closing brace
+     * @return array|null Video record ID and player options, or null without a valid ID
+     */
+    public static function parse_embed($attributes) {
+        $attributes = html_entity_decode($attributes, ENT_QUOTES, 'UTF-8');
+        preg_match_all('/(\w+)\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\']+))/', $attributes, $matches, PREG_SET_ORDER);
+
+        $values = [];
+        foreach ($matches as $match) {
+            // The value is in the last group that matched, whichever way it was quoted
+            $values[strtolower($match[1])] = end($match);
+        }
+
+        $videoid = isset($values['id']) && ctype_digit($values['id']) ? (int)$values['id'] : 0;
+        if (!$videoid) {
+            return null;
+        }
+
+        $options = [];
+        if (isset($values['start'])) {
+            $start = ctype_digit($values['start']) ? (int)$values['start'] : position_manager::parse_position($values['start']);
+            if ($start) {
+                $options['start'] = $start;
+            }
+        }
+        foreach (self::BOOLEAN_OPTIONS as $option) {
+            if (isset($values[$option])) {
+                $options[$option] = in_array(strtolower($values[$option]), ['1', 'true', 'yes', 'on']);
+            }
+        }
+
+        return ['id' => $videoid, 'options' => $options];
+    }
+
+    /**
+     * Write the embed of a video.
+     *
+     * @param int $videoid Video record ID
+     * @param array $options start in seconds and the BOOLEAN_OPTIONS to switch on or off
+     * @return string Embed
+     */
+    public static function build_embed($videoid, array $options = []) {
+        $embed = '{cfstream id=' . (int)$videoid;
+
+        if (!empty($options['start'])) {
+            $embed .= ' start=' . position_manager::format_position($options['start']);
+        }
+        foreach (self::BOOLEAN_OPTIONS as $option) {
+            if (isset($options[$option])) {
+                $embed .= ' ' . $option . '=' . ($options[$option] ? 1 : 0);
+            }
+        }
+
+        return $embed . '}';
+    }
+
+    /**
+     * Replace the embeds in a text with players.
+     *
+     * Each viewer gets the player, status or access message of their own, so
+     * an embed of a video someone cannot watch tells them why.
+     *
+     * @param string $text Text
+     * @param \context $context Context the text is shown in
+     * @return string Text with players
+     */
+    public static function render_embeds($text, \context $context) {
+        // Watch time inside an activity counts towards its completion
+        $cmid = $context->contextlevel == CONTEXT_MODULE ? $context->instanceid : null;
+
+        return preg_replace_callback(self::PATTERN, function($matches) use ($cmid) {
+            $embed = self::parse_embed($matches[1]);
+            if (!$embed) {
+                return $matches[0];
+            }
+
+            $result = player_handler::generate_player($embed['id'], $embed['options'] + [
+                'responsive' => true,
+                'cmid' => $cmid
+            ]);
+            if ($result['success']) {
+                return $result['html'];
+            }
+
+            return \html_writer::div(s($result['error']), 'alert alert-warning cloudflare-stream-embed-error');
+        }, $text);
+    }
+
+    /**
+     * Get the ready videos of a course that can be embedded, newest first.
+     *
+     * @param int $courseid Course ID
+     * @param string $search Text to find in the filename or title
+     * @return array Video records
+     */
+    public static function get_embeddable_videos($courseid, $search = '') {
+        $result = library_manager::get_videos($courseid, [
+            'search' => $search,
+            'status' => video_manager::STATUS_READY
+        ], 'upload_date', 'desc', 0, self::PICKER_LIMIT);
+
+        return $result['videos'];
+    }
+}
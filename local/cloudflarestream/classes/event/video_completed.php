@@ -0,0 +1,92 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Video completed event.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\event;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Triggered when a user has watched enough of a video to complete it.
+ *
+ * @property-read array $other {
+ *      - int videoid: Video record ID
+ *      - int percentage: Percentage watched when the threshold was reached
+ * }
+ */
+class video_completed extends \core\event\base {
+
+    /**
+     * Initialise event data.
+     */
+    protected function init() {
+        $this->data['crud'] = 'u';
+        $this->data['edulevel'] = self::LEVEL_PARTICIPATING;
+        $this->data['objecttable'] = 'local_cloudflarestream_views';
+    }
+
+    /**
+     * Get the localised event name.
+     *
+     * @return string Event name
+     */
+    public static function get_name() {
+        return get_string('event_video_completed', 'local_cloudflarestream');
+    }
+
+    /**
+     * Get the event description.
+     *
+     * @return string Description
+     */
+    public function get_description() {
+        return "The user with id '{$this->relateduserid}' completed the video with id '{$this->other['videoid']}' " .
+            "after watching {$this->other['percentage']}% of it.";
+    }
+
+    /**
+     * Get the URL of the watch report for the video.
+     *
+     * @return \moodle_url Report URL
+     */
+    public function get_url() {
+        return new \moodle_url('/local/cloudflarestream/report.php', ['videoid' => $this->other['videoid']]);
+    }
+
+    /**
+     * Validate event data.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data() {
+        parent::validate_data();
+
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+
+        if (!isset($this->other['videoid'])) {
+            throw new \coding_exception('The \'videoid\' value must be set in other.');
+        }
+    }
+}
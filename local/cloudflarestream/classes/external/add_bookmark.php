@@ -0,0 +1,117 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for bookmarking a moment of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\bookmark_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Adds a private bookmark of the current user to a video.
+ */
+class add_bookmark extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'position' => new external_value(PARAM_INT, 'Playback position in seconds'),
+            'note' => new external_value(PARAM_TEXT, 'Optional note', VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * Add a bookmark.
+     *
+     * @param int $videoid Video record ID
+     * @param int $position Playback position in seconds
+     * @param string $note Optional note
+     * @return array The new bookmark
+     */
+    public static function execute($videoid, $position, $note = '') {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'position' => $position,
+            'note' => $note
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Bookmarks are private, so guests sharing one account cannot keep them
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed'] || isguestuser()) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        $bookmark = bookmark_manager::add_bookmark($USER->id, $video->id, $params['position'], $params['note']);
+        if (!$bookmark) {
+            throw new \moodle_exception('error_too_many_bookmarks', 'local_cloudflarestream', '',
+                bookmark_manager::MAX_BOOKMARKS_PER_VIDEO);
+        }
+
+        return bookmark_manager::export_bookmarks([$bookmark])[0];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return self::bookmark_structure();
+    }
+
+    /**
+     * Describe a bookmark.
+     *
+     * @return external_single_structure
+     */
+    public static function bookmark_structure() {
+        return new external_single_structure([
+            'id' => new external_value(PARAM_INT, 'Bookmark ID'),
+            'position' => new external_value(PARAM_INT, 'Playback position in seconds'),
+            'note' => new external_value(PARAM_TEXT, 'Note')
+        ]);
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for answering a checkpoint question of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\checkpoint_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Records the current user's answer to a checkpoint and returns the grade it gives.
+ */
+class answer_checkpoint extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'checkpointid' => new external_value(PARAM_INT, 'Checkpoint ID'),
+            'choice' => new external_value(PARAM_INT, 'Index of the chosen answer')
+        ]);
+    }
+
+    /**
+     * Answer a checkpoint.
+     *
+     * @param int $checkpointid Checkpoint ID
+     * @param int $choice Index of the chosen answer
+     * @return array Whether the answer was correct, the correct choice and the grade
+     */
+    public static function execute($checkpointid, $choice) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'checkpointid' => $checkpointid,
+            'choice' => $choice
+        ]);
+
+        $checkpoint = checkpoint_manager::get_checkpoint($params['checkpointid']);
+        $video = $checkpoint ? video_manager::get_video($checkpoint->video_id) : false;
+        if (!$video) {
+            throw new \moodle_exception('error_checkpoint_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Guests share one account, so their answers cannot be graded
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed'] || isguestuser()) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        $result = checkpoint_manager::answer($USER->id, $checkpoint, $params['choice']);
+        if (!$result['success']) {
+            throw new \moodle_exception('error_checkpoint_choice', 'local_cloudflarestream');
+        }
+
+        return [
+            'correct' => $result['correct'],
+            'correctchoice' => $result['correct_choice'],
+            'grade' => $result['grade'],
+            'maxgrade' => $result['max_grade']
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'correct' => new external_value(PARAM_BOOL, 'Whether the answer was correct'),
+            'correctchoice' => new external_value(PARAM_INT, 'Index of the correct answer'),
+            'grade' => new external_value(PARAM_INT, 'Grade of the user on the video'),
+            'maxgrade' => new external_value(PARAM_INT, 'Highest grade of the video')
+        ]);
+    }
+}
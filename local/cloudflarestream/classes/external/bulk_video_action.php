@@ -0,0 +1,103 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for applying an action to several videos of a course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\library_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Retries, syncs, deletes, hides or shows the videos selected in the video library.
+ */
+class bulk_video_action extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'courseid' => new external_value(PARAM_INT, 'Course ID'),
+            'action' => new external_value(PARAM_ALPHA, 'One of ' . implode(', ', library_manager::BULK_ACTIONS)),
+            'videoids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Video record ID')
+            )
+        ]);
+    }
+
+    /**
+     * Apply the action to each video.
+     *
+     * @param int $courseid Course ID
+     * @param string $action Action to apply
+     * @param array $videoids Video record IDs
+     * @return array Results per video
+     */
+    public static function execute($courseid, $action, $videoids) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'courseid' => $courseid,
+            'action' => $action,
+            'videoids' => $videoids
+        ]);
+
+        self::validate_context(\context_course::instance($params['courseid']));
+
+        if (!in_array($params['action'], library_manager::BULK_ACTIONS)) {
+            throw new \invalid_parameter_exception('Unknown action: ' . $params['action']);
+        }
+
+        // Permissions are checked per video with access_controller::can_manage_video()
+        return [
+            'results' => library_manager::apply_bulk_action($params['courseid'], $params['action'],
+                $params['videoids'], $USER->id)
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'results' => new external_multiple_structure(new external_single_structure([
+                'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+                'success' => new external_value(PARAM_BOOL, 'Whether the action was applied'),
+                'message' => new external_value(PARAM_TEXT, 'Result message')
+            ]))
+        ]);
+    }
+}
@@ -0,0 +1,101 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for finishing a direct upload from the browser.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\api\stream_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Marks a direct upload as sent so the video is followed through processing.
+ */
+class complete_upload extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID')
+        ]);
+    }
+
+    /**
+     * Finish a direct upload.
+     *
+     * @param int $videoid Video record ID
+     * @return array Result
+     */
+    public static function execute($videoid) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['videoid' => $videoid]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Only the uploader knows when the browser is done
+        if ($video->user_id != $USER->id) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        $streammanager = stream_manager::for_video($video);
+        if (!$streammanager) {
+            return ['success' => false, 'status' => $video->status];
+        }
+
+        $result = $streammanager->complete_direct_upload($video->id);
+
+        return [
+            'success' => $result['success'],
+            'status' => $result['status'] ?? $video->status
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the video is now being processed'),
+            'status' => new external_value(PARAM_ALPHA, 'Video status')
+        ]);
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for starting a direct upload from the browser.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\api\stream_manager;
+use local_cloudflarestream\clip_manager;
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\profile_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Creates a course video and a one-time tus URL the browser uploads it to.
+ */
+class create_upload extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'courseid' => new external_value(PARAM_INT, 'Course the video belongs to'),
+            'filename' => new external_value(PARAM_FILE, 'Original filename'),
+            'filesize' => new external_value(PARAM_INT, 'File size in bytes'),
+            'trimintro' => new external_value(PARAM_INT, 'Seconds to cut from the start once processed', VALUE_DEFAULT, 0),
+            'trimoutro' => new external_value(PARAM_INT, 'Seconds to cut from the end once processed', VALUE_DEFAULT, 0),
+            'uploadkey' => new external_value(PARAM_ALPHANUM, 'Key the browser gave the upload, reused when it starts over',
+                VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * Start a direct upload.
+     *
+     * @param int $courseid Course ID
+     * @param string $filename Original filename
+     * @param int $filesize File size in bytes
+     * @param int $trimintro Seconds to cut from the start once processed
+     * @param int $trimoutro Seconds to cut from the end once processed
+     * @param string $uploadkey Key the browser gave the upload
+     * @return array Upload details
+     */
+    public static function execute($courseid, $filename, $filesize, $trimintro = 0, $trimoutro = 0, $uploadkey = '') {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'courseid' => $courseid,
+            'filename' => $filename,
+            'filesize' => $filesize,
+            'trimintro' => $trimintro,
+            'trimoutro' => $trimoutro,
+            'uploadkey' => $uploadkey
+        ]);
+
+        $context = \context_course::instance($params['courseid']);
+        self::validate_context($context);
+        require_capability('moodle/course:update', $context);
+
+        $streammanager = stream_manager::for_course($params['courseid']);
+        if (!config_manager::is_configured() || !$streammanager) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        $quota = profile_manager::check_quota(profile_manager::get_course_profile_id($params['courseid']));
+        if (!$quota['success']) {
+            return ['success' => false, 'error' => $quota['error']];
+        }
+
+        $result = $streammanager->create_direct_upload($params['courseid'], $USER->id, $params['filename'],
+            $params['filesize'], clip_manager::make_trim($params['trimintro'], $params['trimoutro']), $params['uploadkey']);
+
+        if (!$result['success']) {
+            return ['success' => false, 'error' => $result['error']];
+        }
+
+        return [
+            'success' => true,
+            'videoid' => $result['videoid'],
+            'uploadurl' => $result['upload_url']
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the upload URL was created'),
+            'videoid' => new external_value(PARAM_INT, 'Video record ID', VALUE_OPTIONAL),
+            'uploadurl' => new external_value(PARAM_URL, 'One-time tus upload URL', VALUE_OPTIONAL),
+            'error' => new external_value(PARAM_TEXT, 'Error message', VALUE_OPTIONAL)
+        ]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for the admin dashboard statistics cards.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\upload_handler;
+use local_cloudflarestream\auth\token_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Returns site-wide video, upload and token counts.
+ */
+class get_dashboard_statistics extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([]);
+    }
+
+    /**
+     * Get dashboard statistics.
+     *
+     * @return array Statistics
+     */
+    public static function execute() {
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        $videostats = video_manager::get_statistics();
+        $uploadstats = upload_handler::get_upload_statistics();
+        $tokenstats = token_manager::get_token_statistics(7); // Last 7 days
+
+        return [
+            'total_videos' => $videostats['total'],
+            'pending_uploads' => $videostats['pending'] + $videostats['uploading'],
+            'failed_uploads' => $videostats['error'],
+            'storage_used' => display_size($videostats['storage_used']),
+            'ready_videos' => $videostats['ready'],
+            'processing_videos' => $videostats['processing'],
+            'queued_uploads' => $uploadstats['queued_uploads'] ?? 0,
+            'active_tokens' => $tokenstats['total_active'] ?? 0
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'total_videos' => new external_value(PARAM_INT, 'Total number of videos'),
+            'pending_uploads' => new external_value(PARAM_INT, 'Videos waiting for or in upload'),
+            'failed_uploads' => new external_value(PARAM_INT, 'Videos in error state'),
+            'storage_used' => new external_value(PARAM_TEXT, 'Formatted storage used'),
+            'ready_videos' => new external_value(PARAM_INT, 'Videos ready for streaming'),
+            'processing_videos' => new external_value(PARAM_INT, 'Videos being processed by Cloudflare'),
+            'queued_uploads' => new external_value(PARAM_INT, 'Uploads in the processing queue'),
+            'active_tokens' => new external_value(PARAM_INT, 'Active access tokens in the last 7 days')
+        ]);
+    }
+}
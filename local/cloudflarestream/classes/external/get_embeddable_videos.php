@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function listing the videos the editor picker can embed.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\embed_manager;
+use local_cloudflarestream\library_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Lists the ready videos of the course a text is edited in.
+ */
+class get_embeddable_videos extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'contextid' => new external_value(PARAM_INT, 'Context the text is edited in'),
+            'search' => new external_value(PARAM_TEXT, 'Text to find in the filename or title', VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * Get the videos that can be embedded.
+     *
+     * Embeds are played with the access rules of their own course, so only
+     * videos of the course the text belongs to are offered.
+     *
+     * @param int $contextid Context the text is edited in
+     * @param string $search Text to find in the filename or title
+     * @return array Videos
+     */
+    public static function execute($contextid, $search = '') {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'contextid' => $contextid,
+            'search' => $search
+        ]);
+
+        $context = \context::instance_by_id($params['contextid']);
+        self::validate_context($context);
+
+        $coursecontext = $context->get_course_context(false);
+        if (!$coursecontext) {
+            return ['videos' => []];
+        }
+        require_capability('moodle/course:update', $coursecontext);
+
+        $videos = [];
+        foreach (embed_manager::get_embeddable_videos($coursecontext->instanceid, $params['search']) as $video) {
+            $videos[] = [
+                'id' => $video->id,
+                'title' => player_handler::get_video_title($video),
+                'thumbnail_url' => $video->thumbnail_url ?? '',
+                'duration_formatted' => $video->duration ? position_manager::format_position($video->duration) : '',
+                'hidden' => library_manager::is_hidden($video)
+            ];
+        }
+
+        return ['videos' => $videos];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'videos' => new external_multiple_structure(new external_single_structure([
+                'id' => new external_value(PARAM_INT, 'Video record ID'),
+                'title' => new external_value(PARAM_TEXT, 'Video title'),
+                'thumbnail_url' => new external_value(PARAM_URL, 'Thumbnail URL, empty if none'),
+                'duration_formatted' => new external_value(PARAM_TEXT, 'Duration as h:mm:ss, empty if unknown'),
+                'hidden' => new external_value(PARAM_BOOL, 'Whether the video is hidden from learners')
+            ]))
+        ]);
+    }
+}
@@ -0,0 +1,175 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for browsing the video library of a course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\library_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Lists one page of the videos of a course, filtered and sorted.
+ */
+class get_library_videos extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'courseid' => new external_value(PARAM_INT, 'Course ID'),
+            'search' => new external_value(PARAM_TEXT, 'Text to find in the filename or title', VALUE_DEFAULT, ''),
+            'status' => new external_value(PARAM_ALPHA, 'Processing status, empty for all', VALUE_DEFAULT, ''),
+            'uploader' => new external_value(PARAM_INT, 'Uploader user ID, 0 for all', VALUE_DEFAULT, 0),
+            'datefrom' => new external_value(PARAM_INT, 'Earliest upload timestamp, 0 for any', VALUE_DEFAULT, 0),
+            'dateto' => new external_value(PARAM_INT, 'Latest upload timestamp, 0 for any', VALUE_DEFAULT, 0),
+            'minduration' => new external_value(PARAM_INT, 'Shortest duration in seconds, 0 for any', VALUE_DEFAULT, 0),
+            'maxduration' => new external_value(PARAM_INT, 'Longest duration in seconds, 0 for any', VALUE_DEFAULT, 0),
+            'sort' => new external_value(PARAM_ALPHAEXT, 'Sort field', VALUE_DEFAULT, 'upload_date'),
+            'direction' => new external_value(PARAM_ALPHA, 'asc or desc', VALUE_DEFAULT, 'desc'),
+            'page' => new external_value(PARAM_INT, 'Page number, starting at 0', VALUE_DEFAULT, 0),
+            'perpage' => new external_value(PARAM_INT, 'Videos per page', VALUE_DEFAULT, library_manager::PER_PAGE)
+        ]);
+    }
+
+    /**
+     * Get one page of the course videos.
+     *
+     * @param int $courseid Course ID
+     * @param string $search Text to find in the filename or title
+     * @param string $status Processing status
+     * @param int $uploader Uploader user ID
+     * @param int $datefrom Earliest upload timestamp
+     * @param int $dateto Latest upload timestamp
+     * @param int $minduration Shortest duration in seconds
+     * @param int $maxduration Longest duration in seconds
+     * @param string $sort Sort field
+     * @param string $direction asc or desc
+     * @param int $page Page number
+     * @param int $perpage Videos per page
+     * @return array Videos and total number of matches
+     */
+    public static function execute($courseid, $search = '', $status = '', $uploader = 0, $datefrom = 0, $dateto = 0,
+            $minduration = 0, $maxduration = 0, $sort = 'upload_date', $direction = 'desc', $page = 0,
+            $perpage = library_manager::PER_PAGE) {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'courseid' => $courseid,
+            'search' => $search,
+            'status' => $status,
+            'uploader' => $uploader,
+            'datefrom' => $datefrom,
+            'dateto' => $dateto,
+            'minduration' => $minduration,
+            'maxduration' => $maxduration,
+            'sort' => $sort,
+            'direction' => $direction,
+            'page' => $page,
+            'perpage' => $perpage
+        ]);
+
+        $context = \context_course::instance($params['courseid']);
+        self::validate_context($context);
+        require_capability('moodle/course:update', $context);
+
+        $result = library_manager::get_videos($params['courseid'], $params, $params['sort'], $params['direction'],
+            $params['page'], $params['perpage']);
+
+        $uploaders = library_manager::get_uploaders($params['courseid']);
+        $videos = [];
+        foreach ($result['videos'] as $video) {
+            $videos[] = self::export_library_video($video, $uploaders);
+        }
+
+        return [
+            'total' => $result['total'],
+            'videos' => $videos
+        ];
+    }
+
+    /**
+     * Export a video with what the library shows about it.
+     *
+     * @param \stdClass $video Video record
+     * @param array $uploaders Uploader names indexed by user ID
+     * @return array Exported video
+     */
+    private static function export_library_video($video, array $uploaders) {
+        $exported = get_video_status::export_video($video);
+
+        $exported['title'] = player_handler::get_video_title($video);
+        $exported['status_label'] = get_string('status_' . $video->status, 'local_cloudflarestream');
+        $exported['ready'] = $video->status === video_manager::STATUS_READY;
+        $exported['uploader'] = $uploaders[$video->user_id] ?? '';
+        $exported['duration_formatted'] = $video->duration ? position_manager::format_position($video->duration) : '';
+        $exported['filesize_formatted'] = display_size($video->file_size);
+        $exported['upload_date_formatted'] = userdate($video->upload_date, get_string('strftimedatetimeshort', 'langconfig'));
+        $exported['hidden'] = library_manager::is_hidden($video);
+        $exported['has_original'] = library_manager::get_original_file($video) !== false;
+        $exported['reporturl'] = (new \moodle_url('/local/cloudflarestream/report.php', ['videoid' => $video->id]))->out(false);
+        $exported['captionsurl'] = (new \moodle_url('/local/cloudflarestream/captions.php', ['videoid' => $video->id]))->out(false);
+        $exported['clipsurl'] = (new \moodle_url('/local/cloudflarestream/clip.php', ['videoid' => $video->id]))->out(false);
+
+        return $exported;
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        $videostructure = new external_single_structure(get_video_status::video_structure()->keys + [
+            'title' => new external_value(PARAM_TEXT, 'Video title'),
+            'status_label' => new external_value(PARAM_TEXT, 'Localised processing status'),
+            'ready' => new external_value(PARAM_BOOL, 'Whether the video can be played'),
+            'uploader' => new external_value(PARAM_TEXT, 'Full name of the uploader'),
+            'duration_formatted' => new external_value(PARAM_TEXT, 'Duration as h:mm:ss, empty if unknown'),
+            'filesize_formatted' => new external_value(PARAM_TEXT, 'Human readable file size'),
+            'upload_date_formatted' => new external_value(PARAM_TEXT, 'Human readable upload date'),
+            'hidden' => new external_value(PARAM_BOOL, 'Whether the video is hidden from learners'),
+            'has_original' => new external_value(PARAM_BOOL, 'Whether the original Moodle file is still kept'),
+            'reporturl' => new external_value(PARAM_URL, 'Watch report URL'),
+            'captionsurl' => new external_value(PARAM_URL, 'Caption management URL'),
+            'clipsurl' => new external_value(PARAM_URL, 'Clip editor URL')
+        ]);
+
+        return new external_single_structure([
+            'total' => new external_value(PARAM_INT, 'Number of videos matching the filters'),
+            'videos' => new external_multiple_structure($videostructure)
+        ]);
+    }
+}
@@ -0,0 +1,99 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function returning the status of a live session.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\live_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Returns whether a live session is scheduled, live or ended, and its recording.
+ */
+class get_live_status extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'sessionid' => new external_value(PARAM_INT, 'Live session ID')
+        ]);
+    }
+
+    /**
+     * Get the status of a live session.
+     *
+     * Players poll this, so it also checks the live input on Cloudflare when
+     * the last check is old enough.
+     *
+     * @param int $sessionid Live session ID
+     * @return array Session status
+     */
+    public static function execute($sessionid) {
+        $params = self::validate_parameters(self::execute_parameters(), ['sessionid' => $sessionid]);
+
+        $session = live_manager::get_session($params['sessionid']);
+        if (!$session) {
+            throw new \moodle_exception('error_live_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($session->course_id));
+
+        $accesscheck = access_controller::can_view_live_session($session);
+        if (!$accesscheck['allowed']) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        $session = live_manager::refresh_status($session);
+
+        return [
+            'status' => $session->status,
+            'videoid' => (int)$session->video_id,
+            'scheduledstart' => (int)$session->scheduled_start
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'status' => new external_value(PARAM_ALPHA, 'scheduled, live or ended'),
+            'videoid' => new external_value(PARAM_INT, 'Video record of the latest recording, 0 for none'),
+            'scheduledstart' => new external_value(PARAM_INT, 'When the broadcast is planned to start')
+        ]);
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for the admin dashboard queue counters.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Counts items in the processing queue.
+ */
+class get_queue_status extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([]);
+    }
+
+    /**
+     * Get the queue status.
+     *
+     * @return array Queue counters
+     */
+    public static function execute() {
+        global $DB;
+
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        return [
+            'total' => $DB->count_records(video_manager::TABLE_QUEUE),
+            'pending' => $DB->count_records_select(video_manager::TABLE_QUEUE, 'next_attempt <= ?', [time()]),
+            'failed' => $DB->count_records_select(video_manager::TABLE_QUEUE, 'attempts >= max_attempts')
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'total' => new external_value(PARAM_INT, 'Items in the queue'),
+            'pending' => new external_value(PARAM_INT, 'Items due for processing'),
+            'failed' => new external_value(PARAM_INT, 'Items that exhausted their attempts')
+        ]);
+    }
+}
@@ -0,0 +1,112 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for listing the videos the sync console can run on.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\handlers\player_handler;
+use local_cloudflarestream\sync_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Lists videos by status and title so the admin can pick what to sync.
+ */
+class get_sync_videos extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'status' => new external_value(PARAM_ALPHA, 'Video status, unfinished, or empty for all videos',
+                VALUE_DEFAULT, ''),
+            'search' => new external_value(PARAM_TEXT, 'Text to find in the video title', VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * List the matching videos.
+     *
+     * @param string $status Video status filter
+     * @param string $search Title search
+     * @return array Matching videos
+     */
+    public static function execute($status = '', $search = '') {
+        global $DB;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'status' => $status,
+            'search' => $search
+        ]);
+
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        $videos = sync_manager::get_sync_candidates($params['status'], $params['search']);
+
+        $courseids = array_unique(array_column($videos, 'course_id'));
+        $courses = $courseids ? $DB->get_records_list('course', 'id', $courseids, '', 'id, fullname') : [];
+
+        $result = [];
+        foreach ($videos as $video) {
+            $result[] = [
+                'id' => $video->id,
+                'title' => player_handler::get_video_title($video),
+                'coursename' => isset($courses[$video->course_id]) ? format_string($courses[$video->course_id]->fullname) : '',
+                'status' => $video->status,
+                'status_label' => get_string('status_' . $video->status, 'local_cloudflarestream')
+            ];
+        }
+
+        return ['videos' => $result];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'videos' => new external_multiple_structure(new external_single_structure([
+                'id' => new external_value(PARAM_INT, 'Video record ID'),
+                'title' => new external_value(PARAM_TEXT, 'Video title'),
+                'coursename' => new external_value(PARAM_TEXT, 'Course name'),
+                'status' => new external_value(PARAM_ALPHA, 'Video status'),
+                'status_label' => new external_value(PARAM_TEXT, 'Localised video status')
+            ]))
+        ]);
+    }
+}
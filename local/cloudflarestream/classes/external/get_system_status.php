@@ -0,0 +1,102 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for the admin dashboard system status badges.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\api\cloudflare_client;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Reports configuration validity and Cloudflare API connectivity.
+ */
+class get_system_status extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([]);
+    }
+
+    /**
+     * Get the system status.
+     *
+     * @return array System status
+     */
+    public static function execute() {
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        $status = config_manager::get_status();
+
+        // Test API connection
+        $client = cloudflare_client::get_instance();
+        if ($client) {
+            $connectiontest = $client->test_connection();
+            $status['api_connected'] = $connectiontest['success'];
+            $status['api_message'] = $connectiontest['message'] ?? $connectiontest['error'] ?? '';
+        } else {
+            $status['api_connected'] = false;
+            $status['api_message'] = 'Client not configured';
+        }
+
+        return [
+            'configured' => (bool)$status['configured'],
+            'valid' => (bool)$status['valid'],
+            'errors' => array_values($status['errors']),
+            'warnings' => array_values($status['warnings']),
+            'api_connected' => (bool)$status['api_connected'],
+            'api_message' => $status['api_message']
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'configured' => new external_value(PARAM_BOOL, 'Whether the API credentials are set'),
+            'valid' => new external_value(PARAM_BOOL, 'Whether the configuration is valid'),
+            'errors' => new external_multiple_structure(new external_value(PARAM_TEXT, 'Configuration error')),
+            'warnings' => new external_multiple_structure(new external_value(PARAM_TEXT, 'Configuration warning')),
+            'api_connected' => new external_value(PARAM_BOOL, 'Whether the Cloudflare API is reachable'),
+            'api_message' => new external_value(PARAM_TEXT, 'API connection test message')
+        ]);
+    }
+}
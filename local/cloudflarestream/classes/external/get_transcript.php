@@ -0,0 +1,124 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for reading the transcript of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\api\caption_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Returns the caption cues of a video to its viewers.
+ */
+class get_transcript extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'language' => new external_value(PARAM_ALPHANUMEXT, 'Caption language, empty for the default', VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * Get the transcript of a video.
+     *
+     * @param int $videoid Video record ID
+     * @param string $language Caption language
+     * @return array Transcript
+     */
+    public static function execute($videoid, $language = '') {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'language' => $language
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed']) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        $manager = caption_manager::for_video($video);
+        if (!$manager) {
+            throw new \moodle_exception('error_not_configured', 'local_cloudflarestream');
+        }
+
+        $result = $manager->get_transcript($video->id, $params['language']);
+        if (!$result['success']) {
+            throw new \moodle_exception('error_transcript_unavailable', 'local_cloudflarestream', '', null, $result['error']);
+        }
+
+        return [
+            'language' => $result['language'],
+            'languages' => $result['languages'],
+            'cues' => $result['cues']
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'language' => new external_value(PARAM_ALPHANUMEXT, 'Language of the cues, empty when there are no captions'),
+            'languages' => new external_multiple_structure(
+                new external_single_structure([
+                    'language' => new external_value(PARAM_ALPHANUMEXT, 'Language tag'),
+                    'label' => new external_value(PARAM_TEXT, 'Track label')
+                ])
+            ),
+            'cues' => new external_multiple_structure(
+                new external_single_structure([
+                    'start' => new external_value(PARAM_FLOAT, 'Start time in seconds'),
+                    'end' => new external_value(PARAM_FLOAT, 'End time in seconds'),
+                    'text' => new external_value(PARAM_TEXT, 'Cue text')
+                ])
+            )
+        ]);
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for listing the videos uploaded by the current user.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Lists the current user's uploads, optionally within one course.
+ */
+class get_user_videos extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'courseid' => new external_value(PARAM_INT, 'Course ID, 0 for all courses', VALUE_DEFAULT, 0)
+        ]);
+    }
+
+    /**
+     * Get the videos uploaded by the current user.
+     *
+     * @param int $courseid Course ID, 0 for all courses
+     * @return array Videos
+     */
+    public static function execute($courseid = 0) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['courseid' => $courseid]);
+
+        if ($params['courseid']) {
+            self::validate_context(\context_course::instance($params['courseid']));
+        } else {
+            self::validate_context(\context_system::instance());
+        }
+
+        $videos = [];
+        foreach (video_manager::get_videos_by_user($USER->id) as $video) {
+            if ($params['courseid'] && $video->course_id != $params['courseid']) {
+                continue;
+            }
+            $videos[] = get_video_status::export_video($video);
+        }
+
+        return ['videos' => $videos];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'videos' => new external_multiple_structure(get_video_status::video_structure())
+        ]);
+    }
+}
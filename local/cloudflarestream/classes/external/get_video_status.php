@@ -0,0 +1,148 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for reading the processing status of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Returns the status of a video to anyone who can access its course.
+ */
+class get_video_status extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID')
+        ]);
+    }
+
+    /**
+     * Get the status of a video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Video status
+     */
+    public static function execute($videoid) {
+        $params = self::validate_parameters(self::execute_parameters(), ['videoid' => $videoid]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+
+        // Anyone who can enter the course may follow the progress of its videos
+        self::validate_context(\context_course::instance($video->course_id));
+
+        return self::export_video($video);
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return self::video_structure();
+    }
+
+    /**
+     * Export a video record for web service responses.
+     *
+     * @param \stdClass $video Video record
+     * @return array Exported video
+     */
+    public static function export_video($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+
+        return [
+            'id' => $video->id,
+            'course_id' => $video->course_id,
+            'status' => $video->status,
+            'progress' => self::get_progress($video->status),
+            'filename' => $metadata['original_filename'] ?? 'Unknown',
+            'filesize' => $video->file_size,
+            'upload_date' => $video->upload_date,
+            'ready_date' => $video->ready_date,
+            'error_message' => $video->error_message,
+            'cloudflare_video_id' => $video->cloudflare_video_id,
+            'thumbnail_url' => $video->thumbnail_url,
+            'duration' => $video->duration
+        ];
+    }
+
+    /**
+     * Describe an exported video.
+     *
+     * @return external_single_structure
+     */
+    public static function video_structure() {
+        return new external_single_structure([
+            'id' => new external_value(PARAM_INT, 'Video record ID'),
+            'course_id' => new external_value(PARAM_INT, 'Course ID'),
+            'status' => new external_value(PARAM_ALPHA, 'Processing status'),
+            'progress' => new external_value(PARAM_INT, 'Approximate progress percentage'),
+            'filename' => new external_value(PARAM_FILE, 'Original filename'),
+            'filesize' => new external_value(PARAM_INT, 'File size in bytes'),
+            'upload_date' => new external_value(PARAM_INT, 'Upload timestamp'),
+            'ready_date' => new external_value(PARAM_INT, 'Timestamp the video became ready', VALUE_OPTIONAL),
+            'error_message' => new external_value(PARAM_TEXT, 'Processing error', VALUE_OPTIONAL),
+            'cloudflare_video_id' => new external_value(PARAM_ALPHANUMEXT, 'Cloudflare Stream video ID', VALUE_OPTIONAL),
+            'thumbnail_url' => new external_value(PARAM_URL, 'Thumbnail URL', VALUE_OPTIONAL),
+            'duration' => new external_value(PARAM_INT, 'Duration in seconds', VALUE_OPTIONAL)
+        ]);
+    }
+
+    /**
+     * Get the approximate progress percentage of a status.
+     *
+     * @param string $status Video status
+     * @return int Progress percentage
+     */
+    private static function get_progress($status) {
+        switch ($status) {
+            case video_manager::STATUS_UPLOADING:
+                return 25;
+            case video_manager::STATUS_PROCESSING:
+                return 50;
+            case video_manager::STATUS_READY:
+                return 100;
+            default:
+                return 0;
+        }
+    }
+}
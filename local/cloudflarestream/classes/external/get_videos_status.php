@@ -0,0 +1,155 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for following the processing status of many videos at once.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Returns the status of a batch of videos, optionally waiting until one of them changes.
+ *
+ * Pages showing several videos that are still being processed send a single
+ * long-poll request for all of them instead of polling each video separately.
+ */
+class get_videos_status extends external_api {
+
+    /** @var int Longest time in seconds a request may wait for a change */
+    const MAX_WAIT = 25;
+
+    /** @var int Seconds between database checks while waiting */
+    const CHECK_INTERVAL = 2;
+
+    /** @var int Largest number of videos accepted in one request */
+    const MAX_VIDEOS = 500;
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videos' => new external_multiple_structure(
+                new external_single_structure([
+                    'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+                    'status' => new external_value(PARAM_ALPHA, 'Status currently shown on the page', VALUE_DEFAULT, '')
+                ])
+            ),
+            'wait' => new external_value(PARAM_INT, 'Seconds to wait for a status change before returning', VALUE_DEFAULT, 0)
+        ]);
+    }
+
+    /**
+     * Get the status of several videos.
+     *
+     * When wait is set, the request returns as soon as a video's status differs
+     * from the one the page knows about, or when the wait time is over.
+     *
+     * @param array $videos Videos with the status shown on the page
+     * @param int $wait Seconds to wait for a change
+     * @return array Video statuses
+     */
+    public static function execute($videos, $wait = 0) {
+        $params = self::validate_parameters(self::execute_parameters(), ['videos' => $videos, 'wait' => $wait]);
+
+        if (count($params['videos']) > self::MAX_VIDEOS) {
+            throw new \invalid_parameter_exception('Too many videos requested');
+        }
+
+        self::validate_context(\context_system::instance());
+
+        $known = array_column($params['videos'], 'status', 'videoid');
+        $wait = max(0, min(self::MAX_WAIT, $params['wait']));
+
+        if ($wait > 0) {
+            // Do not hold the session lock while waiting, other requests of the user would queue behind it
+            \core\session\manager::write_close();
+        }
+
+        $deadline = time() + $wait;
+        $accessiblecourses = [];
+
+        while (true) {
+            $result = [];
+            $changed = false;
+
+            foreach (video_manager::get_videos(array_keys($known)) as $video) {
+                if (!self::can_access_course($video->course_id, $accessiblecourses)) {
+                    continue;
+                }
+
+                $result[] = get_video_status::export_video($video);
+                if ($video->status !== $known[$video->id]) {
+                    $changed = true;
+                }
+            }
+
+            if ($changed || time() + self::CHECK_INTERVAL > $deadline) {
+                return ['videos' => $result, 'changed' => $changed];
+            }
+
+            sleep(self::CHECK_INTERVAL);
+        }
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'videos' => new external_multiple_structure(get_video_status::video_structure()),
+            'changed' => new external_value(PARAM_BOOL, 'Whether any status differs from the one shown on the page')
+        ]);
+    }
+
+    /**
+     * Check whether the current user may enter a course, caching the answer.
+     *
+     * @param int $courseid Course ID
+     * @param array $cache Access already checked, indexed by course ID
+     * @return bool Whether the course is accessible
+     */
+    private static function can_access_course($courseid, array &$cache) {
+        global $DB;
+
+        if (!isset($cache[$courseid])) {
+            $course = $DB->get_record('course', ['id' => $courseid]);
+            $cache[$courseid] = $course && can_access_course($course);
+        }
+
+        return $cache[$courseid];
+    }
+}
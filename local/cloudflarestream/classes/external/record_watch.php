@@ -0,0 +1,152 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function receiving watched segment heartbeats from the player.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\watch_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Records which parts of a video the current user watched.
+ */
+class record_watch extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'segments' => new external_multiple_structure(
+                new external_single_structure([
+                    'start' => new external_value(PARAM_FLOAT, 'Segment start in seconds'),
+                    'end' => new external_value(PARAM_FLOAT, 'Segment end in seconds')
+                ])
+            ),
+            'duration' => new external_value(PARAM_INT, 'Video duration reported by the player', VALUE_DEFAULT, 0),
+            'cmid' => new external_value(PARAM_INT, 'Course module the video is embedded in', VALUE_DEFAULT, 0),
+            'cmidsignature' => new external_value(PARAM_ALPHANUM, 'Signature of the course module given to the player',
+                VALUE_DEFAULT, ''),
+            'sessionkey' => new external_value(PARAM_ALPHANUM, 'Player session key', VALUE_DEFAULT, '')
+        ]);
+    }
+
+    /**
+     * Record watched segments.
+     *
+     * @param int $videoid Video record ID
+     * @param array $segments Watched segments
+     * @param int $duration Video duration in seconds
+     * @param int $cmid Course module ID
+     * @param string $cmidsignature Signature of the course module
+     * @param string $sessionkey Player session key
+     * @return array Watch progress
+     */
+    public static function execute($videoid, $segments, $duration = 0, $cmid = 0, $cmidsignature = '', $sessionkey = '') {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'segments' => $segments,
+            'duration' => $duration,
+            'cmid' => $cmid,
+            'cmidsignature' => $cmidsignature,
+            'sessionkey' => $sessionkey
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Only viewers of the video may report watch time for it
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed']) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        // Only the activity the player was rendered in may be credited with the watch time
+        if ($params['cmid'] && !watch_manager::verify_embed($USER->id, $video->id, $params['cmid'], $params['cmidsignature'])) {
+            return [
+                'success' => false,
+                'percentage' => watch_manager::get_percentage_watched($USER->id, $video->id),
+                'completed' => false,
+                'error' => get_string('error_embed_invalid', 'local_cloudflarestream')
+            ];
+        }
+
+        // The first report of a player session is what uses up a view
+        $playcheck = watch_manager::count_session_play($USER->id, $video, $params['sessionkey']);
+        if (!$playcheck['allowed']) {
+            return [
+                'success' => false,
+                'percentage' => watch_manager::get_percentage_watched($USER->id, $video->id),
+                'completed' => false,
+                'error' => $playcheck['message']
+            ];
+        }
+
+        $ranges = array_map(function($segment) {
+            return [$segment['start'], $segment['end']];
+        }, $params['segments']);
+
+        $result = watch_manager::record_segments($USER->id, $video->id, $ranges, $params['duration'],
+            $params['cmid'] ?: null);
+
+        return [
+            'success' => $result['success'],
+            'percentage' => $result['percentage'] ?? watch_manager::get_percentage_watched($USER->id, $video->id),
+            'completed' => $result['completed'] ?? false,
+            'error' => $result['error'] ?? ''
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the segments were recorded'),
+            'percentage' => new external_value(PARAM_INT, 'Percentage of the video watched'),
+            'completed' => new external_value(PARAM_BOOL, 'Whether the completion threshold was reached'),
+            'error' => new external_value(PARAM_TEXT, 'Reason the segments were rejected')
+        ]);
+    }
+}
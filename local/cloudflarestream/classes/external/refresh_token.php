@@ -0,0 +1,109 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for refreshing the playback token of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Issues a fresh signed playback source before the current token expires.
+ */
+class refresh_token extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'sessionkey' => new external_value(PARAM_ALPHANUM, 'Player session the token is for')
+        ]);
+    }
+
+    /**
+     * Refresh the playback token of a video for the current user.
+     *
+     * @param int $videoid Video record ID
+     * @param string $sessionkey Player session key
+     * @return array Token refresh result
+     */
+    public static function execute($videoid, $sessionkey) {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'sessionkey' => $sessionkey
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Access is re-checked by the player handler, refusals are returned rather than thrown
+        $result = player_handler::refresh_player_source($video->id, ['session_key' => $params['sessionkey']]);
+
+        if (!$result['success']) {
+            return [
+                'success' => false,
+                'error' => $result['error']
+            ];
+        }
+
+        return [
+            'success' => true,
+            'token' => $result['token'],
+            'expires_at' => $result['expires_at'],
+            'playback_id' => $result['playback_id'],
+            'embed_url' => $result['embed_url']
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether a new token was issued'),
+            'token' => new external_value(PARAM_RAW, 'Access token', VALUE_OPTIONAL),
+            'expires_at' => new external_value(PARAM_INT, 'Token expiry timestamp', VALUE_OPTIONAL),
+            'playback_id' => new external_value(PARAM_RAW, 'Signed playback ID for the embed URL', VALUE_OPTIONAL),
+            'embed_url' => new external_value(PARAM_URL, 'Signed embed URL', VALUE_OPTIONAL),
+            'error' => new external_value(PARAM_TEXT, 'Reason the token was refused', VALUE_OPTIONAL)
+        ]);
+    }
+}
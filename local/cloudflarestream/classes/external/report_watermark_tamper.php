@@ -0,0 +1,105 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for reporting tampering with the viewer watermark.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\watermark_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Logs that the watermark over a player was removed, changed or hidden.
+ */
+class report_watermark_tamper extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'type' => new external_value(PARAM_ALPHA, 'Kind of tampering: removed, modified or hidden')
+        ]);
+    }
+
+    /**
+     * Log the tampering.
+     *
+     * @param int $videoid Video record ID
+     * @param string $type Kind of tampering
+     * @return array Result
+     */
+    public static function execute($videoid, $type) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'type' => $type
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed']) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        if (!in_array($params['type'], watermark_manager::TAMPER_TYPES)) {
+            throw new \invalid_parameter_exception('Unknown tampering type: ' . $params['type']);
+        }
+
+        player_handler::log_player_access($video->id, $USER->id, false, 'watermark_tampered', [
+            'type' => $params['type']
+        ]);
+
+        return ['success' => true];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the report was logged')
+        ]);
+    }
+}
@@ -0,0 +1,101 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for retrying a failed video upload.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\sync_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Puts a failed upload back in the processing queue.
+ */
+class retry_upload extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID')
+        ]);
+    }
+
+    /**
+     * Retry a failed upload.
+     *
+     * @param int $videoid Video record ID
+     * @return array Retry result
+     */
+    public static function execute($videoid) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['videoid' => $videoid]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // The uploader and course managers may retry
+        if ($video->user_id != $USER->id) {
+            $accesscheck = access_controller::can_manage_video($video->id, $USER->id);
+            if (!$accesscheck['allowed']) {
+                throw new \required_capability_exception(\context_course::instance($video->course_id),
+                    'moodle/course:update', 'nopermissions', '');
+            }
+        }
+
+        $result = sync_manager::reset_video_for_retry($video->id);
+
+        return [
+            'success' => $result['success'],
+            'message' => $result['message'] ?? $result['error'] ?? ''
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the video was queued again'),
+            'message' => new external_value(PARAM_TEXT, 'Result message')
+        ]);
+    }
+}
@@ -0,0 +1,100 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for rotating the Stream signing key.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\auth\signing_key_manager;
+use local_cloudflarestream\profile_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Creates a new Stream signing key from the plugin settings.
+ */
+class rotate_signing_key extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'profileid' => new external_value(PARAM_INT, 'Credential profile ID, 0 for the site credentials', VALUE_DEFAULT, 0)
+        ]);
+    }
+
+    /**
+     * Rotate the signing key.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Result
+     */
+    public static function execute($profileid = 0) {
+        $params = self::validate_parameters(self::execute_parameters(), ['profileid' => $profileid]);
+
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        if ($params['profileid'] && !profile_manager::get_profile($params['profileid'])) {
+            throw new \moodle_exception('error_profile_not_found', 'local_cloudflarestream');
+        }
+
+        $result = signing_key_manager::rotate($params['profileid']);
+        if (!$result['success']) {
+            return ['success' => false, 'message' => $result['error']];
+        }
+
+        if ($result['previous_valid_until']) {
+            $message = get_string('signing_key_rotated', 'local_cloudflarestream', [
+                'id' => $result['key_id'],
+                'until' => userdate($result['previous_valid_until'])
+            ]);
+        } else {
+            $message = get_string('signing_key_created', 'local_cloudflarestream', $result['key_id']);
+        }
+
+        return ['success' => true, 'message' => $message];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether a new key was created'),
+            'message' => new external_value(PARAM_TEXT, 'Result or error message')
+        ]);
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for saving the playback position of the current user.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Stores where the current user stopped watching a video.
+ */
+class save_position extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+            'position' => new external_value(PARAM_INT, 'Playback position in seconds'),
+            'duration' => new external_value(PARAM_INT, 'Video duration reported by the player', VALUE_DEFAULT, 0)
+        ]);
+    }
+
+    /**
+     * Save the playback position.
+     *
+     * @param int $videoid Video record ID
+     * @param int $position Playback position in seconds
+     * @param int $duration Video duration in seconds
+     * @return array Result
+     */
+    public static function execute($videoid, $position, $duration = 0) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'videoid' => $videoid,
+            'position' => $position,
+            'duration' => $duration
+        ]);
+
+        $video = video_manager::get_video($params['videoid']);
+        if (!$video) {
+            throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+        }
+        self::validate_context(\context_course::instance($video->course_id));
+
+        // Only viewers of the video may store a position for it
+        $accesscheck = access_controller::can_view_video($video->id, $USER->id);
+        if (!$accesscheck['allowed']) {
+            throw new \moodle_exception('error_insufficient_permissions', 'local_cloudflarestream');
+        }
+
+        return [
+            'success' => true,
+            'saved' => position_manager::save_position($USER->id, $video->id, $params['position'], $params['duration'])
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the request was processed'),
+            'saved' => new external_value(PARAM_BOOL, 'Whether a resumable position is now stored')
+        ]);
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for syncing or resetting one batch of videos from the sync console.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\sync_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Runs a sync console action on a small batch of videos and reports each one.
+ */
+class sync_video_batch extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'action' => new external_value(PARAM_ALPHA, 'One of ' . implode(', ', sync_manager::BATCH_ACTIONS)),
+            'videoids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Video record ID')
+            )
+        ]);
+    }
+
+    /**
+     * Run the action on each video.
+     *
+     * @param string $action Action to run
+     * @param array $videoids Video record IDs
+     * @return array Results per video
+     */
+    public static function execute($action, $videoids) {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'action' => $action,
+            'videoids' => $videoids
+        ]);
+
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        if (!in_array($params['action'], sync_manager::BATCH_ACTIONS)) {
+            throw new \invalid_parameter_exception('Unknown action: ' . $params['action']);
+        }
+        if (count($params['videoids']) > sync_manager::MAX_BATCH_SIZE) {
+            throw new \invalid_parameter_exception('At most ' . sync_manager::MAX_BATCH_SIZE . ' videos per batch');
+        }
+
+        return [
+            'results' => sync_manager::sync_batch($params['action'], $params['videoids'])
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'results' => new external_multiple_structure(new external_single_structure([
+                'videoid' => new external_value(PARAM_INT, 'Video record ID'),
+                'success' => new external_value(PARAM_BOOL, 'Whether the action ran'),
+                'updated' => new external_value(PARAM_BOOL, 'Whether the video changed'),
+                'message' => new external_value(PARAM_TEXT, 'Result message')
+            ]))
+        ]);
+    }
+}
@@ -0,0 +1,205 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function running synchronisation actions from the admin dashboard.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+use invalid_parameter_exception;
+use local_cloudflarestream\sync_manager;
+use local_cloudflarestream\video_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Runs one of the sync_manager actions and reports what it did.
+ */
+class sync_videos extends external_api {
+
+    /** @var array Supported actions */
+    const ACTIONS = ['full_sync', 'sync_video', 'sync_by_status', 'cleanup_orphans', 'reset_video'];
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'action' => new external_value(PARAM_ALPHAEXT, 'One of ' . implode(', ', self::ACTIONS)),
+            'videoid' => new external_value(PARAM_INT, 'Video record ID for sync_video and reset_video', VALUE_DEFAULT, 0),
+            'status' => new external_value(PARAM_ALPHA, 'Video status for sync_by_status', VALUE_DEFAULT, ''),
+            'force' => new external_value(PARAM_BOOL, 'Also sync ready videos in full_sync', VALUE_DEFAULT, false),
+            'dryrun' => new external_value(PARAM_BOOL, 'Only report what cleanup_orphans would do', VALUE_DEFAULT, true),
+            'limit' => new external_value(PARAM_INT, 'Maximum videos for sync_by_status', VALUE_DEFAULT, 50),
+            'moodleorphans' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Video record ID'),
+                'Moodle orphans confirmed from the preview, cleanup_orphans only cleans these', VALUE_DEFAULT, []),
+            'cloudflareorphans' => new external_multiple_structure(
+                new external_value(PARAM_ALPHANUMEXT, 'Cloudflare video ID'),
+                'Cloudflare orphans confirmed from the preview, cleanup_orphans only deletes these', VALUE_DEFAULT, [])
+        ]);
+    }
+
+    /**
+     * Run a synchronisation action.
+     *
+     * @param string $action Action name
+     * @param int $videoid Video record ID
+     * @param string $status Video status
+     * @param bool $force Force sync of ready videos
+     * @param bool $dryrun Dry run for orphan cleanup
+     * @param int $limit Maximum number of videos
+     * @param array $moodleorphans Confirmed Moodle orphan video IDs
+     * @param array $cloudflareorphans Confirmed Cloudflare orphan video IDs
+     * @return array Action result
+     */
+    public static function execute($action, $videoid = 0, $status = '', $force = false, $dryrun = true, $limit = 50,
+            $moodleorphans = [], $cloudflareorphans = []) {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'action' => $action,
+            'videoid' => $videoid,
+            'status' => $status,
+            'force' => $force,
+            'dryrun' => $dryrun,
+            'limit' => $limit,
+            'moodleorphans' => $moodleorphans,
+            'cloudflareorphans' => $cloudflareorphans
+        ]);
+
+        $context = \context_system::instance();
+        self::validate_context($context);
+        require_capability('moodle/site:config', $context);
+
+        switch ($params['action']) {
+            case 'full_sync':
+                $result = sync_manager::manual_full_sync($params['force']);
+                break;
+
+            case 'sync_video':
+                if (!video_manager::get_video($params['videoid'])) {
+                    throw new \moodle_exception('error_video_not_found', 'local_cloudflarestream');
+                }
+                $result = self::single_video_result($params['videoid'], sync_manager::sync_video($params['videoid']));
+                break;
+
+            case 'sync_by_status':
+                $result = sync_manager::sync_videos_by_status($params['status'], $params['limit']);
+                break;
+
+            case 'cleanup_orphans':
+                // A real cleanup only touches the orphans the admin confirmed from the preview
+                $confirmed = $params['dryrun'] ? null : [
+                    'moodle' => $params['moodleorphans'],
+                    'cloudflare' => $params['cloudflareorphans']
+                ];
+                $result = sync_manager::cleanup_orphaned_videos($params['dryrun'], $confirmed);
+                break;
+
+            case 'reset_video':
+                $result = sync_manager::reset_video_for_retry($params['videoid']);
+                break;
+
+            default:
+                throw new invalid_parameter_exception('Invalid action: ' . $params['action']);
+        }
+
+        return [
+            'success' => (bool)$result['success'],
+            'message' => $result['message'] ?? $result['error'] ?? '',
+            'total_processed' => $result['total_processed'] ?? 0,
+            'updated' => $result['updated'] ?? 0,
+            'errors' => $result['errors'] ?? 0,
+            'moodle_orphans_found' => $result['moodle_orphans_found'] ?? 0,
+            'moodle_orphans_cleaned' => $result['moodle_orphans_cleaned'] ?? 0,
+            'cloudflare_orphans_found' => $result['cloudflare_orphans_found'] ?? 0,
+            'cloudflare_orphans_cleaned' => $result['cloudflare_orphans_cleaned'] ?? 0,
+            'moodle_orphans' => $result['moodle_orphans'] ?? [],
+            'cloudflare_orphans' => $result['cloudflare_orphans'] ?? [],
+            'details' => array_values($result['details'] ?? [])
+        ];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the action ran'),
+            'message' => new external_value(PARAM_TEXT, 'Result or error message'),
+            'total_processed' => new external_value(PARAM_INT, 'Videos processed'),
+            'updated' => new external_value(PARAM_INT, 'Videos whose status changed'),
+            'errors' => new external_value(PARAM_INT, 'Videos that failed to sync'),
+            'moodle_orphans_found' => new external_value(PARAM_INT, 'Moodle videos missing on Cloudflare'),
+            'moodle_orphans_cleaned' => new external_value(PARAM_INT, 'Moodle orphans marked as failed'),
+            'cloudflare_orphans_found' => new external_value(PARAM_INT, 'Cloudflare videos unknown to Moodle'),
+            'cloudflare_orphans_cleaned' => new external_value(PARAM_INT, 'Cloudflare orphans deleted'),
+            'moodle_orphans' => new external_multiple_structure(new external_single_structure([
+                'id' => new external_value(PARAM_INT, 'Video record ID'),
+                'title' => new external_value(PARAM_TEXT, 'Video title'),
+                'course_id' => new external_value(PARAM_INT, 'Course ID')
+            ]), 'Moodle videos missing on Cloudflare'),
+            'cloudflare_orphans' => new external_multiple_structure(new external_single_structure([
+                'uid' => new external_value(PARAM_ALPHANUMEXT, 'Cloudflare video ID'),
+                'name' => new external_value(PARAM_TEXT, 'Name on Cloudflare'),
+                'created' => new external_value(PARAM_INT, 'Time the video was created on Cloudflare')
+            ]), 'Cloudflare videos unknown to Moodle'),
+            'details' => new external_multiple_structure(new external_value(PARAM_TEXT, 'Log line'))
+        ]);
+    }
+
+    /**
+     * Shape the result of a single video sync like the batch results.
+     *
+     * @param int $videoid Video record ID
+     * @param array $syncresult Result from the stream manager
+     * @return array Batch style result
+     */
+    private static function single_video_result($videoid, array $syncresult) {
+        $result = [
+            'success' => $syncresult['success'],
+            'total_processed' => 1,
+            'updated' => !empty($syncresult['updated']) ? 1 : 0,
+            'errors' => $syncresult['success'] ? 0 : 1,
+            'details' => []
+        ];
+
+        if (!$syncresult['success']) {
+            $result['error'] = $syncresult['error'] ?? 'Unknown error';
+            $result['details'][] = "Failed to sync video {$videoid}: " . $result['error'];
+        } else if (!empty($syncresult['updated'])) {
+            $result['details'][] = "Updated video {$videoid}: {$syncresult['old_status']} → {$syncresult['new_status']}";
+        }
+
+        return $result;
+    }
+}
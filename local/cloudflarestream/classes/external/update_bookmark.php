@@ -0,0 +1,87 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for changing the note of a bookmark.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\external;
+
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+use local_cloudflarestream\bookmark_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Changes the note of a bookmark owned by the current user.
+ */
+class update_bookmark extends external_api {
+
+    /**
+     * Describe the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'bookmarkid' => new external_value(PARAM_INT, 'Bookmark ID'),
+            'note' => new external_value(PARAM_TEXT, 'New note')
+        ]);
+    }
+
+    /**
+     * Change the note of a bookmark.
+     *
+     * @param int $bookmarkid Bookmark ID
+     * @param string $note New note
+     * @return array The updated bookmark
+     */
+    public static function execute($bookmarkid, $note) {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'bookmarkid' => $bookmarkid,
+            'note' => $note
+        ]);
+        self::validate_context(\context_user::instance($USER->id));
+
+        $bookmark = bookmark_manager::update_note($USER->id, $params['bookmarkid'], $params['note']);
+        if (!$bookmark) {
+            throw new \moodle_exception('error_bookmark_not_found', 'local_cloudflarestream');
+        }
+
+        return bookmark_manager::export_bookmarks([$bookmark])[0];
+    }
+
+    /**
+     * Describe the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return add_bookmark::bookmark_structure();
+    }
+}
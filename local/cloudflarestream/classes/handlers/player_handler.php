@@ -26,8 +26,18 @@ namespace local_cloudflarestream\handlers;
 
 use local_cloudflarestream\video_manager;
 use local_cloudflarestream\access_controller;
+use local_cloudflarestream\access_rule_manager;
 use local_cloudflarestream\config_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\watch_manager;
+use local_cloudflarestream\bookmark_manager;
+use local_cloudflarestream\chapter_manager;
+use local_cloudflarestream\checkpoint_manager;
+use local_cloudflarestream\watermark_manager;
+use local_cloudflarestream\stream_session_manager;
+use local_cloudflarestream\live_manager;
 use local_cloudflarestream\auth\token_manager;
+use local_cloudflarestream\api\caption_manager;
 
 defined('MOODLE_INTERNAL') || die();
 
@@ -45,9 +55,16 @@ class player_handler {
     /** @var string Cloudflare Stream embed domain */
     const EMBED_DOMAIN = 'embed.cloudflarestream.com';
 
+    /** @var string Cloudflare Stream delivery domain serving HLS manifests, used by the fallback player */
+    const HLS_DOMAIN = 'videodelivery.net';
+
     /**
      * Generate Cloudflare Stream player HTML.
      *
+     * Besides the display options, 'start' opens the video at a given second
+     * instead of offering to resume, which is how ?t= deep links are served,
+     * and 'clip_editor' turns the player into the timeline of the clip editor.
+     *
      * @param int $videoid Video record ID
      * @param array $options Player options
      * @return array Player generation result
@@ -70,17 +87,27 @@ class player_handler {
                 return self::generate_status_player($video, $options);
             }
 
-            // Check user access
+            // Check user access, and that another view is left for a new player
             $accesscheck = access_controller::can_view_video($videoid, $USER->id);
+            if ($accesscheck['allowed']) {
+                $accesscheck = access_rule_manager::check_view_limit($video, $USER->id);
+            }
             if (!$accesscheck['allowed']) {
+                // Tell learners held back by an access rule why, in place of the player
+                if (in_array($accesscheck['reason'], access_rule_manager::REASONS)) {
+                    return self::generate_denied_player($video, $accesscheck, $options);
+                }
                 return [
                     'success' => false,
                     'error' => $accesscheck['message']
                 ];
             }
 
+            // Each opened player is a session, counted against the concurrent stream limit
+            $options['session_key'] = stream_session_manager::create_session_key();
+
             // Generate access token
-            $tokenresult = token_manager::generate_video_token($USER->id, $videoid, $options);
+            $tokenresult = self::issue_playback_token($video, $USER->id, $options);
             if (!$tokenresult['success']) {
                 return [
                     'success' => false,
@@ -88,6 +115,11 @@ class player_handler {
                 ];
             }
 
+            // The embedding activity waits for the video to be watched before it completes
+            if (!empty($options['cmid']) && isloggedin() && !isguestuser()) {
+                watch_manager::register_embed($USER->id, $video->id, $options['cmid']);
+            }
+
             // Generate player HTML
             $playerhtml = self::render_cloudflare_player($video, $tokenresult, $options);
 
@@ -106,6 +138,253 @@ class player_handler {
         }
     }
 
+    /**
+     * Issue a fresh playback source for an already rendered player.
+     *
+     * Called when the player's token is about to expire so the iframe can be
+     * pointed at a new signed URL without reloading the page. Only sessions
+     * of players opened through generate_player() are renewed, so the view
+     * limit cannot be skipped, and sessions ended by the concurrent stream
+     * limit get no new token.
+     *
+     * @param int $videoid Video record ID
+     * @param array $options Token options, with the player's session_key
+     * @return array Refresh result
+     */
+    public static function refresh_player_source($videoid, $options = []) {
+        global $USER;
+
+        try {
+            $accesscheck = access_controller::can_view_video($videoid, $USER->id);
+            if (!$accesscheck['allowed']) {
+                return [
+                    'success' => false,
+                    'error' => $accesscheck['message']
+                ];
+            }
+
+            $sessioncheck = self::check_player_session($videoid, $options['session_key'] ?? '');
+            if (!$sessioncheck['allowed']) {
+                return [
+                    'success' => false,
+                    'error' => $sessioncheck['message']
+                ];
+            }
+
+            $video = video_manager::get_video($videoid);
+            $tokenresult = self::issue_playback_token($video, $USER->id, $options);
+            if (!$tokenresult['success']) {
+                return [
+                    'success' => false,
+                    'error' => $tokenresult['error']
+                ];
+            }
+
+            return [
+                'success' => true,
+                'token' => $tokenresult['token'],
+                'expires_at' => $tokenresult['expires_at'],
+                'playback_id' => $tokenresult['playback_id'],
+                'embed_url' => self::generate_embed_url($tokenresult['playback_id'], self::get_player_config($options, $video))
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Check that a player session may be given a new playback source.
+     *
+     * The key has to belong to a player opened for the user and video, and the
+     * session must not have been ended by the concurrent stream limit, so token
+     * refreshes and the fallback player stay under both limits. Under the
+     * concurrent stream limit the session must also be sending heartbeats.
+     * A session that gets a new source uses up its view, if it has not yet.
+     *
+     * @param int $videoid Video record ID
+     * @param string $sessionkey Session key of the player
+     * @param bool $replacefirst Whether a session that has not played yet may replace its first token
+     * @return array Result with allowed and message
+     */
+    private static function check_player_session($videoid, $sessionkey, $replacefirst = false) {
+        global $USER;
+
+        if (!stream_session_manager::is_issued($USER->id, $videoid, $sessionkey)) {
+            return [
+                'allowed' => false,
+                'message' => get_string('error_session_invalid', 'local_cloudflarestream')
+            ];
+        }
+
+        if (stream_session_manager::is_ended($USER->id, $sessionkey)) {
+            return [
+                'allowed' => false,
+                'message' => get_string('stream_taken_over', 'local_cloudflarestream')
+            ];
+        }
+
+        if (!stream_session_manager::can_renew($USER->id, $videoid, $sessionkey, $replacefirst)) {
+            return [
+                'allowed' => false,
+                'message' => get_string('error_session_not_playing', 'local_cloudflarestream')
+            ];
+        }
+
+        $playcheck = watch_manager::count_session_play($USER->id, video_manager::get_video($videoid), $sessionkey);
+        if (!$playcheck['allowed']) {
+            return $playcheck;
+        }
+
+        return ['allowed' => true, 'message' => ''];
+    }
+
+    /**
+     * Generate the player of a live session.
+     *
+     * Learners get a placeholder before the broadcast starts, the stream while
+     * it is live, and the recording, through the regular video player, once
+     * it has ended.
+     *
+     * @param int $sessionid Live session ID
+     * @param array $options Player options
+     * @return array Player generation result
+     */
+    public static function generate_live_player($sessionid, $options = []) {
+        global $USER;
+
+        try {
+            $session = live_manager::get_session($sessionid);
+            if (!$session) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_live_not_found', 'local_cloudflarestream')
+                ];
+            }
+
+            $accesscheck = access_controller::can_view_live_session($session, $USER->id);
+            if (!$accesscheck['allowed']) {
+                return [
+                    'success' => false,
+                    'error' => $accesscheck['message']
+                ];
+            }
+
+            $session = live_manager::refresh_status($session);
+
+            if ($session->status === live_manager::STATUS_ENDED && $session->video_id) {
+                return self::generate_player($session->video_id, $options);
+            }
+
+            if ($session->status !== live_manager::STATUS_LIVE) {
+                return self::generate_live_status_player($session, $options);
+            }
+
+            $tokenresult = token_manager::generate_live_url($session, $USER->id);
+            if (!$tokenresult['success']) {
+                return [
+                    'success' => false,
+                    'error' => $tokenresult['error']
+                ];
+            }
+
+            return [
+                'success' => true,
+                'html' => self::render_live_player($session, $tokenresult, $options),
+                'token_expires' => $tokenresult['expires_at']
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Issue a fresh playback source for an open live player.
+     *
+     * @param int $sessionid Live session ID
+     * @return array Refresh result
+     */
+    public static function refresh_live_source($sessionid) {
+        global $USER;
+
+        try {
+            $session = live_manager::get_session($sessionid);
+            if (!$session) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_live_not_found', 'local_cloudflarestream')
+                ];
+            }
+
+            $accesscheck = access_controller::can_view_live_session($session, $USER->id);
+            if (!$accesscheck['allowed']) {
+                return [
+                    'success' => false,
+                    'error' => $accesscheck['message']
+                ];
+            }
+
+            $tokenresult = token_manager::generate_live_url($session, $USER->id);
+            if (!$tokenresult['success']) {
+                return [
+                    'success' => false,
+                    'error' => $tokenresult['error']
+                ];
+            }
+
+            return [
+                'success' => true,
+                'expires_at' => $tokenresult['expires_at'],
+                'playback_id' => $tokenresult['signed_url'],
+                'embed_url' => self::generate_embed_url($tokenresult['signed_url'], self::get_live_player_config([]))
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+    }
+
+    /**
+     * Issue an access token and the identifier the embed URL should point at.
+     *
+     * Uploaded videos require signed URLs, so the Cloudflare signed token takes the
+     * place of the video ID in the embed URL. If signing fails we fall back to the
+     * plain video ID with an internal token only.
+     *
+     * @param \stdClass $video Video record
+     * @param int $userid User ID
+     * @param array $options Token options
+     * @return array Token result with playback_id
+     */
+    private static function issue_playback_token($video, $userid, $options) {
+        $signedresult = token_manager::generate_signed_url($video->id, $userid, $options);
+        if ($signedresult['success']) {
+            return [
+                'success' => true,
+                'token' => $signedresult['internal_token'],
+                'expires_at' => $signedresult['expires_at'],
+                'playback_id' => $signedresult['signed_url']
+            ];
+        }
+
+        $tokenresult = token_manager::generate_video_token($userid, $video->id, $options);
+        if ($tokenresult['success']) {
+            $tokenresult['playback_id'] = $video->cloudflare_video_id;
+        }
+
+        return $tokenresult;
+    }
+
     /**
      * Render Cloudflare Stream player HTML.
      *
@@ -115,16 +394,22 @@ class player_handler {
      * @return string Player HTML
      */
     private static function render_cloudflare_player($video, $tokenresult, $options) {
-        global $OUTPUT;
+        global $OUTPUT, $USER;
 
         // Prepare player configuration
-        $playerconfig = self::get_player_config($options);
+        $playerconfig = self::get_player_config($options, $video);
         $playerid = 'cloudflare-player-' . uniqid();
 
+        // Offer to resume where the user left off, unless a start time was asked for
+        $resumeposition = $playerconfig['start'] ? 0 : position_manager::get_resume_position($USER->id, $video->id);
+
+        $watermark = watermark_manager::get_player_config($video->course_id, $USER);
+
         // Template context
         $context = [
             'player_id' => $playerid,
             'video_id' => $video->cloudflare_video_id,
+            'embed_url' => self::generate_embed_url($tokenresult['playback_id'], $playerconfig),
             'width' => $options['width'] ?? self::DEFAULT_WIDTH,
             'height' => $options['height'] ?? self::DEFAULT_HEIGHT,
             'poster' => $video->thumbnail_url ?? '',
@@ -136,11 +421,17 @@ class player_handler {
             'preload' => $playerconfig['preload'],
             'responsive' => $options['responsive'] ?? true,
             'token_expires' => $tokenresult['expires_at'],
-            'video_record_id' => $video->id
+            'video_record_id' => $video->id,
+            'resume_position' => $resumeposition,
+            'resume_time' => position_manager::format_position($resumeposition),
+            'transcript' => $options['transcript'] ?? true,
+            'watermark' => $watermark !== null,
+            'stream_limit' => stream_session_manager::is_limited($USER->id),
+            'checkpoints' => isloggedin() && !isguestuser() && checkpoint_manager::has_checkpoints($video->id)
         ];
 
         // Add JavaScript for player initialization
-        self::add_player_javascript($playerid, $video, $tokenresult, $playerconfig);
+        self::add_player_javascript($playerid, $video, $tokenresult, $playerconfig, $options, $watermark);
 
         return $OUTPUT->render_from_template('local_cloudflarestream/player', $context);
     }
@@ -153,12 +444,14 @@ class player_handler {
      * @return array Status player result
      */
     private static function generate_status_player($video, $options) {
-        global $OUTPUT;
+        global $OUTPUT, $PAGE;
 
+        $placeholderid = 'cloudflare-status-' . uniqid();
         $statusmessage = self::get_status_message($video->status);
         $progress = self::get_status_progress($video->status);
 
         $context = [
+            'placeholder_id' => $placeholderid,
             'video_id' => $video->id,
             'status' => $video->status,
             'status_message' => $statusmessage,
@@ -166,11 +459,17 @@ class player_handler {
             'width' => $options['width'] ?? self::DEFAULT_WIDTH,
             'height' => $options['height'] ?? self::DEFAULT_HEIGHT,
             'title' => self::get_video_title($video),
-            'error_message' => $video->error_message
+            'error_message' => $video->error_message,
+            // Needed to swap the placeholder for the player once the video is ready
+            'context_id' => self::get_fragment_context_id($video->course_id, $options),
+            'start' => $options['start'] ?? 0
         ];
 
         $html = $OUTPUT->render_from_template('local_cloudflarestream/player_status', $context);
 
+        // Swap in the player as soon as processing finishes
+        $PAGE->requires->js_call_amd('local_cloudflarestream/player', 'watchStatus', [$placeholderid]);
+
         return [
             'success' => true,
             'html' => $html,
@@ -178,22 +477,207 @@ class player_handler {
         ];
     }
 
+    /**
+     * Render the player of a session that is broadcasting.
+     *
+     * The stream has no position to resume, watch time, chapters or captions,
+     * so only the token refresh and the watermark of the regular player apply.
+     *
+     * @param \stdClass $session Live session record
+     * @param array $tokenresult Signed URL result
+     * @param array $options Player options
+     * @return string Player HTML
+     */
+    private static function render_live_player($session, $tokenresult, $options) {
+        global $OUTPUT, $PAGE, $USER;
+
+        $playerconfig = self::get_live_player_config($options);
+        $playerid = 'cloudflare-player-' . uniqid();
+        $width = $options['width'] ?? self::DEFAULT_WIDTH;
+        $height = $options['height'] ?? self::DEFAULT_HEIGHT;
+        $watermark = watermark_manager::get_player_config($session->course_id, $USER);
+
+        $context = [
+            'player_id' => $playerid,
+            'video_id' => $session->live_input_id,
+            'embed_url' => self::generate_embed_url($tokenresult['signed_url'], $playerconfig),
+            'width' => $width,
+            'height' => $height,
+            'poster' => '',
+            'title' => $session->name,
+            'controls' => $playerconfig['controls'],
+            'autoplay' => $playerconfig['autoplay'],
+            'muted' => $playerconfig['muted'],
+            'loop' => false,
+            'preload' => $playerconfig['preload'],
+            'responsive' => $options['responsive'] ?? true,
+            'token_expires' => $tokenresult['expires_at'],
+            'video_record_id' => 0,
+            'live' => true,
+            'resume_position' => 0,
+            'resume_time' => '',
+            'transcript' => false,
+            'watermark' => $watermark !== null,
+            'stream_limit' => false,
+            'checkpoints' => false
+        ];
+
+        $PAGE->requires->js_call_amd('local_cloudflarestream/player', 'init', [[
+            'playerId' => $playerid,
+            'videoId' => $session->live_input_id,
+            'videoRecordId' => 0,
+            'liveSessionId' => (int)$session->id,
+            'liveVideoId' => (int)$session->video_id,
+            'width' => $width,
+            'height' => $height,
+            'cmid' => null,
+            'watchedPercentage' => 0,
+            'tokenExpires' => $tokenresult['expires_at'],
+            'config' => $playerconfig,
+            'trackProgress' => false,
+            'contextId' => \context_course::instance($session->course_id)->id,
+            // The fallback player plays recorded HLS of a video record
+            'fallbackEnabled' => false,
+            'chapters' => [],
+            'bookmarks' => [],
+            'checkpoints' => [],
+            'watermark' => $watermark,
+            'sessionKey' => '',
+            'streamLimit' => false
+        ]]);
+
+        return $OUTPUT->render_from_template('local_cloudflarestream/player', $context);
+    }
+
+    /**
+     * Generate the placeholder of a live session that is not broadcasting.
+     *
+     * @param \stdClass $session Live session record
+     * @param array $options Player options
+     * @return array Status player result
+     */
+    private static function generate_live_status_player($session, $options) {
+        global $OUTPUT, $PAGE;
+
+        $placeholderid = 'cloudflare-status-' . uniqid();
+        $scheduled = $session->status === live_manager::STATUS_SCHEDULED;
+
+        $context = [
+            'placeholder_id' => $placeholderid,
+            'video_id' => $session->video_id,
+            'live_id' => $session->id,
+            'status' => $session->status,
+            'status_message' => get_string($scheduled ? 'live_status_scheduled' : 'live_status_ended',
+                'local_cloudflarestream'),
+            'starts' => $scheduled && $session->scheduled_start ?
+                get_string('live_starts', 'local_cloudflarestream', userdate($session->scheduled_start)) : '',
+            'progress' => 0,
+            'width' => $options['width'] ?? self::DEFAULT_WIDTH,
+            'height' => $options['height'] ?? self::DEFAULT_HEIGHT,
+            'title' => $session->name,
+            'error_message' => '',
+            'context_id' => self::get_fragment_context_id($session->course_id, $options),
+            'start' => 0
+        ];
+
+        $html = $OUTPUT->render_from_template('local_cloudflarestream/player_status', $context);
+
+        // Swap in the stream when the teacher goes live, or the recording once it is registered
+        $PAGE->requires->js_call_amd('local_cloudflarestream/player', 'watchLive', [$placeholderid]);
+
+        return [
+            'success' => true,
+            'html' => $html,
+            'status' => $session->status
+        ];
+    }
+
+    /**
+     * Generate the placeholder shown instead of the player when an access rule refuses the user.
+     *
+     * @param \stdClass $video Video record
+     * @param array $accesscheck Refused access check with reason and message
+     * @param array $options Player options
+     * @return array Status player result
+     */
+    private static function generate_denied_player($video, $accesscheck, $options) {
+        global $OUTPUT;
+
+        $context = [
+            'placeholder_id' => 'cloudflare-status-' . uniqid(),
+            'video_id' => $video->id,
+            'status' => 'denied',
+            'status_message' => get_string('access_denied', 'local_cloudflarestream'),
+            'denied_reason' => $accesscheck['message'],
+            'progress' => 0,
+            'width' => $options['width'] ?? self::DEFAULT_WIDTH,
+            'height' => $options['height'] ?? self::DEFAULT_HEIGHT,
+            'title' => self::get_video_title($video),
+            'error_message' => '',
+            'context_id' => self::get_fragment_context_id($video->course_id, $options),
+            'start' => $options['start'] ?? 0
+        ];
+
+        return [
+            'success' => true,
+            'html' => $OUTPUT->render_from_template('local_cloudflarestream/player_status', $context),
+            'status' => 'denied',
+            'reason' => $accesscheck['reason']
+        ];
+    }
+
+    /**
+     * Get the context a placeholder loads its player fragment in.
+     *
+     * Inside an activity this is the activity itself, so the player the
+     * fragment renders is tied to the activity without trusting the browser.
+     *
+     * @param int $courseid Course ID
+     * @param array $options Player options
+     * @return int Context ID
+     */
+    private static function get_fragment_context_id($courseid, $options) {
+        if (!empty($options['cmid'])) {
+            return \context_module::instance($options['cmid'])->id;
+        }
+        return \context_course::instance($courseid)->id;
+    }
+
     /**
      * Get player configuration.
      *
      * @param array $options User options
+     * @param \stdClass|null $video Video record, for its default caption language
      * @return array Player configuration
      */
-    private static function get_player_config($options) {
+    private static function get_player_config($options, $video = null) {
         return [
             'controls' => $options['controls'] ?? config_manager::get('player_controls', true),
             'autoplay' => $options['autoplay'] ?? config_manager::get('autoplay', false),
             'muted' => $options['muted'] ?? false,
             'loop' => $options['loop'] ?? false,
-            'preload' => $options['preload'] ?? 'metadata'
+            'preload' => $options['preload'] ?? 'metadata',
+            'start' => max(0, (int)($options['start'] ?? 0)),
+            'defaultTextTrack' => $options['defaultTextTrack']
+                ?? ($video ? caption_manager::get_default_text_track($video) : null)
         ];
     }
 
+    /**
+     * Get the player configuration of a live stream.
+     *
+     * A stream always plays from the live edge, so start and loop do not apply.
+     *
+     * @param array $options User options
+     * @return array Player configuration
+     */
+    private static function get_live_player_config($options) {
+        $config = self::get_player_config($options);
+        $config['loop'] = false;
+        $config['start'] = 0;
+        return $config;
+    }
+
     /**
      * Add JavaScript for player initialization.
      *
@@ -201,20 +685,44 @@ class player_handler {
      * @param \stdClass $video Video record
      * @param array $tokenresult Token result
      * @param array $config Player configuration
+     * @param array $options Player options
+     * @param array|null $watermark Watermark configuration, null when disabled
      */
-    private static function add_player_javascript($playerid, $video, $tokenresult, $config) {
-        global $PAGE;
+    private static function add_player_javascript($playerid, $video, $tokenresult, $config, $options = [],
+            $watermark = null) {
+        global $PAGE, $USER;
+
+        // Guests share one account, so their progress is not worth keeping
+        $trackprogress = isloggedin() && !isguestuser();
 
         $jsconfig = [
             'playerId' => $playerid,
             'videoId' => $video->cloudflare_video_id,
             'videoRecordId' => $video->id,
+            'cmid' => $options['cmid'] ?? null,
+            // Watch reports name the activity with this, so it cannot be swapped for another one
+            'cmidSignature' => !empty($options['cmid']) ?
+                watch_manager::sign_embed($USER->id, $video->id, $options['cmid']) : '',
+            'watchedPercentage' => watch_manager::get_percentage_watched($USER->id, $video->id),
             'tokenExpires' => $tokenresult['expires_at'],
             'config' => $config,
-            'endpoints' => [
-                'token_refresh' => new \moodle_url('/local/cloudflarestream/ajax/refresh_token.php'),
-                'status_check' => new \moodle_url('/local/cloudflarestream/upload_status.php')
-            ]
+            'trackProgress' => $trackprogress,
+            // Needed to load the fallback player when the embed cannot be reached
+            'contextId' => \context_course::instance($video->course_id)->id,
+            'fallbackEnabled' => (bool)config_manager::get('enable_fallback_player', true),
+            'chapters' => chapter_manager::get_chapters($video),
+            'bookmarks' => $trackprogress ? bookmark_manager::export_bookmarks(
+                bookmark_manager::get_bookmarks($USER->id, $video->id)) : [],
+            // Answers are graded, so only users with their own account are asked
+            'checkpoints' => $trackprogress ? checkpoint_manager::export_checkpoints(
+                checkpoint_manager::get_checkpoints($video->id),
+                checkpoint_manager::get_user_answers($USER->id, $video->id)) : [],
+            'watermark' => $watermark,
+            'sessionKey' => $options['session_key'] ?? '',
+            'streamLimit' => stream_session_manager::is_limited($USER->id),
+            // The clip editor drives this player from its timeline instead of tracking the viewer
+            'clipEditor' => !empty($options['clip_editor']),
+            'duration' => (int)$video->duration
         ];
 
         $PAGE->requires->js_call_amd('local_cloudflarestream/player', 'init', [$jsconfig]);
@@ -226,7 +734,7 @@ class player_handler {
      * @param \stdClass $video Video record
      * @return string Video title
      */
-    private static function get_video_title($video) {
+    public static function get_video_title($video) {
         $metadata = json_decode($video->metadata ?: '{}', true);
         return $metadata['original_filename'] ?? $metadata['name'] ?? 'Video';
     }
@@ -304,6 +812,14 @@ class player_handler {
             $params['preload'] = $options['preload'];
         }
 
+        if (!empty($options['start'])) {
+            $params['startTime'] = (int)$options['start'] . 's';
+        }
+
+        if (!empty($options['defaultTextTrack'])) {
+            $params['defaultTextTrack'] = $options['defaultTextTrack'];
+        }
+
         $querystring = !empty($params) ? '?' . http_build_query($params) : '';
         
         return 'https://' . self::EMBED_DOMAIN . '/' . $cloudflarevideoid . $querystring;
@@ -373,14 +889,22 @@ class player_handler {
         // Look for video file references in content
         $pattern = '/@@PLUGINFILE@@\/([^"\'>\s]+\.(mp4|mov|avi|mkv|webm))/i';
         
-        return preg_replace_callback($pattern, function($matches) use ($contextid) {
+        // Watch time inside an activity counts towards its completion
+        $context = \context::instance_by_id($contextid, IGNORE_MISSING);
+        $cmid = ($context && $context->contextlevel == CONTEXT_MODULE) ? $context->instanceid : null;
+
+        // Deep links such as ?t=754 start the first video of the page at that second
+        $start = optional_param('t', 0, PARAM_INT);
+
+        return preg_replace_callback($pattern, function($matches) use ($contextid, $cmid, &$start) {
             $filename = $matches[1];
             
             // Try to find corresponding Cloudflare Stream video
             $video = self::find_video_by_filename($filename, $contextid);
             if ($video && $video->status === video_manager::STATUS_READY) {
                 // Replace with Cloudflare Stream player
-                $playerresult = self::generate_player($video->id, ['responsive' => true]);
+                $playerresult = self::generate_player($video->id, ['responsive' => true, 'cmid' => $cmid, 'start' => $start]);
+                $start = 0;
                 if ($playerresult['success']) {
                     return $playerresult['html'];
                 }
@@ -451,7 +975,8 @@ class player_handler {
             'status' => $video->status,
             'duration' => $video->duration,
             'upload_date' => $video->upload_date,
-            'ready_date' => $video->ready_date
+            'ready_date' => $video->ready_date,
+            'watch' => watch_manager::get_video_statistics($videoid)
         ];
     }
 
@@ -621,40 +1146,45 @@ class player_handler {
     }
 
     /**
-     * Create fallback player for when Cloudflare Stream fails.
+     * Create fallback player for when the Cloudflare Stream embed cannot be loaded.
+     *
+     * The original Moodle file is preferred while it is still kept. Otherwise the
+     * video is streamed from Cloudflare's HLS manifest, which is served from a
+     * different domain than the blocked embed player.
+     *
+     * The fallback replaces a player that was already opened and counted, so it
+     * takes over that player's session_key and is refused without one. Its
+     * tokens are issued to that session, which keeps it under the concurrent
+     * stream limit; a session that has not played yet may use it once.
      *
      * @param int $videoid Video record ID
-     * @param array $options Player options
-     * @return array Fallback player result
+     * @param array $options Player options, with the session_key of the player it replaces
+     * @return array Fallback player result with html and type, file or hls
      */
     public static function generate_fallback_player($videoid, $options = []) {
-        global $OUTPUT;
-
-        $video = video_manager::get_video($videoid);
-        if (!$video) {
-            return [
-                'success' => false,
-                'error' => 'Video not found'
-            ];
-        }
+        global $OUTPUT, $USER;
 
-        // Try to get original file if still available
-        $fs = get_file_storage();
-        $file = $fs->get_file_by_id($video->moodle_file_id);
+        try {
+            $video = video_manager::get_video($videoid);
+            if (!$video) {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_video_not_found', 'local_cloudflarestream')
+                ];
+            }
 
-        if ($file && !$file->is_directory()) {
-            // Generate HTML5 video player for local file
-            $fileurl = \moodle_url::make_pluginfile_url(
-                $file->get_contextid(),
-                $file->get_component(),
-                $file->get_filearea(),
-                $file->get_itemid(),
-                $file->get_filepath(),
-                $file->get_filename()
-            );
+            $accesscheck = access_controller::can_view_video($videoid, $USER->id);
+            if ($accesscheck['allowed']) {
+                $accesscheck = self::check_player_session($videoid, $options['session_key'] ?? '', true);
+            }
+            if (!$accesscheck['allowed']) {
+                return [
+                    'success' => false,
+                    'error' => $accesscheck['message']
+                ];
+            }
 
             $context = [
-                'video_url' => $fileurl->out(),
                 'width' => $options['width'] ?? self::DEFAULT_WIDTH,
                 'height' => $options['height'] ?? self::DEFAULT_HEIGHT,
                 'title' => self::get_video_title($video),
@@ -663,20 +1193,71 @@ class player_handler {
                 'poster' => $video->thumbnail_url ?? ''
             ];
 
+            // Try to get original file if still available
+            $file = $video->moodle_file_id ? get_file_storage()->get_file_by_id($video->moodle_file_id) : false;
+
+            if ($file && !$file->is_directory()) {
+                $fileurl = \moodle_url::make_pluginfile_url(
+                    $file->get_contextid(),
+                    $file->get_component(),
+                    $file->get_filearea(),
+                    $file->get_itemid(),
+                    $file->get_filepath(),
+                    $file->get_filename()
+                );
+
+                $type = 'file';
+                $context['video_url'] = $fileurl->out(false);
+                $context['mimetype'] = $file->get_mimetype();
+                // A download would leave the watermark behind
+                if (!watermark_manager::get_player_config($video->course_id, $USER)) {
+                    $context['download_url'] = $context['video_url'];
+                }
+
+            } else if ($video->cloudflare_video_id && $video->status === video_manager::STATUS_READY) {
+                $tokenresult = self::issue_playback_token($video, $USER->id, $options);
+                if (!$tokenresult['success']) {
+                    return [
+                        'success' => false,
+                        'error' => $tokenresult['error']
+                    ];
+                }
+
+                $type = 'hls';
+                $context['hls_url'] = self::generate_hls_url($tokenresult['playback_id']);
+
+            } else {
+                return [
+                    'success' => false,
+                    'error' => get_string('error_no_fallback', 'local_cloudflarestream')
+                ];
+            }
+
+            $context['type'] = $type;
             $html = $OUTPUT->render_from_template('local_cloudflarestream/fallback_player', $context);
 
             return [
                 'success' => true,
                 'html' => $html,
-                'type' => 'fallback'
+                'type' => $type
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
             ];
         }
+    }
 
-        // No fallback available
-        return [
-            'success' => false,
-            'error' => 'No fallback player available'
-        ];
+    /**
+     * Generate the HLS manifest URL of a video.
+     *
+     * @param string $playbackid Signed token or Cloudflare video ID
+     * @return string Manifest URL
+     */
+    public static function generate_hls_url($playbackid) {
+        return 'https://' . self::HLS_DOMAIN . '/' . $playbackid . '/manifest/video.m3u8';
     }
 
     /**
@@ -748,10 +1329,11 @@ class player_handler {
         $csp = [
             "default-src 'self'",
             "frame-src 'self' https://" . self::EMBED_DOMAIN,
-            "connect-src 'self' https://" . self::EMBED_DOMAIN,
+            "connect-src 'self' https://" . self::EMBED_DOMAIN . " https://" . self::HLS_DOMAIN,
             "img-src 'self' https://" . self::EMBED_DOMAIN . " data:",
-            "media-src 'self' https://" . self::EMBED_DOMAIN,
-            "script-src 'self' 'unsafe-inline'",
+            "media-src 'self' https://" . self::EMBED_DOMAIN . " https://" . self::HLS_DOMAIN . " blob:",
+            "script-src 'self' 'unsafe-inline' https://" . self::EMBED_DOMAIN,
+            "worker-src 'self' blob:",
             "style-src 'self' 'unsafe-inline'"
         ];
 
@@ -26,6 +26,7 @@ namespace local_cloudflarestream\handlers;
 
 use local_cloudflarestream\video_manager;
 use local_cloudflarestream\config_manager;
+use local_cloudflarestream\profile_manager;
 use local_cloudflarestream\api\stream_manager;
 
 defined('MOODLE_INTERNAL') || die();
@@ -97,6 +98,13 @@ class upload_handler {
             return;
         }
 
+        // Courses whose Cloudflare account is full keep their videos in Moodle
+        $quota = profile_manager::check_quota(profile_manager::get_course_profile_id($courseid));
+        if (!$quota['success']) {
+            debugging('Cloudflare Stream: ' . $quota['error']);
+            return;
+        }
+
         // Create video record
         $metadata = [
             'name' => $file->get_filename(),
@@ -244,8 +252,17 @@ class upload_handler {
                 ];
             }
 
-            // Get stream manager
-            $streammanager = stream_manager::get_instance();
+            $video = video_manager::get_video($queueitem->video_id);
+            if (!$video) {
+                return [
+                    'success' => false,
+                    'error' => 'Video record not found',
+                    'retry' => false
+                ];
+            }
+
+            // Get stream manager for the account the video goes to
+            $streammanager = stream_manager::for_video($video);
             if (!$streammanager) {
                 return [
                     'success' => false,
@@ -0,0 +1,210 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Webhook handler for Cloudflare Stream status notifications.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream\handlers;
+
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\notification_manager;
+use local_cloudflarestream\profile_manager;
+use local_cloudflarestream\live_manager;
+use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Verifies and applies the notifications Cloudflare sends when a video
+ * finishes processing, so videos are ready without waiting for the sync task.
+ *
+ * Every credential profile registers its own webhook, with the profile ID in
+ * the URL, so a notification is checked with the secret of its own account.
+ */
+class webhook_handler {
+
+    /** @var int Seconds a signed notification stays valid, against replays */
+    const SIGNATURE_TOLERANCE = 300;
+
+    /**
+     * Get the URL Cloudflare posts notifications to.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return \moodle_url Webhook URL
+     */
+    public static function get_notification_url($profileid = 0) {
+        return new \moodle_url('/local/cloudflarestream/webhook.php', $profileid ? ['profile' => $profileid] : null);
+    }
+
+    /**
+     * Check whether a webhook secret is stored.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return bool True if notifications can be verified
+     */
+    public static function is_registered($profileid = 0) {
+        return self::get_secret($profileid) !== '';
+    }
+
+    /**
+     * Register this site's webhook URL with Cloudflare and store the signing secret.
+     *
+     * Cloudflare keeps one webhook per account, so this replaces any earlier URL.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Result with the registered URL
+     */
+    public static function register($profileid = 0) {
+        $client = cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        $url = self::get_notification_url($profileid)->out(false);
+
+        try {
+            $response = $client->register_webhook($url);
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        if (empty($response['success']) || empty($response['result']['secret'])) {
+            return ['success' => false, 'error' => get_string('error_webhook_register', 'local_cloudflarestream')];
+        }
+
+        if ($profileid) {
+            profile_manager::set_webhook_secret($profileid, $response['result']['secret']);
+        } else {
+            config_manager::set('webhook_secret', $response['result']['secret']);
+        }
+
+        return ['success' => true, 'url' => $url];
+    }
+
+    /**
+     * Check the Webhook-Signature header of a notification.
+     *
+     * The header has the form time=<unix time>,sig1=<hex HMAC-SHA256 of "time.body">.
+     *
+     * @param string $body Raw request body
+     * @param string $header Webhook-Signature header
+     * @param string $secret Webhook secret
+     * @param int|null $now Current time, for tests
+     * @return bool True if the signature is valid and recent
+     */
+    public static function verify_signature($body, $header, $secret, $now = null) {
+        if ($secret === '' || $header === '') {
+            return false;
+        }
+
+        $parts = [];
+        foreach (explode(',', $header) as $part) {
+            $pair = explode('=', trim($part), 2);
+            if (count($pair) === 2) {
+                $parts[$pair[0]] = $pair[1];
+            }
+        }
+
+        if (empty($parts['time']) || empty($parts['sig1']) || !ctype_digit($parts['time'])) {
+            return false;
+        }
+
+        $now = $now ?? time();
+        if (abs($now - (int)$parts['time']) > self::SIGNATURE_TOLERANCE) {
+            return false;
+        }
+
+        $expected = hash_hmac('sha256', $parts['time'] . '.' . $body, $secret);
+        return hash_equals($expected, $parts['sig1']);
+    }
+
+    /**
+     * Verify a notification and update the video it is about.
+     *
+     * @param string $body Raw request body
+     * @param string $header Webhook-Signature header
+     * @param int $profileid Credential profile the webhook was registered for, 0 for the site credentials
+     * @return array HTTP status code and message for the response
+     */
+    public static function handle($body, $header, $profileid = 0) {
+        if (!self::verify_signature($body, $header, self::get_secret($profileid))) {
+            return ['code' => 401, 'message' => 'Invalid signature'];
+        }
+
+        $data = json_decode($body, true);
+        if (!is_array($data) || empty($data['uid'])) {
+            return ['code' => 400, 'message' => 'Invalid notification'];
+        }
+
+        // Cloudflare retries failed deliveries, so only real problems are reported as errors
+        $video = video_manager::get_video_by_cloudflare_id($data['uid']);
+
+        // Recordings of live sessions become course videos as soon as Cloudflare reports them
+        if (!$video && !empty($data['liveInput'])) {
+            $session = live_manager::get_session_by_input($data['liveInput']);
+            if ($session && (int)$session->profile_id === (int)$profileid
+                    && ($data['status']['state'] ?? '') !== live_manager::STATE_BROADCASTING) {
+                $video = video_manager::get_video(live_manager::register_recording($session, $data));
+            }
+        }
+        if (!$video || (int)$video->profile_id !== (int)$profileid) {
+            return ['code' => 200, 'message' => 'Unknown video'];
+        }
+
+        $streammanager = stream_manager::get_instance($profileid);
+        if (!$streammanager) {
+            return ['code' => 503, 'message' => 'Not configured'];
+        }
+
+        $result = $streammanager->apply_cloudflare_data($video, $data);
+
+        if ($result['old_status'] !== $result['new_status']) {
+            try {
+                if ($result['new_status'] === video_manager::STATUS_READY) {
+                    notification_manager::notify_upload_completed($video->id, $video->user_id);
+                } else if ($result['new_status'] === video_manager::STATUS_ERROR) {
+                    notification_manager::notify_upload_failed($video->id, $video->user_id,
+                        video_manager::get_video($video->id)->error_message);
+                }
+            } catch (\Exception $e) {
+                // The video is updated, a failed notification must not make Cloudflare retry
+                debugging('Failed to send notification for video ' . $video->id . ': ' . $e->getMessage(), DEBUG_DEVELOPER);
+            }
+        }
+
+        return ['code' => 200, 'message' => 'OK'];
+    }
+
+    /**
+     * Get the stored webhook secret.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return string Secret, empty if the webhook is not registered
+     */
+    private static function get_secret($profileid = 0) {
+        if ($profileid) {
+            return profile_manager::get_webhook_secret($profileid);
+        }
+        return (string)(config_manager::get_all(true)['webhook_secret'] ?? '');
+    }
+}
@@ -0,0 +1,296 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Video library manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Lists the videos of a course for teachers and applies bulk actions to them.
+ *
+ * Hidden videos stay in the course but can only be played by people who can
+ * manage them. The flag is kept in the video metadata.
+ */
+class library_manager {
+
+    /** @var int Videos shown per page by default */
+    const PER_PAGE = 24;
+
+    /** @var int Most videos shown on one page */
+    const MAX_PER_PAGE = 100;
+
+    /** @var array Fields the library can be sorted by */
+    const SORT_FIELDS = ['upload_date', 'title', 'duration', 'file_size', 'status'];
+
+    /** @var array Actions that can be applied to several videos at once */
+    const BULK_ACTIONS = ['retry', 'resync', 'delete', 'hide', 'show'];
+
+    /**
+     * Find the videos of a course.
+     *
+     * @param int $courseid Course ID
+     * @param array $filters Optional search, status, uploader, datefrom, dateto, minduration and maxduration
+     * @param string $sort One of SORT_FIELDS
+     * @param string $direction asc or desc
+     * @param int $page Page number, starting at 0
+     * @param int $perpage Videos per page
+     * @return array Result with the videos of the page and the total number of matches
+     */
+    public static function get_videos($courseid, array $filters = [], $sort = 'upload_date', $direction = 'desc',
+            $page = 0, $perpage = self::PER_PAGE) {
+        global $DB;
+
+        $select = 'course_id = :courseid';
+        $params = ['courseid' => $courseid];
+
+        if (!empty($filters['status'])) {
+            $select .= ' AND status = :status';
+            $params['status'] = $filters['status'];
+        }
+        if (!empty($filters['uploader'])) {
+            $select .= ' AND user_id = :uploader';
+            $params['uploader'] = $filters['uploader'];
+        }
+        if (!empty($filters['datefrom'])) {
+            $select .= ' AND upload_date >= :datefrom';
+            $params['datefrom'] = $filters['datefrom'];
+        }
+        if (!empty($filters['dateto'])) {
+            $select .= ' AND upload_date <= :dateto';
+            $params['dateto'] = $filters['dateto'];
+        }
+        if (!empty($filters['minduration'])) {
+            $select .= ' AND duration >= :minduration';
+            $params['minduration'] = $filters['minduration'];
+        }
+        if (!empty($filters['maxduration'])) {
+            $select .= ' AND duration <= :maxduration';
+            $params['maxduration'] = $filters['maxduration'];
+        }
+
+        $search = trim($filters['search'] ?? '');
+        if ($search !== '') {
+            $select .= ' AND ' . $DB->sql_like('title', ':search', false);
+            $params['search'] = '%' . $DB->sql_like_escape($search) . '%';
+        }
+
+        if (!in_array($sort, self::SORT_FIELDS)) {
+            $sort = 'upload_date';
+        }
+        $direction = $direction === 'desc' ? 'DESC' : 'ASC';
+        // Titles sort the same whatever their case, as they do on every database
+        $order = ($sort === 'title' ? 'LOWER(title)' : $sort) . " $direction, id $direction";
+
+        $perpage = max(1, min((int)$perpage, self::MAX_PER_PAGE));
+
+        return [
+            'videos' => array_values($DB->get_records_select(video_manager::TABLE_VIDEOS, $select, $params, $order, '*',
+                max(0, (int)$page) * $perpage, $perpage)),
+            'total' => $DB->count_records_select(video_manager::TABLE_VIDEOS, $select, $params)
+        ];
+    }
+
+    /**
+     * Get the people who uploaded videos to a course.
+     *
+     * @param int $courseid Course ID
+     * @return array Full names indexed by user ID, in alphabetical order
+     */
+    public static function get_uploaders($courseid) {
+        global $DB;
+
+        $sql = "SELECT u.*
+                  FROM {user} u
+                 WHERE u.id IN (SELECT v.user_id FROM {" . video_manager::TABLE_VIDEOS . "} v WHERE v.course_id = ?)";
+
+        $uploaders = [];
+        foreach ($DB->get_records_sql($sql, [$courseid]) as $user) {
+            $uploaders[$user->id] = fullname($user);
+        }
+        \core_collator::asort($uploaders);
+
+        return $uploaders;
+    }
+
+    /**
+     * Check if a video is hidden from learners.
+     *
+     * @param \stdClass $video Video record
+     * @return bool True if hidden
+     */
+    public static function is_hidden($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        return !empty($metadata['hidden']);
+    }
+
+    /**
+     * Hide a video from learners or show it again.
+     *
+     * @param int $videoid Video record ID
+     * @param bool $hidden Whether the video is hidden
+     * @return bool Success
+     */
+    public static function set_hidden($videoid, $hidden) {
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return false;
+        }
+
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        if ($hidden) {
+            $metadata['hidden'] = true;
+        } else {
+            unset($metadata['hidden']);
+        }
+
+        return video_manager::update_video($videoid, ['metadata' => json_encode($metadata)]);
+    }
+
+    /**
+     * Get the original Moodle file of a video, if it is still kept.
+     *
+     * @param \stdClass $video Video record
+     * @return \stored_file|false Original file
+     */
+    public static function get_original_file($video) {
+        if (!$video->moodle_file_id) {
+            return false;
+        }
+
+        $file = get_file_storage()->get_file_by_id($video->moodle_file_id);
+        if (!$file || $file->is_directory()) {
+            return false;
+        }
+
+        return $file;
+    }
+
+    /**
+     * Apply an action to several videos of a course.
+     *
+     * Each video is checked on its own, so one video the user cannot manage
+     * does not stop the others.
+     *
+     * @param int $courseid Course ID the videos must belong to
+     * @param string $action One of BULK_ACTIONS
+     * @param array $videoids Video record IDs
+     * @param int $userid User ID applying the action
+     * @return array Results with videoid, success and message per video
+     */
+    public static function apply_bulk_action($courseid, $action, array $videoids, $userid) {
+        $results = [];
+        foreach (array_unique($videoids) as $videoid) {
+            $results[] = ['videoid' => (int)$videoid] + self::apply_action($courseid, $action, $videoid, $userid);
+        }
+
+        return $results;
+    }
+
+    /**
+     * Apply an action to one video.
+     *
+     * @param int $courseid Course ID the video must belong to
+     * @param string $action One of BULK_ACTIONS
+     * @param int $videoid Video record ID
+     * @param int $userid User ID applying the action
+     * @return array Result with success and message
+     */
+    private static function apply_action($courseid, $action, $videoid, $userid) {
+        $video = video_manager::get_video($videoid);
+        if (!$video || $video->course_id != $courseid) {
+            return [
+                'success' => false,
+                'message' => get_string('error_video_not_found', 'local_cloudflarestream')
+            ];
+        }
+
+        $accesscheck = access_controller::can_manage_video($video->id, $userid);
+        if (!$accesscheck['allowed']) {
+            return [
+                'success' => false,
+                'message' => $accesscheck['message']
+            ];
+        }
+
+        try {
+            switch ($action) {
+                case 'retry':
+                    $result = sync_manager::reset_video_for_retry($video->id);
+                    return [
+                        'success' => $result['success'],
+                        'message' => $result['message'] ?? $result['error']
+                    ];
+
+                case 'resync':
+                    if (!$video->cloudflare_video_id) {
+                        return [
+                            'success' => false,
+                            'message' => get_string('error_not_on_cloudflare', 'local_cloudflarestream')
+                        ];
+                    }
+                    video_manager::queue_action($video->id, 'sync', 3);
+                    return [
+                        'success' => true,
+                        'message' => get_string('library_resync_queued', 'local_cloudflarestream')
+                    ];
+
+                case 'delete':
+                    $streammanager = stream_manager::for_video($video);
+                    if (!$streammanager) {
+                        return [
+                            'success' => false,
+                            'message' => get_string('error_not_configured', 'local_cloudflarestream')
+                        ];
+                    }
+                    $result = $streammanager->delete_video($video->id);
+                    return [
+                        'success' => $result['success'],
+                        'message' => $result['success'] ?
+                            get_string('library_deleted', 'local_cloudflarestream') : $result['error']
+                    ];
+
+                case 'hide':
+                case 'show':
+                    self::set_hidden($video->id, $action === 'hide');
+                    return [
+                        'success' => true,
+                        'message' => get_string('library_' . ($action === 'hide' ? 'hidden' : 'shown'), 'local_cloudflarestream')
+                    ];
+
+                default:
+                    return [
+                        'success' => false,
+                        'message' => get_string('error_invalid_action', 'local_cloudflarestream')
+                    ];
+            }
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'message' => $e->getMessage()
+            ];
+        }
+    }
+}
@@ -0,0 +1,393 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live session manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages live sessions: course broadcasts sent to a Stream live input.
+ *
+ * Each session has its own live input, created with automatic recording.
+ * Cloudflare reports a broadcast as a video of the input in the
+ * live-inprogress state, and keeps it as a recording once the encoder
+ * disconnects. The session follows those videos to move from scheduled to
+ * live to ended, and registers every finished recording as a regular video
+ * of the course.
+ */
+class live_manager {
+
+    /** @var string Table name for live sessions */
+    const TABLE_LIVE = 'local_cloudflarestream_live';
+
+    // Session status constants
+    const STATUS_SCHEDULED = 'scheduled';
+    const STATUS_LIVE = 'live';
+    const STATUS_ENDED = 'ended';
+
+    /** @var string Cloudflare state of the video of a broadcast still going on */
+    const STATE_BROADCASTING = 'live-inprogress';
+
+    /** @var int Seconds between two checks of a live input on Cloudflare */
+    const CHECK_INTERVAL = 20;
+
+    /** @var int Seconds Cloudflare waits for the encoder to reconnect before a recording is finished */
+    const RECONNECT_TIMEOUT = 60;
+
+    /** @var int Seconds after the end of a broadcast its recording is still looked for */
+    const RECORDING_WAIT = DAYSECS;
+
+    /**
+     * Create a session and its live input on the Cloudflare account of the course.
+     *
+     * @param int $courseid Course ID
+     * @param int $userid Teacher creating the session
+     * @param string $name Session name
+     * @param int $scheduledstart When the broadcast is planned to start
+     * @return array Result with the session ID
+     */
+    public static function create_session($courseid, $userid, $name, $scheduledstart) {
+        global $DB;
+
+        $name = trim($name);
+        if ($name === '') {
+            return ['success' => false, 'error' => get_string('error_live_name', 'local_cloudflarestream')];
+        }
+
+        // Recordings are stored like uploads, so the same quota applies
+        $profileid = profile_manager::get_course_profile_id($courseid);
+        $quota = profile_manager::check_quota($profileid);
+        if (!$quota['success']) {
+            return $quota;
+        }
+
+        $client = cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        try {
+            $response = $client->create_live_input($name, self::RECONNECT_TIMEOUT);
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        if (empty($response['success']) || empty($response['result']['uid'])) {
+            return ['success' => false, 'error' => get_string('error_live_create', 'local_cloudflarestream')];
+        }
+
+        $input = $response['result'];
+        $ingest = [
+            'rtmps_url' => $input['rtmps']['url'] ?? '',
+            'rtmps_key' => $input['rtmps']['streamKey'] ?? '',
+            'srt_url' => $input['srt']['url'] ?? '',
+            'srt_stream_id' => $input['srt']['streamId'] ?? '',
+            'srt_passphrase' => $input['srt']['passphrase'] ?? ''
+        ];
+
+        $record = new \stdClass();
+        $record->course_id = $courseid;
+        $record->user_id = $userid;
+        $record->profile_id = $profileid;
+        $record->name = \core_text::substr($name, 0, 255);
+        $record->live_input_id = $input['uid'];
+        $record->ingest = config_manager::encrypt_value(json_encode($ingest));
+        $record->status = self::STATUS_SCHEDULED;
+        $record->scheduled_start = (int)$scheduledstart;
+        $record->video_id = 0;
+        $record->timechecked = 0;
+        $record->timecreated = time();
+        $record->timemodified = time();
+
+        return ['success' => true, 'id' => $DB->insert_record(self::TABLE_LIVE, $record)];
+    }
+
+    /**
+     * Get a session.
+     *
+     * @param int $sessionid Session ID
+     * @return \stdClass|false Session record or false if not found
+     */
+    public static function get_session($sessionid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_LIVE, ['id' => $sessionid]);
+    }
+
+    /**
+     * Get the session of a live input.
+     *
+     * @param string $inputid Cloudflare live input ID
+     * @return \stdClass|false Session record or false if the input is not one of ours
+     */
+    public static function get_session_by_input($inputid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_LIVE, ['live_input_id' => $inputid]);
+    }
+
+    /**
+     * Get the sessions of a course, the latest first.
+     *
+     * @param int $courseid Course ID
+     * @return array Session records
+     */
+    public static function get_course_sessions($courseid) {
+        global $DB;
+        return $DB->get_records(self::TABLE_LIVE, ['course_id' => $courseid], 'scheduled_start DESC, id DESC');
+    }
+
+    /**
+     * Get the credentials an encoder needs to broadcast to a session.
+     *
+     * @param \stdClass $session Session record
+     * @return array rtmps_url, rtmps_key, srt_url, srt_stream_id and srt_passphrase
+     */
+    public static function get_ingest($session) {
+        return json_decode(config_manager::decrypt_value($session->ingest), true) ?: [];
+    }
+
+    /**
+     * Delete a session and its live input. Recordings stay in the course as videos.
+     *
+     * @param int $sessionid Session ID
+     * @return array Result
+     */
+    public static function delete_session($sessionid) {
+        global $DB;
+
+        $session = self::get_session($sessionid);
+        if (!$session) {
+            return ['success' => false, 'error' => get_string('error_live_not_found', 'local_cloudflarestream')];
+        }
+
+        $client = cloudflare_client::get_instance($session->profile_id);
+        if ($client) {
+            try {
+                $response = $client->delete_live_input($session->live_input_id);
+                if (empty($response['success'])) {
+                    // Log error but continue with local deletion
+                    debugging('Failed to delete live input ' . $session->live_input_id . ' from Cloudflare', DEBUG_DEVELOPER);
+                }
+            } catch (\Exception $e) {
+                debugging('Failed to delete live input ' . $session->live_input_id . ': ' . $e->getMessage(), DEBUG_DEVELOPER);
+            }
+        }
+
+        $DB->delete_records(self::TABLE_LIVE, ['id' => $session->id]);
+        return ['success' => true];
+    }
+
+    /**
+     * Check a session's live input on Cloudflare and update the session.
+     *
+     * Players and the sync task both call this, so unless forced a session is
+     * checked at most once every CHECK_INTERVAL seconds. Ended sessions are
+     * still checked for RECORDING_WAIT seconds, for their recording and in
+     * case the teacher goes live again.
+     *
+     * @param \stdClass $session Session record
+     * @param bool $force Check even if the session was checked recently
+     * @return \stdClass Updated session record
+     */
+    public static function refresh_status($session, $force = false) {
+        global $DB;
+
+        if (!self::needs_check($session)) {
+            return $session;
+        }
+        if (!$force && $session->timechecked > time() - self::CHECK_INTERVAL) {
+            return $session;
+        }
+
+        // Claim the check first, so viewers polling at the same time do not all call the API
+        $DB->set_field(self::TABLE_LIVE, 'timechecked', time(), ['id' => $session->id]);
+        $session->timechecked = time();
+
+        $client = cloudflare_client::get_instance($session->profile_id);
+        if (!$client) {
+            return $session;
+        }
+
+        try {
+            $response = $client->list_live_input_videos($session->live_input_id);
+        } catch (\Exception $e) {
+            debugging('Failed to check live input ' . $session->live_input_id . ': ' . $e->getMessage(), DEBUG_DEVELOPER);
+            return $session;
+        }
+
+        if (empty($response['success'])) {
+            return $session;
+        }
+
+        return self::apply_input_videos($session, $response['result'] ?? []);
+    }
+
+    /**
+     * Update a session from the videos of its live input.
+     *
+     * A video in the live-inprogress state means the encoder is broadcasting.
+     * Once none is left a live session has ended, and every other video of
+     * the input is a recording to register.
+     *
+     * @param \stdClass $session Session record
+     * @param array $cfvideos Videos of the live input from the Cloudflare API
+     * @return \stdClass Updated session record
+     */
+    public static function apply_input_videos($session, array $cfvideos) {
+        global $DB;
+
+        $broadcasting = false;
+        $recordings = [];
+        foreach ($cfvideos as $cfvideo) {
+            if (($cfvideo['status']['state'] ?? '') === self::STATE_BROADCASTING) {
+                $broadcasting = true;
+            } else if (!empty($cfvideo['uid'])) {
+                $recordings[] = $cfvideo;
+            }
+        }
+
+        $update = [];
+        if ($broadcasting && $session->status !== self::STATUS_LIVE) {
+            // Also covers a teacher going live again after the end, on the same input
+            $update['status'] = self::STATUS_LIVE;
+            $update['started'] = $session->started ?: time();
+            $update['ended'] = null;
+        } else if (!$broadcasting && $session->status === self::STATUS_LIVE) {
+            $update['status'] = self::STATUS_ENDED;
+            $update['ended'] = time();
+        }
+
+        if ($update) {
+            $update['id'] = $session->id;
+            $update['timemodified'] = time();
+            $DB->update_record(self::TABLE_LIVE, (object)$update);
+            $session = self::get_session($session->id);
+        }
+
+        // Recordings appear once the broadcast is over, oldest first so the session ends up showing the latest
+        usort($recordings, function($a, $b) {
+            return strcmp($a['created'] ?? '', $b['created'] ?? '');
+        });
+        foreach ($recordings as $cfvideo) {
+            self::register_recording($session, $cfvideo);
+        }
+
+        return self::get_session($session->id);
+    }
+
+    /**
+     * Register a recording of a session as a video of its course.
+     *
+     * The recording belongs to the teacher who created the session and is
+     * shown in place of the stream once the session has ended.
+     *
+     * @param \stdClass $session Session record
+     * @param array $cfvideo Recording from the Cloudflare API
+     * @return int Video record ID
+     */
+    public static function register_recording($session, array $cfvideo) {
+        global $DB;
+
+        $video = video_manager::get_video_by_cloudflare_id($cfvideo['uid']);
+        if (!$video) {
+            $videoid = video_manager::create_video(null, $session->course_id, $session->user_id, (int)($cfvideo['size'] ?? 0), [
+                'name' => $session->name,
+                'live_session' => (int)$session->id
+            ]);
+
+            // The recording is in the account of the live input, wherever the course uploads to now
+            video_manager::update_video($videoid, [
+                'cloudflare_video_id' => $cfvideo['uid'],
+                'profile_id' => $session->profile_id
+            ]);
+            $video = video_manager::get_video($videoid);
+
+            $streammanager = stream_manager::for_video($video);
+            if ($streammanager) {
+                $streammanager->apply_cloudflare_data($video, $cfvideo);
+            }
+
+            // A scan may have found it before the session did
+            orphan_manager::forget($cfvideo['uid']);
+        }
+
+        if ((int)$video->id > (int)$session->video_id) {
+            $DB->update_record(self::TABLE_LIVE, (object)[
+                'id' => $session->id,
+                'video_id' => $video->id,
+                'timemodified' => time()
+            ]);
+        }
+
+        return (int)$video->id;
+    }
+
+    /**
+     * Check whether a Cloudflare video is the broadcast or a recording of one of our sessions.
+     *
+     * Orphan scans leave these alone, the session registers them.
+     *
+     * @param array $cfvideo Video from the Cloudflare API
+     * @return bool True if the video comes from a session's live input
+     */
+    public static function is_session_video(array $cfvideo) {
+        global $DB;
+
+        if (empty($cfvideo['liveInput'])) {
+            return false;
+        }
+        return $DB->record_exists(self::TABLE_LIVE, ['live_input_id' => $cfvideo['liveInput']]);
+    }
+
+    /**
+     * Check every session that may still change on Cloudflare.
+     *
+     * @return int Number of sessions checked
+     */
+    public static function refresh_sessions() {
+        global $DB;
+
+        $sessions = $DB->get_records_select(self::TABLE_LIVE,
+            'status <> :ended OR ended > :since',
+            ['ended' => self::STATUS_ENDED, 'since' => time() - self::RECORDING_WAIT]);
+
+        foreach ($sessions as $session) {
+            self::refresh_status($session, true);
+        }
+
+        return count($sessions);
+    }
+
+    /**
+     * Check whether a session may still change on Cloudflare.
+     *
+     * @param \stdClass $session Session record
+     * @return bool False once the session ended more than RECORDING_WAIT seconds ago
+     */
+    private static function needs_check($session) {
+        return $session->status !== self::STATUS_ENDED || $session->ended > time() - self::RECORDING_WAIT;
+    }
+}
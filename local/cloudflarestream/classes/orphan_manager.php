@@ -0,0 +1,391 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review of videos found on Cloudflare without a Moodle record.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Keeps the Cloudflare orphans found by the sync task so an admin can adopt
+ * them into a course, schedule them for deletion or ignore them.
+ */
+class orphan_manager {
+
+    /** @var string Table name for orphans */
+    const TABLE_ORPHANS = 'local_cloudflarestream_orphans';
+
+    // Review status constants
+    const STATUS_NEW = 'new';
+    const STATUS_SCHEDULED = 'scheduled';
+    const STATUS_IGNORED = 'ignored';
+
+    /** @var array Review statuses, in the order they are shown */
+    const STATUSES = [self::STATUS_NEW, self::STATUS_SCHEDULED, self::STATUS_IGNORED];
+
+    /** @var array Actions that can be applied to selected orphans */
+    const ACTIONS = ['adopt', 'schedule', 'ignore', 'restore'];
+
+    /** @var int Seconds a scheduled orphan is kept before it is deleted from Cloudflare (7 days) */
+    const DELETE_DELAY = 604800;
+
+    /** @var int Orphans per page */
+    const PER_PAGE = 50;
+
+    /**
+     * Store a video found on Cloudflare without a Moodle record.
+     *
+     * Known orphans keep their review status, only their details are refreshed.
+     *
+     * @param array $cfvideo Video data from the Cloudflare API
+     * @param int $profileid Credential profile of the account the video was found in
+     * @return int Orphan record ID
+     */
+    public static function record_orphan(array $cfvideo, $profileid = 0) {
+        global $DB;
+
+        $record = new \stdClass();
+        $record->name = \core_text::substr($cfvideo['meta']['name'] ?? '', 0, 255);
+        $record->duration = isset($cfvideo['duration']) && $cfvideo['duration'] > 0 ? (int)round($cfvideo['duration']) : null;
+        $record->file_size = (int)($cfvideo['size'] ?? 0);
+        $record->thumbnail_url = $cfvideo['thumbnail'] ?? null;
+        $record->created = !empty($cfvideo['created']) ? strtotime($cfvideo['created']) : null;
+        $record->metadata = json_encode([
+            'meta' => $cfvideo['meta'] ?? [],
+            'state' => $cfvideo['status']['state'] ?? '',
+            'readyToStream' => !empty($cfvideo['readyToStream']),
+            'requireSignedURLs' => !empty($cfvideo['requireSignedURLs']),
+            'width' => $cfvideo['input']['width'] ?? null,
+            'height' => $cfvideo['input']['height'] ?? null
+        ]);
+        $record->profile_id = $profileid;
+        $record->timemodified = time();
+
+        $existing = $DB->get_record(self::TABLE_ORPHANS, ['cloudflare_video_id' => $cfvideo['uid']], 'id');
+        if ($existing) {
+            $record->id = $existing->id;
+            $DB->update_record(self::TABLE_ORPHANS, $record);
+            return $existing->id;
+        }
+
+        $record->cloudflare_video_id = $cfvideo['uid'];
+        $record->status = self::STATUS_NEW;
+        $record->timecreated = time();
+        return $DB->insert_record(self::TABLE_ORPHANS, $record);
+    }
+
+    /**
+     * List every Cloudflare account and record every video Moodle does not know.
+     *
+     * @return array Scan result with found, the number of orphans
+     */
+    public static function scan() {
+        $found = 0;
+        foreach (profile_manager::get_all_profile_ids() as $profileid) {
+            $result = self::scan_account($profileid);
+            if (!$result['success']) {
+                return $result;
+            }
+            $found += $result['found'];
+        }
+
+        return ['success' => true, 'found' => $found];
+    }
+
+    /**
+     * List one Cloudflare account and record every video Moodle does not know.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array Scan result with found, the number of orphans
+     */
+    public static function scan_account($profileid) {
+        global $DB;
+
+        $streammanager = stream_manager::get_instance($profileid);
+        if (!$streammanager) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        $listing = $streammanager->list_videos(sync_manager::ORPHAN_LISTING_LIMIT);
+        if (!$listing['success']) {
+            return ['success' => false, 'error' => $listing['error']];
+        }
+
+        $found = 0;
+        foreach ($listing['data'] as $cfvideoid => $cfvideo) {
+            // Live sessions register their own recordings
+            if (live_manager::is_session_video($cfvideo)) {
+                continue;
+            }
+            if (!$DB->record_exists(video_manager::TABLE_VIDEOS, ['cloudflare_video_id' => $cfvideoid])) {
+                self::record_orphan($cfvideo, $profileid);
+                $found++;
+            }
+        }
+
+        // Only a complete listing shows which orphans are gone from Cloudflare
+        $complete = count($listing['data']) < sync_manager::ORPHAN_LISTING_LIMIT;
+        self::forget_resolved($complete ? array_keys($listing['data']) : null, $profileid);
+
+        return ['success' => true, 'found' => $found];
+    }
+
+    /**
+     * Forget orphans that now have a Moodle record or no longer exist on Cloudflare.
+     *
+     * @param array|null $cloudflarevideoids All video IDs on the account, null if unknown
+     * @param int $profileid Credential profile of the account the IDs were listed from
+     */
+    public static function forget_resolved($cloudflarevideoids = null, $profileid = 0) {
+        global $DB;
+
+        $DB->delete_records_select(self::TABLE_ORPHANS,
+            'cloudflare_video_id IN (SELECT cloudflare_video_id FROM {' . video_manager::TABLE_VIDEOS . '})');
+
+        if ($cloudflarevideoids === null) {
+            return;
+        }
+
+        $known = $DB->get_records_menu(self::TABLE_ORPHANS, ['profile_id' => $profileid], '', 'id, cloudflare_video_id');
+        $gone = array_keys(array_diff($known, $cloudflarevideoids));
+        if ($gone) {
+            $DB->delete_records_list(self::TABLE_ORPHANS, 'id', $gone);
+        }
+    }
+
+    /**
+     * Forget an orphan that was deleted from Cloudflare.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID
+     */
+    public static function forget($cloudflarevideoid) {
+        global $DB;
+        $DB->delete_records(self::TABLE_ORPHANS, ['cloudflare_video_id' => $cloudflarevideoid]);
+    }
+
+    /**
+     * Get one page of orphans with a review status.
+     *
+     * @param string $status Review status
+     * @param int $page Page number, from 0
+     * @param int $perpage Orphans per page
+     * @return array Orphans and the total number with the status
+     */
+    public static function get_orphans($status = self::STATUS_NEW, $page = 0, $perpage = self::PER_PAGE) {
+        global $DB;
+
+        return [
+            'orphans' => $DB->get_records(self::TABLE_ORPHANS, ['status' => $status], 'created DESC, id DESC', '*',
+                $page * $perpage, $perpage),
+            'total' => $DB->count_records(self::TABLE_ORPHANS, ['status' => $status])
+        ];
+    }
+
+    /**
+     * Count the orphans of each review status.
+     *
+     * @return array Counts indexed by status
+     */
+    public static function count_by_status() {
+        global $DB;
+
+        $counts = array_fill_keys(self::STATUSES, 0);
+        $sql = "SELECT status, COUNT(1) AS total FROM {" . self::TABLE_ORPHANS . "} GROUP BY status";
+        foreach ($DB->get_records_sql_menu($sql) as $status => $total) {
+            $counts[$status] = (int)$total;
+        }
+        return $counts;
+    }
+
+    /**
+     * Check whether an admin chose to keep a Cloudflare video out of Moodle.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID
+     * @return bool True if the orphan was ignored or scheduled for deletion
+     */
+    public static function is_reviewed($cloudflarevideoid) {
+        global $DB;
+        return $DB->record_exists_select(self::TABLE_ORPHANS, 'cloudflare_video_id = ? AND status <> ?',
+            [$cloudflarevideoid, self::STATUS_NEW]);
+    }
+
+    /**
+     * Apply an action to several orphans.
+     *
+     * @param string $action One of ACTIONS
+     * @param array $orphanids Orphan record IDs
+     * @param int $courseid Course to adopt the videos into
+     * @param int $userid User adopting the videos
+     * @return array Results with orphanid, success and message per orphan
+     */
+    public static function apply_action($action, array $orphanids, $courseid = 0, $userid = 0) {
+        global $DB;
+
+        if (!in_array($action, self::ACTIONS)) {
+            throw new \moodle_exception('error_invalid_action', 'local_cloudflarestream');
+        }
+        if ($action === 'adopt' && !$DB->record_exists('course', ['id' => $courseid])) {
+            throw new \moodle_exception('error_orphan_course', 'local_cloudflarestream');
+        }
+
+        $results = [];
+        foreach (array_unique($orphanids) as $orphanid) {
+            $orphan = $DB->get_record(self::TABLE_ORPHANS, ['id' => $orphanid]);
+            if (!$orphan) {
+                $results[] = [
+                    'orphanid' => (int)$orphanid,
+                    'success' => false,
+                    'message' => get_string('error_orphan_not_found', 'local_cloudflarestream')
+                ];
+                continue;
+            }
+
+            switch ($action) {
+                case 'adopt':
+                    $result = self::adopt($orphan, $courseid, $userid);
+                    break;
+                case 'schedule':
+                    $result = self::set_status($orphan, self::STATUS_SCHEDULED, time() + self::DELETE_DELAY);
+                    break;
+                case 'ignore':
+                    $result = self::set_status($orphan, self::STATUS_IGNORED);
+                    break;
+                default:
+                    $result = self::set_status($orphan, self::STATUS_NEW);
+            }
+
+            $results[] = [
+                'orphanid' => (int)$orphan->id,
+                'success' => $result['success'],
+                'message' => $result['error'] ?? ''
+            ];
+        }
+
+        return $results;
+    }
+
+    /**
+     * Attach an orphan to a course as a video without a Moodle file.
+     *
+     * @param \stdClass $orphan Orphan record
+     * @param int $courseid Course ID
+     * @param int $userid User adopting the video
+     * @return array Result with the new video record ID
+     */
+    public static function adopt(\stdClass $orphan, $courseid, $userid) {
+        global $DB;
+
+        if (video_manager::get_video_by_cloudflare_id($orphan->cloudflare_video_id)) {
+            $DB->delete_records(self::TABLE_ORPHANS, ['id' => $orphan->id]);
+            return ['success' => false, 'error' => get_string('error_orphan_adopted', 'local_cloudflarestream')];
+        }
+
+        $details = json_decode($orphan->metadata ?: '{}', true);
+        $ready = !empty($details['readyToStream']);
+
+        $transaction = $DB->start_delegated_transaction();
+
+        $videoid = video_manager::create_video(null, $courseid, $userid, (int)$orphan->file_size, [
+            'original_filename' => $orphan->name !== '' ? $orphan->name : $orphan->cloudflare_video_id,
+            'adopted' => true
+        ]);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => $orphan->cloudflare_video_id,
+            'status' => $ready ? video_manager::STATUS_READY : video_manager::STATUS_PROCESSING,
+            'upload_date' => $orphan->created ?: time(),
+            'duration' => $orphan->duration,
+            'thumbnail_url' => $orphan->thumbnail_url,
+            'profile_id' => $orphan->profile_id
+        ]);
+        $DB->delete_records(self::TABLE_ORPHANS, ['id' => $orphan->id]);
+
+        $transaction->allow_commit();
+
+        // Adopted videos are protected with signed tokens like uploaded ones
+        if (empty($details['requireSignedURLs'])) {
+            $streammanager = stream_manager::get_instance($orphan->profile_id);
+            if ($streammanager) {
+                $streammanager->update_video_metadata($videoid, ['requireSignedURLs' => true]);
+            }
+        }
+
+        return ['success' => true, 'videoid' => $videoid];
+    }
+
+    /**
+     * Delete the orphans whose scheduled deletion is due from Cloudflare.
+     *
+     * @return array Numbers of deleted and failed orphans
+     */
+    public static function delete_due_orphans() {
+        global $DB;
+
+        $results = ['deleted' => 0, 'failed' => 0];
+
+        $due = $DB->get_records_select(self::TABLE_ORPHANS, 'status = ? AND delete_after <= ?',
+            [self::STATUS_SCHEDULED, time()]);
+        if (!$due) {
+            return $results;
+        }
+
+        foreach ($due as $orphan) {
+            $streammanager = stream_manager::get_instance($orphan->profile_id);
+            if (!$streammanager) {
+                $results['failed']++;
+                continue;
+            }
+            $deleteresult = $streammanager->delete_cloudflare_video($orphan->cloudflare_video_id);
+            if ($deleteresult['success']) {
+                $DB->delete_records(self::TABLE_ORPHANS, ['id' => $orphan->id]);
+                $results['deleted']++;
+            } else {
+                $results['failed']++;
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Change the review status of an orphan.
+     *
+     * @param \stdClass $orphan Orphan record
+     * @param string $status New review status
+     * @param int|null $deleteafter Time the orphan is deleted from Cloudflare
+     * @return array Result
+     */
+    private static function set_status(\stdClass $orphan, $status, $deleteafter = null) {
+        global $DB;
+
+        $DB->update_record(self::TABLE_ORPHANS, (object)[
+            'id' => $orphan->id,
+            'status' => $status,
+            'delete_after' => $deleteafter,
+            'timemodified' => time()
+        ]);
+
+        return ['success' => true];
+    }
+}
@@ -0,0 +1,206 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Playback position manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Stores where each user stopped watching each video so playback can resume.
+ */
+class position_manager {
+
+    /** @var string Table name for playback positions */
+    const TABLE_POSITIONS = 'local_cloudflarestream_positions';
+
+    /** @var int Positions before this many seconds are not worth resuming */
+    const MIN_RESUME_POSITION = 10;
+
+    /** @var int Positions this close to the end count as finished */
+    const END_THRESHOLD = 15;
+
+    /**
+     * Save the playback position of a user for a video.
+     *
+     * A position at the very start or end of the video clears the stored
+     * record, so the next visit starts from the beginning.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param int $position Playback position in seconds
+     * @param int|null $duration Video duration in seconds as reported by the player
+     * @return bool True if a resumable position was stored
+     */
+    public static function save_position($userid, $videoid, $position, $duration = null) {
+        global $DB;
+
+        $position = max(0, (int)$position);
+        $duration = $duration ? (int)$duration : null;
+
+        if (!self::is_resumable($position, $duration)) {
+            self::clear_position($userid, $videoid);
+            return false;
+        }
+
+        $existing = $DB->get_record(self::TABLE_POSITIONS, ['user_id' => $userid, 'video_id' => $videoid]);
+        $now = time();
+
+        if ($existing) {
+            $existing->position = $position;
+            $existing->duration = $duration ?: $existing->duration;
+            $existing->timemodified = $now;
+            $DB->update_record(self::TABLE_POSITIONS, $existing);
+        } else {
+            $record = new \stdClass();
+            $record->user_id = $userid;
+            $record->video_id = $videoid;
+            $record->position = $position;
+            $record->duration = $duration;
+            $record->timecreated = $now;
+            $record->timemodified = $now;
+            $DB->insert_record(self::TABLE_POSITIONS, $record);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the stored position record of a user for a video.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return \stdClass|false Position record or false if none
+     */
+    public static function get_position($userid, $videoid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_POSITIONS, ['user_id' => $userid, 'video_id' => $videoid]);
+    }
+
+    /**
+     * Get the position a user should be offered to resume from.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return int Position in seconds, 0 when playback should start from the beginning
+     */
+    public static function get_resume_position($userid, $videoid) {
+        $record = self::get_position($userid, $videoid);
+        if (!$record || !self::is_resumable($record->position, $record->duration)) {
+            return 0;
+        }
+
+        return (int)$record->position;
+    }
+
+    /**
+     * Clear the stored position of a user for a video.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function clear_position($userid, $videoid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_POSITIONS, ['user_id' => $userid, 'video_id' => $videoid]);
+    }
+
+    /**
+     * Delete all stored positions for a video.
+     *
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function delete_video_positions($videoid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_POSITIONS, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Delete all stored positions of a user.
+     *
+     * @param int $userid User ID
+     * @return bool Success
+     */
+    public static function delete_user_positions($userid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_POSITIONS, ['user_id' => $userid]);
+    }
+
+    /**
+     * Format a position as m:ss or h:mm:ss for display.
+     *
+     * @param int $seconds Position in seconds
+     * @return string Formatted position
+     */
+    public static function format_position($seconds) {
+        $seconds = max(0, (int)$seconds);
+        $hours = floor($seconds / 3600);
+        $minutes = floor(($seconds % 3600) / 60);
+        $secs = $seconds % 60;
+
+        if ($hours > 0) {
+            return sprintf('%d:%02d:%02d', $hours, $minutes, $secs);
+        }
+
+        return sprintf('%d:%02d', $minutes, $secs);
+    }
+
+    /**
+     * Read a position written as m:ss or h:mm:ss, the format format_position() writes.
+     *
+     * @param string $text Position as typed
+     * @return int|null Position in seconds, or null if it cannot be read
+     */
+    public static function parse_position($text) {
+        if (!preg_match('/^(?:\d+:)?\d{1,2}:\d{2}$/', trim($text))) {
+            return null;
+        }
+
+        $seconds = 0;
+        foreach (explode(':', trim($text)) as $part) {
+            $seconds = $seconds * 60 + (int)$part;
+        }
+
+        return $seconds;
+    }
+
+    /**
+     * Check whether a position is worth offering as a resume point.
+     *
+     * @param int $position Position in seconds
+     * @param int|null $duration Video duration in seconds
+     * @return bool True if resumable
+     */
+    private static function is_resumable($position, $duration) {
+        if ($position < self::MIN_RESUME_POSITION) {
+            return false;
+        }
+
+        if ($duration && $position >= $duration - self::END_THRESHOLD) {
+            return false;
+        }
+
+        return true;
+    }
+}
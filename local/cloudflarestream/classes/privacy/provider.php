@@ -34,6 +34,10 @@ use core_privacy\local\request\userlist;
 use core_privacy\local\request\writer;
 use core_privacy\local\request\transform;
 use local_cloudflarestream\video_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\watch_manager;
+use local_cloudflarestream\bookmark_manager;
+use local_cloudflarestream\checkpoint_manager;
 use local_cloudflarestream\auth\token_manager;
 
 defined('MOODLE_INTERNAL') || die();
@@ -66,6 +70,7 @@ class provider implements
                 'ready_date' => 'privacy:metadata:videos:ready_date',
                 'file_size' => 'privacy:metadata:videos:file_size',
                 'metadata' => 'privacy:metadata:videos:metadata',
+                'title' => 'privacy:metadata:videos:title',
                 'error_message' => 'privacy:metadata:videos:error_message'
             ],
             'privacy:metadata:videos'
@@ -82,11 +87,87 @@ class provider implements
                 'created_at' => 'privacy:metadata:tokens:created_at',
                 'last_used' => 'privacy:metadata:tokens:last_used',
                 'ip_address' => 'privacy:metadata:tokens:ip_address',
-                'user_agent' => 'privacy:metadata:tokens:user_agent'
+                'user_agent' => 'privacy:metadata:tokens:user_agent',
+                'last_heartbeat' => 'privacy:metadata:tokens:last_heartbeat',
+                'ended_at' => 'privacy:metadata:tokens:ended_at',
+                'play_counted' => 'privacy:metadata:tokens:play_counted'
             ],
             'privacy:metadata:tokens'
         );
 
+        // Playback positions table
+        $collection->add_database_table(
+            'local_cloudflarestream_positions',
+            [
+                'user_id' => 'privacy:metadata:positions:user_id',
+                'video_id' => 'privacy:metadata:positions:video_id',
+                'position' => 'privacy:metadata:positions:position',
+                'duration' => 'privacy:metadata:positions:duration',
+                'timemodified' => 'privacy:metadata:positions:timemodified'
+            ],
+            'privacy:metadata:positions'
+        );
+
+        // Watch analytics table
+        $collection->add_database_table(
+            'local_cloudflarestream_views',
+            [
+                'user_id' => 'privacy:metadata:views:user_id',
+                'video_id' => 'privacy:metadata:views:video_id',
+                'cmid' => 'privacy:metadata:views:cmid',
+                'watched_ranges' => 'privacy:metadata:views:watched_ranges',
+                'watched_seconds' => 'privacy:metadata:views:watched_seconds',
+                'percentage' => 'privacy:metadata:views:percentage',
+                'completed' => 'privacy:metadata:views:completed',
+                'timecompleted' => 'privacy:metadata:views:timecompleted',
+                'play_count' => 'privacy:metadata:views:play_count',
+                'timemodified' => 'privacy:metadata:views:timemodified'
+            ],
+            'privacy:metadata:views'
+        );
+
+        // Bookmarks table
+        $collection->add_database_table(
+            'local_cloudflarestream_bookmarks',
+            [
+                'user_id' => 'privacy:metadata:bookmarks:user_id',
+                'video_id' => 'privacy:metadata:bookmarks:video_id',
+                'position' => 'privacy:metadata:bookmarks:position',
+                'note' => 'privacy:metadata:bookmarks:note',
+                'timecreated' => 'privacy:metadata:bookmarks:timecreated'
+            ],
+            'privacy:metadata:bookmarks'
+        );
+
+        // Checkpoint answers table
+        $collection->add_database_table(
+            'local_cloudflarestream_answers',
+            [
+                'user_id' => 'privacy:metadata:answers:user_id',
+                'video_id' => 'privacy:metadata:answers:video_id',
+                'choice' => 'privacy:metadata:answers:choice',
+                'correct' => 'privacy:metadata:answers:correct',
+                'timecreated' => 'privacy:metadata:answers:timecreated'
+            ],
+            'privacy:metadata:answers'
+        );
+
+        // Grades of the checkpoints are stored by the gradebook
+        $collection->add_subsystem_link('core_grades', [], 'privacy:metadata:core_grades');
+
+        // Live sessions table
+        $collection->add_database_table(
+            'local_cloudflarestream_live',
+            [
+                'user_id' => 'privacy:metadata:live:user_id',
+                'course_id' => 'privacy:metadata:live:course_id',
+                'name' => 'privacy:metadata:live:name',
+                'scheduled_start' => 'privacy:metadata:live:scheduled_start',
+                'timecreated' => 'privacy:metadata:live:timecreated'
+            ],
+            'privacy:metadata:live'
+        );
+
         // External service - Cloudflare Stream
         $collection->add_external_location_link(
             'cloudflare_stream',
@@ -124,7 +205,59 @@ class provider implements
             'userid' => $userid
         ]);
 
-        // Also add system context if user has any videos or tokens
+        // Get contexts where user has saved playback positions
+        $sql = "SELECT DISTINCT c.id
+                FROM {context} c
+                INNER JOIN {course} co ON co.id = c.instanceid AND c.contextlevel = :contextlevel
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.course_id = co.id
+                INNER JOIN {" . position_manager::TABLE_POSITIONS . "} p ON p.video_id = v.id
+                WHERE p.user_id = :userid";
+
+        $contextlist->add_from_sql($sql, [
+            'contextlevel' => CONTEXT_COURSE,
+            'userid' => $userid
+        ]);
+
+        // Get contexts where user has watched videos
+        $sql = "SELECT DISTINCT c.id
+                FROM {context} c
+                INNER JOIN {course} co ON co.id = c.instanceid AND c.contextlevel = :contextlevel
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.course_id = co.id
+                INNER JOIN {" . watch_manager::TABLE_VIEWS . "} w ON w.video_id = v.id
+                WHERE w.user_id = :userid";
+
+        $contextlist->add_from_sql($sql, [
+            'contextlevel' => CONTEXT_COURSE,
+            'userid' => $userid
+        ]);
+
+        // Get contexts where user has bookmarked videos
+        $sql = "SELECT DISTINCT c.id
+                FROM {context} c
+                INNER JOIN {course} co ON co.id = c.instanceid AND c.contextlevel = :contextlevel
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.course_id = co.id
+                INNER JOIN {" . bookmark_manager::TABLE_BOOKMARKS . "} b ON b.video_id = v.id
+                WHERE b.user_id = :userid";
+
+        $contextlist->add_from_sql($sql, [
+            'contextlevel' => CONTEXT_COURSE,
+            'userid' => $userid
+        ]);
+
+        // Get contexts where user has answered video checkpoints
+        $sql = "SELECT DISTINCT c.id
+                FROM {context} c
+                INNER JOIN {course} co ON co.id = c.instanceid AND c.contextlevel = :contextlevel
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.course_id = co.id
+                INNER JOIN {" . checkpoint_manager::TABLE_ANSWERS . "} a ON a.video_id = v.id
+                WHERE a.user_id = :userid";
+
+        $contextlist->add_from_sql($sql, [
+            'contextlevel' => CONTEXT_COURSE,
+            'userid' => $userid
+        ]);
+
+        // Also add system context if user has any videos, tokens, positions, views, bookmarks or answers
         $sql = "SELECT COUNT(*)
                 FROM {" . video_manager::TABLE_VIDEOS . "} v
                 WHERE v.user_id = :userid";
@@ -137,7 +270,13 @@ class provider implements
 
         $tokencount = $DB->count_records_sql($sql, ['userid' => $userid]);
 
-        if ($videocount > 0 || $tokencount > 0) {
+        $positioncount = $DB->count_records(position_manager::TABLE_POSITIONS, ['user_id' => $userid]);
+        $viewcount = $DB->count_records(watch_manager::TABLE_VIEWS, ['user_id' => $userid]);
+        $bookmarkcount = $DB->count_records(bookmark_manager::TABLE_BOOKMARKS, ['user_id' => $userid]);
+        $answercount = $DB->count_records(checkpoint_manager::TABLE_ANSWERS, ['user_id' => $userid]);
+
+        if ($videocount > 0 || $tokencount > 0 || $positioncount > 0 || $viewcount > 0 || $bookmarkcount > 0 ||
+                $answercount > 0) {
             $contextlist->add_system_context();
         }
 
@@ -168,6 +307,38 @@ class provider implements
 
             $userlist->add_from_sql('user_id', $sql, ['courseid' => $context->instanceid]);
 
+            // Get users who have saved playback positions for videos in this course
+            $sql = "SELECT p.user_id
+                    FROM {" . position_manager::TABLE_POSITIONS . "} p
+                    INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = p.video_id
+                    WHERE v.course_id = :courseid";
+
+            $userlist->add_from_sql('user_id', $sql, ['courseid' => $context->instanceid]);
+
+            // Get users who have watched videos in this course
+            $sql = "SELECT w.user_id
+                    FROM {" . watch_manager::TABLE_VIEWS . "} w
+                    INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = w.video_id
+                    WHERE v.course_id = :courseid";
+
+            $userlist->add_from_sql('user_id', $sql, ['courseid' => $context->instanceid]);
+
+            // Get users who have bookmarked videos in this course
+            $sql = "SELECT b.user_id
+                    FROM {" . bookmark_manager::TABLE_BOOKMARKS . "} b
+                    INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = b.video_id
+                    WHERE v.course_id = :courseid";
+
+            $userlist->add_from_sql('user_id', $sql, ['courseid' => $context->instanceid]);
+
+            // Get users who have answered video checkpoints in this course
+            $sql = "SELECT a.user_id
+                    FROM {" . checkpoint_manager::TABLE_ANSWERS . "} a
+                    INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = a.video_id
+                    WHERE v.course_id = :courseid";
+
+            $userlist->add_from_sql('user_id', $sql, ['courseid' => $context->instanceid]);
+
         } else if ($context->contextlevel == CONTEXT_SYSTEM) {
             // Get all users with video data
             $sql = "SELECT v.user_id
@@ -180,6 +351,30 @@ class provider implements
                     FROM {" . token_manager::TABLE_TOKENS . "} t";
 
             $userlist->add_from_sql('user_id', $sql, []);
+
+            // Get all users with playback positions
+            $sql = "SELECT p.user_id
+                    FROM {" . position_manager::TABLE_POSITIONS . "} p";
+
+            $userlist->add_from_sql('user_id', $sql, []);
+
+            // Get all users with watch data
+            $sql = "SELECT w.user_id
+                    FROM {" . watch_manager::TABLE_VIEWS . "} w";
+
+            $userlist->add_from_sql('user_id', $sql, []);
+
+            // Get all users with bookmarks
+            $sql = "SELECT b.user_id
+                    FROM {" . bookmark_manager::TABLE_BOOKMARKS . "} b";
+
+            $userlist->add_from_sql('user_id', $sql, []);
+
+            // Get all users with checkpoint answers
+            $sql = "SELECT a.user_id
+                    FROM {" . checkpoint_manager::TABLE_ANSWERS . "} a";
+
+            $userlist->add_from_sql('user_id', $sql, []);
         }
     }
 
@@ -269,7 +464,9 @@ class provider implements
                     'expires_at' => transform::datetime($token->expires_at),
                     'last_used' => $token->last_used ? transform::datetime($token->last_used) : null,
                     'ip_address' => $token->ip_address,
-                    'user_agent' => $token->user_agent
+                    'user_agent' => $token->user_agent,
+                    'last_heartbeat' => $token->last_heartbeat ? transform::datetime($token->last_heartbeat) : null,
+                    'ended_at' => $token->ended_at ? transform::datetime($token->ended_at) : null
                 ];
             }
 
@@ -278,6 +475,83 @@ class provider implements
                 (object) ['access_tokens' => $tokendata]
             );
         }
+
+        // Export playback positions for videos in this course
+        $sql = "SELECT p.*, v.cloudflare_video_id
+                FROM {" . position_manager::TABLE_POSITIONS . "} p
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = p.video_id
+                WHERE v.course_id = :courseid AND p.user_id = :userid
+                ORDER BY p.timemodified DESC";
+
+        $positions = $DB->get_records_sql($sql, [
+            'courseid' => $context->instanceid,
+            'userid' => $userid
+        ]);
+
+        if (!empty($positions)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:positions', 'local_cloudflarestream')],
+                (object) ['playback_positions' => self::format_positions($positions)]
+            );
+        }
+
+        // Export watch history for videos in this course
+        $sql = "SELECT w.*, v.cloudflare_video_id
+                FROM {" . watch_manager::TABLE_VIEWS . "} w
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = w.video_id
+                WHERE v.course_id = :courseid AND w.user_id = :userid
+                ORDER BY w.timemodified DESC";
+
+        $views = $DB->get_records_sql($sql, [
+            'courseid' => $context->instanceid,
+            'userid' => $userid
+        ]);
+
+        if (!empty($views)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:views', 'local_cloudflarestream')],
+                (object) ['watch_history' => self::format_views($views)]
+            );
+        }
+
+        // Export bookmarks on videos in this course
+        $sql = "SELECT b.*, v.cloudflare_video_id
+                FROM {" . bookmark_manager::TABLE_BOOKMARKS . "} b
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = b.video_id
+                WHERE v.course_id = :courseid AND b.user_id = :userid
+                ORDER BY b.video_id, b.position";
+
+        $bookmarks = $DB->get_records_sql($sql, [
+            'courseid' => $context->instanceid,
+            'userid' => $userid
+        ]);
+
+        if (!empty($bookmarks)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:bookmarks', 'local_cloudflarestream')],
+                (object) ['bookmarks' => self::format_bookmarks($bookmarks)]
+            );
+        }
+
+        // Export checkpoint answers on videos in this course
+        $sql = "SELECT a.*, v.cloudflare_video_id, cp.position, cp.question, cp.choices
+                FROM {" . checkpoint_manager::TABLE_ANSWERS . "} a
+                INNER JOIN {" . checkpoint_manager::TABLE_CHECKPOINTS . "} cp ON cp.id = a.checkpoint_id
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = a.video_id
+                WHERE v.course_id = :courseid AND a.user_id = :userid
+                ORDER BY a.video_id, cp.position";
+
+        $answers = $DB->get_records_sql($sql, [
+            'courseid' => $context->instanceid,
+            'userid' => $userid
+        ]);
+
+        if (!empty($answers)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:answers', 'local_cloudflarestream')],
+                (object) ['answers' => self::format_answers($answers)]
+            );
+        }
     }
 
     /**
@@ -340,7 +614,9 @@ class provider implements
                     'expires_at' => transform::datetime($token->expires_at),
                     'last_used' => $token->last_used ? transform::datetime($token->last_used) : null,
                     'ip_address' => $token->ip_address,
-                    'user_agent' => $token->user_agent
+                    'user_agent' => $token->user_agent,
+                    'last_heartbeat' => $token->last_heartbeat ? transform::datetime($token->last_heartbeat) : null,
+                    'ended_at' => $token->ended_at ? transform::datetime($token->ended_at) : null
                 ];
             }
 
@@ -349,6 +625,183 @@ class provider implements
                 (object) ['all_access_tokens' => $tokendata]
             );
         }
+
+        // Export all playback positions for the user
+        $sql = "SELECT p.*, v.cloudflare_video_id, c.fullname as course_name
+                FROM {" . position_manager::TABLE_POSITIONS . "} p
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = p.video_id
+                LEFT JOIN {course} c ON c.id = v.course_id
+                WHERE p.user_id = :userid
+                ORDER BY p.timemodified DESC";
+
+        $positions = $DB->get_records_sql($sql, ['userid' => $userid]);
+
+        if (!empty($positions)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:all_positions', 'local_cloudflarestream')],
+                (object) ['all_playback_positions' => self::format_positions($positions, true)]
+            );
+        }
+
+        // Export all watch history for the user
+        $sql = "SELECT w.*, v.cloudflare_video_id, c.fullname as course_name
+                FROM {" . watch_manager::TABLE_VIEWS . "} w
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = w.video_id
+                LEFT JOIN {course} c ON c.id = v.course_id
+                WHERE w.user_id = :userid
+                ORDER BY w.timemodified DESC";
+
+        $views = $DB->get_records_sql($sql, ['userid' => $userid]);
+
+        if (!empty($views)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:all_views', 'local_cloudflarestream')],
+                (object) ['all_watch_history' => self::format_views($views, true)]
+            );
+        }
+
+        // Export all bookmarks of the user
+        $sql = "SELECT b.*, v.cloudflare_video_id, c.fullname as course_name
+                FROM {" . bookmark_manager::TABLE_BOOKMARKS . "} b
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = b.video_id
+                LEFT JOIN {course} c ON c.id = v.course_id
+                WHERE b.user_id = :userid
+                ORDER BY b.video_id, b.position";
+
+        $bookmarks = $DB->get_records_sql($sql, ['userid' => $userid]);
+
+        if (!empty($bookmarks)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:all_bookmarks', 'local_cloudflarestream')],
+                (object) ['all_bookmarks' => self::format_bookmarks($bookmarks, true)]
+            );
+        }
+
+        // Export all checkpoint answers of the user
+        $sql = "SELECT a.*, v.cloudflare_video_id, cp.position, cp.question, cp.choices, c.fullname as course_name
+                FROM {" . checkpoint_manager::TABLE_ANSWERS . "} a
+                INNER JOIN {" . checkpoint_manager::TABLE_CHECKPOINTS . "} cp ON cp.id = a.checkpoint_id
+                INNER JOIN {" . video_manager::TABLE_VIDEOS . "} v ON v.id = a.video_id
+                LEFT JOIN {course} c ON c.id = v.course_id
+                WHERE a.user_id = :userid
+                ORDER BY a.video_id, cp.position";
+
+        $answers = $DB->get_records_sql($sql, ['userid' => $userid]);
+
+        if (!empty($answers)) {
+            writer::with_context($context)->export_data(
+                [get_string('privacy:path:all_answers', 'local_cloudflarestream')],
+                (object) ['all_answers' => self::format_answers($answers, true)]
+            );
+        }
+    }
+
+    /**
+     * Format playback position records for export.
+     *
+     * @param array $positions Position records joined with their video
+     * @param bool $includecourse Whether to include the course name
+     * @return array Exportable position data
+     */
+    private static function format_positions(array $positions, bool $includecourse = false): array {
+        $positiondata = [];
+        foreach ($positions as $position) {
+            $data = [
+                'video_id' => $position->cloudflare_video_id,
+                'position' => position_manager::format_position($position->position),
+                'duration' => $position->duration ? position_manager::format_position($position->duration) : null,
+                'timemodified' => transform::datetime($position->timemodified)
+            ];
+            if ($includecourse) {
+                $data = ['course_name' => $position->course_name ?? 'Unknown'] + $data;
+            }
+            $positiondata[] = $data;
+        }
+
+        return $positiondata;
+    }
+
+    /**
+     * Format watch records for export.
+     *
+     * @param array $views Watch records joined with their video
+     * @param bool $includecourse Whether to include the course name
+     * @return array Exportable watch data
+     */
+    private static function format_views(array $views, bool $includecourse = false): array {
+        $viewdata = [];
+        foreach ($views as $view) {
+            $data = [
+                'video_id' => $view->cloudflare_video_id,
+                'watched_ranges' => json_decode($view->watched_ranges ?: '[]', true),
+                'watched_seconds' => $view->watched_seconds,
+                'percentage' => $view->percentage,
+                'completed' => transform::yesno($view->completed),
+                'timecompleted' => $view->timecompleted ? transform::datetime($view->timecompleted) : null,
+                'play_count' => $view->play_count,
+                'timemodified' => transform::datetime($view->timemodified)
+            ];
+            if ($includecourse) {
+                $data = ['course_name' => $view->course_name ?? 'Unknown'] + $data;
+            }
+            $viewdata[] = $data;
+        }
+
+        return $viewdata;
+    }
+
+    /**
+     * Format bookmark records for export.
+     *
+     * @param array $bookmarks Bookmark records joined with their video
+     * @param bool $includecourse Whether to include the course name
+     * @return array Exportable bookmark data
+     */
+    private static function format_bookmarks(array $bookmarks, bool $includecourse = false): array {
+        $bookmarkdata = [];
+        foreach ($bookmarks as $bookmark) {
+            $data = [
+                'video_id' => $bookmark->cloudflare_video_id,
+                'position' => position_manager::format_position($bookmark->position),
+                'note' => $bookmark->note,
+                'timecreated' => transform::datetime($bookmark->timecreated),
+                'timemodified' => transform::datetime($bookmark->timemodified)
+            ];
+            if ($includecourse) {
+                $data = ['course_name' => $bookmark->course_name ?? 'Unknown'] + $data;
+            }
+            $bookmarkdata[] = $data;
+        }
+
+        return $bookmarkdata;
+    }
+
+    /**
+     * Format checkpoint answer records for export.
+     *
+     * @param array $answers Answer records joined with their checkpoint and video
+     * @param bool $includecourse Whether to include the course name
+     * @return array Exportable answer data
+     */
+    private static function format_answers(array $answers, bool $includecourse = false): array {
+        $answerdata = [];
+        foreach ($answers as $answer) {
+            $choices = json_decode($answer->choices, true) ?: [];
+            $data = [
+                'video_id' => $answer->cloudflare_video_id,
+                'position' => position_manager::format_position($answer->position),
+                'question' => $answer->question,
+                'answer' => $choices[$answer->choice] ?? '',
+                'correct' => transform::yesno($answer->correct),
+                'timecreated' => transform::datetime($answer->timecreated)
+            ];
+            if ($includecourse) {
+                $data = ['course_name' => $answer->course_name ?? 'Unknown'] + $data;
+            }
+            $answerdata[] = $data;
+        }
+
+        return $answerdata;
     }
 
     /**
@@ -403,6 +856,9 @@ class provider implements
                     self::delete_video_data($video->id, $userid);
                 }
 
+                // Delete user's playback positions and watch data for videos in this course
+                self::delete_course_positions($context->instanceid, [$userid]);
+
             } else if ($context->contextlevel == CONTEXT_SYSTEM) {
                 // Delete all user's video data
                 $videos = $DB->get_records(video_manager::TABLE_VIDEOS, ['user_id' => $userid]);
@@ -410,6 +866,12 @@ class provider implements
                 foreach ($videos as $video) {
                     self::delete_video_data($video->id, $userid);
                 }
+
+                // Delete all user's playback positions, watch data, bookmarks and answers
+                position_manager::delete_user_positions($userid);
+                watch_manager::delete_user_views($userid);
+                bookmark_manager::delete_user_bookmarks($userid);
+                checkpoint_manager::delete_user_answers($userid);
             }
         }
     }
@@ -437,11 +899,20 @@ class provider implements
                     WHERE user_id $usersql AND course_id = :courseid";
             $params = array_merge($userparams, ['courseid' => $context->instanceid]);
 
+            // Delete playback positions and watch data for specified users in this course
+            self::delete_course_positions($context->instanceid, $userids);
+
         } else if ($context->contextlevel == CONTEXT_SYSTEM) {
             // Delete video data for specified users
             $sql = "SELECT id FROM {" . video_manager::TABLE_VIDEOS . "}
                     WHERE user_id $usersql";
             $params = $userparams;
+
+            // Delete playback positions, watch data, bookmarks and answers for specified users
+            $DB->delete_records_select(position_manager::TABLE_POSITIONS, "user_id $usersql", $userparams);
+            $DB->delete_records_select(watch_manager::TABLE_VIEWS, "user_id $usersql", $userparams);
+            $DB->delete_records_select(bookmark_manager::TABLE_BOOKMARKS, "user_id $usersql", $userparams);
+            $DB->delete_records_select(checkpoint_manager::TABLE_ANSWERS, "user_id $usersql", $userparams);
         } else {
             return;
         }
@@ -474,7 +945,7 @@ class provider implements
 
         // Delete from Cloudflare if video exists there
         if ($video->cloudflare_video_id) {
-            $streammanager = \local_cloudflarestream\api\stream_manager::get_instance();
+            $streammanager = \local_cloudflarestream\api\stream_manager::for_video($video);
             if ($streammanager) {
                 $streammanager->delete_video($video->cloudflare_video_id);
             }
@@ -486,6 +957,12 @@ class provider implements
         // Delete from queue if present
         $DB->delete_records(video_manager::TABLE_QUEUE, ['video_id' => $videoid]);
 
+        // Delete playback positions, watch data, bookmarks and checkpoints
+        position_manager::delete_video_positions($videoid);
+        watch_manager::delete_video_views($videoid);
+        bookmark_manager::delete_video_bookmarks($videoid);
+        checkpoint_manager::delete_video_checkpoints($videoid);
+
         // Delete video record
         $DB->delete_records(video_manager::TABLE_VIDEOS, ['id' => $videoid]);
 
@@ -498,4 +975,27 @@ class provider implements
             }
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Delete playback positions, watch data, bookmarks and answers of the given users for videos in a course.
+     *
+     * @param int $courseid Course ID
+     * @param array $userids User IDs
+     */
+    private static function delete_course_positions(int $courseid, array $userids) {
+        global $DB;
+
+        list($usersql, $userparams) = $DB->get_in_or_equal($userids, SQL_PARAMS_NAMED);
+
+        $select = "user_id $usersql AND video_id IN (
+                       SELECT id FROM {" . video_manager::TABLE_VIDEOS . "} WHERE course_id = :courseid
+                   )";
+
+        $params = array_merge($userparams, ['courseid' => $courseid]);
+
+        $DB->delete_records_select(position_manager::TABLE_POSITIONS, $select, $params);
+        $DB->delete_records_select(watch_manager::TABLE_VIEWS, $select, $params);
+        $DB->delete_records_select(bookmark_manager::TABLE_BOOKMARKS, $select, $params);
+        $DB->delete_records_select(checkpoint_manager::TABLE_ANSWERS, $select, $params);
+    }
+}
@@ -0,0 +1,355 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Credential profile manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages named credentials for additional Cloudflare accounts and the
+ * course categories and courses that upload to them.
+ *
+ * A course uses the profile assigned to it, or else the one assigned to the
+ * nearest category above it, or else the site credentials (profile 0). Each
+ * video remembers the profile it was uploaded with, so later changes to the
+ * assignments never move existing videos to another account.
+ */
+class profile_manager {
+
+    /** @var string Table name for credential profiles */
+    const TABLE_PROFILES = 'local_cloudflarestream_profiles';
+
+    /** @var string Table name for profile assignments */
+    const TABLE_MAP = 'local_cloudflarestream_profile_map';
+
+    /** @var int Profile ID standing for the site credentials */
+    const SITE_PROFILE = 0;
+
+    /**
+     * Get all profiles, by name.
+     *
+     * @return array Profile records indexed by ID, API tokens still encrypted
+     */
+    public static function get_profiles() {
+        global $DB;
+        return $DB->get_records(self::TABLE_PROFILES, null, 'name ASC');
+    }
+
+    /**
+     * Get the IDs of every set of credentials, the site credentials first.
+     *
+     * @return array Profile IDs, starting with 0
+     */
+    public static function get_all_profile_ids() {
+        return array_merge([self::SITE_PROFILE], array_map('intval', array_keys(self::get_profiles())));
+    }
+
+    /**
+     * Get a profile.
+     *
+     * @param int $profileid Profile ID
+     * @return \stdClass|false Profile record, API token still encrypted
+     */
+    public static function get_profile($profileid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_PROFILES, ['id' => $profileid]);
+    }
+
+    /**
+     * Create or update a profile.
+     *
+     * An empty API token keeps the stored one when a profile is updated.
+     *
+     * @param array $data id (to update), name, account_id, api_token and storage_quota
+     * @return array Result with the profile ID
+     */
+    public static function save_profile(array $data) {
+        global $DB;
+
+        $profileid = (int)($data['id'] ?? 0);
+        $existing = $profileid ? self::get_profile($profileid) : null;
+        if ($profileid && !$existing) {
+            return ['success' => false, 'error' => get_string('error_profile_not_found', 'local_cloudflarestream')];
+        }
+
+        $name = trim($data['name'] ?? '');
+        if ($name === '') {
+            return ['success' => false, 'error' => get_string('error_profile_name', 'local_cloudflarestream')];
+        }
+        $duplicate = $DB->get_field(self::TABLE_PROFILES, 'id', ['name' => $name]);
+        if ($duplicate && (int)$duplicate !== $profileid) {
+            return ['success' => false, 'error' => get_string('error_profile_name_taken', 'local_cloudflarestream')];
+        }
+
+        $accountid = trim($data['account_id'] ?? '');
+        $validation = config_manager::validate_config_value('account_id', $accountid);
+        if (!$validation['valid']) {
+            return ['success' => false, 'error' => $validation['error']];
+        }
+
+        $apitoken = trim($data['api_token'] ?? '');
+        if ($apitoken !== '' || !$existing) {
+            $validation = config_manager::validate_config_value('api_token', $apitoken);
+            if (!$validation['valid']) {
+                return ['success' => false, 'error' => $validation['error']];
+            }
+        }
+
+        $record = new \stdClass();
+        $record->name = $name;
+        $record->account_id = $accountid;
+        $record->storage_quota = max(0, (int)($data['storage_quota'] ?? 0));
+        $record->timemodified = time();
+        if ($apitoken !== '') {
+            $record->api_token = config_manager::encrypt_value($apitoken);
+        }
+
+        if ($existing) {
+            $record->id = $existing->id;
+            // Keys and webhooks belong to the account, a new account needs new ones
+            if ($existing->account_id !== $accountid) {
+                $record->signing_keys = null;
+                $record->webhook_secret = null;
+            }
+            $DB->update_record(self::TABLE_PROFILES, $record);
+        } else {
+            $record->timecreated = $record->timemodified;
+            $record->id = $DB->insert_record(self::TABLE_PROFILES, $record);
+        }
+
+        return ['success' => true, 'id' => (int)$record->id];
+    }
+
+    /**
+     * Delete a profile, its assignments and its usage history.
+     *
+     * Profiles still holding videos cannot be deleted, or those videos would
+     * lose the credentials of their account.
+     *
+     * @param int $profileid Profile ID
+     * @return array Result
+     */
+    public static function delete_profile($profileid) {
+        global $DB;
+
+        if (!self::get_profile($profileid)) {
+            return ['success' => false, 'error' => get_string('error_profile_not_found', 'local_cloudflarestream')];
+        }
+        if ($DB->record_exists(video_manager::TABLE_VIDEOS, ['profile_id' => $profileid]) ||
+                $DB->record_exists(orphan_manager::TABLE_ORPHANS, ['profile_id' => $profileid])) {
+            return ['success' => false, 'error' => get_string('error_profile_in_use', 'local_cloudflarestream')];
+        }
+
+        $DB->delete_records(self::TABLE_MAP, ['profile_id' => $profileid]);
+        usage_manager::delete_profile_snapshots($profileid);
+        $DB->delete_records(self::TABLE_PROFILES, ['id' => $profileid]);
+
+        return ['success' => true];
+    }
+
+    /**
+     * Store the signing keys of a profile.
+     *
+     * @param int $profileid Profile ID
+     * @param string $keys Keys as JSON, private keys encrypted
+     */
+    public static function set_signing_keys($profileid, $keys) {
+        global $DB;
+        $DB->set_field(self::TABLE_PROFILES, 'signing_keys', $keys, ['id' => $profileid]);
+    }
+
+    /**
+     * Get the webhook secret of a profile.
+     *
+     * @param int $profileid Profile ID
+     * @return string Decrypted secret, empty if no webhook is registered
+     */
+    public static function get_webhook_secret($profileid) {
+        $profile = self::get_profile($profileid);
+        return $profile ? (string)config_manager::decrypt_value((string)$profile->webhook_secret) : '';
+    }
+
+    /**
+     * Store the webhook secret of a profile.
+     *
+     * @param int $profileid Profile ID
+     * @param string $secret Secret Cloudflare signs notifications with
+     */
+    public static function set_webhook_secret($profileid, $secret) {
+        global $DB;
+        $DB->set_field(self::TABLE_PROFILES, 'webhook_secret', config_manager::encrypt_value($secret),
+            ['id' => $profileid]);
+    }
+
+    /**
+     * Make a profile the one used by some course categories and courses.
+     *
+     * Replaces the earlier assignments of the profile. A category or course
+     * assigned to another profile before is moved to this one.
+     *
+     * @param int $profileid Profile ID
+     * @param array $categoryids Course category IDs
+     * @param array $courseids Course IDs
+     */
+    public static function set_assignments($profileid, array $categoryids, array $courseids) {
+        global $DB;
+
+        $contextids = [];
+        foreach (array_unique(array_map('intval', $categoryids)) as $categoryid) {
+            $context = \context_coursecat::instance($categoryid, IGNORE_MISSING);
+            if ($context) {
+                $contextids[] = $context->id;
+            }
+        }
+        foreach (array_unique(array_map('intval', $courseids)) as $courseid) {
+            $context = \context_course::instance($courseid, IGNORE_MISSING);
+            if ($context && $courseid != SITEID) {
+                $contextids[] = $context->id;
+            }
+        }
+
+        $transaction = $DB->start_delegated_transaction();
+
+        $DB->delete_records(self::TABLE_MAP, ['profile_id' => $profileid]);
+        if ($contextids) {
+            $DB->delete_records_list(self::TABLE_MAP, 'contextid', $contextids);
+        }
+        foreach ($contextids as $contextid) {
+            $DB->insert_record(self::TABLE_MAP, (object)[
+                'contextid' => $contextid,
+                'profile_id' => $profileid,
+                'timemodified' => time()
+            ]);
+        }
+
+        $transaction->allow_commit();
+    }
+
+    /**
+     * Get the course categories and courses a profile is assigned to.
+     *
+     * Assignments whose category or course was deleted are left out.
+     *
+     * @param int $profileid Profile ID
+     * @return array categories with ID and name, courses with ID, name and short name
+     */
+    public static function get_assignments($profileid) {
+        global $DB;
+
+        $sql = "SELECT m.contextid, ctx.contextlevel, ctx.instanceid
+                  FROM {" . self::TABLE_MAP . "} m
+                  JOIN {context} ctx ON ctx.id = m.contextid
+                 WHERE m.profile_id = ?";
+        $records = $DB->get_records_sql($sql, [$profileid]);
+
+        $assignments = ['categories' => [], 'courses' => []];
+        foreach ($records as $record) {
+            if ($record->contextlevel == CONTEXT_COURSECAT) {
+                $category = \core_course_category::get($record->instanceid, IGNORE_MISSING, true);
+                if ($category) {
+                    $assignments['categories'][] = ['id' => (int)$category->id, 'name' => $category->get_formatted_name()];
+                }
+            } else if ($record->contextlevel == CONTEXT_COURSE) {
+                $course = $DB->get_record('course', ['id' => $record->instanceid], 'id, fullname, shortname');
+                if ($course) {
+                    $assignments['courses'][] = [
+                        'id' => (int)$course->id,
+                        'name' => format_string($course->fullname),
+                        'shortname' => $course->shortname
+                    ];
+                }
+            }
+        }
+
+        return $assignments;
+    }
+
+    /**
+     * Get the profile new videos of a course are uploaded with.
+     *
+     * @param int $courseid Course ID
+     * @return int Profile ID, 0 for the site credentials
+     */
+    public static function get_course_profile_id($courseid) {
+        global $DB;
+
+        $context = \context_course::instance($courseid, IGNORE_MISSING);
+        if (!$context) {
+            return self::SITE_PROFILE;
+        }
+
+        // The course first, then its categories from the nearest one up
+        $contextids = $context->get_parent_context_ids(true);
+        list($insql, $params) = $DB->get_in_or_equal($contextids);
+        $assigned = $DB->get_records_select_menu(self::TABLE_MAP, "contextid $insql", $params, '', 'contextid, profile_id');
+
+        foreach ($contextids as $contextid) {
+            if (isset($assigned[$contextid])) {
+                return (int)$assigned[$contextid];
+            }
+        }
+
+        return self::SITE_PROFILE;
+    }
+
+    /**
+     * Get the minutes of video stored with a profile.
+     *
+     * Videos still processing have no duration yet and are not counted.
+     *
+     * @param int $profileid Profile ID
+     * @return int Minutes, rounded up
+     */
+    public static function get_used_minutes($profileid) {
+        global $DB;
+
+        $seconds = $DB->get_field_sql("SELECT SUM(duration) FROM {" . video_manager::TABLE_VIDEOS . "}
+                                        WHERE profile_id = ? AND status != ?",
+            [$profileid, video_manager::STATUS_ERROR]);
+
+        return (int)ceil((int)$seconds / 60);
+    }
+
+    /**
+     * Check that a profile has storage left for another upload.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials which have no quota
+     * @return array Result with an error when the quota is used up
+     */
+    public static function check_quota($profileid) {
+        $profile = $profileid ? self::get_profile($profileid) : null;
+        if (!$profile || empty($profile->storage_quota)) {
+            return ['success' => true];
+        }
+
+        if (self::get_used_minutes($profileid) >= $profile->storage_quota) {
+            return [
+                'success' => false,
+                'error' => get_string('error_storage_quota', 'local_cloudflarestream', $profile->storage_quota)
+            ];
+        }
+
+        return ['success' => true];
+    }
+}
@@ -0,0 +1,247 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Concurrent playback session tracking.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Limits how many videos a user can play at the same time, to stop course
+ * logins from being shared.
+ *
+ * Each opened player is a session, identified by a key stored with the tokens
+ * issued to it. Playing players send heartbeats; when one more session plays
+ * than allowed, the oldest other session is ended and its player paused.
+ * Ended sessions get no new tokens until the viewer takes the stream back,
+ * and sessions that do not send heartbeats are not renewed, so a player
+ * cannot keep playing without being counted.
+ */
+class stream_session_manager {
+
+    /** @var string Table holding the sessions, one row per issued token */
+    const TABLE_TOKENS = 'local_cloudflarestream_tokens';
+
+    /** @var int Seconds without a heartbeat after which a session no longer counts as playing */
+    const ACTIVE_TIMEOUT = 45;
+
+    /** @var int Length of session keys */
+    const KEY_LENGTH = 32;
+
+    /**
+     * Get the number of streams a user can play at once.
+     *
+     * @return int Limit, 0 for no limit
+     */
+    public static function get_limit() {
+        return max(0, (int)config_manager::get('max_concurrent_streams', 0));
+    }
+
+    /**
+     * Check whether the sessions of a user are limited.
+     *
+     * Guests share one account, so they are never limited.
+     *
+     * @param int $userid User ID
+     * @return bool True if the limit applies
+     */
+    public static function is_limited($userid) {
+        return self::get_limit() > 0 && $userid && !isguestuser($userid);
+    }
+
+    /**
+     * Create the key of a new session.
+     *
+     * @return string Session key
+     */
+    public static function create_session_key() {
+        return random_string(self::KEY_LENGTH);
+    }
+
+    /**
+     * Record that a session is playing and end the oldest others above the limit.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID the session plays
+     * @param string $sessionkey Session key
+     * @param bool $takeover Whether to play again in a session that was ended
+     * @param int|null $now Current time, defaults to now
+     * @return bool False if the session was ended by another one and is not taken over
+     */
+    public static function heartbeat($userid, $videoid, $sessionkey, $takeover = false, $now = null) {
+        global $DB;
+
+        $now = $now ?? time();
+        $conditions = ['user_id' => $userid, 'video_id' => $videoid, 'session_key' => $sessionkey];
+
+        // Sessions whose tokens have all expired and been cleaned up are not tracked anymore
+        if (!$sessionkey || !$DB->record_exists(self::TABLE_TOKENS, $conditions)) {
+            return true;
+        }
+
+        if (self::is_ended($userid, $sessionkey) && !$takeover) {
+            return false;
+        }
+
+        $DB->set_field(self::TABLE_TOKENS, 'last_heartbeat', $now, $conditions);
+        $DB->set_field(self::TABLE_TOKENS, 'ended_at', null, $conditions);
+
+        if (self::is_limited($userid)) {
+            self::enforce_limit($userid, $sessionkey, $now);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether a session was opened by a player of a video for a user.
+     *
+     * Only players generated by the player handler get a session, and the view
+     * they use is counted when they first play, so tokens are only renewed for
+     * these sessions.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param string $sessionkey Session key
+     * @return bool True if a token was issued to the session
+     */
+    public static function is_issued($userid, $videoid, $sessionkey) {
+        global $DB;
+
+        if (!$sessionkey) {
+            return false;
+        }
+
+        return $DB->record_exists(self::TABLE_TOKENS,
+            ['user_id' => $userid, 'video_id' => $videoid, 'session_key' => $sessionkey]);
+    }
+
+    /**
+     * Check whether a session of a user may be given another token.
+     *
+     * Under the limit only sessions that sent a heartbeat recently are renewed.
+     * A session may still replace its first token once before it plays, which
+     * is how the fallback player takes over from an embed that did not load.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param string $sessionkey Session key
+     * @param bool $replacefirst Whether a session that has only its first token may get another one
+     * @param int|null $now Current time, defaults to now
+     * @return bool True if the session may be renewed
+     */
+    public static function can_renew($userid, $videoid, $sessionkey, $replacefirst = false, $now = null) {
+        global $DB;
+
+        if (!self::is_limited($userid)) {
+            return true;
+        }
+
+        $now = $now ?? time();
+        $conditions = ['user_id' => $userid, 'video_id' => $videoid, 'session_key' => $sessionkey];
+
+        if ($replacefirst && $DB->count_records(self::TABLE_TOKENS, $conditions) < 2) {
+            return true;
+        }
+
+        return $DB->record_exists_select(self::TABLE_TOKENS,
+            'user_id = ? AND video_id = ? AND session_key = ? AND last_heartbeat >= ?',
+            [$userid, $videoid, $sessionkey, $now - self::ACTIVE_TIMEOUT]);
+    }
+
+    /**
+     * Check whether a session was ended by another one.
+     *
+     * @param int $userid User ID
+     * @param string $sessionkey Session key
+     * @return bool True if ended
+     */
+    public static function is_ended($userid, $sessionkey) {
+        global $DB;
+
+        if (!$sessionkey) {
+            return false;
+        }
+
+        return $DB->record_exists_select(self::TABLE_TOKENS,
+            'user_id = ? AND session_key = ? AND ended_at IS NOT NULL', [$userid, $sessionkey]);
+    }
+
+    /**
+     * Get the sessions of a user that are playing.
+     *
+     * @param int $userid User ID
+     * @param int|null $now Current time, defaults to now
+     * @return array Sessions with session_key, started, last_heartbeat and video_id, oldest first
+     */
+    public static function get_active_sessions($userid, $now = null) {
+        global $DB;
+
+        $now = $now ?? time();
+        $sql = "SELECT session_key, MIN(created_at) AS started, MAX(last_heartbeat) AS last_heartbeat,
+                       MAX(video_id) AS video_id
+                  FROM {" . self::TABLE_TOKENS . "}
+                 WHERE user_id = ? AND session_key IS NOT NULL AND ended_at IS NULL AND last_heartbeat >= ?
+              GROUP BY session_key
+              ORDER BY MIN(created_at) ASC";
+
+        return array_values($DB->get_records_sql($sql, [$userid, $now - self::ACTIVE_TIMEOUT]));
+    }
+
+    /**
+     * End the oldest other sessions while a user plays more streams than allowed.
+     *
+     * @param int $userid User ID
+     * @param string $sessionkey Session that is kept playing
+     * @param int $now Current time
+     * @return array Keys of the ended sessions
+     */
+    private static function enforce_limit($userid, $sessionkey, $now) {
+        global $DB;
+
+        $sessions = self::get_active_sessions($userid, $now);
+        $excess = count($sessions) - self::get_limit();
+
+        $ended = [];
+        foreach ($sessions as $session) {
+            if ($excess <= 0) {
+                break;
+            }
+            if ($session->session_key === $sessionkey) {
+                continue;
+            }
+
+            $DB->set_field(self::TABLE_TOKENS, 'ended_at', $now,
+                ['user_id' => $userid, 'session_key' => $session->session_key]);
+            player_handler::log_player_access($session->video_id, $userid, false, 'stream_taken_over', [
+                'limit' => self::get_limit()
+            ]);
+            $ended[] = $session->session_key;
+            $excess--;
+        }
+
+        return $ended;
+    }
+}
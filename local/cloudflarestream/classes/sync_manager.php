@@ -33,9 +33,27 @@ defined('MOODLE_INTERNAL') || die();
  */
 class sync_manager {
 
+    /** @var string Candidate filter for every video that is not ready */
+    const STATUS_UNFINISHED = 'unfinished';
+
+    /** @var array Actions the sync console runs in batches */
+    const BATCH_ACTIONS = ['sync', 'reset'];
+
+    /** @var int Most videos handled in one batch request */
+    const MAX_BATCH_SIZE = 50;
+
+    /** @var int Videos the sync console sends per request, small enough to report progress often */
+    const CONSOLE_BATCH_SIZE = 5;
+
+    /** @var int Most Cloudflare videos listed when looking for orphans */
+    const ORPHAN_LISTING_LIMIT = 1000;
+
     /**
      * Perform manual full synchronization.
      *
+     * Each video is synced with the account it lives in, so a video whose
+     * account is not set up fails on its own without stopping the others.
+     *
      * @param bool $force Force sync even for ready videos
      * @return array Sync results
      */
@@ -50,13 +68,6 @@ class sync_manager {
             'details' => []
         ];
 
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            $results['success'] = false;
-            $results['error'] = 'Stream manager not available';
-            return $results;
-        }
-
         // Get videos to sync
         $conditions = $force ? '' : 'status != ?';
         $params = $force ? [] : [video_manager::STATUS_READY];
@@ -75,7 +86,7 @@ class sync_manager {
             $results['total_processed']++;
             
             try {
-                $syncresult = $streammanager->sync_video_status($video->id);
+                $syncresult = self::sync_video($video->id);
                 
                 if ($syncresult['success']) {
                     if ($syncresult['updated']) {
@@ -96,13 +107,21 @@ class sync_manager {
     }
 
     /**
-     * Sync specific video by ID.
+     * Sync specific video by ID, with the Cloudflare account it lives in.
      *
      * @param int $videoid Video ID
      * @return array Sync result
      */
     public static function sync_video($videoid) {
-        $streammanager = stream_manager::get_instance();
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return [
+                'success' => false,
+                'error' => 'Video not found or no Cloudflare ID'
+            ];
+        }
+
+        $streammanager = stream_manager::for_video($video);
         if (!$streammanager) {
             return [
                 'success' => false,
@@ -131,16 +150,9 @@ class sync_manager {
             'details' => []
         ];
 
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            $results['success'] = false;
-            $results['error'] = 'Stream manager not available';
-            return $results;
-        }
-
         foreach ($videos as $video) {
             try {
-                $syncresult = $streammanager->sync_video_status($video->id);
+                $syncresult = self::sync_video($video->id);
                 
                 if ($syncresult['success'] && $syncresult['updated']) {
                     $results['updated']++;
@@ -159,56 +171,106 @@ class sync_manager {
     }
 
     /**
-     * Clean up orphaned videos.
+     * Clean up orphaned videos in every Cloudflare account.
+     *
+     * The results list the orphans found, so a dry run can be shown as a
+     * preview of what the cleanup would change. Applying a preview passes the
+     * orphans it listed as confirmed, so only those that are still orphaned
+     * are cleaned and orphans found since are left for the next preview.
      *
      * @param bool $dryrun If true, only report what would be cleaned
+     * @param array|null $confirmed Moodle video IDs under 'moodle' and Cloudflare video IDs under 'cloudflare'
+     *                              to limit the cleanup to, or null for all orphans
      * @return array Cleanup results
      */
-    public static function cleanup_orphaned_videos($dryrun = true) {
-        global $DB;
-
+    public static function cleanup_orphaned_videos($dryrun = true, $confirmed = null) {
         $results = [
             'success' => true,
             'moodle_orphans_found' => 0,
             'moodle_orphans_cleaned' => 0,
             'cloudflare_orphans_found' => 0,
             'cloudflare_orphans_cleaned' => 0,
+            'moodle_orphans' => [],
+            'cloudflare_orphans' => [],
             'details' => [],
             'dry_run' => $dryrun
         ];
 
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            $results['success'] = false;
-            $results['error'] = 'Stream manager not available';
-            return $results;
+        foreach (profile_manager::get_all_profile_ids() as $profileid) {
+            $streammanager = stream_manager::get_instance($profileid);
+            if (!$streammanager) {
+                $results['success'] = false;
+                $results['error'] = 'Stream manager not available';
+                return $results;
+            }
+            self::cleanup_account_orphans($streammanager, $profileid, $dryrun, $confirmed, $results);
         }
 
+        return $results;
+    }
+
+    /**
+     * Clean up the orphaned videos of one Cloudflare account.
+     *
+     * @param stream_manager $streammanager Stream manager of the account
+     * @param int $profileid Credential profile ID of the account, 0 for the site credentials
+     * @param bool $dryrun If true, only report what would be cleaned
+     * @param array|null $confirmed Orphans to limit the cleanup to, see cleanup_orphaned_videos()
+     * @param array $results Cleanup results to add to
+     */
+    private static function cleanup_account_orphans(stream_manager $streammanager, $profileid, $dryrun, $confirmed,
+            array &$results) {
+        // One listing of the account serves both directions
+        $listing = $streammanager->list_videos(self::ORPHAN_LISTING_LIMIT);
+        $cloudflarevideos = $listing['success'] ? $listing['data'] : null;
+
         // Find Moodle orphans (videos in Moodle that don't exist on Cloudflare)
-        $moodleorphans = self::find_moodle_orphans();
-        $results['moodle_orphans_found'] = count($moodleorphans);
+        $moodleorphans = self::find_moodle_orphans($streammanager, $cloudflarevideos, $profileid);
+        if ($confirmed !== null) {
+            $confirmedids = array_map('intval', $confirmed['moodle'] ?? []);
+            $moodleorphans = array_filter($moodleorphans, function($video) use ($confirmedids) {
+                return in_array((int)$video->id, $confirmedids, true);
+            });
+        }
+        $results['moodle_orphans_found'] += count($moodleorphans);
+
+        foreach ($moodleorphans as $video) {
+            $results['moodle_orphans'][] = [
+                'id' => $video->id,
+                'title' => handlers\player_handler::get_video_title($video),
+                'course_id' => $video->course_id
+            ];
 
-        foreach ($moodleorphans as $videoid) {
             if (!$dryrun) {
                 // Mark as error instead of deleting
-                video_manager::update_video($videoid, [
+                video_manager::update_video($video->id, [
                     'status' => video_manager::STATUS_ERROR,
                     'error_message' => 'Video not found on Cloudflare - marked as orphan'
                 ]);
                 $results['moodle_orphans_cleaned']++;
             }
-            $results['details'][] = ($dryrun ? '[DRY RUN] Would mark' : 'Marked') . " Moodle video {$videoid} as orphaned";
+            $results['details'][] = ($dryrun ? '[DRY RUN] Would mark' : 'Marked') . " Moodle video {$video->id} as orphaned";
         }
 
         // Find Cloudflare orphans
-        $cloudflareorphans = self::find_cloudflare_orphans();
-        $results['cloudflare_orphans_found'] = count($cloudflareorphans);
+        $cloudflareorphans = $cloudflarevideos === null ? [] : self::find_cloudflare_orphans($cloudflarevideos);
+        if ($confirmed !== null) {
+            $cloudflareorphans = array_intersect_key($cloudflareorphans, array_flip($confirmed['cloudflare'] ?? []));
+        }
+        $results['cloudflare_orphans_found'] += count($cloudflareorphans);
+
+        foreach ($cloudflareorphans as $cfvideoid => $cfvideo) {
+            $results['cloudflare_orphans'][] = [
+                'uid' => $cfvideoid,
+                'name' => $cfvideo['meta']['name'] ?? '',
+                'created' => !empty($cfvideo['created']) ? strtotime($cfvideo['created']) : 0
+            ];
 
-        foreach ($cloudflareorphans as $cfvideoid) {
             if (!$dryrun) {
                 // Delete from Cloudflare (be careful with this!)
-                $deleteresult = $streammanager->delete_video($cfvideoid);
+                $deleteresult = $streammanager->delete_cloudflare_video($cfvideoid);
                 if ($deleteresult['success']) {
+                    orphan_manager::forget($cfvideoid);
                     $results['cloudflare_orphans_cleaned']++;
                     $results['details'][] = "Deleted Cloudflare orphan: {$cfvideoid}";
                 } else {
@@ -218,82 +280,166 @@ class sync_manager {
                 $results['details'][] = "[DRY RUN] Would delete Cloudflare orphan: {$cfvideoid}";
             }
         }
-
-        return $results;
     }
 
     /**
      * Find videos in Moodle that don't exist on Cloudflare.
      *
-     * @return array List of orphaned video IDs
+     * When the account listing is complete the videos are looked up in it,
+     * otherwise each video is checked with its own API request.
+     *
+     * @param stream_manager $streammanager Stream manager of the account
+     * @param array|null $cloudflarevideos Cloudflare videos indexed by ID, null if they could not be listed
+     * @param int $profileid Credential profile ID of the account
+     * @return array Orphaned video records
      */
-    private static function find_moodle_orphans() {
+    private static function find_moodle_orphans(stream_manager $streammanager, $cloudflarevideos, $profileid) {
         global $DB;
-        
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            return [];
-        }
 
-        // Get ready videos that should exist on Cloudflare
+        // Get ready videos that should exist on this account
         $readyvideos = $DB->get_records_select(
             video_manager::TABLE_VIDEOS,
-            'status = ? AND cloudflare_video_id IS NOT NULL',
-            [video_manager::STATUS_READY],
+            'status = ? AND cloudflare_video_id IS NOT NULL AND profile_id = ?',
+            [video_manager::STATUS_READY, $profileid],
             '',
-            'id, cloudflare_video_id'
+            'id, cloudflare_video_id, course_id, metadata'
         );
 
+        $complete = $cloudflarevideos !== null && count($cloudflarevideos) < self::ORPHAN_LISTING_LIMIT;
         $orphans = [];
-        
+
         foreach ($readyvideos as $video) {
-            // Check if video exists on Cloudflare
-            $result = $streammanager->get_video_metadata($video->cloudflare_video_id);
-            
-            if (!$result['success'] || empty($result['data'])) {
-                $orphans[] = $video->id;
+            if ($complete) {
+                $exists = isset($cloudflarevideos[$video->cloudflare_video_id]);
+            } else {
+                // Check if video exists on Cloudflare
+                $result = $streammanager->get_video_metadata($video->cloudflare_video_id);
+                $exists = $result['success'] && !empty($result['data']);
+            }
+
+            if (!$exists) {
+                $orphans[] = $video;
             }
         }
-        
+
         return $orphans;
     }
 
     /**
      * Find videos on Cloudflare that don't exist in Moodle.
      *
-     * @return array List of orphaned Cloudflare video IDs
+     * @param array $cloudflarevideos Cloudflare videos indexed by ID
+     * @return array Orphaned Cloudflare videos indexed by ID
      */
-    private static function find_cloudflare_orphans() {
+    private static function find_cloudflare_orphans(array $cloudflarevideos) {
         global $DB;
-        
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            return [];
-        }
-
-        // Get list of videos from Cloudflare
-        $cloudflarevideos = $streammanager->list_videos(200);
-        
-        if (!$cloudflarevideos['success'] || empty($cloudflarevideos['data'])) {
-            return [];
-        }
 
         $orphans = [];
-        
-        foreach ($cloudflarevideos['data'] as $cfvideo) {
-            $cfvideoid = $cfvideo['uid'];
-            
+
+        foreach ($cloudflarevideos as $cfvideoid => $cfvideo) {
+            // Videos an admin reviewed on the orphans page are left alone, live sessions register their own recordings
+            if (orphan_manager::is_reviewed($cfvideoid) || live_manager::is_session_video($cfvideo)) {
+                continue;
+            }
+
             // Check if this video exists in our database
-            $exists = $DB->record_exists(video_manager::TABLE_VIDEOS, ['cloudflare_video_id' => $cfvideoid]);
-            
-            if (!$exists) {
-                $orphans[] = $cfvideoid;
+            if (!$DB->record_exists(video_manager::TABLE_VIDEOS, ['cloudflare_video_id' => $cfvideoid])) {
+                $orphans[$cfvideoid] = $cfvideo;
             }
         }
-        
+
         return $orphans;
     }
 
+    /**
+     * Find the videos a sync console batch can run on.
+     *
+     * @param string $status Video status, unfinished for all but ready videos, or empty for all videos
+     * @param string $search Text to find in the filename or title
+     * @return array Video records, oldest upload first
+     */
+    public static function get_sync_candidates($status = '', $search = '') {
+        global $DB;
+
+        $select = '';
+        $params = [];
+        if ($status === self::STATUS_UNFINISHED) {
+            $select = 'status <> ?';
+            $params = [video_manager::STATUS_READY];
+        } else if ($status !== '') {
+            $select = 'status = ?';
+            $params = [$status];
+        }
+
+        $videos = $DB->get_records_select(video_manager::TABLE_VIDEOS, $select, $params, 'upload_date ASC',
+            'id, course_id, status, cloudflare_video_id, metadata');
+
+        $search = \core_text::strtolower(trim($search));
+        if ($search === '') {
+            return $videos;
+        }
+
+        return array_filter($videos, function($video) use ($search) {
+            $title = \core_text::strtolower(handlers\player_handler::get_video_title($video));
+            return \core_text::strpos($title, $search) !== false;
+        });
+    }
+
+    /**
+     * Sync or reset a batch of videos.
+     *
+     * The sync console sends small batches one after the other, so long runs
+     * report progress as they go, can be cancelled between batches and never
+     * hit the PHP time limit.
+     *
+     * @param string $action One of BATCH_ACTIONS
+     * @param array $videoids Video record IDs, at most MAX_BATCH_SIZE
+     * @return array Results with videoid, success, updated and message per video
+     */
+    public static function sync_batch($action, array $videoids) {
+        $results = [];
+
+        foreach (array_slice(array_unique($videoids), 0, self::MAX_BATCH_SIZE) as $videoid) {
+            $result = [
+                'videoid' => (int)$videoid,
+                'success' => false,
+                'updated' => false,
+                'message' => ''
+            ];
+
+            try {
+                if (!video_manager::get_video($videoid)) {
+                    $result['message'] = get_string('error_video_not_found', 'local_cloudflarestream');
+                } else if ($action === 'reset') {
+                    $resetresult = self::reset_video_for_retry($videoid);
+                    $result['success'] = $resetresult['success'];
+                    $result['updated'] = $resetresult['success'];
+                    $result['message'] = $resetresult['message'] ?? $resetresult['error'];
+                } else {
+                    $syncresult = self::sync_video($videoid);
+                    $result['success'] = $syncresult['success'];
+                    $result['updated'] = $syncresult['success'] && $syncresult['old_status'] !== $syncresult['new_status'];
+                    if (!$syncresult['success']) {
+                        $result['message'] = $syncresult['error'] ?? 'Unknown error';
+                    } else if ($result['updated']) {
+                        $result['message'] = get_string('sync_status_changed', 'local_cloudflarestream', [
+                            'old' => $syncresult['old_status'],
+                            'new' => $syncresult['new_status']
+                        ]);
+                    } else {
+                        $result['message'] = get_string('sync_status_unchanged', 'local_cloudflarestream');
+                    }
+                }
+            } catch (\Exception $e) {
+                $result['message'] = $e->getMessage();
+            }
+
+            $results[] = $result;
+        }
+
+        return $results;
+    }
+
     /**
      * Get synchronization statistics.
      *
@@ -369,8 +515,25 @@ class sync_manager {
         ]);
 
         if ($updated) {
+            // Clips and trimmed uploads are cut again from the video on Cloudflare, there is no file to send
+            if (clip_manager::is_clip($video)) {
+                video_manager::queue_action($videoid, 'clip', 5);
+                return [
+                    'success' => true,
+                    'message' => 'Video reset and added back to queue'
+                ];
+            }
+            if ($video->cloudflare_video_id && clip_manager::is_trim_pending($video)) {
+                clip_manager::queue_trim($videoid);
+                return [
+                    'success' => true,
+                    'message' => 'Video reset and added back to queue'
+                ];
+            }
+
             // Add back to queue
-            video_manager::add_to_queue($videoid, 'upload', [
+            video_manager::queue_action($videoid, 'upload', 5, [
+                'metadata' => json_decode($video->metadata ?: '{}', true),
                 'retry' => true,
                 'previous_error' => $video->error_message
             ]);
@@ -175,7 +175,7 @@ class cleanup_files extends \core\task\scheduled_task {
         }
 
         try {
-            $streammanager = \local_cloudflarestream\api\stream_manager::get_instance();
+            $streammanager = \local_cloudflarestream\api\stream_manager::for_video($video);
             if (!$streammanager) {
                 return false;
             }
@@ -25,6 +25,7 @@
 namespace local_cloudflarestream\task;
 
 use local_cloudflarestream\auth\token_manager;
+use local_cloudflarestream\auth\signing_key_manager;
 use local_cloudflarestream\token_manager as TokenDB;
 
 defined('MOODLE_INTERNAL') || die();
@@ -61,6 +62,12 @@ class cleanup_tokens extends \core\task\scheduled_task {
         $totalcleaned += $oldcleaned;
         mtrace("Cleaned up {$oldcleaned} old user tokens.");
 
+        // Delete signing keys whose grace period is over
+        $keysremoved = signing_key_manager::remove_expired_keys();
+        if ($keysremoved > 0) {
+            mtrace("Deleted {$keysremoved} replaced signing keys.");
+        }
+
         // Security maintenance
         $this->perform_security_maintenance();
 
@@ -131,6 +131,10 @@ class process_queue extends \core\task\scheduled_task {
             
             case 'sync':
                 return $this->process_sync_item($item);
+
+            case 'clip':
+            case 'trim':
+                return $this->process_clip_item($item);
             
             default:
                 return [
@@ -149,7 +153,16 @@ class process_queue extends \core\task\scheduled_task {
      */
     private function process_delete_item($item) {
         try {
-            $streammanager = \local_cloudflarestream\api\stream_manager::get_instance();
+            $video = video_manager::get_video($item->video_id);
+            if (!$video) {
+                return [
+                    'success' => false,
+                    'error' => 'Video record not found',
+                    'retry' => false
+                ];
+            }
+
+            $streammanager = \local_cloudflarestream\api\stream_manager::for_video($video);
             if (!$streammanager) {
                 return [
                     'success' => false,
@@ -183,7 +196,16 @@ class process_queue extends \core\task\scheduled_task {
      */
     private function process_sync_item($item) {
         try {
-            $streammanager = \local_cloudflarestream\api\stream_manager::get_instance();
+            $video = video_manager::get_video($item->video_id);
+            if (!$video) {
+                return [
+                    'success' => false,
+                    'error' => 'Video record not found',
+                    'retry' => false
+                ];
+            }
+
+            $streammanager = \local_cloudflarestream\api\stream_manager::for_video($video);
             if (!$streammanager) {
                 return [
                     'success' => false,
@@ -209,6 +231,50 @@ class process_queue extends \core\task\scheduled_task {
         }
     }
 
+    /**
+     * Process clip queue item: cut a clip, or trim an upload.
+     *
+     * @param \stdClass $item Queue item
+     * @return array Processing result
+     */
+    private function process_clip_item($item) {
+        try {
+            $video = video_manager::get_video($item->video_id);
+            if (!$video) {
+                return [
+                    'success' => false,
+                    'error' => 'Video record not found',
+                    'retry' => false
+                ];
+            }
+
+            $streammanager = \local_cloudflarestream\api\stream_manager::for_video($video);
+            if (!$streammanager) {
+                return [
+                    'success' => false,
+                    'error' => 'Stream manager not available',
+                    'retry' => true
+                ];
+            }
+
+            $result = $item->action === 'clip' ? $streammanager->create_clip($video->id) :
+                $streammanager->trim_video($video->id);
+
+            return [
+                'success' => $result['success'],
+                'error' => $result['success'] ? '' : $result['error'],
+                'retry' => $result['retry'] ?? !$result['success']
+            ];
+
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage(),
+                'retry' => true
+            ];
+        }
+    }
+
     /**
      * Handle failed queue item.
      *
@@ -230,8 +296,8 @@ class process_queue extends \core\task\scheduled_task {
                 'next_attempt' => time() + 86400 // Try again in 24 hours
             ]);
 
-            // Also update video status if it's an upload
-            if ($item->action === 'upload') {
+            // Also update video status if it was being uploaded, cut or trimmed
+            if (in_array($item->action, ['upload', 'clip', 'trim'])) {
                 video_manager::update_video($item->video_id, [
                     'status' => video_manager::STATUS_ERROR,
                     'error_message' => $error
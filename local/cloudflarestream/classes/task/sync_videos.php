@@ -28,6 +28,11 @@ use local_cloudflarestream\video_manager;
 use local_cloudflarestream\config_manager;
 use local_cloudflarestream\api\stream_manager;
 use local_cloudflarestream\notification_manager;
+use local_cloudflarestream\orphan_manager;
+use local_cloudflarestream\profile_manager;
+use local_cloudflarestream\live_manager;
+use local_cloudflarestream\sync_manager;
+use local_cloudflarestream\usage_manager;
 
 defined('MOODLE_INTERNAL') || die();
 
@@ -62,6 +67,12 @@ class sync_videos extends \core\task\scheduled_task {
         
         // Sync video statuses
         $syncresults = $this->sync_video_statuses();
+
+        // Follow live sessions and register their recordings
+        $this->refresh_live_sessions();
+
+        // Record the usage of every account for the usage charts and quota alerts
+        $this->record_usage();
         
         // Check for stuck videos
         $stuckresults = $this->check_stuck_videos();
@@ -107,7 +118,7 @@ class sync_videos extends \core\task\scheduled_task {
     }
 
     /**
-     * Check API connection health.
+     * Check API connection health of the site credentials and every profile.
      *
      * @return array Check result
      */
@@ -122,6 +133,15 @@ class sync_videos extends \core\task\scheduled_task {
             }
 
             $result = $client->test_connection();
+            foreach (profile_manager::get_profiles() as $profile) {
+                $profileresult = \local_cloudflarestream\api\cloudflare_client::get_instance($profile->id)->test_connection();
+                if (!$profileresult['success']) {
+                    return [
+                        'healthy' => false,
+                        'message' => $profile->name . ': ' . $profileresult['message']
+                    ];
+                }
+            }
             return [
                 'healthy' => $result['success'],
                 'message' => $result['message']
@@ -177,10 +197,10 @@ class sync_videos extends \core\task\scheduled_task {
         
         $inconsistencies = [];
         
-        // Check for videos with missing Moodle files
+        // Check for videos with missing Moodle files (direct uploads never had one)
         $sql = "SELECT COUNT(*) FROM {" . video_manager::TABLE_VIDEOS . "} v
                 LEFT JOIN {files} f ON f.id = v.moodle_file_id
-                WHERE f.id IS NULL";
+                WHERE v.moodle_file_id IS NOT NULL AND f.id IS NULL";
         $orphanedvideos = $DB->count_records_sql($sql);
         
         if ($orphanedvideos > 0) {
@@ -312,14 +332,6 @@ class sync_videos extends \core\task\scheduled_task {
     private function sync_video_statuses() {
         mtrace('Syncing video statuses...');
         
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            return [
-                'success' => false,
-                'error' => 'Stream manager not available'
-            ];
-        }
-
         // Get videos that need status sync
         $processingvideos = video_manager::get_videos_by_status(video_manager::STATUS_PROCESSING, 20);
         $uploadingvideos = video_manager::get_videos_by_status(video_manager::STATUS_UPLOADING, 10);
@@ -335,14 +347,68 @@ class sync_videos extends \core\task\scheduled_task {
             ];
         }
 
-        $videoIds = array_column($allvideos, 'id');
-        $results = $streammanager->bulk_sync_videos($videoIds, 5);
+        // Each account is synced with its own credentials
+        $byprofile = [];
+        foreach ($allvideos as $video) {
+            $byprofile[$video->profile_id][] = $video->id;
+        }
+
+        $results = ['success' => 0, 'failed' => 0, 'errors' => []];
+        foreach ($byprofile as $profileid => $videoIds) {
+            $streammanager = stream_manager::get_instance($profileid);
+            if (!$streammanager) {
+                return [
+                    'success' => false,
+                    'error' => 'Stream manager not available'
+                ];
+            }
+
+            $profileresults = $streammanager->bulk_sync_videos($videoIds, 5);
+            $results['success'] += $profileresults['success'];
+            $results['failed'] += $profileresults['failed'];
+            $results['errors'] += $profileresults['errors'];
+        }
         
         mtrace("Synced {$results['success']} videos, {$results['failed']} failed");
         
         return $results;
     }
 
+    /**
+     * Check live sessions that may have started or ended, and register their recordings.
+     *
+     * Viewers' players check the sessions they show; this covers the rest.
+     */
+    private function refresh_live_sessions() {
+        mtrace('Checking live sessions...');
+
+        try {
+            $checked = live_manager::refresh_sessions();
+            mtrace("Checked {$checked} live sessions");
+        } catch (\Exception $e) {
+            mtrace('Live session check failed: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Take today's usage snapshot of every Cloudflare account.
+     *
+     * Administrators are alerted from here when an account reaches a quota threshold.
+     */
+    private function record_usage() {
+        mtrace('Recording account usage...');
+
+        try {
+            $result = usage_manager::take_snapshots();
+            mtrace("Recorded the usage of {$result['taken']} accounts");
+            foreach ($result['errors'] as $account => $error) {
+                mtrace("Usage of {$account} could not be recorded: {$error}");
+            }
+        } catch (\Exception $e) {
+            mtrace('Usage recording failed: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Check for stuck videos and attempt recovery.
      *
@@ -369,6 +435,12 @@ class sync_videos extends \core\task\scheduled_task {
         $failed = 0;
 
         foreach ($stuckvideos as $video) {
+            // Large direct uploads may still be running in the browser
+            if ($video->status === video_manager::STATUS_UPLOADING && empty($video->moodle_file_id)
+                    && $video->upload_date > time() - stream_manager::DIRECT_UPLOAD_EXPIRY) {
+                continue;
+            }
+
             mtrace("Attempting to recover stuck video {$video->id}");
             
             if ($this->attempt_video_recovery($video)) {
@@ -396,7 +468,7 @@ class sync_videos extends \core\task\scheduled_task {
      * @return bool Success
      */
     private function attempt_video_recovery($video) {
-        $streammanager = stream_manager::get_instance();
+        $streammanager = stream_manager::for_video($video);
         if (!$streammanager) {
             return false;
         }
@@ -437,6 +509,12 @@ class sync_videos extends \core\task\scheduled_task {
         } else {
             mtrace('No orphaned videos found');
         }
+
+        // Delete the orphans an admin scheduled for deletion once their grace period is over
+        $deleted = orphan_manager::delete_due_orphans();
+        if ($deleted['deleted'] || $deleted['failed']) {
+            mtrace("Deleted {$deleted['deleted']} scheduled Cloudflare orphans, {$deleted['failed']} failed");
+        }
         
         return $results;
     }
@@ -448,11 +526,6 @@ class sync_videos extends \core\task\scheduled_task {
      */
     private function find_moodle_orphans() {
         global $DB;
-        
-        $streammanager = stream_manager::get_instance();
-        if (!$streammanager) {
-            return [];
-        }
 
         // Get ready videos that should exist on Cloudflare
         $readyvideos = $DB->get_records_select(
@@ -460,7 +533,7 @@ class sync_videos extends \core\task\scheduled_task {
             'status = ? AND cloudflare_video_id IS NOT NULL',
             [video_manager::STATUS_READY],
             '',
-            'id, cloudflare_video_id',
+            'id, cloudflare_video_id, profile_id',
             0,
             50 // Limit to avoid API rate limits
         );
@@ -468,6 +541,11 @@ class sync_videos extends \core\task\scheduled_task {
         $orphans = [];
         
         foreach ($readyvideos as $video) {
+            $streammanager = stream_manager::for_video($video);
+            if (!$streammanager) {
+                continue;
+            }
+
             // Check if video exists on Cloudflare
             $result = $streammanager->get_video_metadata($video->cloudflare_video_id);
             
@@ -487,20 +565,34 @@ class sync_videos extends \core\task\scheduled_task {
     }
 
     /**
-     * Find videos on Cloudflare that don't exist in Moodle.
+     * Find videos on Cloudflare that don't exist in Moodle, in every account.
      *
      * @return array List of orphaned Cloudflare video IDs
      */
     private function find_cloudflare_orphans() {
+        $orphans = [];
+        foreach (profile_manager::get_all_profile_ids() as $profileid) {
+            $orphans = array_merge($orphans, $this->find_account_orphans($profileid));
+        }
+        return $orphans;
+    }
+
+    /**
+     * Find videos on one Cloudflare account that don't exist in Moodle.
+     *
+     * @param int $profileid Credential profile ID, 0 for the site credentials
+     * @return array List of orphaned Cloudflare video IDs
+     */
+    private function find_account_orphans($profileid) {
         global $DB;
         
-        $streammanager = stream_manager::get_instance();
+        $streammanager = stream_manager::get_instance($profileid);
         if (!$streammanager) {
             return [];
         }
 
         // Get list of videos from Cloudflare
-        $cloudflarevideos = $streammanager->list_videos(100); // Limit to avoid large responses
+        $cloudflarevideos = $streammanager->list_videos(sync_manager::ORPHAN_LISTING_LIMIT);
         
         if (!$cloudflarevideos['success'] || empty($cloudflarevideos['data'])) {
             return [];
@@ -510,48 +602,28 @@ class sync_videos extends \core\task\scheduled_task {
         
         foreach ($cloudflarevideos['data'] as $cfvideo) {
             $cfvideoid = $cfvideo['uid'];
+
+            // Live sessions register their own recordings
+            if (live_manager::is_session_video($cfvideo)) {
+                continue;
+            }
             
             // Check if this video exists in our database
             $exists = $DB->record_exists(video_manager::TABLE_VIDEOS, ['cloudflare_video_id' => $cfvideoid]);
             
-            if (!$exists) {
+            // Orphans an admin already ignored or scheduled for deletion are not reported again
+            if (!$exists && !orphan_manager::is_reviewed($cfvideoid)) {
                 $orphans[] = $cfvideoid;
                 mtrace("Cloudflare orphan found: {$cfvideoid}");
                 
-                // Log orphaned video for potential cleanup
-                $this->log_cloudflare_orphan($cfvideo);
+                // Keep the orphan for review on the orphans page
+                orphan_manager::record_orphan($cfvideo, $profileid);
             }
         }
         
         return $orphans;
     }
 
-    /**
-     * Log orphaned Cloudflare video for review.
-     *
-     * @param array $video Cloudflare video data
-     */
-    private function log_cloudflare_orphan($video) {
-        // Store orphan info in config for admin review
-        $orphans = json_decode(get_config('local_cloudflarestream', 'cloudflare_orphans') ?: '[]', true);
-        
-        $orphans[$video['uid']] = [
-            'id' => $video['uid'],
-            'filename' => $video['meta']['name'] ?? 'Unknown',
-            'size' => $video['size'] ?? 0,
-            'created' => $video['created'] ?? '',
-            'found_at' => time()
-        ];
-        
-        // Keep only recent orphans (last 30 days)
-        $cutoff = time() - (30 * 24 * 3600);
-        $orphans = array_filter($orphans, function($orphan) use ($cutoff) {
-            return $orphan['found_at'] > $cutoff;
-        });
-        
-        set_config('cloudflare_orphans', json_encode($orphans), 'local_cloudflarestream');
-    }
-
     /**
      * Generate and store health report.
      *
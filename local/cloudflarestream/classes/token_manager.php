@@ -43,9 +43,11 @@ class token_manager {
      * @param int $expiry Expiration timestamp
      * @param string $ipaddress IP address
      * @param string $useragent User agent string
+     * @param string $sessionkey Player session the token is issued to
      * @return int Token record ID
      */
-    public static function create_token($userid, $videoid, $tokenhash, $expiry, $ipaddress = null, $useragent = null) {
+    public static function create_token($userid, $videoid, $tokenhash, $expiry, $ipaddress = null, $useragent = null,
+            $sessionkey = null) {
         global $DB;
 
         $record = new \stdClass();
@@ -56,6 +58,7 @@ class token_manager {
         $record->created_at = time();
         $record->ip_address = $ipaddress;
         $record->user_agent = $useragent;
+        $record->session_key = $sessionkey;
 
         return $DB->insert_record(self::TABLE_TOKENS, $record);
     }
@@ -0,0 +1,477 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Usage manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use local_cloudflarestream\api\cloudflare_client;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Records the storage and delivery usage of each Cloudflare account and warns
+ * administrators before a quota is used up.
+ *
+ * One snapshot is kept per account and day. Every snapshot remembers the
+ * highest alert threshold reached, so each threshold is only reported once
+ * until the usage drops below it again or, for delivery, a new month starts.
+ */
+class usage_manager {
+
+    /** @var string Table name for usage snapshots */
+    const TABLE_USAGE = 'local_cloudflarestream_usage';
+
+    /** @var string Storage usage */
+    const KIND_STORAGE = 'storage';
+
+    /** @var string Delivery usage */
+    const KIND_DELIVERY = 'delivery';
+
+    /** @var int Days of snapshots kept for the growth charts */
+    const HISTORY_DAYS = 400;
+
+    /** @var int Rows shown in the course and uploader breakdowns */
+    const BREAKDOWN_LIMIT = 20;
+
+    /**
+     * Take today's snapshot of every account.
+     *
+     * @return array Result with the number of snapshots taken and the errors by account name
+     */
+    public static function take_snapshots() {
+        $taken = 0;
+        $errors = [];
+
+        foreach (profile_manager::get_all_profile_ids() as $profileid) {
+            $client = cloudflare_client::get_instance($profileid);
+            if (!$client) {
+                continue;
+            }
+
+            $result = self::take_snapshot($profileid, $client);
+            if ($result['success']) {
+                $taken++;
+            } else {
+                $errors[self::get_account_name($profileid)] = $result['error'];
+            }
+        }
+
+        self::delete_old_snapshots();
+
+        return ['taken' => $taken, 'errors' => $errors];
+    }
+
+    /**
+     * Ask Cloudflare for the usage of an account and record it as today's snapshot.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials
+     * @param cloudflare_client|null $client Client for the account, looked up when not given
+     * @return array Result with the snapshot record
+     */
+    public static function take_snapshot($profileid, cloudflare_client $client = null) {
+        $client = $client ?: cloudflare_client::get_instance($profileid);
+        if (!$client) {
+            return ['success' => false, 'error' => get_string('error_not_configured', 'local_cloudflarestream')];
+        }
+
+        $now = time();
+
+        try {
+            $storage = $client->get_usage_statistics();
+            if (empty($storage['success'])) {
+                return ['success' => false, 'error' => self::format_errors($storage)];
+            }
+
+            $viewed = $client->get_minutes_viewed(self::format_date(self::get_month_start($now)),
+                self::format_date(self::get_day($now) + DAYSECS));
+            if (!empty($viewed['errors'])) {
+                return ['success' => false, 'error' => self::format_errors($viewed)];
+            }
+        } catch (\Exception $e) {
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+
+        $groups = $viewed['data']['viewer']['accounts'][0]['streamMinutesViewedAdaptiveGroups'] ?? [];
+
+        $snapshot = self::record_snapshot($profileid, [
+            'stored_minutes' => $storage['result']['totalStorageMinutes'] ?? 0,
+            'reported_limit' => $storage['result']['totalStorageMinutesLimit'] ?? 0,
+            'video_count' => $storage['result']['videoCount'] ?? 0,
+            'delivered_minutes' => $groups[0]['sum']['minutesViewed'] ?? 0
+        ], $now);
+
+        return ['success' => true, 'snapshot' => $snapshot];
+    }
+
+    /**
+     * Store the usage of an account as the snapshot of the day and send the alerts it calls for.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials
+     * @param array $usage stored_minutes, reported_limit, video_count and delivered_minutes
+     * @param int|null $now Time of the snapshot, now when not given
+     * @return \stdClass Snapshot record
+     */
+    public static function record_snapshot($profileid, array $usage, $now = null) {
+        global $DB;
+
+        $now = $now ?? time();
+        $day = self::get_day($now);
+
+        $record = $DB->get_record(self::TABLE_USAGE, ['profile_id' => $profileid, 'snapshotdate' => $day]);
+
+        // Thresholds already reported today or on the last day with a snapshot are not reported again
+        $reported = $record ?: self::get_previous_snapshot($profileid, $day);
+        $reportedstorage = $reported ? (int)$reported->storage_alert : 0;
+        $reporteddelivery = $reported && self::get_month_start($reported->snapshotdate) == self::get_month_start($day) ?
+            (int)$reported->delivery_alert : 0;
+
+        if (!$record) {
+            $record = new \stdClass();
+            $record->profile_id = $profileid;
+            $record->snapshotdate = $day;
+        }
+        $record->stored_minutes = (int)round($usage['stored_minutes'] ?? 0);
+        $record->storage_limit = self::get_storage_limit($profileid, (int)($usage['reported_limit'] ?? 0));
+        $record->video_count = (int)($usage['video_count'] ?? 0);
+        $record->delivered_minutes = (int)round($usage['delivered_minutes'] ?? 0);
+        $record->delivery_limit = (int)config_manager::get('delivery_quota');
+        $record->storage_alert = self::get_alert_level($record->stored_minutes, $record->storage_limit);
+        $record->delivery_alert = self::get_alert_level($record->delivered_minutes, $record->delivery_limit);
+        $record->timecreated = $now;
+
+        if (empty($record->id)) {
+            $record->id = $DB->insert_record(self::TABLE_USAGE, $record);
+        } else {
+            $DB->update_record(self::TABLE_USAGE, $record);
+        }
+
+        if ($record->storage_alert > $reportedstorage) {
+            self::send_alert($record, self::KIND_STORAGE);
+        }
+        if ($record->delivery_alert > $reporteddelivery) {
+            self::send_alert($record, self::KIND_DELIVERY);
+        }
+
+        return $record;
+    }
+
+    /**
+     * Get the storage quota usage of an account is compared with.
+     *
+     * The quota set for the account comes first, then the limit of the
+     * Cloudflare plan.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials
+     * @param int $reportedlimit Storage limit in minutes reported by Cloudflare
+     * @return int Quota in minutes, 0 for none
+     */
+    public static function get_storage_limit($profileid, $reportedlimit) {
+        if ($profileid) {
+            $profile = profile_manager::get_profile($profileid);
+            $quota = $profile ? (int)$profile->storage_quota : 0;
+        } else {
+            $quota = (int)config_manager::get('storage_quota');
+        }
+
+        return $quota ?: max(0, $reportedlimit);
+    }
+
+    /**
+     * Get the alert thresholds set by the administrator.
+     *
+     * @return int[] Percentages, lowest first
+     */
+    public static function get_thresholds() {
+        $values = preg_split('/[\s,;]+/', (string)config_manager::get('usage_alert_thresholds'), -1, PREG_SPLIT_NO_EMPTY);
+
+        $thresholds = [];
+        foreach ($values as $value) {
+            $value = (int)$value;
+            if ($value > 0 && $value <= 999) {
+                $thresholds[$value] = $value;
+            }
+        }
+
+        sort($thresholds);
+        return $thresholds;
+    }
+
+    /**
+     * Get the highest alert threshold a usage has reached.
+     *
+     * @param int $used Minutes used
+     * @param int $limit Quota in minutes, 0 for none
+     * @return int Threshold in percent, 0 when none is reached
+     */
+    public static function get_alert_level($used, $limit) {
+        if ($limit <= 0) {
+            return 0;
+        }
+
+        $level = 0;
+        foreach (self::get_thresholds() as $threshold) {
+            if ($used * 100 >= $limit * $threshold) {
+                $level = $threshold;
+            }
+        }
+
+        return $level;
+    }
+
+    /**
+     * Get the latest snapshot of every account.
+     *
+     * @return array Snapshot records keyed by profile ID
+     */
+    public static function get_latest_snapshots() {
+        global $DB;
+
+        $sql = "SELECT u.*
+                  FROM {" . self::TABLE_USAGE . "} u
+                  JOIN (SELECT profile_id, MAX(snapshotdate) AS latest
+                          FROM {" . self::TABLE_USAGE . "}
+                      GROUP BY profile_id) l ON l.profile_id = u.profile_id AND l.latest = u.snapshotdate
+              ORDER BY u.profile_id";
+
+        $snapshots = [];
+        foreach ($DB->get_records_sql($sql) as $snapshot) {
+            $snapshots[$snapshot->profile_id] = $snapshot;
+        }
+
+        return $snapshots;
+    }
+
+    /**
+     * Get the snapshots of an account over the last days, oldest first.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials
+     * @param int $days Number of days
+     * @return array Snapshot records
+     */
+    public static function get_history($profileid, $days) {
+        global $DB;
+
+        return array_values($DB->get_records_select(self::TABLE_USAGE, 'profile_id = ? AND snapshotdate > ?',
+            [$profileid, self::get_day(time()) - $days * DAYSECS], 'snapshotdate ASC'));
+    }
+
+    /**
+     * Get the courses storing the most minutes of video.
+     *
+     * @param int $limit Number of courses
+     * @return array Rows with courseid, name, videos, minutes and bytes, largest first
+     */
+    public static function get_course_breakdown($limit = self::BREAKDOWN_LIMIT) {
+        global $DB;
+
+        $totals = self::get_breakdown('course_id', $limit);
+        $courses = $DB->get_records_list('course', 'id', array_keys($totals), '', 'id, fullname');
+
+        $rows = [];
+        foreach ($totals as $courseid => $total) {
+            $rows[] = [
+                'courseid' => $courseid,
+                'name' => isset($courses[$courseid]) ? format_string($courses[$courseid]->fullname) :
+                    get_string('usage_unknown_course', 'local_cloudflarestream'),
+                'videos' => (int)$total->videos,
+                'minutes' => (int)ceil($total->seconds / 60),
+                'bytes' => (int)$total->bytes
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get the users who uploaded the most minutes of video.
+     *
+     * @param int $limit Number of users
+     * @return array Rows with userid, name, videos, minutes and bytes, largest first
+     */
+    public static function get_uploader_breakdown($limit = self::BREAKDOWN_LIMIT) {
+        global $DB;
+
+        $totals = self::get_breakdown('user_id', $limit);
+        $users = $DB->get_records_list('user', 'id', array_keys($totals));
+
+        $rows = [];
+        foreach ($totals as $userid => $total) {
+            $rows[] = [
+                'userid' => $userid,
+                'name' => isset($users[$userid]) ? fullname($users[$userid]) :
+                    get_string('usage_unknown_user', 'local_cloudflarestream'),
+                'videos' => (int)$total->videos,
+                'minutes' => (int)ceil($total->seconds / 60),
+                'bytes' => (int)$total->bytes
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get the name of an account as shown to administrators.
+     *
+     * @param int $profileid Profile ID, 0 for the site credentials
+     * @return string Account name
+     */
+    public static function get_account_name($profileid) {
+        $profile = $profileid ? profile_manager::get_profile($profileid) : null;
+        return $profile ? format_string($profile->name) : get_string('usage_site_account', 'local_cloudflarestream');
+    }
+
+    /**
+     * Delete snapshots too old for the growth charts.
+     *
+     * @return bool Success
+     */
+    public static function delete_old_snapshots() {
+        global $DB;
+        return $DB->delete_records_select(self::TABLE_USAGE, 'snapshotdate < ?', [time() - self::HISTORY_DAYS * DAYSECS]);
+    }
+
+    /**
+     * Delete the snapshots of a profile.
+     *
+     * @param int $profileid Profile ID
+     * @return bool Success
+     */
+    public static function delete_profile_snapshots($profileid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_USAGE, ['profile_id' => $profileid]);
+    }
+
+    /**
+     * Add up the stored videos by one of their fields.
+     *
+     * Videos that failed are not stored on Cloudflare and are left out.
+     *
+     * @param string $field course_id or user_id
+     * @param int $limit Number of rows
+     * @return array Objects with videos, seconds and bytes keyed by the field value
+     */
+    private static function get_breakdown($field, $limit) {
+        global $DB;
+
+        $sql = "SELECT {$field}, COUNT(id) AS videos, COALESCE(SUM(duration), 0) AS seconds,
+                       COALESCE(SUM(file_size), 0) AS bytes
+                  FROM {" . video_manager::TABLE_VIDEOS . "}
+                 WHERE status <> :error
+              GROUP BY {$field}
+              ORDER BY COALESCE(SUM(duration), 0) DESC, COUNT(id) DESC";
+
+        return $DB->get_records_sql($sql, ['error' => video_manager::STATUS_ERROR], 0, $limit);
+    }
+
+    /**
+     * Get the last snapshot of an account before a day.
+     *
+     * @param int $profileid Profile ID
+     * @param int $day Midnight of the day
+     * @return \stdClass|false Snapshot record or false if none
+     */
+    private static function get_previous_snapshot($profileid, $day) {
+        global $DB;
+
+        $snapshots = $DB->get_records_select(self::TABLE_USAGE, 'profile_id = ? AND snapshotdate < ?',
+            [$profileid, $day], 'snapshotdate DESC', '*', 0, 1);
+
+        return reset($snapshots);
+    }
+
+    /**
+     * Tell the administrators a usage has reached another alert threshold.
+     *
+     * @param \stdClass $snapshot Snapshot record
+     * @param string $kind KIND_STORAGE or KIND_DELIVERY
+     */
+    private static function send_alert($snapshot, $kind) {
+        $used = $kind === self::KIND_STORAGE ? $snapshot->stored_minutes : $snapshot->delivered_minutes;
+        $limit = $kind === self::KIND_STORAGE ? $snapshot->storage_limit : $snapshot->delivery_limit;
+
+        $a = [
+            'account' => self::get_account_name($snapshot->profile_id),
+            'used' => $used,
+            'limit' => $limit,
+            'percent' => (int)floor($used * 100 / $limit),
+            'url' => (new \moodle_url('/local/cloudflarestream/usage.php'))->out(false)
+        ];
+
+        notification_manager::notify_admin(
+            get_string('usage_alert_' . $kind . '_subject', 'local_cloudflarestream', $a),
+            get_string('usage_alert_' . $kind . '_message', 'local_cloudflarestream', $a)
+        );
+    }
+
+    /**
+     * Get midnight of the day a time falls on, in the server timezone.
+     *
+     * @param int $time Timestamp
+     * @return int Timestamp
+     */
+    private static function get_day($time) {
+        return usergetmidnight($time, \core_date::get_server_timezone());
+    }
+
+    /**
+     * Get midnight of the first day of the month a time falls on, in the server timezone.
+     *
+     * @param int $time Timestamp
+     * @return int Timestamp
+     */
+    private static function get_month_start($time) {
+        $date = new \DateTime('@' . $time);
+        $date->setTimezone(\core_date::get_server_timezone_object());
+        $date->modify('first day of this month midnight');
+        return $date->getTimestamp();
+    }
+
+    /**
+     * Format a day for the Cloudflare analytics API.
+     *
+     * @param int $time Timestamp
+     * @return string Date as YYYY-MM-DD, in the server timezone
+     */
+    private static function format_date($time) {
+        $date = new \DateTime('@' . $time);
+        $date->setTimezone(\core_date::get_server_timezone_object());
+        return $date->format('Y-m-d');
+    }
+
+    /**
+     * Join the error messages of an API response.
+     *
+     * @param array $response API response
+     * @return string Error message
+     */
+    private static function format_errors($response) {
+        $messages = [];
+        foreach ($response['errors'] ?? [] as $error) {
+            if (isset($error['message'])) {
+                $messages[] = $error['message'];
+            }
+        }
+
+        return $messages ? implode('; ', $messages) : get_string('error_api_connection', 'local_cloudflarestream');
+    }
+}
@@ -47,6 +47,8 @@ class video_manager {
     /**
      * Create a new video record.
      *
+     * The video is stored with the credential profile the course uploads to.
+     *
      * @param int $moodlefileid Moodle file ID
      * @param int $courseid Course ID
      * @param int $userid User ID who uploaded
@@ -65,6 +67,8 @@ class video_manager {
         $record->upload_date = time();
         $record->file_size = $filesize;
         $record->metadata = json_encode($metadata);
+        $record->title = self::get_metadata_title($metadata);
+        $record->profile_id = profile_manager::get_course_profile_id($courseid);
         $record->timecreated = time();
         $record->timemodified = time();
 
@@ -83,6 +87,11 @@ class video_manager {
 
         $data['timemodified'] = time();
         
+        // The title column follows the metadata it is read from
+        if (isset($data['metadata'])) {
+            $data['title'] = self::get_metadata_title(json_decode($data['metadata'] ?: '{}', true));
+        }
+
         // Handle status-specific timestamps
         if (isset($data['status'])) {
             switch ($data['status']) {
@@ -98,6 +107,17 @@ class video_manager {
         return $DB->update_record(self::TABLE_VIDEOS, (object)array_merge(['id' => $videoid], $data));
     }
 
+    /**
+     * Read the title of a video from its metadata.
+     *
+     * @param array|null $metadata Video metadata
+     * @return string Title, empty when the metadata has none
+     */
+    private static function get_metadata_title($metadata) {
+        $title = $metadata['original_filename'] ?? $metadata['name'] ?? '';
+        return is_string($title) ? \core_text::substr($title, 0, 255) : '';
+    }
+
     /**
      * Get video record by ID.
      *
@@ -109,6 +129,22 @@ class video_manager {
         return $DB->get_record(self::TABLE_VIDEOS, ['id' => $videoid]);
     }
 
+    /**
+     * Get several video records at once.
+     *
+     * @param array $videoids Video record IDs
+     * @return array Video records indexed by ID
+     */
+    public static function get_videos(array $videoids) {
+        global $DB;
+
+        if (empty($videoids)) {
+            return [];
+        }
+
+        return $DB->get_records_list(self::TABLE_VIDEOS, 'id', $videoids);
+    }
+
     /**
      * Get video record by Moodle file ID.
      *
@@ -187,6 +223,11 @@ class video_manager {
      */
     public static function delete_video($videoid) {
         global $DB;
+        position_manager::delete_video_positions($videoid);
+        watch_manager::delete_video_views($videoid);
+        bookmark_manager::delete_video_bookmarks($videoid);
+        checkpoint_manager::delete_video_checkpoints($videoid);
+        access_rule_manager::delete_video_rules($videoid);
         return $DB->delete_records(self::TABLE_VIDEOS, ['id' => $videoid]);
     }
 
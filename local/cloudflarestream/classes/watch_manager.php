@@ -0,0 +1,574 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Watch-time analytics and completion manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Tracks which parts of a video each user actually watched.
+ */
+class watch_manager {
+
+    /** @var string Table name for watch records */
+    const TABLE_VIEWS = 'local_cloudflarestream_views';
+
+    /** @var int Fastest playback rate the player offers */
+    const MAX_PLAYBACK_RATE = 2;
+
+    /** @var int Seconds of playback always accepted in a single heartbeat */
+    const HEARTBEAT_ALLOWANCE = 60;
+
+    /**
+     * Record watched segments reported by the player.
+     *
+     * Segments are merged with the ranges already stored, so watching the
+     * same part twice does not count twice.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param array $segments List of [start, end] pairs in seconds
+     * @param int|null $duration Video duration reported by the player
+     * @param int|null $cmid Course module the video is embedded in
+     * @return array Result with percentage and completion state
+     */
+    public static function record_segments($userid, $videoid, array $segments, $duration = null, $cmid = null) {
+        global $DB;
+
+        try {
+            $video = video_manager::get_video($videoid);
+            if (!$video) {
+                return ['success' => false, 'error' => get_string('error_video_not_found', 'local_cloudflarestream')];
+            }
+
+            // Prefer the duration reported by Cloudflare over the one from the browser
+            $duration = (int)($video->duration ?: $duration);
+
+            $segments = self::clean_segments($segments, $duration);
+            $record = $DB->get_record(self::TABLE_VIEWS, ['user_id' => $userid, 'video_id' => $videoid]);
+            $now = time();
+
+            // Reject reports covering more playback than could have happened since the last one
+            $elapsed = $record ? $now - $record->timemodified : 0;
+            $allowance = max(self::HEARTBEAT_ALLOWANCE, $elapsed * self::MAX_PLAYBACK_RATE + self::HEARTBEAT_ALLOWANCE);
+            if (self::get_covered_seconds($segments) > $allowance) {
+                return ['success' => false, 'error' => 'Reported watch time exceeds elapsed time'];
+            }
+
+            if (!$record) {
+                $record = new \stdClass();
+                $record->user_id = $userid;
+                $record->video_id = $videoid;
+                $record->watched_ranges = '[]';
+                $record->completed = 0;
+                $record->timecreated = $now;
+            }
+
+            $ranges = json_decode($record->watched_ranges ?: '[]', true) ?: [];
+            $ranges = self::merge_ranges(array_merge($ranges, $segments));
+
+            $record->watched_ranges = json_encode($ranges);
+            $record->watched_seconds = self::get_covered_seconds($ranges);
+            $record->duration = $duration ?: null;
+            $record->percentage = self::calculate_percentage($record->watched_seconds, $duration);
+            $record->cmid = $cmid ?: ($record->cmid ?? null);
+            $record->timemodified = $now;
+
+            // Check completion threshold
+            $newlycompleted = false;
+            $threshold = self::get_completion_threshold($video);
+            if (!$record->completed && $threshold > 0 && $record->percentage >= $threshold) {
+                $record->completed = 1;
+                $record->timecompleted = $now;
+                $newlycompleted = true;
+            }
+
+            if (!empty($record->id)) {
+                $DB->update_record(self::TABLE_VIEWS, $record);
+            } else {
+                $record->id = $DB->insert_record(self::TABLE_VIEWS, $record);
+            }
+
+            if ($newlycompleted) {
+                self::handle_completion($video, $record);
+            }
+
+            return [
+                'success' => true,
+                'percentage' => (int)$record->percentage,
+                'watched_seconds' => (int)$record->watched_seconds,
+                'completed' => (bool)$record->completed
+            ];
+
+        } catch (\Exception $e) {
+            debugging('Failed to record watch segments: ' . $e->getMessage(), DEBUG_DEVELOPER);
+            return ['success' => false, 'error' => $e->getMessage()];
+        }
+    }
+
+    /**
+     * Merge overlapping or adjacent time ranges.
+     *
+     * @param array $ranges List of [start, end] pairs in seconds
+     * @return array Sorted, non-overlapping ranges
+     */
+    public static function merge_ranges(array $ranges) {
+        usort($ranges, function($a, $b) {
+            return $a[0] <=> $b[0];
+        });
+
+        $merged = [];
+        foreach ($ranges as $range) {
+            $last = count($merged) - 1;
+            if ($last >= 0 && $range[0] <= $merged[$last][1] + 1) {
+                $merged[$last][1] = max($merged[$last][1], $range[1]);
+            } else {
+                $merged[] = [$range[0], $range[1]];
+            }
+        }
+
+        return $merged;
+    }
+
+    /**
+     * Get the watch record of a user for a video.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return \stdClass|false Watch record or false if the user never watched it
+     */
+    public static function get_view($userid, $videoid) {
+        global $DB;
+        return $DB->get_record(self::TABLE_VIEWS, ['user_id' => $userid, 'video_id' => $videoid]);
+    }
+
+    /**
+     * Count that a user opened the player of a video, for view limits.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return int Number of times the user has opened the player
+     */
+    public static function count_play($userid, $videoid) {
+        global $DB;
+
+        $record = $DB->get_record(self::TABLE_VIEWS, ['user_id' => $userid, 'video_id' => $videoid]);
+        if ($record) {
+            $record->play_count++;
+            $DB->set_field(self::TABLE_VIEWS, 'play_count', $record->play_count, ['id' => $record->id]);
+            return (int)$record->play_count;
+        }
+
+        $now = time();
+        $DB->insert_record(self::TABLE_VIEWS, (object)[
+            'user_id' => $userid,
+            'video_id' => $videoid,
+            'watched_ranges' => '[]',
+            'play_count' => 1,
+            'timecreated' => $now,
+            'timemodified' => $now
+        ]);
+        return 1;
+    }
+
+    /**
+     * Count the view of a player session the first time it reports playing.
+     *
+     * Rendering a player uses up nothing, so reloading a page does not eat
+     * into the view limit. A session that would go over the limit is refused.
+     *
+     * @param int $userid User ID
+     * @param \stdClass $video Video record
+     * @param string $sessionkey Player session key
+     * @return array Access check result with allowed, reason and message
+     */
+    public static function count_session_play($userid, $video, $sessionkey) {
+        global $DB;
+
+        // Only players opened through the player handler have a session to count
+        if (!stream_session_manager::is_issued($userid, $video->id, $sessionkey)) {
+            return ['allowed' => true, 'reason' => 'no_session', 'message' => 'No player session to count'];
+        }
+
+        $conditions = ['user_id' => $userid, 'video_id' => $video->id, 'session_key' => $sessionkey];
+        if ($DB->record_exists(stream_session_manager::TABLE_TOKENS, $conditions + ['play_counted' => 1])) {
+            return ['allowed' => true, 'reason' => 'play_counted', 'message' => 'The session was already counted'];
+        }
+
+        $accesscheck = access_rule_manager::check_view_limit($video, $userid);
+        if (!$accesscheck['allowed']) {
+            return $accesscheck;
+        }
+
+        $DB->set_field(stream_session_manager::TABLE_TOKENS, 'play_counted', 1, $conditions);
+        self::count_play($userid, $video->id);
+
+        return ['allowed' => true, 'reason' => 'play_counted', 'message' => 'The session was counted'];
+    }
+
+    /**
+     * Remember the activity a user was shown a video in.
+     *
+     * Called when the player is rendered inside an activity, so the activity
+     * cannot be completed before the video has been watched.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param int $cmid Course module the video is embedded in
+     */
+    public static function register_embed($userid, $videoid, $cmid) {
+        global $DB;
+
+        $record = $DB->get_record(self::TABLE_VIEWS, ['user_id' => $userid, 'video_id' => $videoid]);
+        if ($record) {
+            if ($record->cmid != $cmid) {
+                $DB->set_field(self::TABLE_VIEWS, 'cmid', $cmid, ['id' => $record->id]);
+            }
+            return;
+        }
+
+        $now = time();
+        $DB->insert_record(self::TABLE_VIEWS, (object)[
+            'user_id' => $userid,
+            'video_id' => $videoid,
+            'cmid' => $cmid,
+            'watched_ranges' => '[]',
+            'timecreated' => $now,
+            'timemodified' => $now
+        ]);
+    }
+
+    /**
+     * Sign the activity a player was rendered in, so watch reports cannot name another one.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param int $cmid Course module the video is embedded in
+     * @return string Signature
+     */
+    public static function sign_embed($userid, $videoid, $cmid) {
+        return hash_hmac('sha256', "{$userid}:{$videoid}:{$cmid}", self::get_embed_secret());
+    }
+
+    /**
+     * Check the activity reported by a player is the one it was rendered in.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @param int $cmid Course module reported by the player
+     * @param string $signature Signature the player was given
+     * @return bool Whether the signature matches
+     */
+    public static function verify_embed($userid, $videoid, $cmid, $signature) {
+        return $signature !== '' && hash_equals(self::sign_embed($userid, $videoid, $cmid), $signature);
+    }
+
+    /**
+     * Get the percentage of a video watched by a user.
+     *
+     * @param int $userid User ID
+     * @param int $videoid Video record ID
+     * @return int Percentage watched
+     */
+    public static function get_percentage_watched($userid, $videoid) {
+        $view = self::get_view($userid, $videoid);
+        return $view ? (int)$view->percentage : 0;
+    }
+
+    /**
+     * Get the percentage a user must watch for the video to count as completed.
+     *
+     * @param \stdClass $video Video record
+     * @return int Threshold percentage, 0 when completion tracking is disabled
+     */
+    public static function get_completion_threshold($video) {
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        if (isset($metadata['completion_threshold'])) {
+            return (int)$metadata['completion_threshold'];
+        }
+
+        return (int)config_manager::get('completion_threshold');
+    }
+
+    /**
+     * Set a completion threshold for a single video.
+     *
+     * @param int $videoid Video record ID
+     * @param int|null $threshold Threshold percentage, or null to use the site default
+     * @return bool Success
+     */
+    public static function set_completion_threshold($videoid, $threshold) {
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return false;
+        }
+
+        $metadata = json_decode($video->metadata ?: '{}', true);
+        if ($threshold === null) {
+            unset($metadata['completion_threshold']);
+        } else {
+            $metadata['completion_threshold'] = max(0, min(100, (int)$threshold));
+        }
+
+        return video_manager::update_video($videoid, ['metadata' => json_encode($metadata)]);
+    }
+
+    /**
+     * Get a per-user report of how much of a video was watched.
+     *
+     * Every enrolled user is listed, including those who never started the video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Report rows
+     */
+    public static function get_video_report($videoid) {
+        global $DB;
+
+        $video = video_manager::get_video($videoid);
+        if (!$video) {
+            return [];
+        }
+
+        $context = \context_course::instance($video->course_id);
+        $users = get_enrolled_users($context, '', 0, 'u.*', 'u.lastname, u.firstname');
+        $views = $DB->get_records(self::TABLE_VIEWS, ['video_id' => $videoid], '', 'user_id, watched_seconds, ' .
+            'percentage, completed, timecompleted, timemodified');
+
+        $rows = [];
+        foreach ($users as $user) {
+            $view = $views[$user->id] ?? null;
+            $rows[] = [
+                'userid' => $user->id,
+                'fullname' => fullname($user),
+                'email' => $user->email,
+                'watched_seconds' => $view ? (int)$view->watched_seconds : 0,
+                'percentage' => $view ? (int)$view->percentage : 0,
+                'completed' => $view ? (bool)$view->completed : false,
+                'timecompleted' => $view ? $view->timecompleted : null,
+                'lastwatched' => $view ? $view->timemodified : null
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get aggregated watch statistics for a video.
+     *
+     * @param int $videoid Video record ID
+     * @return array Statistics
+     */
+    public static function get_video_statistics($videoid) {
+        global $DB;
+
+        $sql = "SELECT COUNT(*) AS viewers,
+                       COALESCE(SUM(watched_seconds), 0) AS total_watched,
+                       COALESCE(AVG(percentage), 0) AS average_percentage,
+                       COALESCE(SUM(completed), 0) AS completions
+                  FROM {" . self::TABLE_VIEWS . "}
+                 WHERE video_id = ?";
+        $result = $DB->get_record_sql($sql, [$videoid]);
+
+        return [
+            'viewers' => (int)$result->viewers,
+            'total_watched_seconds' => (int)$result->total_watched,
+            'average_percentage' => (int)round($result->average_percentage),
+            'completions' => (int)$result->completions
+        ];
+    }
+
+    /**
+     * Delete all watch records for a video.
+     *
+     * @param int $videoid Video record ID
+     * @return bool Success
+     */
+    public static function delete_video_views($videoid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_VIEWS, ['video_id' => $videoid]);
+    }
+
+    /**
+     * Delete all watch records of a user.
+     *
+     * @param int $userid User ID
+     * @return bool Success
+     */
+    public static function delete_user_views($userid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_VIEWS, ['user_id' => $userid]);
+    }
+
+    /**
+     * Sanitise segments reported by the browser.
+     *
+     * @param array $segments Raw segments
+     * @param int $duration Video duration in seconds, 0 if unknown
+     * @return array Valid [start, end] pairs in whole seconds
+     */
+    private static function clean_segments(array $segments, $duration) {
+        $clean = [];
+        foreach ($segments as $segment) {
+            if (!is_array($segment) || count($segment) < 2) {
+                continue;
+            }
+
+            $start = max(0, (int)floor($segment[0]));
+            $end = (int)ceil($segment[1]);
+            if ($duration > 0) {
+                $end = min($end, $duration);
+            }
+
+            if ($end > $start) {
+                $clean[] = [$start, $end];
+            }
+        }
+
+        return self::merge_ranges($clean);
+    }
+
+    /**
+     * Get the number of seconds covered by non-overlapping ranges.
+     *
+     * @param array $ranges Merged ranges
+     * @return int Covered seconds
+     */
+    private static function get_covered_seconds(array $ranges) {
+        $total = 0;
+        foreach ($ranges as $range) {
+            $total += $range[1] - $range[0];
+        }
+        return $total;
+    }
+
+    /**
+     * Calculate the watched percentage.
+     *
+     * @param int $watchedseconds Covered seconds
+     * @param int $duration Video duration in seconds
+     * @return int Percentage between 0 and 100
+     */
+    private static function calculate_percentage($watchedseconds, $duration) {
+        if ($duration <= 0) {
+            return 0;
+        }
+
+        return (int)min(100, floor($watchedseconds * 100 / $duration));
+    }
+
+    /**
+     * Record the view of the embedding activity and log the completion.
+     *
+     * Activities embedding the video use automatic completion with the view
+     * condition; reaching the threshold is what counts as viewing them.
+     *
+     * @param \stdClass $video Video record
+     * @param \stdClass $view Watch record
+     */
+    private static function handle_completion($video, $view) {
+        global $CFG;
+        require_once($CFG->libdir . '/completionlib.php');
+
+        $context = \context_course::instance($video->course_id);
+        $cm = null;
+
+        if ($view->cmid) {
+            $cm = get_coursemodule_from_id('', $view->cmid, $video->course_id, false, IGNORE_MISSING);
+        }
+
+        if ($cm) {
+            $context = \context_module::instance($cm->id);
+            $course = get_course($video->course_id);
+            $completion = new \completion_info($course);
+
+            if ($completion->is_enabled($cm) == COMPLETION_TRACKING_AUTOMATIC) {
+                $completion->set_module_viewed($cm, $view->user_id);
+            }
+        }
+
+        $event = event\video_completed::create([
+            'objectid' => $view->id,
+            'context' => $context,
+            'relateduserid' => $view->user_id,
+            'other' => [
+                'videoid' => $video->id,
+                'percentage' => (int)$view->percentage
+            ]
+        ]);
+        $event->trigger();
+    }
+
+    /**
+     * Undo the completion of an activity whose embedded video has not been watched enough.
+     *
+     * Opening the activity, or ticking it by hand, would otherwise complete it
+     * before the threshold is reached. Completions overridden by a teacher are kept.
+     *
+     * @param \core\event\course_module_completion_updated $event Completion event
+     */
+    public static function enforce_completion(\core\event\course_module_completion_updated $event) {
+        global $CFG, $DB;
+        require_once($CFG->libdir . '/completionlib.php');
+
+        $data = $event->get_record_snapshot('course_modules_completion', $event->objectid);
+        if ($data->completionstate == COMPLETION_INCOMPLETE || !empty($data->overrideby)) {
+            return;
+        }
+
+        $views = $DB->get_records(self::TABLE_VIEWS,
+            ['user_id' => $event->relateduserid, 'cmid' => $event->contextinstanceid, 'completed' => 0]);
+        $pending = array_filter($views, function($view) {
+            $video = video_manager::get_video($view->video_id);
+            return $video && self::get_completion_threshold($video) > 0;
+        });
+        if (!$pending) {
+            return;
+        }
+
+        $cm = get_coursemodule_from_id('', $event->contextinstanceid, $event->courseid, false, IGNORE_MISSING);
+        if (!$cm) {
+            return;
+        }
+
+        $completion = new \completion_info(get_course($cm->course));
+        $current = $completion->get_data($cm, false, $event->relateduserid);
+        $current->viewed = COMPLETION_NOT_VIEWED;
+        $current->completionstate = COMPLETION_INCOMPLETE;
+        $completion->internal_set_data($cm, $current);
+    }
+
+    /**
+     * Get the secret embed signatures are made with, creating it on first use.
+     *
+     * @return string Secret
+     */
+    private static function get_embed_secret() {
+        $secret = get_config('local_cloudflarestream', 'embed_secret');
+        if (!$secret) {
+            $secret = random_string(64);
+            set_config('embed_secret', $secret, 'local_cloudflarestream');
+        }
+        return $secret;
+    }
+}
@@ -0,0 +1,181 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Viewer watermark settings.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Manages the watermark drawn over the player with the identity of the viewer,
+ * so a screen recording that is shared on can be traced back to an account.
+ *
+ * The site settings are the default; a course can have settings of its own.
+ */
+class watermark_manager {
+
+    /** @var string Table name for course watermark settings */
+    const TABLE_WATERMARKS = 'local_cloudflarestream_watermarks';
+
+    /** @var string Default text template */
+    const DEFAULT_TEMPLATE = '{fullname} ({email}) {time}';
+
+    /** @var array Placeholders replaced with the viewer's details */
+    const PLACEHOLDERS = ['{fullname}', '{email}', '{username}', '{userid}', '{idnumber}'];
+
+    /** @var string Placeholder the browser replaces with the current time */
+    const TIME_PLACEHOLDER = '{time}';
+
+    /** @var int Lowest opacity in percent, so the watermark cannot be made invisible */
+    const MIN_OPACITY = 5;
+
+    /** @var int Shortest time in seconds between two moves of the watermark */
+    const MIN_FREQUENCY = 3;
+
+    /** @var int Longest time in seconds between two moves of the watermark */
+    const MAX_FREQUENCY = 600;
+
+    /** @var array Tampering the player reports */
+    const TAMPER_TYPES = ['removed', 'modified', 'hidden'];
+
+    /**
+     * Get the site default settings.
+     *
+     * @return array Settings with enabled, template, opacity and frequency
+     */
+    public static function get_site_settings() {
+        return self::clean_settings([
+            'enabled' => config_manager::get('watermark_enabled', 0),
+            'template' => config_manager::get('watermark_template', self::DEFAULT_TEMPLATE),
+            'opacity' => config_manager::get('watermark_opacity', 30),
+            'frequency' => config_manager::get('watermark_frequency', 20)
+        ]);
+    }
+
+    /**
+     * Get the settings that apply to a course.
+     *
+     * @param int $courseid Course ID
+     * @return array Settings with enabled, template, opacity, frequency and inherited
+     */
+    public static function get_settings($courseid) {
+        global $DB;
+
+        $record = $DB->get_record(self::TABLE_WATERMARKS, ['course_id' => $courseid]);
+        if (!$record) {
+            return self::get_site_settings() + ['inherited' => true];
+        }
+
+        return self::clean_settings((array)$record) + ['inherited' => false];
+    }
+
+    /**
+     * Give a course settings of its own.
+     *
+     * @param int $courseid Course ID
+     * @param array $settings Settings with enabled, template, opacity and frequency
+     * @return bool Success
+     */
+    public static function save_course_settings($courseid, array $settings) {
+        global $DB;
+
+        $record = (object)(self::clean_settings($settings) + ['course_id' => $courseid, 'timemodified' => time()]);
+        $record->enabled = (int)$record->enabled;
+
+        $existing = $DB->get_record(self::TABLE_WATERMARKS, ['course_id' => $courseid]);
+        if ($existing) {
+            $record->id = $existing->id;
+            return $DB->update_record(self::TABLE_WATERMARKS, $record);
+        }
+
+        $DB->insert_record(self::TABLE_WATERMARKS, $record);
+        return true;
+    }
+
+    /**
+     * Make a course use the site settings again.
+     *
+     * @param int $courseid Course ID
+     * @return bool Success
+     */
+    public static function reset_course_settings($courseid) {
+        global $DB;
+        return $DB->delete_records(self::TABLE_WATERMARKS, ['course_id' => $courseid]);
+    }
+
+    /**
+     * Get the watermark the player of a course draws for a user.
+     *
+     * @param int $courseid Course ID
+     * @param \stdClass $user Viewing user
+     * @return array|null Player configuration with text, opacity and frequency, or null when disabled
+     */
+    public static function get_player_config($courseid, $user) {
+        $settings = self::get_settings($courseid);
+        if (!$settings['enabled']) {
+            return null;
+        }
+
+        return [
+            'text' => self::render_text($settings['template'], $user),
+            'opacity' => $settings['opacity'] / 100,
+            'frequency' => $settings['frequency']
+        ];
+    }
+
+    /**
+     * Fill a text template with the details of a user.
+     *
+     * The time placeholder is left for the browser, so it keeps running.
+     *
+     * @param string $template Text template
+     * @param \stdClass $user User record
+     * @return string Watermark text
+     */
+    public static function render_text($template, $user) {
+        return str_replace(self::PLACEHOLDERS, [
+            fullname($user),
+            $user->email ?? '',
+            $user->username ?? '',
+            $user->id,
+            $user->idnumber ?? ''
+        ], $template);
+    }
+
+    /**
+     * Bring settings within their allowed ranges.
+     *
+     * @param array $settings Raw settings
+     * @return array Settings with enabled, template, opacity and frequency
+     */
+    private static function clean_settings(array $settings) {
+        $template = trim(clean_param($settings['template'] ?? '', PARAM_TEXT));
+
+        return [
+            'enabled' => !empty($settings['enabled']),
+            'template' => \core_text::substr($template !== '' ? $template : self::DEFAULT_TEMPLATE, 0, 255),
+            'opacity' => max(self::MIN_OPACITY, min(100, (int)($settings['opacity'] ?? 30))),
+            'frequency' => max(self::MIN_FREQUENCY, min(self::MAX_FREQUENCY, (int)($settings['frequency'] ?? 20)))
+        ];
+    }
+}
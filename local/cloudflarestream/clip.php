@@ -0,0 +1,136 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Cut clips out of a video.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\clip_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$videoid = required_param('videoid', PARAM_INT);
+
+$video = video_manager::get_video($videoid);
+if (!$video) {
+    throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+}
+
+$course = get_course($video->course_id);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/clip.php', ['videoid' => $video->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('clips', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+$form = null;
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+
+    switch ($action) {
+        case 'create':
+            $form = [
+                'start' => optional_param('start', '', PARAM_RAW_TRIMMED),
+                'end' => optional_param('end', '', PARAM_RAW_TRIMMED),
+                'title' => optional_param('title', '', PARAM_TEXT)
+            ];
+
+            // Times are typed as m:ss, or as plain seconds
+            $times = [];
+            foreach (['start', 'end'] as $field) {
+                $times[$field] = ctype_digit($form[$field]) ? (int)$form[$field] :
+                    position_manager::parse_position($form[$field]);
+            }
+
+            if ($times['start'] === null || $times['end'] === null) {
+                $result = ['success' => false, 'error' => get_string('error_clip_time', 'local_cloudflarestream')];
+            } else {
+                $result = clip_manager::create_clip($video->id, $times['start'], $times['end'], $form['title'], $USER->id);
+            }
+
+            if ($result['success']) {
+                redirect($url, get_string('clip_created', 'local_cloudflarestream'), null,
+                    \core\output\notification::NOTIFY_SUCCESS);
+            }
+            // Keep the chosen range so the mistake can be fixed
+            \core\notification::error($result['error']);
+            break;
+
+        default:
+            throw new moodle_exception('invalidparameter', 'debug');
+    }
+}
+
+// Clips are cut from the video on Cloudflare, so it has to be processed first
+$player = '';
+$error = '';
+if ($video->status !== video_manager::STATUS_READY || !$video->cloudflare_video_id) {
+    $error = get_string('error_clip_not_ready', 'local_cloudflarestream');
+} else {
+    $result = player_handler::generate_player($video->id, [
+        'clip_editor' => true,
+        'responsive' => true,
+        'autoplay' => false,
+        'transcript' => false
+    ]);
+    if ($result['success']) {
+        $player = $result['html'];
+    } else {
+        $error = $result['error'];
+    }
+}
+
+$clips = [];
+foreach (clip_manager::get_clips($video->id) as $clip) {
+    $clips[] = [
+        'title' => player_handler::get_video_title($clip),
+        'range' => position_manager::format_position($clip->clip_start) . ' - ' .
+            position_manager::format_position($clip->clip_end),
+        'status_label' => get_string('status_' . $clip->status, 'local_cloudflarestream'),
+        'ready' => $clip->status === video_manager::STATUS_READY,
+        'error_message' => $clip->error_message,
+        'created' => userdate($clip->timecreated),
+        'reporturl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $clip->id]))->out(false)
+    ];
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('clips_for', 'local_cloudflarestream', s(player_handler::get_video_title($video))));
+echo $OUTPUT->render_from_template('local_cloudflarestream/clips', [
+    'player' => $player,
+    'error' => $error,
+    'form' => $form ?? ['start' => '', 'end' => '', 'title' => ''],
+    'minlength' => clip_manager::MIN_LENGTH,
+    'clips' => $clips,
+    'hasclips' => !empty($clips),
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'backurl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $video->id]))->out(false)
+]);
+echo $OUTPUT->footer();
@@ -39,4 +39,10 @@ $definitions = [
         'ttl' => 1800, // 30 minutes
         'staticacceleration' => true,
     ],
+    'transcripts' => [
+        'mode' => cache_store::MODE_APPLICATION,
+        'simplekeys' => true,
+        'simpledata' => false,
+        'ttl' => 3600, // 1 hour
+    ],
 ];
\ No newline at end of file
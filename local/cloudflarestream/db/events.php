@@ -39,4 +39,10 @@ $observers = [
         'internal' => true,
         'priority' => 200,
     ],
+    [
+        'eventname' => '\core\event\course_module_completion_updated',
+        'callback' => '\local_cloudflarestream\watch_manager::enforce_completion',
+        'includefile' => null,
+        'internal' => false,
+    ],
 ];
\ No newline at end of file
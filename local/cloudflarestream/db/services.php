@@ -0,0 +1,263 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External functions and services provided by the plugin.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+$functions = [
+    // Player functions, available to the mobile app
+    'local_cloudflarestream_refresh_token' => [
+        'classname' => 'local_cloudflarestream\external\refresh_token',
+        'methodname' => 'execute',
+        'description' => 'Issue a new signed playback token for a video before the current one expires.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_get_video_status' => [
+        'classname' => 'local_cloudflarestream\external\get_video_status',
+        'methodname' => 'execute',
+        'description' => 'Get the processing status of a video in a course the user can access.',
+        'type' => 'read',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_get_videos_status' => [
+        'classname' => 'local_cloudflarestream\external\get_videos_status',
+        'methodname' => 'execute',
+        'description' => 'Get the status of several videos at once, optionally waiting until one of them changes.',
+        'type' => 'read',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_get_user_videos' => [
+        'classname' => 'local_cloudflarestream\external\get_user_videos',
+        'methodname' => 'execute',
+        'description' => 'List the videos uploaded by the current user, optionally within one course.',
+        'type' => 'read',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_get_transcript' => [
+        'classname' => 'local_cloudflarestream\external\get_transcript',
+        'methodname' => 'execute',
+        'description' => 'Get the caption cues of a video for its interactive transcript.',
+        'type' => 'read',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_retry_upload' => [
+        'classname' => 'local_cloudflarestream\external\retry_upload',
+        'methodname' => 'execute',
+        'description' => 'Queue a failed video upload again. Allowed for the uploader and course managers.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_create_upload' => [
+        'classname' => 'local_cloudflarestream\external\create_upload',
+        'methodname' => 'execute',
+        'description' => 'Create a course video and a one-time tus URL the browser uploads the file to.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_complete_upload' => [
+        'classname' => 'local_cloudflarestream\external\complete_upload',
+        'methodname' => 'execute',
+        'description' => 'Mark a direct upload as sent so the video is followed through processing.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_get_library_videos' => [
+        'classname' => 'local_cloudflarestream\external\get_library_videos',
+        'methodname' => 'execute',
+        'description' => 'List one page of the videos of a course for the video library, filtered and sorted.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_get_embeddable_videos' => [
+        'classname' => 'local_cloudflarestream\external\get_embeddable_videos',
+        'methodname' => 'execute',
+        'description' => 'List the ready videos of the course a text is edited in, for the editor video picker.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_bulk_video_action' => [
+        'classname' => 'local_cloudflarestream\external\bulk_video_action',
+        'methodname' => 'execute',
+        'description' => 'Retry, sync, delete, hide or show several videos of a course at once.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/course:update',
+    ],
+    'local_cloudflarestream_save_position' => [
+        'classname' => 'local_cloudflarestream\external\save_position',
+        'methodname' => 'execute',
+        'description' => 'Save where the current user stopped watching a video.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_record_watch' => [
+        'classname' => 'local_cloudflarestream\external\record_watch',
+        'methodname' => 'execute',
+        'description' => 'Record the time ranges of a video the current user watched.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_add_bookmark' => [
+        'classname' => 'local_cloudflarestream\external\add_bookmark',
+        'methodname' => 'execute',
+        'description' => 'Add a private bookmark with an optional note to a video.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_update_bookmark' => [
+        'classname' => 'local_cloudflarestream\external\update_bookmark',
+        'methodname' => 'execute',
+        'description' => 'Change the note of one of the current user\'s bookmarks.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_delete_bookmark' => [
+        'classname' => 'local_cloudflarestream\external\delete_bookmark',
+        'methodname' => 'execute',
+        'description' => 'Delete one of the current user\'s bookmarks.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_answer_checkpoint' => [
+        'classname' => 'local_cloudflarestream\external\answer_checkpoint',
+        'methodname' => 'execute',
+        'description' => 'Answer a checkpoint question of a video and update the grade of the current user.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_report_watermark_tamper' => [
+        'classname' => 'local_cloudflarestream\external\report_watermark_tamper',
+        'methodname' => 'execute',
+        'description' => 'Log that the viewer watermark over a player was removed, changed or hidden.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_get_live_status' => [
+        'classname' => 'local_cloudflarestream\external\get_live_status',
+        'methodname' => 'execute',
+        'description' => 'Get whether a live session is scheduled, live or ended, and the video of its recording.',
+        'type' => 'read',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_refresh_live_token' => [
+        'classname' => 'local_cloudflarestream\external\refresh_live_token',
+        'methodname' => 'execute',
+        'description' => 'Issue a new signed playback token for a live session before the current one expires.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+    'local_cloudflarestream_stream_heartbeat' => [
+        'classname' => 'local_cloudflarestream\external\stream_heartbeat',
+        'methodname' => 'execute',
+        'description' => 'Report that a player is playing; says whether it may go on under the concurrent stream limit.',
+        'type' => 'write',
+        'ajax' => true,
+        'services' => [MOODLE_OFFICIAL_MOBILE_SERVICE],
+    ],
+
+    // Administration functions
+    'local_cloudflarestream_get_dashboard_statistics' => [
+        'classname' => 'local_cloudflarestream\external\get_dashboard_statistics',
+        'methodname' => 'execute',
+        'description' => 'Get site-wide video, upload and token statistics.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_get_system_status' => [
+        'classname' => 'local_cloudflarestream\external\get_system_status',
+        'methodname' => 'execute',
+        'description' => 'Get the configuration status and test the Cloudflare API connection.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_get_queue_status' => [
+        'classname' => 'local_cloudflarestream\external\get_queue_status',
+        'methodname' => 'execute',
+        'description' => 'Get the number of total, due and failed items in the processing queue.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_sync_videos' => [
+        'classname' => 'local_cloudflarestream\external\sync_videos',
+        'methodname' => 'execute',
+        'description' => 'Run a synchronisation action: full_sync, sync_video, sync_by_status, cleanup_orphans or reset_video.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_get_sync_videos' => [
+        'classname' => 'local_cloudflarestream\external\get_sync_videos',
+        'methodname' => 'execute',
+        'description' => 'List the videos the sync console can run on, by status and title.',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_sync_video_batch' => [
+        'classname' => 'local_cloudflarestream\external\sync_video_batch',
+        'methodname' => 'execute',
+        'description' => 'Sync or reset a small batch of videos and report the result for each one.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_register_webhook' => [
+        'classname' => 'local_cloudflarestream\external\register_webhook',
+        'methodname' => 'execute',
+        'description' => 'Register the site webhook URL with a Cloudflare account so status changes arrive straight away.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+    'local_cloudflarestream_rotate_signing_key' => [
+        'classname' => 'local_cloudflarestream\external\rotate_signing_key',
+        'methodname' => 'execute',
+        'description' => 'Create a new Stream signing key for a Cloudflare account; the previous key stays valid for the grace period.',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'moodle/site:config',
+    ],
+];
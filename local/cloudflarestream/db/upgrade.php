@@ -35,12 +35,447 @@ function xmldb_local_cloudflarestream_upgrade($oldversion) {
 
     $dbman = $DB->get_manager();
 
-    // For future upgrades, add version checks and upgrade steps here.
-    // Example:
-    // if ($oldversion < 2025011501) {
-    //     // Add new field or table
-    //     upgrade_plugin_savepoint(true, 2025011501, 'local', 'cloudflarestream');
-    // }
+    if ($oldversion < 2025011501) {
+        // Define table local_cloudflarestream_positions to be created.
+        $table = new xmldb_table('local_cloudflarestream_positions');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('user_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('position', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('duration', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('user_id', XMLDB_KEY_FOREIGN, ['user_id'], 'user', ['id']);
+        $table->add_key('video_id', XMLDB_KEY_FOREIGN, ['video_id'], 'local_cloudflarestream_videos', ['id']);
+
+        $table->add_index('user_video', XMLDB_INDEX_UNIQUE, ['user_id', 'video_id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011501, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011502) {
+        // Define table local_cloudflarestream_views to be created.
+        $table = new xmldb_table('local_cloudflarestream_views');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('user_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('watched_ranges', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('watched_seconds', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('duration', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('percentage', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('completed', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecompleted', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('user_id', XMLDB_KEY_FOREIGN, ['user_id'], 'user', ['id']);
+        $table->add_key('video_id', XMLDB_KEY_FOREIGN, ['video_id'], 'local_cloudflarestream_videos', ['id']);
+
+        $table->add_index('user_video', XMLDB_INDEX_UNIQUE, ['user_id', 'video_id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011502, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011505) {
+        // Direct uploads go from the browser to Cloudflare and have no Moodle file.
+        $table = new xmldb_table('local_cloudflarestream_videos');
+        $key = new xmldb_key('moodle_file_id', XMLDB_KEY_FOREIGN_UNIQUE, ['moodle_file_id'], 'files', ['id']);
+        $field = new xmldb_field('moodle_file_id', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'id');
+
+        $dbman->drop_key($table, $key);
+        $dbman->change_field_notnull($table, $field);
+        $dbman->add_key($table, $key);
+
+        upgrade_plugin_savepoint(true, 2025011505, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011507) {
+        // Define table local_cloudflarestream_bookmarks to be created.
+        $table = new xmldb_table('local_cloudflarestream_bookmarks');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('user_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('position', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('note', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('user_id', XMLDB_KEY_FOREIGN, ['user_id'], 'user', ['id']);
+        $table->add_key('video_id', XMLDB_KEY_FOREIGN, ['video_id'], 'local_cloudflarestream_videos', ['id']);
+
+        $table->add_index('user_video', XMLDB_INDEX_NOTUNIQUE, ['user_id', 'video_id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011507, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011510) {
+        // Define table local_cloudflarestream_orphans to be created.
+        $table = new xmldb_table('local_cloudflarestream_orphans');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('cloudflare_video_id', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('name', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, '');
+        $table->add_field('status', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, 'new');
+        $table->add_field('duration', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('file_size', XMLDB_TYPE_INTEGER, '20', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('thumbnail_url', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('created', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('metadata', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('delete_after', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        $table->add_index('cloudflare_video_id', XMLDB_INDEX_UNIQUE, ['cloudflare_video_id']);
+        $table->add_index('status', XMLDB_INDEX_NOTUNIQUE, ['status']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Move the orphans the sync task kept in the plugin config
+        $orphans = json_decode(get_config('local_cloudflarestream', 'cloudflare_orphans') ?: '[]', true);
+        foreach ($orphans as $orphan) {
+            if (empty($orphan['id']) ||
+                    $DB->record_exists('local_cloudflarestream_orphans', ['cloudflare_video_id' => $orphan['id']])) {
+                continue;
+            }
+            $DB->insert_record('local_cloudflarestream_orphans', (object)[
+                'cloudflare_video_id' => $orphan['id'],
+                'name' => core_text::substr($orphan['filename'] ?? '', 0, 255),
+                'status' => 'new',
+                'file_size' => (int)($orphan['size'] ?? 0),
+                'created' => !empty($orphan['created']) ? strtotime($orphan['created']) : null,
+                'timecreated' => $orphan['found_at'] ?? time(),
+                'timemodified' => time()
+            ]);
+        }
+        unset_config('cloudflare_orphans', 'local_cloudflarestream');
+
+        upgrade_plugin_savepoint(true, 2025011510, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011513) {
+        // Count how often each learner opens a video, for view limits.
+        $table = new xmldb_table('local_cloudflarestream_views');
+        $field = new xmldb_field('play_count', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'timecompleted');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Define table local_cloudflarestream_rules to be created.
+        $table = new xmldb_table('local_cloudflarestream_rules');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('course_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('available_from', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('available_until', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('max_views', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('ip_ranges', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('allowed_countries', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, '');
+        $table->add_field('blocked_countries', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, '');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('course_id', XMLDB_KEY_FOREIGN, ['course_id'], 'course', ['id']);
+
+        $table->add_index('course_video', XMLDB_INDEX_UNIQUE, ['course_id', 'video_id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011513, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011514) {
+        // Define table local_cloudflarestream_watermarks to be created.
+        $table = new xmldb_table('local_cloudflarestream_watermarks');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('course_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('enabled', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('template', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, '');
+        $table->add_field('opacity', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '30');
+        $table->add_field('frequency', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '20');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('course_id', XMLDB_KEY_FOREIGN_UNIQUE, ['course_id'], 'course', ['id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011514, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011515) {
+        // Track the player session of each token to limit concurrent streams.
+        $table = new xmldb_table('local_cloudflarestream_tokens');
+
+        $fields = [
+            new xmldb_field('session_key', XMLDB_TYPE_CHAR, '32', null, null, null, null, 'user_agent'),
+            new xmldb_field('last_heartbeat', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'session_key'),
+            new xmldb_field('ended_at', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'last_heartbeat'),
+        ];
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        $index = new xmldb_index('user_session', XMLDB_INDEX_NOTUNIQUE, ['user_id', 'session_key']);
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011515, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011516) {
+        // Define table local_cloudflarestream_profiles to be created.
+        $table = new xmldb_table('local_cloudflarestream_profiles');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('name', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('account_id', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('api_token', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('signing_keys', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('webhook_secret', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('storage_quota', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        $table->add_index('name', XMLDB_INDEX_UNIQUE, ['name']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Define table local_cloudflarestream_profile_map to be created.
+        $table = new xmldb_table('local_cloudflarestream_profile_map');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('contextid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('profile_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('contextid', XMLDB_KEY_FOREIGN_UNIQUE, ['contextid'], 'context', ['id']);
+        $table->add_key('profile_id', XMLDB_KEY_FOREIGN, ['profile_id'], 'local_cloudflarestream_profiles', ['id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Remember the account of every video and orphan; existing ones live in the site account.
+        $table = new xmldb_table('local_cloudflarestream_videos');
+        $field = new xmldb_field('profile_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'metadata');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+        $index = new xmldb_index('profile_id', XMLDB_INDEX_NOTUNIQUE, ['profile_id']);
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        $table = new xmldb_table('local_cloudflarestream_orphans');
+        $field = new xmldb_field('profile_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'delete_after');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011516, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011517) {
+        // Define table local_cloudflarestream_live to be created.
+        $table = new xmldb_table('local_cloudflarestream_live');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('course_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('user_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('profile_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('name', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('live_input_id', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('ingest', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('status', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, 'scheduled');
+        $table->add_field('scheduled_start', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('started', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('ended', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timechecked', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('course_id', XMLDB_KEY_FOREIGN, ['course_id'], 'course', ['id']);
+
+        $table->add_index('live_input_id', XMLDB_INDEX_UNIQUE, ['live_input_id']);
+        $table->add_index('status', XMLDB_INDEX_NOTUNIQUE, ['status']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011517, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011518) {
+        // Define table local_cloudflarestream_checkpoints to be created.
+        $table = new xmldb_table('local_cloudflarestream_checkpoints');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('position', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('question', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('choices', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('correct_choice', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('points', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '1');
+        $table->add_field('required', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('video_id', XMLDB_KEY_FOREIGN, ['video_id'], 'local_cloudflarestream_videos', ['id']);
+
+        $table->add_index('video_position', XMLDB_INDEX_UNIQUE, ['video_id', 'position']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Define table local_cloudflarestream_answers to be created.
+        $table = new xmldb_table('local_cloudflarestream_answers');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('checkpoint_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('video_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('user_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('choice', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('correct', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('checkpoint_id', XMLDB_KEY_FOREIGN, ['checkpoint_id'], 'local_cloudflarestream_checkpoints', ['id']);
+        $table->add_key('video_id', XMLDB_KEY_FOREIGN, ['video_id'], 'local_cloudflarestream_videos', ['id']);
+        $table->add_key('user_id', XMLDB_KEY_FOREIGN, ['user_id'], 'user', ['id']);
+
+        $table->add_index('checkpoint_user', XMLDB_INDEX_UNIQUE, ['checkpoint_id', 'user_id']);
+        $table->add_index('user_video', XMLDB_INDEX_NOTUNIQUE, ['user_id', 'video_id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011518, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011519) {
+        // Define table local_cloudflarestream_usage to be created.
+        $table = new xmldb_table('local_cloudflarestream_usage');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('profile_id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('snapshotdate', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('stored_minutes', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('storage_limit', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('video_count', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('delivered_minutes', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('delivery_limit', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('storage_alert', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('delivery_alert', XMLDB_TYPE_INTEGER, '3', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        $table->add_index('profile_date', XMLDB_INDEX_UNIQUE, ['profile_id', 'snapshotdate']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011519, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011521) {
+        // Link clips to the video they were cut from.
+        $table = new xmldb_table('local_cloudflarestream_videos');
+        $fields = [
+            new xmldb_field('parent_video_id', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'profile_id'),
+            new xmldb_field('clip_start', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'parent_video_id'),
+            new xmldb_field('clip_end', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'clip_start')
+        ];
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+        $index = new xmldb_index('parent_video_id', XMLDB_INDEX_NOTUNIQUE, ['parent_video_id']);
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011521, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011523) {
+        // Count views when a player session starts playing rather than when it is rendered.
+        $table = new xmldb_table('local_cloudflarestream_tokens');
+        $field = new xmldb_field('play_counted', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0', 'ended_at');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_plugin_savepoint(true, 2025011523, 'local', 'cloudflarestream');
+    }
+
+    if ($oldversion < 2025011524) {
+        // Keep the title in a column so the library searches, sorts and pages in the database.
+        $table = new xmldb_table('local_cloudflarestream_videos');
+        $field = new xmldb_field('title', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, '', 'metadata');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        $videos = $DB->get_recordset('local_cloudflarestream_videos', null, '', 'id, metadata');
+        foreach ($videos as $video) {
+            $metadata = json_decode($video->metadata ?: '{}', true);
+            $title = $metadata['original_filename'] ?? $metadata['name'] ?? '';
+            if (is_string($title) && $title !== '') {
+                $DB->set_field('local_cloudflarestream_videos', 'title', core_text::substr($title, 0, 255), ['id' => $video->id]);
+            }
+        }
+        $videos->close();
+
+        upgrade_plugin_savepoint(true, 2025011524, 'local', 'cloudflarestream');
+    }
 
     return true;
 }
\ No newline at end of file
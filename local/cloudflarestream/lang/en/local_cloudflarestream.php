@@ -54,6 +54,277 @@ $string['player_controls'] = 'Show Player Controls';
 $string['player_controls_desc'] = 'Whether to show video player controls (play, pause, volume, etc.)';
 $string['autoplay'] = 'Enable Autoplay';
 $string['autoplay_desc'] = 'Whether videos should start playing automatically when loaded';
+$string['completion_threshold'] = 'Completion Threshold (%)';
+$string['completion_threshold_desc'] = 'Percentage of a video a user must watch for it to count as completed. Activities embedding the video with automatic completion on view only count as viewed once the threshold is reached. Set to 0 to disable. Can be overridden per video in the watch report.';
+
+// Player Messages
+$string['player_load_failed'] = 'Failed to load video player.';
+$string['player_refresh_failed'] = 'Unable to refresh your viewing session. Please check your connection and refresh the page.';
+$string['player_session_expired'] = 'Your viewing session has expired. Please refresh the page.';
+$string['player_fallback_notice'] = 'Cloudflare Stream could not be reached from your network, the video is played with the basic player instead.';
+$string['player_fallback_unsupported'] = 'Your browser cannot play this video.';
+$string['resume_from'] = 'Resume from {$a}';
+$string['start_over'] = 'Start over';
+$string['chapters_and_bookmarks'] = 'Chapters and bookmarks';
+$string['chapters'] = 'Chapters';
+$string['bookmarks'] = 'My bookmarks';
+$string['no_bookmarks'] = 'Bookmark moments of the video to come back to them later. Only you can see your bookmarks.';
+$string['bookmark_note'] = 'Note (optional)';
+$string['add_bookmark'] = 'Bookmark';
+$string['edit_bookmark'] = 'Edit note';
+$string['delete_bookmark'] = 'Delete bookmark';
+$string['transcript'] = 'Transcript';
+$string['transcript_search'] = 'Search transcript';
+$string['transcript_language'] = 'Transcript language';
+$string['transcript_no_matches'] = 'No lines match your search.';
+$string['fullscreen'] = 'Fullscreen';
+$string['stream_taken_over'] = 'This video is playing on another device.';
+$string['stream_watch_here'] = 'Watch here';
+
+// Watch Report
+$string['watch_report'] = 'Video watch report';
+$string['watch_report_for'] = 'Watch report: {$a}';
+$string['video_title'] = 'Video';
+$string['duration'] = 'Duration';
+$string['viewers'] = 'Viewers';
+$string['average_watched'] = 'Average watched';
+$string['completions'] = 'Completions';
+$string['watched_time'] = 'Time watched';
+$string['percentage_watched'] = 'Percentage watched';
+$string['completed'] = 'Completed';
+$string['time_completed'] = 'Time completed';
+$string['last_watched'] = 'Last watched';
+$string['download_csv'] = 'Download CSV';
+$string['back_to_course_report'] = 'All course videos';
+$string['completion_threshold_help'] = 'Leave empty to use the site default of {$a}%.';
+$string['completion_threshold_saved'] = 'Completion threshold saved.';
+$string['chapters_help'] = 'One chapter per line, starting with its start time, for example "0:00 Introduction" or "1:02:30 Summary".';
+$string['chapters_saved'] = 'Chapters saved.';
+$string['no_videos_in_course'] = 'There are no ready videos in this course.';
+$string['no_enrolled_users'] = 'No users are enrolled in this course.';
+$string['event_video_completed'] = 'Video completed';
+
+// Access Rules
+$string['access_rules'] = 'Access rules';
+$string['access_rules_for'] = 'Access rules: {$a}';
+$string['access_rules_course_desc'] = 'These rules apply to learners on every video of the course. Teachers and the person who uploaded a video are not restricted.';
+$string['access_rules_video_desc'] = 'These rules apply to learners on this video only. Leave a field empty to use the <a href="{$a}">course rules</a>.';
+$string['access_rules_overrides'] = 'Videos with rules of their own';
+$string['access_rules_saved'] = 'Access rules saved.';
+$string['access_available_from'] = 'Available from';
+$string['access_available_until'] = 'Available until';
+$string['access_max_views'] = 'Maximum views per learner';
+$string['access_max_views_help'] = 'How many times each learner can play the video. Reloading the page does not use up a view. Leave empty for no limit.';
+$string['access_ip_ranges'] = 'Allowed IP ranges';
+$string['access_ip_ranges_help'] = 'IP addresses or CIDR ranges, one per line, such as the network of an exam room. Leave empty to use the site setting.';
+$string['access_countries_help'] = 'Two-letter country codes separated by commas, such as GB, DE. Cloudflare enforces them when the video plays, and learners are told why when their country is known. Countries blocked in the site settings stay blocked.';
+$string['access_denied'] = 'You cannot watch this video right now.';
+$string['access_denied_not_yet_available'] = 'This video is available from {$a}.';
+$string['access_denied_no_longer_available'] = 'This video was available until {$a}.';
+$string['access_denied_view_limit_reached'] = 'You have already watched this video the maximum of {$a} times.';
+$string['access_denied_ip_not_allowed'] = 'This video can only be watched from the network your teacher allowed, such as the campus or an exam room.';
+$string['access_denied_country_not_allowed'] = 'This video cannot be watched from your country ({$a}).';
+
+// Watermark
+$string['watermark'] = 'Viewer watermark';
+$string['watermark_for'] = 'Viewer watermark: {$a}';
+$string['watermark_inherited'] = 'This course uses the <a href="{$a}">site settings</a>. Saving the form gives it settings of its own.';
+$string['watermark_course_own'] = 'This course has settings of its own instead of the <a href="{$a}">site settings</a>.';
+$string['watermark_enabled'] = 'Draw a viewer watermark';
+$string['watermark_enabled_desc'] = 'Draw the name of the viewer over the video, moving it around, so screen recordings can be traced back to an account. The player\'s own fullscreen and picture-in-picture are replaced, as they would hide the watermark. Site administrators can change this per course from the course navigation.';
+$string['watermark_template'] = 'Watermark text';
+$string['watermark_template_help'] = 'Placeholders: {$a}';
+$string['watermark_opacity'] = 'Watermark opacity (%)';
+$string['watermark_opacity_desc'] = 'How visible the watermark is, from 5 to 100.';
+$string['watermark_frequency'] = 'Watermark move interval (seconds)';
+$string['watermark_frequency_desc'] = 'How often the watermark moves to a new random spot, from 3 to 600 seconds.';
+$string['watermark_use_site'] = 'Use site settings';
+$string['watermark_saved'] = 'Watermark settings saved.';
+$string['watermark_reset'] = 'The course now uses the site watermark settings.';
+
+// Direct Upload
+$string['upload_videos'] = 'Upload videos';
+$string['upload_drop_files'] = 'Drop video files here to upload them straight to Cloudflare Stream.';
+$string['upload_select_files'] = 'Choose files';
+$string['upload_limits'] = 'Supported formats: {$a->formats}. Maximum size: {$a->maxfilesize}.';
+$string['upload_waiting'] = 'Waiting to start...';
+$string['upload_uploading'] = 'Uploading...';
+$string['upload_pause'] = 'Pause';
+$string['upload_resume'] = 'Resume';
+$string['upload_retry'] = 'Retry';
+$string['upload_paused'] = 'Paused. You can resume later, even after reloading the page, by choosing the same file again.';
+$string['upload_retrying'] = 'Connection problem, retrying in {$a} seconds...';
+$string['upload_offline'] = 'You are offline. The upload continues when the connection is back.';
+$string['upload_finishing'] = 'Finishing upload...';
+$string['upload_failed'] = 'Upload failed: {$a}';
+$string['upload_trim'] = 'Trim the intro and outro';
+$string['upload_trim_intro'] = 'Cut from the start';
+$string['upload_trim_outro'] = 'Cut from the end';
+$string['upload_trim_help'] = 'Enter a time such as 0:15, or leave empty. Once processed, the videos are trimmed and only the part in between is kept.';
+
+// Captions
+$string['captions'] = 'Captions';
+$string['captions_for'] = 'Captions: {$a}';
+$string['back_to_video_report'] = 'Back to the watch report';
+$string['no_captions'] = 'This video has no captions yet.';
+$string['caption_language'] = 'Language';
+$string['caption_source'] = 'Source';
+$string['caption_generated'] = 'Generated';
+$string['caption_uploaded_file'] = 'Uploaded';
+$string['caption_inprogress'] = 'Generating';
+$string['caption_default'] = 'Default';
+$string['caption_make_default'] = 'Show by default';
+$string['caption_clear_default'] = 'Hide by default';
+$string['caption_edit'] = 'Edit captions: {$a}';
+$string['caption_upload'] = 'Upload captions';
+$string['caption_file'] = 'Caption file';
+$string['caption_file_help'] = 'WebVTT (.vtt) or SubRip (.srt). SubRip files are converted to WebVTT. Uploading a language that already has captions replaces them.';
+$string['caption_generate'] = 'Generate captions';
+$string['caption_generate_help'] = 'Cloudflare transcribes the audio of the video. This can take several minutes.';
+$string['caption_uploaded'] = 'Captions saved.';
+$string['caption_generation_started'] = 'Caption generation started. The track is listed as generating until it is ready.';
+$string['caption_deleted'] = 'Captions deleted.';
+$string['caption_default_saved'] = 'Default captions saved.';
+$string['cachedef_transcripts'] = 'Video transcripts';
+
+// Video Library
+$string['video_library'] = 'Video library';
+$string['library_search'] = 'Search by filename or title';
+$string['library_all_statuses'] = 'All statuses';
+$string['library_all_uploaders'] = 'All uploaders';
+$string['library_uploaded_from'] = 'Uploaded from';
+$string['library_uploaded_to'] = 'Uploaded until';
+$string['library_min_duration'] = 'Minimum duration (minutes)';
+$string['library_max_duration'] = 'Maximum duration (minutes)';
+$string['library_uploader'] = 'Uploader';
+$string['thumbnail'] = 'Thumbnail';
+$string['library_sort'] = 'Sort by';
+$string['library_sort_upload_date'] = 'Upload date';
+$string['library_sort_title'] = 'Title';
+$string['library_sort_duration'] = 'Duration';
+$string['library_sort_file_size'] = 'File size';
+$string['library_sort_status'] = 'Status';
+$string['library_ascending'] = 'Ascending';
+$string['library_descending'] = 'Descending';
+$string['library_grid'] = 'Grid';
+$string['library_list'] = 'List';
+$string['library_select_all'] = 'Select all videos on this page';
+$string['library_select_video'] = 'Select {$a}';
+$string['library_selected'] = '{$a} selected';
+$string['library_bulk_action'] = 'With selected videos...';
+$string['library_action_retry'] = 'Retry failed uploads';
+$string['library_action_resync'] = 'Sync with Cloudflare';
+$string['library_action_delete'] = 'Delete';
+$string['library_action_hide'] = 'Hide from learners';
+$string['library_action_show'] = 'Show to learners';
+$string['library_action_download'] = 'Download originals';
+$string['library_apply'] = 'Apply';
+$string['library_confirm_delete'] = 'Delete {$a} videos from Cloudflare Stream and Moodle? Their watch data, captions and bookmarks are deleted too. This cannot be undone.';
+$string['library_results'] = '{$a->success} of {$a->total} videos updated.';
+$string['library_resync_queued'] = 'Queued for synchronisation with Cloudflare.';
+$string['library_deleted'] = 'Video deleted.';
+$string['library_hidden'] = 'Video hidden from learners.';
+$string['library_shown'] = 'Video shown to learners.';
+$string['library_hidden_badge'] = 'Hidden';
+$string['library_uploaded_by'] = 'Uploaded by {$a->name} on {$a->date}';
+$string['library_no_videos'] = 'No videos match these filters.';
+$string['library_page'] = 'Page {$a->page} of {$a->pages}';
+$string['library_total'] = '{$a} videos';
+
+// Live Sessions
+$string['live_sessions'] = 'Live sessions';
+$string['live_sessions_desc'] = 'Broadcast a lecture from an encoder such as OBS. Learners watch it through the course video player, and the recording is added to the video library when the broadcast ends.';
+$string['live_create'] = 'Create live session';
+$string['live_name'] = 'Session name';
+$string['live_scheduled_start'] = 'Planned start';
+$string['live_created'] = 'Live session created. Set up your encoder with the ingest details of the session.';
+$string['live_deleted'] = 'Live session deleted. Its recordings stay in the video library.';
+$string['live_none'] = 'This course has no live sessions yet.';
+$string['live_scheduled'] = 'Scheduled';
+$string['live_badge'] = 'Live';
+$string['live_ended'] = 'Ended';
+$string['live_starts'] = 'Starts {$a}';
+$string['live_watch'] = 'Watch';
+$string['live_watch_link'] = 'Share this link with learners:';
+$string['live_recording'] = 'Recording';
+$string['live_ingest'] = 'Ingest details';
+$string['live_ingest_help'] = 'Use either RTMPS or SRT. Anyone with these details can broadcast to the session, so do not share them.';
+$string['live_rtmps_url'] = 'RTMPS URL';
+$string['live_rtmps_key'] = 'RTMPS stream key';
+$string['live_srt_url'] = 'SRT URL';
+$string['live_srt_stream_id'] = 'SRT stream ID';
+$string['live_srt_passphrase'] = 'SRT passphrase';
+$string['live_status_scheduled'] = 'Starting soon. The stream appears here as soon as the broadcast starts.';
+$string['live_status_ended'] = 'The broadcast has ended. The recording appears here once Cloudflare has processed it.';
+
+// Checkpoints
+$string['checkpoints'] = 'Checkpoints';
+$string['checkpoints_for'] = 'Checkpoints: {$a}';
+$string['checkpoints_desc'] = 'Ask a multiple choice question at a moment of the video. Playback pauses until the learner answers or skips it. Each learner answers once, and the points of the correct answers are added to the grade of the video in the gradebook.';
+$string['no_checkpoints'] = 'This video has no checkpoints yet.';
+$string['checkpoint_add'] = 'Add a checkpoint';
+$string['checkpoint_edit'] = 'Edit checkpoint';
+$string['checkpoint_position'] = 'Time';
+$string['checkpoint_question'] = 'Question';
+$string['checkpoint_choices'] = 'Choices';
+$string['checkpoint_choices_help'] = 'One choice per line.';
+$string['checkpoint_correct_number'] = 'Correct choice number';
+$string['checkpoint_correct_choice'] = 'Correct choice';
+$string['checkpoint_points'] = 'Points';
+$string['checkpoint_required'] = 'Required';
+$string['checkpoint_required_help'] = 'Learners cannot skip the question, and seeking past it brings the player back to it until it is answered.';
+$string['checkpoint_answers'] = 'Answers';
+$string['checkpoint_answer_stats'] = '{$a->answered} answers, {$a->percentage}% correct';
+$string['checkpoint_results'] = 'Results';
+$string['checkpoint_answered'] = 'Answered';
+$string['checkpoint_correct_answers'] = 'Correct answers';
+$string['checkpoint_last_answered'] = 'Last answered';
+$string['checkpoint_saved'] = 'Checkpoint saved.';
+$string['checkpoint_deleted'] = 'Checkpoint deleted.';
+$string['checkpoint_grade_item'] = 'Video questions: {$a}';
+$string['checkpoint_submit'] = 'Answer';
+$string['checkpoint_skip'] = 'Skip';
+$string['checkpoint_continue'] = 'Continue';
+$string['checkpoint_correct'] = 'Correct!';
+$string['checkpoint_incorrect'] = 'Not quite. The answer is: {$a}.';
+$string['checkpoint_grade'] = 'Your grade for this video is {$a->grade} out of {$a->max}.';
+
+// Clips
+$string['clips'] = 'Clips';
+$string['clips_for'] = 'Clips: {$a}';
+$string['clips_desc'] = 'Cut part of this video into a new video. Drag the handles along the timeline, or play the video and set the start and end where it is. The clip is processed by Cloudflare Stream like an upload and added to the video library of the course.';
+$string['clips_of_video'] = 'Clips of this video';
+$string['no_clips'] = 'No clips have been cut from this video yet.';
+$string['clip_start'] = 'Start';
+$string['clip_end'] = 'End';
+$string['clip_set_start'] = 'Start here';
+$string['clip_set_end'] = 'End here';
+$string['clip_play_selection'] = 'Play selection';
+$string['clip_handle_start'] = 'Clip start';
+$string['clip_handle_end'] = 'Clip end';
+$string['clip_title'] = 'Clip title';
+$string['clip_title_help'] = 'Leave empty to name the clip after the video and its times.';
+$string['clip_create'] = 'Create clip';
+$string['clip_created'] = 'Clip created. It is listed below while Cloudflare Stream processes it.';
+$string['clip_default_title'] = '{$a->title} ({$a->start}-{$a->end})';
+$string['clip_range'] = 'Part';
+$string['clip_of'] = 'Clip of {$a}';
+
+// Embeds
+$string['embed_picker_title'] = 'Embed a Cloudflare Stream video';
+$string['embed_insert'] = 'Insert';
+$string['embed_search'] = 'Search videos of this course';
+$string['embed_videos'] = 'Videos';
+$string['embed_no_videos'] = 'No ready videos of this course match the search.';
+$string['embed_hidden'] = 'Hidden';
+$string['embed_options'] = 'Player options';
+$string['embed_start'] = 'Start at';
+$string['embed_autoplay'] = 'Autoplay';
+$string['embed_muted'] = 'Muted';
+$string['embed_loop'] = 'Loop';
+$string['embed_options_help'] = 'Browsers only start a video by itself when it is muted.';
+$string['embed_error_video'] = 'Choose a video to embed.';
+$string['embed_error_start'] = 'Enter the start as a time such as 1:30, or leave it empty.';
 
 // Maintenance Settings
 $string['maintenanceheading'] = 'Maintenance Settings';
@@ -61,14 +332,72 @@ $string['maintenanceheading_desc'] = 'Configure automatic cleanup and maintenanc
 $string['cleanup_delay'] = 'File Cleanup Delay (seconds)';
 $string['cleanup_delay_desc'] = 'How long to keep local video files after successful upload to Cloudflare. Default: 604800 seconds (7 days)';
 
+// Usage Alerts Settings
+$string['usageheading'] = 'Usage Alerts';
+$string['usageheading_desc'] = 'Storage and delivery of every Cloudflare account are recorded daily. Site administrators are notified when an account reaches one of the thresholds below.';
+$string['storage_quota'] = 'Storage quota (minutes)';
+$string['storage_quota_desc'] = 'Minutes of video the account in these settings may store. 0 uses the storage limit of the Cloudflare plan. Additional accounts have their own quota.';
+$string['delivery_quota'] = 'Monthly delivery quota (minutes)';
+$string['delivery_quota_desc'] = 'Minutes of video each account may deliver to viewers in a month. 0 turns delivery alerts off.';
+$string['usage_alert_thresholds'] = 'Alert thresholds (%)';
+$string['usage_alert_thresholds_desc'] = 'Percentages of a quota that trigger a notification, separated by commas. Each threshold is notified once, until the usage drops below it again or, for delivery, a new month starts.';
+
 // Error Messages
 $string['error_api_connection'] = 'Failed to connect to Cloudflare API. Please check your credentials.';
 $string['error_invalid_token'] = 'Invalid or expired access token.';
 $string['error_upload_failed'] = 'Video upload to Cloudflare Stream failed.';
 $string['error_video_not_found'] = 'Video not found on Cloudflare Stream.';
+$string['error_no_fallback'] = 'Neither the original file nor a Cloudflare stream of this video is available.';
+$string['error_session_invalid'] = 'This player has expired. Reload the page to watch the video.';
+$string['error_session_not_playing'] = 'This player has not been playing. Press play to continue watching.';
+$string['error_embed_invalid'] = 'The activity this video was opened in could not be verified. Reload the page to record your viewing.';
 $string['error_insufficient_permissions'] = 'Insufficient permissions to access this video.';
 $string['error_file_too_large'] = 'File size exceeds the maximum allowed limit.';
 $string['error_unsupported_format'] = 'Video format not supported.';
+$string['error_caption_language'] = 'Invalid caption language.';
+$string['error_caption_file'] = 'No caption file was uploaded.';
+$string['error_caption_header'] = 'The caption file is not valid WebVTT or SubRip: the WEBVTT header is missing.';
+$string['error_caption_timing'] = 'The caption file has an invalid cue timing on line {$a}.';
+$string['error_caption_empty'] = 'The caption file does not contain any cues.';
+$string['error_transcript_unavailable'] = 'The transcript of this video could not be loaded.';
+$string['error_chapter_line'] = 'Chapter lines must start with a time such as 1:23, followed by the title: {$a}';
+$string['error_chapter_invalid'] = 'The chapter "{$a}" needs a title and a start time within the video.';
+$string['error_chapter_duplicate'] = 'Two chapters start at {$a}.';
+$string['error_bookmark_not_found'] = 'Bookmark not found.';
+$string['error_too_many_bookmarks'] = 'You can keep at most {$a} bookmarks on a video.';
+$string['error_not_configured'] = 'Cloudflare Stream is not configured. Please contact your administrator.';
+$string['error_not_on_cloudflare'] = 'This video has not reached Cloudflare Stream yet.';
+$string['error_invalid_action'] = 'Unknown action.';
+$string['error_video_hidden'] = 'This video has been hidden by your teacher.';
+$string['error_webhook_register'] = 'Cloudflare did not accept the webhook URL.';
+$string['error_access_window'] = 'The video must become available before it stops being available.';
+$string['error_signing_key_create'] = 'A Stream signing key could not be created.';
+$string['error_signing_key_invalid'] = 'The stored Stream signing key cannot be used to sign tokens. Rotate the signing key.';
+$string['error_orphan_course'] = 'Choose the course to adopt the videos into.';
+$string['error_orphan_not_found'] = 'This video is no longer waiting for review.';
+$string['error_orphan_adopted'] = 'This video is already used in a course.';
+$string['error_no_original_files'] = 'None of the selected videos still has its original file.';
+$string['error_profile_not_found'] = 'Cloudflare account not found.';
+$string['error_profile_name'] = 'Enter a name for the account.';
+$string['error_profile_name_taken'] = 'Another account already has this name.';
+$string['error_profile_in_use'] = 'Videos are stored in this account, so it cannot be deleted.';
+$string['error_profile_course'] = 'No course has the short name {$a}.';
+$string['error_live_name'] = 'Enter a name for the live session.';
+$string['error_live_create'] = 'Cloudflare did not create a live input for the session.';
+$string['error_live_not_found'] = 'Live session not found.';
+$string['error_checkpoint_not_found'] = 'Checkpoint not found.';
+$string['error_checkpoint_position'] = 'Enter a time within the video, such as 1:30.';
+$string['error_checkpoint_question'] = 'Enter the question.';
+$string['error_checkpoint_choices'] = 'Enter between 2 and {$a} choices, one per line.';
+$string['error_checkpoint_correct'] = 'The correct choice number must be one of the choices.';
+$string['error_checkpoint_points'] = 'A checkpoint is worth at least 1 point.';
+$string['error_checkpoint_duplicate'] = 'There is already a checkpoint at {$a}.';
+$string['error_checkpoint_choice'] = 'Choose one of the answers.';
+$string['error_clip_not_ready'] = 'Clips can only be cut once the video is ready for streaming.';
+$string['error_clip_range'] = 'Choose a part within the video that is at least {$a} seconds long.';
+$string['error_clip_time'] = 'Enter the start and end as times such as 1:30, or as seconds.';
+$string['error_trim_time'] = 'Enter the parts to trim as times such as 0:15, or leave them empty.';
+$string['error_storage_quota'] = 'The Cloudflare account of this course has used its storage quota of {$a} minutes.';
 
 // Success Messages
 $string['success_upload_started'] = 'Video upload to Cloudflare Stream has started.';
@@ -91,6 +420,151 @@ $string['pending_uploads'] = 'Pending Uploads';
 $string['failed_uploads'] = 'Failed Uploads';
 $string['storage_used'] = 'Storage Used';
 
+// Usage
+$string['usage'] = 'Cloudflare usage';
+$string['usage_desc'] = 'Storage and delivery of each Cloudflare account as reported by Cloudflare, recorded daily by the video sync task.';
+$string['usage_site_account'] = 'Account in the plugin settings';
+$string['usage_take_snapshot'] = 'Record usage now';
+$string['usage_snapshots_taken'] = 'The usage of {$a} accounts was recorded.';
+$string['usage_alert_settings'] = 'Quotas and alerts';
+$string['usage_period'] = 'Chart period';
+$string['usage_days'] = '{$a} days';
+$string['usage_no_snapshot'] = 'No usage has been recorded for this account yet.';
+$string['usage_snapshot_date'] = 'Recorded on {$a}';
+$string['usage_storage'] = 'Stored minutes';
+$string['usage_delivery'] = 'Delivered minutes';
+$string['usage_delivery_month'] = 'Since the start of the month';
+$string['usage_of_quota'] = '{$a->used} of {$a->limit} minutes ({$a->percent}%)';
+$string['usage_of_limit'] = '{$a->used} / {$a->limit}';
+$string['usage_no_quota'] = '{$a} minutes, no quota';
+$string['usage_videos'] = '{$a->videos} videos on Cloudflare, {$a->recorded} minutes of them recorded in Moodle';
+$string['usage_stored_minutes'] = 'Stored minutes';
+$string['usage_delivered_minutes'] = 'Delivered minutes this month';
+$string['usage_storage_limit'] = 'Storage quota';
+$string['usage_by_course'] = 'Courses storing the most video';
+$string['usage_by_uploader'] = 'Users who uploaded the most video';
+$string['usage_videos_column'] = 'Videos';
+$string['usage_minutes_column'] = 'Minutes';
+$string['usage_no_videos'] = 'No videos are stored yet.';
+$string['usage_unknown_course'] = 'Deleted course';
+$string['usage_unknown_user'] = 'Deleted user';
+$string['usage_storage_warning'] = 'The Cloudflare account {$a->account} has used {$a->percent}% of its storage quota. <a href="{$a->url}">See the usage</a>.';
+$string['usage_alert_storage_subject'] = '{$a->account} has used {$a->percent}% of its storage quota';
+$string['usage_alert_storage_message'] = 'The Cloudflare account {$a->account} stores {$a->used} minutes of video, {$a->percent}% of its quota of {$a->limit} minutes. Uploads may fail or be charged extra once the quota is used up.
+
+Usage of all accounts: {$a->url}';
+$string['usage_alert_delivery_subject'] = '{$a->account} has delivered {$a->percent}% of its monthly minutes';
+$string['usage_alert_delivery_message'] = 'The Cloudflare account {$a->account} has delivered {$a->used} minutes of video to viewers this month, {$a->percent}% of its quota of {$a->limit} minutes.
+
+Usage of all accounts: {$a->url}';
+
+// Sync Console
+$string['sync_console'] = 'Sync console';
+$string['sync_console_desc'] = 'Sync or reset videos in small batches. Progress is shown for each video and a running batch can be cancelled.';
+$string['sync_scope'] = 'Videos';
+$string['sync_scope_all'] = 'All videos';
+$string['sync_scope_unfinished'] = 'All videos that are not ready';
+$string['sync_search'] = 'Search titles';
+$string['sync_action'] = 'Action';
+$string['sync_action_sync'] = 'Sync status from Cloudflare';
+$string['sync_action_reset'] = 'Reset failed videos for retry';
+$string['sync_run_selected'] = 'Run on selected';
+$string['sync_run_all'] = 'Run on all listed';
+$string['sync_listed'] = '{$a} videos listed';
+$string['sync_no_videos'] = 'No videos match.';
+$string['sync_log'] = 'Sync log';
+$string['sync_progress'] = '{$a->done} of {$a->total} videos';
+$string['sync_started'] = 'Started on {$a} videos.';
+$string['sync_finished'] = 'Finished: {$a->success} succeeded, {$a->updated} changed, {$a->failed} failed.';
+$string['sync_cancelling'] = 'Cancelling after the current batch...';
+$string['sync_cancelled'] = 'Cancelled after {$a->done} of {$a->total} videos.';
+$string['sync_leave_warning'] = 'A sync is still running. Leaving the page stops it.';
+$string['sync_status_changed'] = 'Status changed from {$a->old} to {$a->new}';
+$string['sync_status_unchanged'] = 'Status unchanged';
+$string['sync_orphans'] = 'Orphaned videos';
+$string['sync_orphans_desc'] = 'Compare the videos in Moodle with the Cloudflare account. The preview changes nothing.';
+$string['sync_orphans_preview'] = 'Preview cleanup';
+$string['sync_orphans_apply'] = 'Apply cleanup';
+$string['sync_orphans_moodle'] = 'In Moodle but missing on Cloudflare, will be marked as failed';
+$string['sync_orphans_cloudflare'] = 'On Cloudflare but unknown to Moodle, will be deleted from Cloudflare';
+$string['sync_orphans_none'] = 'No orphaned videos found.';
+$string['sync_orphans_confirm'] = 'Mark {$a->moodle} Moodle videos as failed and delete {$a->cloudflare} videos from Cloudflare? Deleted Cloudflare videos cannot be recovered.';
+$string['sync_orphans_done'] = 'Cleanup done: {$a->moodle} Moodle videos marked as failed, {$a->cloudflare} Cloudflare videos deleted.';
+$string['sync_orphans_review'] = 'Review Cloudflare orphans one by one';
+
+// Orphan Review
+$string['orphans'] = 'Cloudflare orphans';
+$string['orphans_desc'] = 'Videos in the Cloudflare account that no Moodle course uses. Adopt them into a course, schedule them for deletion, or ignore them so they are no longer reported.';
+$string['orphans_scan'] = 'Scan Cloudflare now';
+$string['orphans_scanned'] = 'Scan complete: {$a} videos on Cloudflare are not used in Moodle.';
+$string['orphans_status_new'] = 'To review';
+$string['orphans_status_scheduled'] = 'Scheduled for deletion';
+$string['orphans_status_ignored'] = 'Ignored';
+$string['orphans_scheduled_desc'] = 'Scheduled videos are deleted from Cloudflare {$a} days after they were scheduled. Restore a video to keep it.';
+$string['orphans_adopt_into'] = 'Course';
+$string['orphans_action_adopt'] = 'Adopt into course';
+$string['orphans_action_schedule'] = 'Schedule deletion';
+$string['orphans_action_ignore'] = 'Ignore';
+$string['orphans_action_restore'] = 'Back to review';
+$string['orphans_action_done'] = '{$a->success} of {$a->total} videos updated.';
+$string['orphans_none_selected'] = 'Select at least one video.';
+$string['orphans_none'] = 'No videos here.';
+$string['orphans_details'] = 'Details';
+$string['orphans_metadata'] = 'Metadata';
+$string['orphans_duration'] = 'Duration: {$a}';
+$string['orphans_created'] = 'Created: {$a}';
+$string['orphans_deleted_on'] = 'Deleted from Cloudflare after {$a}';
+
+// Webhook
+$string['webhookheading'] = 'Status Notifications';
+$string['webhookheading_desc'] = 'Cloudflare can notify Moodle as soon as a video is ready or fails to process, instead of waiting for the sync task.';
+$string['register_webhook'] = 'Webhook';
+$string['register_webhook_desc'] = 'Registers {$a} as the webhook of the Cloudflare account. Cloudflare keeps one webhook per account, so this replaces any other URL registered for it.';
+$string['register_webhook_button'] = 'Register webhook';
+$string['webhook_status_registered'] = 'The webhook is registered.';
+$string['webhook_status_missing'] = 'The webhook is not registered yet.';
+$string['webhook_registered'] = 'Cloudflare now sends status notifications to {$a}.';
+
+// Signing Keys
+$string['signingkeyheading'] = 'Signing Keys';
+$string['signingkeyheading_desc'] = 'Playback tokens are signed on this site with a Stream signing key, so showing a video does not need a call to the Cloudflare API. The key is created the first time a video is played.';
+$string['signing_key_grace'] = 'Grace Period';
+$string['signing_key_grace_desc'] = 'How long in seconds a replaced key keeps working after a rotation, so tokens already given to viewers do not stop early. It is never shorter than the token expiry time.';
+$string['rotate_signing_key'] = 'Signing Key';
+$string['rotate_signing_key_desc'] = 'Create a new key for signing tokens, for example when the old one may have leaked. The previous key is deleted from Cloudflare once its grace period is over.';
+$string['rotate_signing_key_button'] = 'Rotate signing key';
+$string['rotate_signing_key_confirm'] = 'Create a new signing key? Tokens signed with the current key keep working until the grace period is over.';
+$string['signing_key_status_none'] = 'No signing key has been created yet.';
+$string['signing_key_status_active'] = 'Active key {$a->id}, created {$a->created}.';
+$string['signing_key_status_previous'] = 'Previous key {$a->id}, valid until {$a->until}.';
+$string['signing_key_created'] = 'Signing key {$a} was created.';
+$string['signing_key_rotated'] = 'Tokens are now signed with key {$a->id}. The previous key stays valid until {$a->until}.';
+
+// Credential Profiles
+$string['profiles'] = 'Cloudflare accounts';
+$string['profiles_desc'] = 'Videos of the course categories and courses assigned to an account are uploaded to that account instead of the one in the plugin settings. A video stays in the account it was uploaded to, even when the assignments change later.';
+$string['profiles_none'] = 'There are no additional accounts. All videos use the credentials in the plugin settings.';
+$string['profile_add'] = 'Add account';
+$string['profile_edit'] = 'Edit account';
+$string['profile_name'] = 'Name';
+$string['profile_account_id'] = 'Account ID';
+$string['profile_api_token'] = 'API token';
+$string['profile_api_token_keep'] = 'Leave empty to keep the stored token.';
+$string['profile_storage'] = 'Storage';
+$string['profile_storage_quota'] = 'Storage quota (minutes)';
+$string['profile_storage_quota_help'] = 'Minutes of video the account may hold. New uploads are refused once it is used up. 0 for no limit.';
+$string['profile_usage'] = '{$a->used} of {$a->quota} minutes';
+$string['profile_usage_unlimited'] = '{$a} minutes, no quota';
+$string['profile_categories'] = 'Course categories';
+$string['profile_categories_help'] = 'Courses in these categories and their subcategories use this account, unless the course or a nearer category is assigned to another one.';
+$string['profile_courses'] = 'Courses';
+$string['profile_courses_help'] = 'Short names of courses that use this account, one per line.';
+$string['profile_assigned'] = 'Used by';
+$string['profile_not_assigned'] = 'Not assigned to any category or course';
+$string['profile_saved'] = 'The account was saved.';
+$string['profile_deleted'] = 'The account was deleted.';
+$string['profile_delete_confirm'] = 'Delete the account {$a}? Its categories and courses go back to the credentials in the plugin settings.';
+
 // Test Connection
 $string['testheading'] = 'Connection Test';
 $string['testheading_desc'] = 'Test your Cloudflare Stream API connection to verify credentials are working correctly.';
@@ -120,8 +594,16 @@ $string['referrer_restrictions'] = 'Enable Referrer Restrictions';
 $string['referrer_restrictions_desc'] = 'Restrict video access based on HTTP referrer';
 $string['allowed_referrers'] = 'Allowed Referrers';
 $string['allowed_referrers_desc'] = 'Comma-separated list of domains allowed as referrers. Leave empty to allow all referrers.';
+$string['allowed_countries'] = 'Allowed Countries';
+$string['allowed_countries_desc'] = 'Two-letter country codes, such as GB or DE, of the countries videos can be watched from. Cloudflare enforces this through the playback token. Leave empty to allow all countries.';
+$string['blocked_countries'] = 'Blocked Countries';
+$string['blocked_countries_desc'] = 'Two-letter country codes of the countries videos cannot be watched from.';
+$string['allowed_ip_ranges'] = 'Allowed IP Ranges';
+$string['allowed_ip_ranges_desc'] = 'IP addresses or CIDR ranges, one per line, that videos can be watched from. When allowed countries are also set, viewers matching either list can watch. Leave empty to allow all addresses.';
+$string['max_concurrent_streams'] = 'Concurrent Streams per User';
+$string['max_concurrent_streams_desc'] = 'How many videos one account can play at the same time, to stop course logins from being shared. When another stream starts, the oldest one is paused with a notice. Guests are not limited. Set to 0 for no limit.';
 $string['enable_fallback_player'] = 'Enable Fallback Player';
-$string['enable_fallback_player_desc'] = 'Show HTML5 fallback player when Cloudflare Stream is unavailable';
+$string['enable_fallback_player_desc'] = 'When the Cloudflare Stream player cannot be loaded, e.g. because a network blocks third-party frames, play the original Moodle file if it is still kept, or otherwise the Cloudflare HLS stream, in a basic HTML5 player.';
 
 // Tasks
 $string['task_process_queue'] = 'Process Cloudflare Stream upload queue';
@@ -140,6 +622,7 @@ $string['privacy:metadata:videos:upload_date'] = 'When the video was uploaded';
 $string['privacy:metadata:videos:ready_date'] = 'When the video became ready for streaming';
 $string['privacy:metadata:videos:file_size'] = 'The size of the video file in bytes';
 $string['privacy:metadata:videos:metadata'] = 'Additional metadata about the video';
+$string['privacy:metadata:videos:title'] = 'The title of the video, taken from the name of the uploaded file';
 $string['privacy:metadata:videos:error_message'] = 'Error message if video processing failed';
 
 $string['privacy:metadata:tokens'] = 'Access tokens used for secure video viewing';
@@ -151,6 +634,50 @@ $string['privacy:metadata:tokens:created_at'] = 'When the access token was creat
 $string['privacy:metadata:tokens:last_used'] = 'When the access token was last used';
 $string['privacy:metadata:tokens:ip_address'] = 'IP address from which the token was used';
 $string['privacy:metadata:tokens:user_agent'] = 'Browser user agent string when token was used';
+$string['privacy:metadata:tokens:last_heartbeat'] = 'When the player the token was issued to last reported playing';
+$string['privacy:metadata:tokens:ended_at'] = 'When the player was paused because the user started another stream above the limit';
+$string['privacy:metadata:tokens:play_counted'] = 'Whether the player session used up one of the views of the user';
+
+$string['privacy:metadata:positions'] = 'Playback positions saved so users can resume videos where they left off';
+$string['privacy:metadata:positions:user_id'] = 'The ID of the user who watched the video';
+$string['privacy:metadata:positions:video_id'] = 'The ID of the video being watched';
+$string['privacy:metadata:positions:position'] = 'The playback position where the user stopped watching';
+$string['privacy:metadata:positions:duration'] = 'The duration of the video reported by the player';
+$string['privacy:metadata:positions:timemodified'] = 'When the playback position was last saved';
+
+$string['privacy:metadata:views'] = 'Which parts of each video a user watched, used for watch reports and completion';
+$string['privacy:metadata:views:user_id'] = 'The ID of the user who watched the video';
+$string['privacy:metadata:views:video_id'] = 'The ID of the video being watched';
+$string['privacy:metadata:views:cmid'] = 'The activity the video was watched in';
+$string['privacy:metadata:views:watched_ranges'] = 'The time ranges of the video the user watched';
+$string['privacy:metadata:views:watched_seconds'] = 'The total number of seconds of the video the user watched';
+$string['privacy:metadata:views:percentage'] = 'The percentage of the video the user watched';
+$string['privacy:metadata:views:completed'] = 'Whether the user watched enough of the video to complete it';
+$string['privacy:metadata:views:timecompleted'] = 'When the user completed the video';
+$string['privacy:metadata:views:play_count'] = 'How many times the user played the video, for view limits';
+$string['privacy:metadata:views:timemodified'] = 'When the user last watched the video';
+
+$string['privacy:metadata:bookmarks'] = 'Private bookmarks and notes users add to moments of a video';
+$string['privacy:metadata:bookmarks:user_id'] = 'The ID of the user who added the bookmark';
+$string['privacy:metadata:bookmarks:video_id'] = 'The ID of the bookmarked video';
+$string['privacy:metadata:bookmarks:position'] = 'The bookmarked position in the video';
+$string['privacy:metadata:bookmarks:note'] = 'The note the user wrote for the bookmark';
+$string['privacy:metadata:bookmarks:timecreated'] = 'When the bookmark was added';
+
+$string['privacy:metadata:answers'] = 'Answers users give to the checkpoint questions of a video';
+$string['privacy:metadata:answers:user_id'] = 'The ID of the user who answered';
+$string['privacy:metadata:answers:video_id'] = 'The ID of the video the question belongs to';
+$string['privacy:metadata:answers:choice'] = 'The answer the user chose';
+$string['privacy:metadata:answers:correct'] = 'Whether the answer was correct';
+$string['privacy:metadata:answers:timecreated'] = 'When the question was answered';
+$string['privacy:metadata:core_grades'] = 'The points of the correct answers are stored as a grade in the course gradebook';
+
+$string['privacy:metadata:live'] = 'Live sessions teachers broadcast to their courses';
+$string['privacy:metadata:live:user_id'] = 'The ID of the teacher who created the session and owns its recordings';
+$string['privacy:metadata:live:course_id'] = 'The ID of the course the session is broadcast to';
+$string['privacy:metadata:live:name'] = 'The name of the session';
+$string['privacy:metadata:live:scheduled_start'] = 'When the broadcast was planned to start';
+$string['privacy:metadata:live:timecreated'] = 'When the session was created';
 
 $string['privacy:metadata:cloudflare'] = 'Video content and metadata stored on Cloudflare Stream service';
 $string['privacy:metadata:cloudflare:video_content'] = 'The actual video file content uploaded to Cloudflare Stream';
@@ -160,4 +687,12 @@ $string['privacy:metadata:cloudflare:access_logs'] = 'Logs of when and how video
 $string['privacy:path:videos'] = 'Videos';
 $string['privacy:path:tokens'] = 'Access Tokens';
 $string['privacy:path:all_videos'] = 'All Videos';
-$string['privacy:path:all_tokens'] = 'All Access Tokens';
\ No newline at end of file
+$string['privacy:path:all_tokens'] = 'All Access Tokens';
+$string['privacy:path:positions'] = 'Playback Positions';
+$string['privacy:path:all_positions'] = 'All Playback Positions';
+$string['privacy:path:views'] = 'Watch History';
+$string['privacy:path:all_views'] = 'All Watch History';
+$string['privacy:path:bookmarks'] = 'Bookmarks';
+$string['privacy:path:all_bookmarks'] = 'All Bookmarks';
+$string['privacy:path:answers'] = 'Checkpoint Answers';
+$string['privacy:path:all_answers'] = 'All Checkpoint Answers';
\ No newline at end of file
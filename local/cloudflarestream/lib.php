@@ -0,0 +1,203 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Library callbacks for the Cloudflare Stream plugin.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Add the video library, the watch report, the access rules, the live sessions and the video upload page to the
+ * course navigation.
+ *
+ * @param navigation_node $navigation The course navigation node
+ * @param stdClass $course The course
+ * @param context_course $context The course context
+ */
+function local_cloudflarestream_extend_navigation_course(navigation_node $navigation, stdClass $course, context_course $context) {
+    if (!has_capability('moodle/course:update', $context)) {
+        return;
+    }
+
+    $navigation->add(
+        get_string('video_library', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/library.php', ['courseid' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_cloudflarestream_library',
+        new pix_icon('i/folder', '')
+    );
+
+    $navigation->add(
+        get_string('watch_report', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/report.php', ['courseid' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_cloudflarestream_watch_report',
+        new pix_icon('i/report', '')
+    );
+
+    $navigation->add(
+        get_string('access_rules', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/access.php', ['courseid' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_cloudflarestream_access_rules',
+        new pix_icon('i/lock', '')
+    );
+
+    // Watermarks trace leaked recordings back to a viewer, so only site administrators change them
+    if (has_capability('moodle/site:config', context_system::instance())) {
+        $navigation->add(
+            get_string('watermark', 'local_cloudflarestream'),
+            new moodle_url('/local/cloudflarestream/watermark.php', ['courseid' => $course->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'local_cloudflarestream_watermark',
+            new pix_icon('i/settings', '')
+        );
+    }
+
+    $navigation->add(
+        get_string('live_sessions', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/live.php', ['courseid' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_cloudflarestream_live',
+        new pix_icon('i/calendar', '')
+    );
+
+    $navigation->add(
+        get_string('upload_videos', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/upload.php', ['courseid' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_cloudflarestream_upload',
+        new pix_icon('i/upload', '')
+    );
+}
+
+/**
+ * Render a video player, or its status placeholder, for swapping into a page.
+ *
+ * Used by the player module to replace a processing placeholder with the
+ * player once the video is ready, without reloading the page.
+ *
+ * @param array $args Fragment arguments: context, videoid and optional width, height and start
+ * @return string Player HTML
+ */
+function local_cloudflarestream_output_fragment_player($args) {
+    global $OUTPUT;
+
+    $video = \local_cloudflarestream\video_manager::get_video(clean_param($args['videoid'], PARAM_INT));
+    $coursecontext = $args['context']->get_course_context(false);
+    if (!$video || !$coursecontext || $coursecontext->instanceid != $video->course_id) {
+        throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+    }
+
+    $options = ['responsive' => true];
+    if ($args['context']->contextlevel == CONTEXT_MODULE) {
+        // Placeholders inside an activity load the player in its context
+        $options['cmid'] = $args['context']->instanceid;
+    }
+    if (!empty($args['start'])) {
+        $options['start'] = clean_param($args['start'], PARAM_INT);
+    }
+    foreach (['width', 'height'] as $dimension) {
+        // Dimensions end up in a style attribute, so only accept plain CSS lengths
+        if (!empty($args[$dimension]) && preg_match('/^\d+(\.\d+)?(px|%|em|rem|vw|vh)?$/', $args[$dimension])) {
+            $options[$dimension] = $args[$dimension];
+        }
+    }
+
+    $result = \local_cloudflarestream\handlers\player_handler::generate_player($video->id, $options);
+    if (!$result['success']) {
+        return $OUTPUT->notification($result['error'], \core\output\notification::NOTIFY_ERROR);
+    }
+
+    return $result['html'];
+}
+
+/**
+ * Render the HTML5 fallback player of a video.
+ *
+ * Used by the player module when the Cloudflare Stream embed cannot be loaded,
+ * for example because the network blocks third-party frames.
+ *
+ * @param array $args Fragment arguments: context, videoid and the sessionkey of the failed player
+ * @return string Fallback player HTML
+ */
+function local_cloudflarestream_output_fragment_fallback_player($args) {
+    global $OUTPUT;
+
+    $video = \local_cloudflarestream\video_manager::get_video(clean_param($args['videoid'], PARAM_INT));
+    $coursecontext = $args['context']->get_course_context(false);
+    if (!$video || !$coursecontext || $coursecontext->instanceid != $video->course_id) {
+        throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+    }
+
+    $result = \local_cloudflarestream\handlers\player_handler::generate_fallback_player($video->id, [
+        'session_key' => clean_param($args['sessionkey'] ?? '', PARAM_ALPHANUM)
+    ]);
+    if (!$result['success']) {
+        return $OUTPUT->notification($result['error'], \core\output\notification::NOTIFY_ERROR);
+    }
+
+    return $result['html'];
+}
+
+/**
+ * Render the player of a live session for swapping into a page.
+ *
+ * Used by the player module when a session goes live or ends, to show the
+ * stream, the placeholder or the recording without reloading the page.
+ *
+ * @param array $args Fragment arguments: context, liveid and optional width and height
+ * @return string Player HTML
+ */
+function local_cloudflarestream_output_fragment_live_player($args) {
+    global $OUTPUT;
+
+    $session = \local_cloudflarestream\live_manager::get_session(clean_param($args['liveid'], PARAM_INT));
+    $coursecontext = $args['context']->get_course_context(false);
+    if (!$session || !$coursecontext || $coursecontext->instanceid != $session->course_id) {
+        throw new moodle_exception('error_live_not_found', 'local_cloudflarestream');
+    }
+
+    $options = ['responsive' => true];
+    if ($args['context']->contextlevel == CONTEXT_MODULE) {
+        // The recording of an ended session counts towards the activity embedding it
+        $options['cmid'] = $args['context']->instanceid;
+    }
+    foreach (['width', 'height'] as $dimension) {
+        // Dimensions end up in a style attribute, so only accept plain CSS lengths
+        if (!empty($args[$dimension]) && preg_match('/^\d+(\.\d+)?(px|%|em|rem|vw|vh)?$/', $args[$dimension])) {
+            $options[$dimension] = $args[$dimension];
+        }
+    }
+
+    $result = \local_cloudflarestream\handlers\player_handler::generate_live_player($session->id, $options);
+    if (!$result['success']) {
+        return $OUTPUT->notification($result['error'], \core\output\notification::NOTIFY_ERROR);
+    }
+
+    return $result['html'];
+}
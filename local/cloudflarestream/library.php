@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Video library of a course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\access_controller;
+use local_cloudflarestream\library_manager;
+use local_cloudflarestream\video_manager;
+
+$courseid = required_param('courseid', PARAM_INT);
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/library.php', ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('incourse');
+$PAGE->set_title(get_string('video_library', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+// Download the original files of the selected videos, zipped when there are several
+if (data_submitted() && confirm_sesskey() && optional_param('action', '', PARAM_ALPHA) === 'download') {
+    $files = [];
+    foreach (optional_param_array('videoids', [], PARAM_INT) as $videoid) {
+        $video = video_manager::get_video($videoid);
+        if (!$video || $video->course_id != $course->id || !access_controller::can_manage_video($video->id)['allowed']) {
+            continue;
+        }
+
+        $file = library_manager::get_original_file($video);
+        if ($file) {
+            $filename = $file->get_filename();
+            if (isset($files[$filename])) {
+                $filename = $video->id . '_' . $filename;
+            }
+            $files[$filename] = $file;
+        }
+    }
+
+    if (empty($files)) {
+        redirect($url, get_string('error_no_original_files', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_ERROR);
+    }
+
+    if (count($files) === 1) {
+        send_stored_file(reset($files), 0, 0, true);
+    }
+
+    $zipfile = make_request_directory() . '/videos.zip';
+    get_file_packer('application/zip')->archive_to_pathname($files, $zipfile);
+    send_temp_file($zipfile, clean_filename($course->shortname . '_videos.zip'));
+}
+
+$statuses = [];
+foreach ([video_manager::STATUS_PENDING, video_manager::STATUS_UPLOADING, video_manager::STATUS_PROCESSING,
+        video_manager::STATUS_READY, video_manager::STATUS_ERROR] as $status) {
+    $statuses[] = ['value' => $status, 'label' => get_string('status_' . $status, 'local_cloudflarestream')];
+}
+
+$uploaders = [];
+foreach (library_manager::get_uploaders($course->id) as $userid => $name) {
+    $uploaders[] = ['id' => $userid, 'name' => $name];
+}
+
+$sortfields = [];
+foreach (library_manager::SORT_FIELDS as $field) {
+    $sortfields[] = ['value' => $field, 'label' => get_string('library_sort_' . $field, 'local_cloudflarestream')];
+}
+
+$actions = [];
+foreach (array_merge(library_manager::BULK_ACTIONS, ['download']) as $action) {
+    $actions[] = ['value' => $action, 'label' => get_string('library_action_' . $action, 'local_cloudflarestream')];
+}
+
+$PAGE->requires->js_call_amd('local_cloudflarestream/library', 'init', [[
+    'courseid' => $course->id,
+    'perPage' => library_manager::PER_PAGE
+]]);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('video_library', 'local_cloudflarestream'));
+echo $OUTPUT->render_from_template('local_cloudflarestream/library', [
+    'statuses' => $statuses,
+    'uploaders' => $uploaders,
+    'sortfields' => $sortfields,
+    'actions' => $actions,
+    'downloadurl' => $url->out(false)
+]);
+echo $OUTPUT->footer();
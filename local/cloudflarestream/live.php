@@ -0,0 +1,142 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live sessions of a course: created and broadcast to by teachers, watched by learners.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\live_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$id = optional_param('id', 0, PARAM_INT);
+$courseid = optional_param('courseid', 0, PARAM_INT);
+
+$session = null;
+if ($id) {
+    $session = live_manager::get_session($id);
+    if (!$session) {
+        throw new moodle_exception('error_live_not_found', 'local_cloudflarestream');
+    }
+    $courseid = $session->course_id;
+}
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+$PAGE->set_context($context);
+$PAGE->set_heading($course->fullname);
+
+// Watching a session is open to the course, the player checks access
+if ($session) {
+    $PAGE->set_url(new moodle_url('/local/cloudflarestream/live.php', ['id' => $session->id]));
+    $PAGE->set_pagelayout('incourse');
+    $PAGE->set_title($session->name);
+
+    $result = player_handler::generate_live_player($session->id);
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(format_string($session->name));
+    if ($result['success']) {
+        echo $result['html'];
+    } else {
+        echo $OUTPUT->notification($result['error'], \core\output\notification::NOTIFY_ERROR);
+    }
+    echo $OUTPUT->footer();
+    exit;
+}
+
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/live.php', ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('live_sessions', 'local_cloudflarestream'));
+
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+
+    switch ($action) {
+        case 'create':
+            // The start comes from a datetime-local input in the user's timezone
+            $start = optional_param('scheduled_start', '', PARAM_RAW_TRIMMED);
+            $date = $start !== '' ? DateTime::createFromFormat('Y-m-d\TH:i', $start,
+                core_date::get_user_timezone_object()) : false;
+
+            $result = live_manager::create_session($course->id, $USER->id, required_param('name', PARAM_TEXT),
+                $date ? $date->getTimestamp() : 0);
+            $message = get_string('live_created', 'local_cloudflarestream');
+            break;
+
+        case 'delete':
+            $target = live_manager::get_session(required_param('sessionid', PARAM_INT));
+            if (!$target || $target->course_id != $course->id) {
+                throw new moodle_exception('error_live_not_found', 'local_cloudflarestream');
+            }
+            $result = live_manager::delete_session($target->id);
+            $message = get_string('live_deleted', 'local_cloudflarestream');
+            break;
+
+        default:
+            throw new moodle_exception('invalidparameter', 'debug');
+    }
+
+    if ($result['success']) {
+        redirect($url, $message, null, \core\output\notification::NOTIFY_SUCCESS);
+    }
+    redirect($url, $result['error'], null, \core\output\notification::NOTIFY_ERROR);
+}
+
+$sessions = [];
+foreach (live_manager::get_course_sessions($course->id) as $record) {
+    $record = live_manager::refresh_status($record);
+    $ingest = live_manager::get_ingest($record);
+
+    $sessions[] = [
+        'id' => $record->id,
+        'name' => format_string($record->name),
+        'scheduled' => $record->status === live_manager::STATUS_SCHEDULED,
+        'live' => $record->status === live_manager::STATUS_LIVE,
+        'ended' => $record->status === live_manager::STATUS_ENDED,
+        'starts' => $record->scheduled_start ? userdate($record->scheduled_start) : '',
+        'watchurl' => (new moodle_url('/local/cloudflarestream/live.php', ['id' => $record->id]))->out(false),
+        'recordingurl' => $record->video_id ? (new moodle_url('/local/cloudflarestream/report.php',
+            ['videoid' => $record->video_id]))->out(false) : '',
+        'rtmps_url' => $ingest['rtmps_url'] ?? '',
+        'rtmps_key' => $ingest['rtmps_key'] ?? '',
+        'srt_url' => $ingest['srt_url'] ?? '',
+        'srt_stream_id' => $ingest['srt_stream_id'] ?? '',
+        'srt_passphrase' => $ingest['srt_passphrase'] ?? ''
+    ];
+}
+
+$templatecontext = [
+    'sessions' => $sessions,
+    'hassessions' => !empty($sessions),
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey()
+];
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('live_sessions', 'local_cloudflarestream'));
+echo $OUTPUT->render_from_template('local_cloudflarestream/live_sessions', $templatecontext);
+echo $OUTPUT->footer();
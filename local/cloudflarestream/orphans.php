@@ -0,0 +1,146 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review of the videos found on Cloudflare without a Moodle record.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+require_once($CFG->libdir . '/adminlib.php');
+
+use local_cloudflarestream\orphan_manager;
+use local_cloudflarestream\position_manager;
+
+$status = optional_param('status', orphan_manager::STATUS_NEW, PARAM_ALPHA);
+$page = optional_param('page', 0, PARAM_INT);
+
+if (!in_array($status, orphan_manager::STATUSES)) {
+    $status = orphan_manager::STATUS_NEW;
+}
+
+admin_externalpage_setup('local_cloudflarestream_orphans', '', ['status' => $status]);
+
+$url = new moodle_url('/local/cloudflarestream/orphans.php', ['status' => $status]);
+$PAGE->set_title(get_string('orphans', 'local_cloudflarestream'));
+$PAGE->set_heading(get_string('orphans', 'local_cloudflarestream'));
+
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+
+    if ($action === 'scan') {
+        $result = orphan_manager::scan();
+        if ($result['success']) {
+            redirect($url, get_string('orphans_scanned', 'local_cloudflarestream', $result['found']), null,
+                \core\output\notification::NOTIFY_SUCCESS);
+        }
+        redirect($url, $result['error'], null, \core\output\notification::NOTIFY_ERROR);
+    }
+
+    $orphanids = optional_param_array('orphanids', [], PARAM_INT);
+    if (!$orphanids) {
+        redirect($url, get_string('orphans_none_selected', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_WARNING);
+    }
+
+    try {
+        $results = orphan_manager::apply_action($action, $orphanids, optional_param('courseid', 0, PARAM_INT), $USER->id);
+    } catch (moodle_exception $e) {
+        redirect($url, $e->getMessage(), null, \core\output\notification::NOTIFY_ERROR);
+    }
+
+    foreach (array_unique(array_filter(array_column($results, 'message'))) as $error) {
+        \core\notification::error($error);
+    }
+
+    $succeeded = count(array_filter(array_column($results, 'success')));
+    redirect($url, get_string('orphans_action_done', 'local_cloudflarestream', [
+        'success' => $succeeded,
+        'total' => count($results)
+    ]), null, $succeeded === count($results) ? \core\output\notification::NOTIFY_SUCCESS :
+        \core\output\notification::NOTIFY_WARNING);
+}
+
+$counts = orphan_manager::count_by_status();
+$tabs = [];
+foreach (orphan_manager::STATUSES as $tabstatus) {
+    $tabs[] = [
+        'label' => get_string('orphans_status_' . $tabstatus, 'local_cloudflarestream'),
+        'count' => $counts[$tabstatus],
+        'url' => (new moodle_url('/local/cloudflarestream/orphans.php', ['status' => $tabstatus]))->out(false),
+        'active' => $tabstatus === $status
+    ];
+}
+
+$list = orphan_manager::get_orphans($status, $page);
+$orphans = [];
+foreach ($list['orphans'] as $orphan) {
+    $details = json_decode($orphan->metadata ?: '{}', true);
+
+    // Cloudflare keeps the name with the other meta values, it is shown as the title already
+    $meta = [];
+    foreach ($details['meta'] ?? [] as $key => $value) {
+        if ($key !== 'name' && is_scalar($value)) {
+            $meta[] = ['key' => $key, 'value' => (string)$value];
+        }
+    }
+
+    $orphans[] = [
+        'id' => $orphan->id,
+        'uid' => $orphan->cloudflare_video_id,
+        'name' => $orphan->name !== '' ? $orphan->name : $orphan->cloudflare_video_id,
+        'thumbnail_url' => $orphan->thumbnail_url,
+        'duration' => $orphan->duration ? position_manager::format_position($orphan->duration) : '',
+        'filesize' => $orphan->file_size ? display_size($orphan->file_size) : '',
+        'created' => $orphan->created ? userdate($orphan->created, get_string('strftimedatetimeshort', 'langconfig')) : '',
+        'state' => $details['state'] ?? '',
+        'dimensions' => !empty($details['width']) ? $details['width'] . '×' . $details['height'] : '',
+        'meta' => $meta,
+        'delete_after' => $orphan->delete_after ?
+            userdate($orphan->delete_after, get_string('strftimedatetimeshort', 'langconfig')) : ''
+    ];
+}
+
+$courses = [];
+$coursenames = $DB->get_records_select_menu('course', 'id <> ?', [SITEID], 'fullname ASC', 'id, fullname');
+foreach ($coursenames as $courseid => $fullname) {
+    $courses[] = ['id' => $courseid, 'name' => format_string($fullname)];
+}
+
+// Reviewed orphans can go back to the new list instead of being ignored or scheduled again
+$actions = [];
+$available = $status === orphan_manager::STATUS_NEW ? ['schedule', 'ignore'] : ['restore'];
+foreach ($available as $action) {
+    $actions[] = ['action' => $action, 'label' => get_string('orphans_action_' . $action, 'local_cloudflarestream')];
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->render_from_template('local_cloudflarestream/orphans', [
+    'tabs' => $tabs,
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'hasorphans' => !empty($orphans),
+    'orphans' => $orphans,
+    'scheduled' => $status === orphan_manager::STATUS_SCHEDULED,
+    'courses' => $courses,
+    'actions' => $actions,
+    'deletedays' => orphan_manager::DELETE_DELAY / DAYSECS
+]);
+echo $OUTPUT->paging_bar($list['total'], $page, orphan_manager::PER_PAGE, $url);
+echo $OUTPUT->footer();
@@ -0,0 +1,161 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Named credentials for additional Cloudflare accounts and the courses using them.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+require_once($CFG->libdir . '/adminlib.php');
+
+use local_cloudflarestream\profile_manager;
+use local_cloudflarestream\auth\signing_key_manager;
+use local_cloudflarestream\handlers\webhook_handler;
+
+$profileid = optional_param('id', 0, PARAM_INT);
+$edit = optional_param('edit', false, PARAM_BOOL);
+
+admin_externalpage_setup('local_cloudflarestream_profiles');
+
+$url = new moodle_url('/local/cloudflarestream/profiles.php');
+$PAGE->set_title(get_string('profiles', 'local_cloudflarestream'));
+$PAGE->set_heading(get_string('profiles', 'local_cloudflarestream'));
+
+if (data_submitted() && confirm_sesskey()) {
+    $action = required_param('action', PARAM_ALPHA);
+    $editurl = new moodle_url($url, ['id' => $profileid, 'edit' => 1]);
+
+    if ($action === 'delete') {
+        $result = profile_manager::delete_profile($profileid);
+        if (!$result['success']) {
+            redirect($url, $result['error'], null, \core\output\notification::NOTIFY_ERROR);
+        }
+        redirect($url, get_string('profile_deleted', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    // Courses are entered by short name, one per line
+    $courseids = [];
+    $shortnames = preg_split('/\R/', optional_param('courses', '', PARAM_TEXT), -1, PREG_SPLIT_NO_EMPTY);
+    foreach (array_filter(array_map('trim', $shortnames)) as $shortname) {
+        $courseid = $DB->get_field('course', 'id', ['shortname' => $shortname]);
+        if (!$courseid) {
+            redirect($editurl, get_string('error_profile_course', 'local_cloudflarestream', s($shortname)), null,
+                \core\output\notification::NOTIFY_ERROR);
+        }
+        $courseids[] = $courseid;
+    }
+
+    $result = profile_manager::save_profile([
+        'id' => $profileid,
+        'name' => optional_param('name', '', PARAM_TEXT),
+        'account_id' => optional_param('account_id', '', PARAM_ALPHANUM),
+        'api_token' => optional_param('api_token', '', PARAM_RAW_TRIMMED),
+        'storage_quota' => optional_param('storage_quota', 0, PARAM_INT)
+    ]);
+    if (!$result['success']) {
+        redirect($editurl, $result['error'], null, \core\output\notification::NOTIFY_ERROR);
+    }
+
+    profile_manager::set_assignments($result['id'], optional_param_array('categories', [], PARAM_INT), $courseids);
+    redirect($url, get_string('profile_saved', 'local_cloudflarestream'), null,
+        \core\output\notification::NOTIFY_SUCCESS);
+}
+
+$PAGE->requires->js_call_amd('local_cloudflarestream/admin', 'initProfiles');
+$PAGE->requires->strings_for_js(['test_connection_button', 'test_connection_testing', 'test_connection_failed'],
+    'local_cloudflarestream');
+
+echo $OUTPUT->header();
+
+if ($edit) {
+    $profile = $profileid ? profile_manager::get_profile($profileid) : null;
+    if ($profileid && !$profile) {
+        throw new moodle_exception('error_profile_not_found', 'local_cloudflarestream');
+    }
+
+    $assignments = $profile ? profile_manager::get_assignments($profile->id) : ['categories' => [], 'courses' => []];
+    $assignedcategories = array_column($assignments['categories'], 'id');
+    $categories = [];
+    foreach (core_course_category::make_categories_list() as $categoryid => $name) {
+        $categories[] = [
+            'id' => $categoryid,
+            'name' => $name,
+            'selected' => in_array($categoryid, $assignedcategories)
+        ];
+    }
+
+    echo $OUTPUT->heading(get_string($profile ? 'profile_edit' : 'profile_add', 'local_cloudflarestream'));
+    echo $OUTPUT->render_from_template('local_cloudflarestream/profile_form', [
+        'id' => $profile ? $profile->id : 0,
+        'name' => $profile ? $profile->name : '',
+        'account_id' => $profile ? $profile->account_id : '',
+        'storage_quota' => $profile ? $profile->storage_quota : 0,
+        'existing' => !empty($profile),
+        'categories' => $categories,
+        'courses' => implode("\n", array_column($assignments['courses'], 'shortname')),
+        'actionurl' => (new moodle_url($url, ['id' => $profileid]))->out(false),
+        'sesskey' => sesskey(),
+        'backurl' => $url->out(false)
+    ]);
+    echo $OUTPUT->footer();
+    die();
+}
+
+$profiles = [];
+foreach (profile_manager::get_profiles() as $profile) {
+    $assignments = profile_manager::get_assignments($profile->id);
+    $used = profile_manager::get_used_minutes($profile->id);
+
+    $activekey = null;
+    foreach (signing_key_manager::get_keys($profile->id) as $key) {
+        if (!$key['retired']) {
+            $activekey = $key;
+            break;
+        }
+    }
+
+    $profiles[] = [
+        'id' => $profile->id,
+        'name' => format_string($profile->name),
+        'account_id' => $profile->account_id,
+        'usage' => $profile->storage_quota ?
+            get_string('profile_usage', 'local_cloudflarestream', ['used' => $used, 'quota' => $profile->storage_quota]) :
+            get_string('profile_usage_unlimited', 'local_cloudflarestream', $used),
+        'overquota' => $profile->storage_quota && $used >= $profile->storage_quota,
+        'assigned' => array_merge(array_column($assignments['categories'], 'name'),
+            array_column($assignments['courses'], 'name')),
+        'webhook' => get_string(webhook_handler::is_registered($profile->id) ? 'webhook_status_registered' :
+            'webhook_status_missing', 'local_cloudflarestream'),
+        'signingkey' => $activekey ? get_string('signing_key_status_active', 'local_cloudflarestream',
+            ['id' => $activekey['id'], 'created' => userdate($activekey['created'])]) :
+            get_string('signing_key_status_none', 'local_cloudflarestream'),
+        'editurl' => (new moodle_url($url, ['id' => $profile->id, 'edit' => 1]))->out(false),
+        'actionurl' => (new moodle_url($url, ['id' => $profile->id]))->out(false)
+    ];
+}
+
+echo $OUTPUT->render_from_template('local_cloudflarestream/profiles', [
+    'hasprofiles' => !empty($profiles),
+    'profiles' => $profiles,
+    'addurl' => (new moodle_url($url, ['edit' => 1]))->out(false),
+    'sesskey' => sesskey()
+]);
+echo $OUTPUT->footer();
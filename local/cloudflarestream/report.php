@@ -0,0 +1,187 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Watch-time report for the videos of a course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+require_once($CFG->libdir . '/csvlib.class.php');
+
+use local_cloudflarestream\chapter_manager;
+use local_cloudflarestream\clip_manager;
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\video_manager;
+use local_cloudflarestream\watch_manager;
+use local_cloudflarestream\position_manager;
+use local_cloudflarestream\handlers\player_handler;
+
+$videoid = optional_param('videoid', 0, PARAM_INT);
+$courseid = optional_param('courseid', 0, PARAM_INT);
+$download = optional_param('download', '', PARAM_ALPHA);
+
+$video = null;
+if ($videoid) {
+    $video = video_manager::get_video($videoid);
+    if (!$video) {
+        throw new moodle_exception('error_video_not_found', 'local_cloudflarestream');
+    }
+    $courseid = $video->course_id;
+}
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/report.php', $video ? ['videoid' => $video->id] : ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('watch_report', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+if (!$video) {
+    // Overview of all videos in the course
+    $videos = [];
+    foreach (video_manager::get_videos_by_course($course->id, video_manager::STATUS_READY) as $coursevideo) {
+        $stats = watch_manager::get_video_statistics($coursevideo->id);
+        $videos[] = [
+            'title' => player_handler::get_video_title($coursevideo),
+            'duration' => $coursevideo->duration ? position_manager::format_position($coursevideo->duration) : '-',
+            'viewers' => $stats['viewers'],
+            'average_percentage' => $stats['average_percentage'],
+            'completions' => $stats['completions'],
+            'reporturl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $coursevideo->id]))->out(false),
+            'captionsurl' => (new moodle_url('/local/cloudflarestream/captions.php', ['videoid' => $coursevideo->id]))->out(false),
+            'accessurl' => (new moodle_url('/local/cloudflarestream/access.php', ['videoid' => $coursevideo->id]))->out(false),
+            'checkpointsurl' => (new moodle_url('/local/cloudflarestream/checkpoints.php',
+                ['videoid' => $coursevideo->id]))->out(false),
+            'clipsurl' => (new moodle_url('/local/cloudflarestream/clip.php', ['videoid' => $coursevideo->id]))->out(false)
+        ];
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('watch_report', 'local_cloudflarestream'));
+    echo $OUTPUT->render_from_template('local_cloudflarestream/course_watch_report', [
+        'videos' => $videos,
+        'hasvideos' => !empty($videos),
+        'courseaccessurl' => (new moodle_url('/local/cloudflarestream/access.php', ['courseid' => $course->id]))->out(false)
+    ]);
+    echo $OUTPUT->footer();
+    exit;
+}
+
+// Update the completion threshold or the chapters of this video
+$chaptertext = null;
+if (data_submitted() && confirm_sesskey()) {
+    if (optional_param('action', 'threshold', PARAM_ALPHA) === 'chapters') {
+        $chaptertext = optional_param('chapters', '', PARAM_RAW);
+        $result = chapter_manager::parse_chapters($chaptertext);
+        if ($result['success']) {
+            $result = chapter_manager::set_chapters($video->id, $result['chapters']);
+        }
+        if ($result['success']) {
+            redirect($url, get_string('chapters_saved', 'local_cloudflarestream'), null,
+                \core\output\notification::NOTIFY_SUCCESS);
+        }
+        // Keep what the teacher typed so the mistake can be fixed
+        \core\notification::error($result['error']);
+    } else {
+        $threshold = optional_param('threshold', '', PARAM_RAW_TRIMMED);
+        watch_manager::set_completion_threshold($video->id, $threshold === '' ? null : (int)$threshold);
+        redirect($url, get_string('completion_threshold_saved', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+}
+
+$report = watch_manager::get_video_report($video->id);
+$title = player_handler::get_video_title($video);
+
+// Clips link back to the video they were cut from
+$parent = null;
+if (clip_manager::is_clip($video) && ($parentvideo = video_manager::get_video($video->parent_video_id))) {
+    $parent = [
+        'title' => player_handler::get_video_title($parentvideo),
+        'reporturl' => (new moodle_url('/local/cloudflarestream/report.php', ['videoid' => $parentvideo->id]))->out(false)
+    ];
+}
+
+if ($download === 'csv') {
+    $rows = [[
+        get_string('fullname'),
+        get_string('email'),
+        get_string('watched_time', 'local_cloudflarestream'),
+        get_string('percentage_watched', 'local_cloudflarestream'),
+        get_string('completed', 'local_cloudflarestream'),
+        get_string('time_completed', 'local_cloudflarestream'),
+        get_string('last_watched', 'local_cloudflarestream')
+    ]];
+
+    foreach ($report as $row) {
+        $rows[] = [
+            $row['fullname'],
+            $row['email'],
+            position_manager::format_position($row['watched_seconds']),
+            $row['percentage'],
+            $row['completed'] ? get_string('yes') : get_string('no'),
+            $row['timecompleted'] ? userdate($row['timecompleted']) : '',
+            $row['lastwatched'] ? userdate($row['lastwatched']) : ''
+        ];
+    }
+
+    csv_export_writer::download_array(clean_filename($title . '_watch_report'), $rows);
+}
+
+$metadata = json_decode($video->metadata ?: '{}', true);
+$users = [];
+foreach ($report as $row) {
+    $users[] = [
+        'fullname' => $row['fullname'],
+        'email' => $row['email'],
+        'watched_time' => position_manager::format_position($row['watched_seconds']),
+        'percentage' => $row['percentage'],
+        'completed' => $row['completed'],
+        'timecompleted' => $row['timecompleted'] ? userdate($row['timecompleted']) : '',
+        'lastwatched' => $row['lastwatched'] ? userdate($row['lastwatched']) : '-'
+    ];
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('watch_report_for', 'local_cloudflarestream', s($title)));
+echo $OUTPUT->render_from_template('local_cloudflarestream/watch_report', [
+    'users' => $users,
+    'hasusers' => !empty($users),
+    'statistics' => watch_manager::get_video_statistics($video->id),
+    'threshold' => $metadata['completion_threshold'] ?? '',
+    'defaultthreshold' => (int)config_manager::get('completion_threshold'),
+    'chapters' => $chaptertext ?? chapter_manager::format_chapters(chapter_manager::get_chapters($video)),
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'downloadurl' => (new moodle_url($url, ['download' => 'csv']))->out(false),
+    'captionsurl' => (new moodle_url('/local/cloudflarestream/captions.php', ['videoid' => $video->id]))->out(false),
+    'accessurl' => (new moodle_url('/local/cloudflarestream/access.php', ['videoid' => $video->id]))->out(false),
+    'checkpointsurl' => (new moodle_url('/local/cloudflarestream/checkpoints.php', ['videoid' => $video->id]))->out(false),
+    'clipsurl' => (new moodle_url('/local/cloudflarestream/clip.php', ['videoid' => $video->id]))->out(false),
+    'parent' => $parent,
+    'backurl' => (new moodle_url('/local/cloudflarestream/report.php', ['courseid' => $course->id]))->out(false)
+]);
+echo $OUTPUT->footer();
@@ -121,6 +121,49 @@ if ($hassiteconfig) {
         0
     ));
 
+    // Completion threshold
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/completion_threshold',
+        get_string('completion_threshold', 'local_cloudflarestream'),
+        get_string('completion_threshold_desc', 'local_cloudflarestream'),
+        '90',
+        PARAM_INT
+    ));
+
+    // Viewer watermark, the default of courses without settings of their own
+    $settings->add(new admin_setting_configcheckbox(
+        'local_cloudflarestream/watermark_enabled',
+        get_string('watermark_enabled', 'local_cloudflarestream'),
+        get_string('watermark_enabled_desc', 'local_cloudflarestream'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/watermark_template',
+        get_string('watermark_template', 'local_cloudflarestream'),
+        get_string('watermark_template_help', 'local_cloudflarestream',
+            implode(' ', array_merge(\local_cloudflarestream\watermark_manager::PLACEHOLDERS,
+                [\local_cloudflarestream\watermark_manager::TIME_PLACEHOLDER]))),
+        \local_cloudflarestream\watermark_manager::DEFAULT_TEMPLATE,
+        PARAM_TEXT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/watermark_opacity',
+        get_string('watermark_opacity', 'local_cloudflarestream'),
+        get_string('watermark_opacity_desc', 'local_cloudflarestream'),
+        '30',
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/watermark_frequency',
+        get_string('watermark_frequency', 'local_cloudflarestream'),
+        get_string('watermark_frequency_desc', 'local_cloudflarestream'),
+        '20', // Seconds
+        PARAM_INT
+    ));
+
     // Maintenance Settings section
     $settings->add(new admin_setting_heading(
         'local_cloudflarestream/maintenanceheading',
@@ -137,6 +180,40 @@ if ($hassiteconfig) {
         PARAM_INT
     ));
 
+    // Usage Alerts section
+    $settings->add(new admin_setting_heading(
+        'local_cloudflarestream/usageheading',
+        get_string('usageheading', 'local_cloudflarestream'),
+        get_string('usageheading_desc', 'local_cloudflarestream')
+    ));
+
+    // Storage quota of the site account
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/storage_quota',
+        get_string('storage_quota', 'local_cloudflarestream'),
+        get_string('storage_quota_desc', 'local_cloudflarestream'),
+        '0', // Use the plan limit Cloudflare reports
+        PARAM_INT
+    ));
+
+    // Monthly delivery quota
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/delivery_quota',
+        get_string('delivery_quota', 'local_cloudflarestream'),
+        get_string('delivery_quota_desc', 'local_cloudflarestream'),
+        '0', // No delivery alerts
+        PARAM_INT
+    ));
+
+    // Alert thresholds
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/usage_alert_thresholds',
+        get_string('usage_alert_thresholds', 'local_cloudflarestream'),
+        get_string('usage_alert_thresholds_desc', 'local_cloudflarestream'),
+        '80,95,100',
+        PARAM_SEQUENCE
+    ));
+
     // Security Settings section
     $settings->add(new admin_setting_heading(
         'local_cloudflarestream/securityheading',
@@ -178,6 +255,42 @@ if ($hassiteconfig) {
         PARAM_TEXT
     ));
 
+    // Countries allowed to watch, enforced by Cloudflare through the playback token
+    $settings->add(new admin_setting_configtextarea(
+        'local_cloudflarestream/allowed_countries',
+        get_string('allowed_countries', 'local_cloudflarestream'),
+        get_string('allowed_countries_desc', 'local_cloudflarestream'),
+        '',
+        PARAM_TEXT
+    ));
+
+    // Countries refused
+    $settings->add(new admin_setting_configtextarea(
+        'local_cloudflarestream/blocked_countries',
+        get_string('blocked_countries', 'local_cloudflarestream'),
+        get_string('blocked_countries_desc', 'local_cloudflarestream'),
+        '',
+        PARAM_TEXT
+    ));
+
+    // IP ranges allowed to watch
+    $settings->add(new admin_setting_configtextarea(
+        'local_cloudflarestream/allowed_ip_ranges',
+        get_string('allowed_ip_ranges', 'local_cloudflarestream'),
+        get_string('allowed_ip_ranges_desc', 'local_cloudflarestream'),
+        '',
+        PARAM_TEXT
+    ));
+
+    // Simultaneous streams per user, against shared logins
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/max_concurrent_streams',
+        get_string('max_concurrent_streams', 'local_cloudflarestream'),
+        get_string('max_concurrent_streams_desc', 'local_cloudflarestream'),
+        '0',
+        PARAM_INT
+    ));
+
     // Enable fallback player
     $settings->add(new admin_setting_configcheckbox(
         'local_cloudflarestream/enable_fallback_player',
@@ -186,6 +299,65 @@ if ($hassiteconfig) {
         1
     ));
 
+    // Webhook section
+    $settings->add(new admin_setting_heading(
+        'local_cloudflarestream/webhookheading',
+        get_string('webhookheading', 'local_cloudflarestream'),
+        get_string('webhookheading_desc', 'local_cloudflarestream')
+    ));
+
+    // Register webhook button (handled by JavaScript)
+    $webhookstatus = \local_cloudflarestream\handlers\webhook_handler::is_registered() ? 'webhook_status_registered' :
+        'webhook_status_missing';
+    $settings->add(new admin_setting_description(
+        'local_cloudflarestream/register_webhook',
+        get_string('register_webhook', 'local_cloudflarestream'),
+        get_string('register_webhook_desc', 'local_cloudflarestream',
+            \local_cloudflarestream\handlers\webhook_handler::get_notification_url()->out(false)) .
+        '<p id="cloudflarestream-webhook-status">' . get_string($webhookstatus, 'local_cloudflarestream') . '</p>' .
+        '<button type="button" id="cloudflarestream-webhook-btn" class="btn btn-secondary">' .
+        get_string('register_webhook_button', 'local_cloudflarestream') . '</button>'
+    ));
+
+    // Signing keys section
+    $settings->add(new admin_setting_heading(
+        'local_cloudflarestream/signingkeyheading',
+        get_string('signingkeyheading', 'local_cloudflarestream'),
+        get_string('signingkeyheading_desc', 'local_cloudflarestream')
+    ));
+
+    // Grace period of a replaced key
+    $settings->add(new admin_setting_configtext(
+        'local_cloudflarestream/signing_key_grace',
+        get_string('signing_key_grace', 'local_cloudflarestream'),
+        get_string('signing_key_grace_desc', 'local_cloudflarestream'),
+        '86400', // 1 day in seconds
+        PARAM_INT
+    ));
+
+    // Current keys and rotate button (handled by JavaScript)
+    $keystatus = [];
+    foreach (\local_cloudflarestream\auth\signing_key_manager::get_keys() as $key) {
+        if ($key['retired']) {
+            $keystatus[] = get_string('signing_key_status_previous', 'local_cloudflarestream',
+                ['id' => $key['id'], 'until' => userdate($key['valid_until'])]);
+        } else {
+            $keystatus[] = get_string('signing_key_status_active', 'local_cloudflarestream',
+                ['id' => $key['id'], 'created' => userdate($key['created'])]);
+        }
+    }
+    if (!$keystatus) {
+        $keystatus[] = get_string('signing_key_status_none', 'local_cloudflarestream');
+    }
+    $settings->add(new admin_setting_description(
+        'local_cloudflarestream/rotate_signing_key',
+        get_string('rotate_signing_key', 'local_cloudflarestream'),
+        get_string('rotate_signing_key_desc', 'local_cloudflarestream') .
+        '<p id="cloudflarestream-signing-key-status">' . implode('<br>', $keystatus) . '</p>' .
+        '<button type="button" id="cloudflarestream-signing-key-btn" class="btn btn-secondary">' .
+        get_string('rotate_signing_key_button', 'local_cloudflarestream') . '</button>'
+    ));
+
     // Test connection section
     $settings->add(new admin_setting_heading(
         'local_cloudflarestream/testheading',
@@ -212,4 +384,28 @@ if ($hassiteconfig) {
         new moodle_url('/local/cloudflarestream/admin_dashboard.php'),
         'moodle/site:config'
     ));
+
+    // Add usage page
+    $ADMIN->add('localplugins', new admin_externalpage(
+        'local_cloudflarestream_usage',
+        get_string('usage', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/usage.php'),
+        'moodle/site:config'
+    ));
+
+    // Add credential profiles page
+    $ADMIN->add('localplugins', new admin_externalpage(
+        'local_cloudflarestream_profiles',
+        get_string('profiles', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/profiles.php'),
+        'moodle/site:config'
+    ));
+
+    // Add orphan review page
+    $ADMIN->add('localplugins', new admin_externalpage(
+        'local_cloudflarestream_orphans',
+        get_string('orphans', 'local_cloudflarestream'),
+        new moodle_url('/local/cloudflarestream/orphans.php'),
+        'moodle/site:config'
+    ));
 }
\ No newline at end of file
@@ -28,6 +28,8 @@ require_once(__DIR__ . '/../../config.php');
 require_once($CFG->libdir . '/adminlib.php');
 
 use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\config_manager;
+use local_cloudflarestream\profile_manager;
 
 // Check permissions
 require_login();
@@ -47,16 +49,36 @@ try {
     $apitoken = optional_param('api_token', '', PARAM_RAW);
     $accountid = optional_param('account_id', '', PARAM_ALPHANUM);
     $zoneid = optional_param('zone_id', '', PARAM_ALPHANUM);
+    $profileid = optional_param('profileid', 0, PARAM_INT);
 
-    // If no credentials provided, use current config
-    if (empty($apitoken)) {
-        $apitoken = get_config('local_cloudflarestream', 'api_token');
-    }
-    if (empty($accountid)) {
-        $accountid = get_config('local_cloudflarestream', 'account_id');
-    }
-    if (empty($zoneid)) {
-        $zoneid = get_config('local_cloudflarestream', 'zone_id');
+    if ($profileid) {
+        // Credential profiles are tested on their own, missing values come from the stored profile
+        $profile = profile_manager::get_profile($profileid);
+        if (!$profile) {
+            echo json_encode([
+                'success' => false,
+                'error' => get_string('error_profile_not_found', 'local_cloudflarestream')
+            ]);
+            exit;
+        }
+        if (empty($apitoken)) {
+            $apitoken = config_manager::decrypt_value($profile->api_token);
+        }
+        if (empty($accountid)) {
+            $accountid = $profile->account_id;
+        }
+        $zoneid = null;
+    } else {
+        // If no credentials provided, use current config
+        if (empty($apitoken)) {
+            $apitoken = get_config('local_cloudflarestream', 'api_token');
+        }
+        if (empty($accountid)) {
+            $accountid = get_config('local_cloudflarestream', 'account_id');
+        }
+        if (empty($zoneid)) {
+            $zoneid = get_config('local_cloudflarestream', 'zone_id');
+        }
     }
 
     // Validate required fields
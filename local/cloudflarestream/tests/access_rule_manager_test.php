@@ -0,0 +1,229 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for access_rule_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for access_rule_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class access_rule_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Enrolled teacher */
+    private $teacher;
+
+    /** @var \stdClass Enrolled student */
+    private $student;
+
+    /** @var \stdClass Ready video uploaded by the teacher */
+    private $video;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $generator = $this->getDataGenerator();
+        $this->course = $generator->create_course();
+        $this->teacher = $generator->create_user();
+        $this->student = $generator->create_user();
+        $generator->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+        $generator->enrol_user($this->student->id, $this->course->id, 'student');
+
+        $videoid = video_manager::create_video(null, $this->course->id, $this->teacher->id, 1024,
+            ['original_filename' => 'Lecture.mp4']);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => 'cf' . $videoid,
+            'status' => video_manager::STATUS_READY
+        ]);
+        $this->video = video_manager::get_video($videoid);
+    }
+
+    /**
+     * Test rules are cleaned on save and removed once empty.
+     */
+    public function test_save_rules() {
+        global $DB;
+
+        $result = access_rule_manager::save_rules($this->course->id, 0, [
+            'max_views' => 3,
+            'ip_ranges' => "10.0.0.0/8\nnonsense",
+            'allowed_countries' => 'gb, de, xyz'
+        ]);
+        $this->assertTrue($result['success']);
+
+        $rules = access_rule_manager::get_rules($this->course->id);
+        $this->assertEquals(3, $rules['max_views']);
+        $this->assertEquals('10.0.0.0/8', $rules['ip_ranges']);
+        $this->assertEquals('GB,DE', $rules['allowed_countries']);
+
+        // The window must end after it starts
+        $result = access_rule_manager::save_rules($this->course->id, 0, ['available_from' => 2000, 'available_until' => 1000]);
+        $this->assertFalse($result['success']);
+
+        access_rule_manager::save_rules($this->course->id, 0, []);
+        $this->assertFalse($DB->record_exists(access_rule_manager::TABLE_RULES, ['course_id' => $this->course->id]));
+    }
+
+    /**
+     * Test video rules replace the course rules field by field.
+     */
+    public function test_effective_rules() {
+        access_rule_manager::save_rules($this->course->id, 0, ['max_views' => 3, 'allowed_countries' => 'GB']);
+        access_rule_manager::save_rules($this->course->id, $this->video->id, ['max_views' => 5]);
+
+        $rules = access_rule_manager::get_effective_rules($this->video);
+        $this->assertEquals(5, $rules['max_views']);
+        $this->assertEquals('GB', $rules['allowed_countries']);
+        $this->assertEquals([$this->video->id], access_rule_manager::get_videos_with_rules($this->course->id));
+    }
+
+    /**
+     * Test the availability window refuses learners with a reason.
+     */
+    public function test_availability_window() {
+        access_rule_manager::save_rules($this->course->id, $this->video->id,
+            ['available_from' => 1000, 'available_until' => 2000]);
+
+        $result = access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1', 500);
+        $this->assertFalse($result['allowed']);
+        $this->assertEquals(access_rule_manager::REASON_NOT_YET_AVAILABLE, $result['reason']);
+
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1', 1500)['allowed']);
+
+        $result = access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1', 2000);
+        $this->assertEquals(access_rule_manager::REASON_NO_LONGER_AVAILABLE, $result['reason']);
+
+        // Teachers are not held back
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->teacher->id, '10.0.0.1', 500)['allowed']);
+    }
+
+    /**
+     * Test learners are refused once they opened the video as often as allowed.
+     */
+    public function test_view_limit() {
+        access_rule_manager::save_rules($this->course->id, 0, ['max_views' => 2]);
+
+        watch_manager::count_play($this->student->id, $this->video->id);
+        $this->assertTrue(access_rule_manager::check_view_limit($this->video, $this->student->id)['allowed']);
+
+        watch_manager::count_play($this->student->id, $this->video->id);
+        $result = access_rule_manager::check_view_limit($this->video, $this->student->id);
+        $this->assertFalse($result['allowed']);
+        $this->assertEquals(access_rule_manager::REASON_VIEW_LIMIT, $result['reason']);
+
+        // The player that used the last view keeps working
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1')['allowed']);
+        $this->assertTrue(access_rule_manager::check_view_limit($this->video, $this->teacher->id)['allowed']);
+    }
+
+    /**
+     * Test IP ranges are checked, with the site ranges used when the course sets none.
+     */
+    public function test_ip_ranges() {
+        set_config('allowed_ip_ranges', '192.168.0.0/16', 'local_cloudflarestream');
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id, '192.168.1.1')['allowed']);
+        $this->assertFalse(access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1')['allowed']);
+
+        access_rule_manager::save_rules($this->course->id, $this->video->id, ['ip_ranges' => '10.0.0.0/24']);
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id, '10.0.0.1')['allowed']);
+
+        $result = access_rule_manager::check_access($this->video, $this->student->id, '192.168.1.1');
+        $this->assertEquals(access_rule_manager::REASON_IP_NOT_ALLOWED, $result['reason']);
+    }
+
+    /**
+     * Test countries are checked when Cloudflare tells the site where the viewer is.
+     */
+    public function test_countries() {
+        set_config('blocked_countries', 'RU', 'local_cloudflarestream');
+        access_rule_manager::save_rules($this->course->id, $this->video->id, ['allowed_countries' => 'GB, DE']);
+
+        $_SERVER['HTTP_CF_IPCOUNTRY'] = 'gb';
+        $this->assertEquals('GB', access_rule_manager::get_viewer_country());
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id)['allowed']);
+
+        $_SERVER['HTTP_CF_IPCOUNTRY'] = 'FR';
+        $result = access_rule_manager::check_access($this->video, $this->student->id);
+        $this->assertEquals(access_rule_manager::REASON_COUNTRY_NOT_ALLOWED, $result['reason']);
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->teacher->id)['allowed']);
+
+        // Countries blocked by the site stay blocked when the video allows all countries
+        access_rule_manager::save_rules($this->course->id, $this->video->id, []);
+        $_SERVER['HTTP_CF_IPCOUNTRY'] = 'RU';
+        $this->assertFalse(access_rule_manager::check_access($this->video, $this->student->id)['allowed']);
+
+        // Unknown countries are left to Cloudflare
+        $_SERVER['HTTP_CF_IPCOUNTRY'] = 'XX';
+        $this->assertTrue(access_rule_manager::check_access($this->video, $this->student->id)['allowed']);
+
+        unset($_SERVER['HTTP_CF_IPCOUNTRY']);
+    }
+
+    /**
+     * Test the token of a learner carries the rules of the video.
+     */
+    public function test_token_rules() {
+        set_config('blocked_countries', 'RU', 'local_cloudflarestream');
+        access_rule_manager::save_rules($this->course->id, $this->video->id, [
+            'ip_ranges' => '10.0.0.0/24',
+            'allowed_countries' => 'GB'
+        ]);
+
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+            ['type' => 'ip.src', 'action' => 'allow', 'ip' => ['10.0.0.0/24']],
+            ['type' => 'ip.geoip.country', 'action' => 'allow', 'country' => ['GB']],
+            ['type' => 'any', 'action' => 'block'],
+        ], access_rule_manager::get_token_rules($this->video, $this->student->id));
+
+        // Teachers only get the site rules
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+        ], access_rule_manager::get_token_rules($this->video, $this->teacher->id));
+    }
+
+    /**
+     * Test refused learners see the reason in place of the player.
+     */
+    public function test_denied_player() {
+        access_rule_manager::save_rules($this->course->id, $this->video->id, ['available_from' => time() + DAYSECS]);
+        $this->setUser($this->student);
+
+        $result = handlers\player_handler::generate_player($this->video->id);
+        $this->assertTrue($result['success']);
+        $this->assertEquals('denied', $result['status']);
+        $this->assertEquals(access_rule_manager::REASON_NOT_YET_AVAILABLE, $result['reason']);
+        $this->assertStringContainsString('This video is available from', $result['html']);
+    }
+}
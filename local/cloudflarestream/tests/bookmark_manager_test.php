@@ -0,0 +1,95 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for bookmark_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for bookmark_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class bookmark_manager_test extends advanced_testcase {
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /** @var \stdClass Test user */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->videoid = video_manager::create_video(1, $course->id, $this->user->id, 1024000);
+    }
+
+    /**
+     * Test bookmarks are returned in playback order.
+     */
+    public function test_add_and_get_bookmarks() {
+        bookmark_manager::add_bookmark($this->user->id, $this->videoid, 754, 'Key formula');
+        bookmark_manager::add_bookmark($this->user->id, $this->videoid, 60, '<b>Intro</b>');
+
+        $bookmarks = bookmark_manager::get_bookmarks($this->user->id, $this->videoid);
+
+        $this->assertCount(2, $bookmarks);
+        $this->assertEquals(60, $bookmarks[0]->position);
+        $this->assertEquals('Intro', $bookmarks[0]->note);
+        $this->assertEquals('Key formula', $bookmarks[1]->note);
+    }
+
+    /**
+     * Test users can only change their own bookmarks.
+     */
+    public function test_bookmarks_are_private() {
+        $other = $this->getDataGenerator()->create_user();
+        $bookmark = bookmark_manager::add_bookmark($this->user->id, $this->videoid, 120);
+
+        $this->assertFalse(bookmark_manager::update_note($other->id, $bookmark->id, 'Mine now'));
+        $this->assertFalse(bookmark_manager::delete_bookmark($other->id, $bookmark->id));
+        $this->assertEmpty(bookmark_manager::get_bookmarks($other->id, $this->videoid));
+
+        $this->assertEquals('Revise', bookmark_manager::update_note($this->user->id, $bookmark->id, 'Revise')->note);
+        $this->assertTrue(bookmark_manager::delete_bookmark($this->user->id, $bookmark->id));
+    }
+
+    /**
+     * Test bookmarks are removed together with their video.
+     */
+    public function test_bookmarks_deleted_with_video() {
+        bookmark_manager::add_bookmark($this->user->id, $this->videoid, 120);
+
+        video_manager::delete_video($this->videoid);
+
+        $this->assertEmpty(bookmark_manager::get_bookmarks($this->user->id, $this->videoid));
+    }
+}
@@ -0,0 +1,206 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for caption_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\api\caption_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for caption_manager.
+ *
+ * @group local_cloudflarestream
+ */
+class caption_manager_test extends advanced_testcase {
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+
+        $this->videoid = video_manager::create_video(null, $course->id, $user->id, 1024, ['name' => 'lecture.mp4']);
+        video_manager::update_video($this->videoid, [
+            'cloudflare_video_id' => 'abc123',
+            'status' => video_manager::STATUS_READY
+        ]);
+    }
+
+    /**
+     * Test SRT subtitles are converted to WebVTT.
+     */
+    public function test_srt_conversion() {
+        $srt = "\xEF\xBB\xBF1\r\n00:00:01,000 --> 00:00:04,500\r\nHello, world\r\n\r\n" .
+            "2\r\n00:00:05,250 --> 00:00:07,000\r\nSecond line\r\n";
+
+        $result = caption_manager::prepare_vtt($srt);
+
+        $this->assertTrue($result['valid']);
+        $this->assertStringStartsWith("WEBVTT\n\n", $result['vtt']);
+        $this->assertStringContainsString("00:00:01.000 --> 00:00:04.500\nHello, world", $result['vtt']);
+        $this->assertStringContainsString('00:00:05.250 --> 00:00:07.000', $result['vtt']);
+        $this->assertStringNotContainsString("\r", $result['vtt']);
+    }
+
+    /**
+     * Test WebVTT validation.
+     */
+    public function test_vtt_validation() {
+        $this->assertTrue(caption_manager::validate_vtt("WEBVTT\n\n00:01.000 --> 00:02.000\nShort timestamps")['valid']);
+        $this->assertTrue(caption_manager::validate_vtt("WEBVTT - Title\n\n01:00:01.000 --> 01:00:02.000 line:0\nSettings")['valid']);
+
+        // Missing cues
+        $this->assertFalse(caption_manager::validate_vtt("WEBVTT\n\nNOTE nothing here")['valid']);
+
+        // Cue ending before it starts
+        $result = caption_manager::validate_vtt("WEBVTT\n\n00:00:05.000 --> 00:00:02.000\nBackwards");
+        $this->assertFalse($result['valid']);
+        $this->assertEquals(get_string('error_caption_timing', 'local_cloudflarestream', 3), $result['error']);
+
+        // Neither WebVTT nor SRT
+        $this->assertFalse(caption_manager::prepare_vtt('Just some text')['valid']);
+    }
+
+    /**
+     * Test uploading sends converted WebVTT to Cloudflare.
+     */
+    public function test_upload_caption() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->once())
+            ->method('upload_caption')
+            ->with('abc123', 'pt-BR', $this->stringStartsWith("WEBVTT\n"))
+            ->willReturn(['success' => true]);
+
+        $manager = new caption_manager($client);
+        $result = $manager->upload_caption($this->videoid, 'pt-BR', "1\n00:00:01,000 --> 00:00:02,000\nOlá\n");
+
+        $this->assertTrue($result['success']);
+    }
+
+    /**
+     * Test invalid languages and files are rejected before calling Cloudflare.
+     */
+    public function test_upload_caption_rejects_invalid_input() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->never())->method('upload_caption');
+
+        $manager = new caption_manager($client);
+
+        $this->assertFalse($manager->upload_caption($this->videoid, '../en', "WEBVTT\n\n00:01.000 --> 00:02.000\nHi")['success']);
+        $this->assertFalse($manager->upload_caption($this->videoid, 'en', 'not captions')['success']);
+    }
+
+    /**
+     * Test the default text track follows the video and reaches the player.
+     */
+    public function test_default_text_track() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->method('list_captions')->willReturn([
+            'success' => true,
+            'result' => [
+                ['language' => 'en', 'label' => 'English', 'generated' => true, 'status' => 'ready'],
+                ['language' => 'it', 'label' => 'Italiano', 'generated' => false, 'status' => 'ready']
+            ]
+        ]);
+        $client->method('delete_caption')->willReturn(['success' => true]);
+
+        $this->assertTrue(caption_manager::set_default_text_track($this->videoid, 'it'));
+        $this->assertEquals('it', caption_manager::get_default_text_track(video_manager::get_video($this->videoid)));
+
+        // Local metadata is kept
+        $metadata = json_decode(video_manager::get_video($this->videoid)->metadata, true);
+        $this->assertEquals('lecture.mp4', $metadata['name']);
+
+        $manager = new caption_manager($client);
+        $captions = $manager->list_captions($this->videoid)['captions'];
+        $this->assertFalse($captions[0]['default']);
+        $this->assertTrue($captions[1]['default']);
+
+        // Deleting the default track clears the default
+        $manager->delete_caption($this->videoid, 'it');
+        $this->assertNull(caption_manager::get_default_text_track(video_manager::get_video($this->videoid)));
+    }
+
+    /**
+     * Test the embed URL carries the default caption language.
+     */
+    public function test_embed_url_default_text_track() {
+        $url = handlers\player_handler::generate_embed_url('abc123', ['defaultTextTrack' => 'en']);
+        $this->assertStringContainsString('defaultTextTrack=en', $url);
+    }
+
+    /**
+     * Test WebVTT is parsed into plain text cues.
+     */
+    public function test_parse_vtt() {
+        $vtt = "WEBVTT\n\nNOTE Generated\n\nintro\n00:00:01.000 --> 00:00:03.500 align:start\n" .
+            "<v Teacher>Welcome &amp; hello</v>\nsecond line\n\n00:04.000 --> 00:06.000\n<c.yellow>Next</c>\n";
+
+        $cues = caption_manager::parse_vtt($vtt);
+
+        $this->assertCount(2, $cues);
+        $this->assertEquals(1.0, $cues[0]['start']);
+        $this->assertEquals(3.5, $cues[0]['end']);
+        $this->assertEquals('Welcome & hello second line', $cues[0]['text']);
+        $this->assertEquals(4.0, $cues[1]['start']);
+        $this->assertEquals('Next', $cues[1]['text']);
+    }
+
+    /**
+     * Test the transcript uses the default track and is cached.
+     */
+    public function test_get_transcript() {
+        caption_manager::set_default_text_track($this->videoid, 'it');
+
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->once())->method('list_captions')->willReturn([
+            'success' => true,
+            'result' => [
+                ['language' => 'en', 'label' => 'English', 'status' => 'ready'],
+                ['language' => 'it', 'label' => 'Italiano', 'status' => 'ready'],
+                ['language' => 'fr', 'label' => 'Français', 'status' => 'inprogress']
+            ]
+        ]);
+        $client->expects($this->once())->method('get_caption_vtt')->with('abc123', 'it')
+            ->willReturn("WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nCiao");
+
+        $manager = new caption_manager($client);
+        $result = $manager->get_transcript($this->videoid);
+        $manager->get_transcript($this->videoid);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals('it', $result['language']);
+        $this->assertEquals(['en', 'it'], array_column($result['languages'], 'language'));
+        $this->assertEquals('Ciao', $result['cues'][0]['text']);
+    }
+}
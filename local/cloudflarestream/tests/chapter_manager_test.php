@@ -0,0 +1,101 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for chapter_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for chapter_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class chapter_manager_test extends advanced_testcase {
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $this->videoid = video_manager::create_video(1, $course->id, $user->id, 1024000,
+            ['original_filename' => 'lecture.mp4']);
+        video_manager::update_video($this->videoid, ['duration' => 4000]);
+    }
+
+    /**
+     * Test chapter lines are parsed, sorted and stored with the video metadata.
+     */
+    public function test_parse_and_set_chapters() {
+        $parsed = chapter_manager::parse_chapters("12:34 Worked example\n0:00 Introduction\n\n1:02:03 Summary");
+        $this->assertTrue($parsed['success']);
+
+        $this->assertTrue(chapter_manager::set_chapters($this->videoid, $parsed['chapters'])['success']);
+
+        $video = video_manager::get_video($this->videoid);
+        $this->assertEquals([
+            ['title' => 'Introduction', 'start' => 0],
+            ['title' => 'Worked example', 'start' => 754],
+            ['title' => 'Summary', 'start' => 3723]
+        ], chapter_manager::get_chapters($video));
+        $this->assertEquals('lecture.mp4', json_decode($video->metadata, true)['original_filename']);
+
+        $this->assertEquals("0:00 Introduction\n12:34 Worked example\n1:02:03 Summary",
+            chapter_manager::format_chapters(chapter_manager::get_chapters($video)));
+    }
+
+    /**
+     * Test invalid chapters are rejected.
+     */
+    public function test_invalid_chapters() {
+        $this->assertFalse(chapter_manager::parse_chapters('Introduction at the start')['success']);
+
+        // Past the end of the video
+        $this->assertFalse(chapter_manager::set_chapters($this->videoid, [['title' => 'Late', 'start' => 5000]])['success']);
+
+        // Two chapters at the same time
+        $this->assertFalse(chapter_manager::set_chapters($this->videoid, [
+            ['title' => 'One', 'start' => 10],
+            ['title' => 'Two', 'start' => 10]
+        ])['success']);
+    }
+
+    /**
+     * Test the start option reaches the embed URL, as used by ?t= deep links.
+     */
+    public function test_embed_url_start_time() {
+        $url = player_handler::generate_embed_url('abc123', ['start' => 754]);
+        $this->assertStringContainsString('startTime=754s', $url);
+
+        $this->assertStringNotContainsString('startTime', player_handler::generate_embed_url('abc123', ['start' => 0]));
+    }
+}
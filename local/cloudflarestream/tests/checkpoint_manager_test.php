@@ -0,0 +1,257 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for checkpoint_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/gradelib.php');
+
+/**
+ * Test cases for checkpoint_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class checkpoint_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /** @var \stdClass Test student */
+    private $student;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $teacher = $this->getDataGenerator()->create_user();
+        $this->student = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->student->id, $this->course->id, 'student');
+
+        $this->videoid = video_manager::create_video(1, $this->course->id, $teacher->id, 1024000, ['name' => 'Lecture 1']);
+        video_manager::update_video($this->videoid, ['duration' => 600]);
+    }
+
+    /**
+     * Test checkpoints are stored in playback order.
+     */
+    public function test_save_checkpoint() {
+        $this->add_checkpoint(300, 2);
+        $result = $this->add_checkpoint(60, 1, true);
+        $this->assertTrue($result['success']);
+
+        $checkpoints = checkpoint_manager::get_checkpoints($this->videoid);
+        $this->assertCount(2, $checkpoints);
+        $this->assertEquals(60, $checkpoints[0]->position);
+        $this->assertEquals(['Red', 'Green', 'Blue'], json_decode($checkpoints[0]->choices));
+        $this->assertEquals(1, $checkpoints[0]->required);
+        $this->assertTrue(checkpoint_manager::has_checkpoints($this->videoid));
+        $this->assertEquals(3, checkpoint_manager::get_max_grade($this->videoid));
+
+        // Change the question in place
+        $result = checkpoint_manager::save_checkpoint($this->videoid, [
+            'position' => 90,
+            'question' => 'Which colour is the sky?',
+            'choices' => ['Red', 'Blue'],
+            'correct_choice' => 1,
+            'points' => 1
+        ], $checkpoints[0]->id);
+        $this->assertTrue($result['success']);
+        $this->assertEquals($checkpoints[0]->id, $result['id']);
+        $this->assertEquals(90, checkpoint_manager::get_checkpoint($result['id'])->position);
+        $this->assertEquals(0, checkpoint_manager::get_checkpoint($result['id'])->required);
+    }
+
+    /**
+     * Test invalid checkpoints are refused with a reason.
+     */
+    public function test_invalid_checkpoints() {
+        $valid = [
+            'position' => 30,
+            'question' => 'Which colour is the sky?',
+            'choices' => ['Red', 'Blue'],
+            'correct_choice' => 1,
+            'points' => 1
+        ];
+        $this->assertTrue(checkpoint_manager::save_checkpoint($this->videoid, $valid)['success']);
+
+        $cases = [
+            'error_checkpoint_position' => [['position' => 600], null],
+            'error_checkpoint_question' => [['question' => '  '], null],
+            'error_checkpoint_choices' => [['choices' => ['Only one', '']], checkpoint_manager::MAX_CHOICES],
+            'error_checkpoint_correct' => [['correct_choice' => 2], null],
+            'error_checkpoint_points' => [['points' => 0], null],
+            'error_checkpoint_duplicate' => [[], '0:30']
+        ];
+        foreach ($cases as $error => [$change, $a]) {
+            $result = checkpoint_manager::save_checkpoint($this->videoid, array_merge($valid, $change));
+            $this->assertFalse($result['success']);
+            $this->assertEquals(get_string($error, 'local_cloudflarestream', $a), $result['error']);
+        }
+        $this->assertCount(1, checkpoint_manager::get_checkpoints($this->videoid));
+    }
+
+    /**
+     * Test only the first answer counts and the correct choice is only sent once answered.
+     */
+    public function test_answer() {
+        $id = $this->add_checkpoint(60, 2)['id'];
+        $checkpoint = checkpoint_manager::get_checkpoint($id);
+
+        $exported = checkpoint_manager::export_checkpoints([$checkpoint]);
+        $this->assertFalse($exported[0]['answered']);
+        $this->assertEquals(-1, $exported[0]['correctchoice']);
+
+        $result = checkpoint_manager::answer($this->student->id, $checkpoint, 2);
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['correct']);
+        $this->assertEquals(2, $result['grade']);
+        $this->assertEquals(2, $result['max_grade']);
+
+        // A second, wrong answer does not replace the first
+        $result = checkpoint_manager::answer($this->student->id, $checkpoint, 0);
+        $this->assertTrue($result['correct']);
+        $this->assertEquals(2, $result['grade']);
+
+        $exported = checkpoint_manager::export_checkpoints([$checkpoint],
+            checkpoint_manager::get_user_answers($this->student->id, $this->videoid));
+        $this->assertTrue($exported[0]['answered']);
+        $this->assertEquals(2, $exported[0]['choice']);
+        $this->assertEquals(2, $exported[0]['correctchoice']);
+
+        // Choices that do not exist are refused
+        $this->assertFalse(checkpoint_manager::answer($this->student->id, $checkpoint, 5)['success']);
+    }
+
+    /**
+     * Test grades follow the answers and the checkpoints of the video.
+     */
+    public function test_gradebook() {
+        $first = $this->add_checkpoint(60, 2)['id'];
+        $second = $this->add_checkpoint(120, 3)['id'];
+
+        $gradeitem = $this->get_grade_item();
+        $this->assertNotEmpty($gradeitem);
+        $this->assertEquals(5, $gradeitem->grademax);
+        $this->assertEquals(get_string('checkpoint_grade_item', 'local_cloudflarestream', 'Lecture 1'), $gradeitem->itemname);
+
+        checkpoint_manager::answer($this->student->id, checkpoint_manager::get_checkpoint($first), 2);
+        checkpoint_manager::answer($this->student->id, checkpoint_manager::get_checkpoint($second), 0);
+        $this->assertEquals(2, $this->get_grade());
+
+        // Changing the correct choice marks the answers again
+        checkpoint_manager::save_checkpoint($this->videoid, [
+            'position' => 120,
+            'question' => 'Which colour is grass?',
+            'choices' => ['Red', 'Green', 'Blue'],
+            'correct_choice' => 0,
+            'points' => 3
+        ], $second);
+        $this->assertEquals(5, $this->get_grade());
+
+        $report = checkpoint_manager::get_video_report($this->videoid);
+        $this->assertCount(1, $report);
+        $this->assertEquals(2, $report[0]['answered']);
+        $this->assertEquals(2, $report[0]['correct']);
+        $this->assertEquals(5, $report[0]['grade']);
+
+        // Deleting a checkpoint lowers the maximum and the grade
+        $this->assertTrue(checkpoint_manager::delete_checkpoint($this->videoid, $second));
+        $this->assertEquals(2, $this->get_grade_item()->grademax);
+        $this->assertEquals(2, $this->get_grade());
+
+        // The grade item goes with the last checkpoint
+        $this->assertTrue(checkpoint_manager::delete_checkpoint($this->videoid, $first));
+        $this->assertFalse($this->get_grade_item());
+    }
+
+    /**
+     * Test checkpoints, answers and the grade item are deleted with the video.
+     */
+    public function test_deleted_with_video() {
+        global $DB;
+
+        $id = $this->add_checkpoint(60, 1)['id'];
+        checkpoint_manager::answer($this->student->id, checkpoint_manager::get_checkpoint($id), 2);
+
+        video_manager::delete_video($this->videoid);
+
+        $this->assertEquals(0, $DB->count_records(checkpoint_manager::TABLE_CHECKPOINTS));
+        $this->assertEquals(0, $DB->count_records(checkpoint_manager::TABLE_ANSWERS));
+        $this->assertFalse($this->get_grade_item());
+    }
+
+    /**
+     * Add a three-choice checkpoint whose correct answer is the last choice.
+     *
+     * @param int $position Position in seconds
+     * @param int $points Points of a correct answer
+     * @param bool $required Whether the question is required
+     * @return array Save result
+     */
+    private function add_checkpoint($position, $points, $required = false) {
+        return checkpoint_manager::save_checkpoint($this->videoid, [
+            'position' => $position,
+            'question' => 'Which colour is the sky?',
+            'choices' => ['Red', 'Green', 'Blue', ''],
+            'correct_choice' => 2,
+            'points' => $points,
+            'required' => $required
+        ]);
+    }
+
+    /**
+     * Get the grade item of the test video.
+     *
+     * @return \grade_item|false Grade item or false if there is none
+     */
+    private function get_grade_item() {
+        return \grade_item::fetch([
+            'courseid' => $this->course->id,
+            'itemtype' => checkpoint_manager::GRADE_ITEMTYPE,
+            'itemmodule' => checkpoint_manager::GRADE_ITEMMODULE,
+            'iteminstance' => $this->videoid,
+            'itemnumber' => 0
+        ]);
+    }
+
+    /**
+     * Get the grade of the test student on the test video.
+     *
+     * @return float|null Grade
+     */
+    private function get_grade() {
+        $grade = $this->get_grade_item()->get_grade($this->student->id, false);
+        return $grade->finalgrade;
+    }
+}
@@ -0,0 +1,215 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for clip_manager and the clips and trims it queues.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for clip_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class clip_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Test teacher */
+    private $teacher;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->teacher = $this->getDataGenerator()->create_user();
+    }
+
+    /**
+     * Test a clip is a pending video of its own, linked to its parent and queued.
+     */
+    public function test_create_clip() {
+        global $DB;
+
+        $parentid = $this->create_video(['profile_id' => 7]);
+
+        $result = clip_manager::create_clip($parentid, 90, 270, '', $this->teacher->id);
+        $this->assertTrue($result['success']);
+
+        $clip = video_manager::get_video($result['videoid']);
+        $this->assertEquals(video_manager::STATUS_PENDING, $clip->status);
+        $this->assertEquals($parentid, $clip->parent_video_id);
+        $this->assertEquals(90, $clip->clip_start);
+        $this->assertEquals(270, $clip->clip_end);
+        $this->assertEquals(7, $clip->profile_id);
+        $this->assertEquals($this->course->id, $clip->course_id);
+        $this->assertEquals('Lecture 1 (1:30-4:30)', handlers\player_handler::get_video_title($clip));
+        $this->assertTrue(clip_manager::is_clip($clip));
+        $this->assertFalse(clip_manager::is_clip(video_manager::get_video($parentid)));
+        $this->assertTrue($DB->record_exists(video_manager::TABLE_QUEUE, ['video_id' => $clip->id, 'action' => 'clip']));
+
+        $result = clip_manager::create_clip($parentid, 0, 60, '  Introduction ', $this->teacher->id);
+        $this->assertEquals('Introduction', handlers\player_handler::get_video_title(video_manager::get_video($result['videoid'])));
+
+        // Newest first
+        $clips = clip_manager::get_clips($parentid);
+        $this->assertCount(2, $clips);
+        $this->assertEquals($result['videoid'], $clips[0]->id);
+        $this->assertEmpty(clip_manager::get_clips($clips[0]->id));
+    }
+
+    /**
+     * Test clips are only cut from ready videos, within their duration.
+     */
+    public function test_create_clip_validation() {
+        global $DB;
+
+        $parentid = $this->create_video();
+        $this->assertFalse(clip_manager::create_clip($parentid, 60, 62, '', $this->teacher->id)['success']);
+        $this->assertFalse(clip_manager::create_clip($parentid, 120, 60, '', $this->teacher->id)['success']);
+        $this->assertFalse(clip_manager::create_clip($parentid, -5, 60, '', $this->teacher->id)['success']);
+        $this->assertFalse(clip_manager::create_clip($parentid, 500, 700, '', $this->teacher->id)['success']);
+
+        $pendingid = $this->create_video(['status' => video_manager::STATUS_PROCESSING]);
+        $result = clip_manager::create_clip($pendingid, 0, 60, '', $this->teacher->id);
+        $this->assertFalse($result['success']);
+        $this->assertEquals(get_string('error_clip_not_ready', 'local_cloudflarestream'), $result['error']);
+
+        $this->assertEquals(0, $DB->count_records(video_manager::TABLE_VIDEOS, ['parent_video_id' => $parentid]));
+    }
+
+    /**
+     * Test the clip is cut by Cloudflare from the parent and then synced.
+     */
+    public function test_process_clip() {
+        global $DB;
+
+        $parentid = $this->create_video();
+        $clipid = clip_manager::create_clip($parentid, 90, 270, 'Worked example', $this->teacher->id)['videoid'];
+
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->once())
+            ->method('create_clip')
+            ->with('video' . $parentid, 90, 270, ['name' => 'Worked example'])
+            ->willReturn(['success' => true, 'result' => ['uid' => 'clip123']]);
+
+        $result = (new stream_manager($client))->create_clip($clipid);
+        $this->assertTrue($result['success']);
+
+        $clip = video_manager::get_video($clipid);
+        $this->assertEquals('clip123', $clip->cloudflare_video_id);
+        $this->assertEquals(video_manager::STATUS_PROCESSING, $clip->status);
+        $this->assertEquals(180, $clip->duration);
+        $this->assertTrue($DB->record_exists(video_manager::TABLE_QUEUE, ['video_id' => $clipid, 'action' => 'sync']));
+    }
+
+    /**
+     * Test the trim metadata and the part of the video it keeps.
+     */
+    public function test_trim_range() {
+        $this->assertNull(clip_manager::make_trim(0, 0));
+        $this->assertNull(clip_manager::make_trim(-10, 0));
+        $this->assertEquals(['intro' => 15, 'outro' => 0], clip_manager::make_trim(15, 0));
+
+        $videoid = $this->create_video(['metadata' => json_encode(['trim' => clip_manager::make_trim(15, 30)])]);
+        $video = video_manager::get_video($videoid);
+        $this->assertTrue(clip_manager::is_trim_pending($video));
+        $this->assertEquals(['start' => 15, 'end' => 570], clip_manager::get_trim_range($video));
+
+        // Trimming almost everything keeps nothing worth watching
+        video_manager::update_video($videoid, ['duration' => 48]);
+        $this->assertNull(clip_manager::get_trim_range(video_manager::get_video($videoid)));
+
+        $this->assertFalse(clip_manager::is_trim_pending(video_manager::get_video($this->create_video())));
+    }
+
+    /**
+     * Test a processed upload queues its trim once, and the trimmed copy replaces it.
+     */
+    public function test_trim_upload() {
+        global $DB;
+
+        $videoid = $this->create_video([
+            'status' => video_manager::STATUS_PROCESSING,
+            'duration' => 0,
+            'metadata' => json_encode(['name' => 'lecture.mp4', 'trim' => clip_manager::make_trim(15, 30)])
+        ]);
+
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->once())
+            ->method('create_clip')
+            ->with('video' . $videoid, 15, 570, ['name' => 'lecture.mp4'])
+            ->willReturn(['success' => true, 'result' => ['uid' => 'trimmed123']]);
+        $client->expects($this->once())
+            ->method('delete_video')
+            ->with('video' . $videoid)
+            ->willReturn(['success' => true]);
+        $manager = new stream_manager($client);
+
+        // The upload is processed, but stays processing until it is trimmed
+        $processed = ['status' => ['state' => 'ready'], 'duration' => 600];
+        $manager->apply_cloudflare_data(video_manager::get_video($videoid), $processed);
+        $manager->apply_cloudflare_data(video_manager::get_video($videoid), $processed);
+        $this->assertEquals(video_manager::STATUS_PROCESSING, video_manager::get_video($videoid)->status);
+        $this->assertEquals(1, $DB->count_records(video_manager::TABLE_QUEUE, ['video_id' => $videoid, 'action' => 'trim']));
+
+        $this->assertTrue($manager->trim_video($videoid)['success']);
+        $video = video_manager::get_video($videoid);
+        $this->assertEquals('trimmed123', $video->cloudflare_video_id);
+        $this->assertEquals(555, $video->duration);
+        $this->assertEquals('video' . $videoid, clip_manager::get_trim($video)['source']);
+        $this->assertFalse(clip_manager::is_trim_pending($video));
+
+        // Once the trimmed copy is ready, the untrimmed upload is deleted
+        $manager->apply_cloudflare_data($video, ['status' => ['state' => 'ready'], 'duration' => 555]);
+        $video = video_manager::get_video($videoid);
+        $this->assertEquals(video_manager::STATUS_READY, $video->status);
+        $trim = clip_manager::get_trim($video);
+        $this->assertTrue($trim['done']);
+        $this->assertArrayNotHasKey('source', $trim);
+    }
+
+    /**
+     * Create a ready video with a Cloudflare ID.
+     *
+     * @param array $data Fields to override
+     * @return int Video record ID
+     */
+    private function create_video($data = []) {
+        $videoid = video_manager::create_video(1, $this->course->id, $this->teacher->id, 1024000, ['name' => 'Lecture 1']);
+        video_manager::update_video($videoid, $data + [
+            'cloudflare_video_id' => 'video' . $videoid,
+            'status' => video_manager::STATUS_READY,
+            'duration' => 600
+        ]);
+        return $videoid;
+    }
+}
@@ -227,6 +227,20 @@ class config_manager_test extends advanced_testcase {
         $this->assertEquals(524288000, $config['max_file_size']);
     }
 
+    /**
+     * Test sensitive values are encrypted and plain values saved earlier still read back.
+     */
+    public function test_encrypt_value() {
+        $encrypted = config_manager::encrypt_value('secret-value');
+        $this->assertNotEquals('secret-value', $encrypted);
+        $this->assertEquals('secret-value', config_manager::decrypt_value($encrypted));
+        $this->assertEquals('plain-value', config_manager::decrypt_value('plain-value'));
+
+        config_manager::set('webhook_secret', 'secret-value');
+        $this->assertNotEquals('secret-value', get_config('local_cloudflarestream', 'webhook_secret'));
+        $this->assertEquals('secret-value', config_manager::get_all(true)['webhook_secret']);
+    }
+
     /**
      * Test configuration status.
      */
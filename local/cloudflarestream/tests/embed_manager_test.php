@@ -0,0 +1,143 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the embed manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for embed_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class embed_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Enrolled teacher */
+    private $teacher;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+        $this->setUser($this->teacher);
+    }
+
+    /**
+     * Test embed attributes are read however they are quoted.
+     */
+    public function test_parse_embed() {
+        $this->assertEquals(['id' => 12, 'options' => []], embed_manager::parse_embed('id=12'));
+        $this->assertEquals(['id' => 12, 'options' => ['start' => 90, 'autoplay' => true, 'muted' => false]],
+            embed_manager::parse_embed('ID="12" start=\'1:30\' autoplay=true muted=0 colour=red'));
+        $this->assertEquals(['id' => 12, 'options' => ['start' => 45]],
+            embed_manager::parse_embed('id=&quot;12&quot; start=45'));
+
+        // A start that cannot be read is left out
+        $this->assertEquals(['id' => 12, 'options' => []], embed_manager::parse_embed('id=12 start=soon'));
+
+        $this->assertNull(embed_manager::parse_embed('id=abc'));
+        $this->assertNull(embed_manager::parse_embed('start=10'));
+    }
+
+    /**
+     * Test embeds are written the way they are read back.
+     */
+    public function test_build_embed() {
+        $embed = embed_manager::build_embed(12, ['start' => 90, 'autoplay' => true, 'loop' => false]);
+        $this->assertEquals('{cfstream id=12 start=1:30 autoplay=1 loop=0}', $embed);
+
+        preg_match(embed_manager::PATTERN, $embed, $matches);
+        $this->assertEquals(['id' => 12, 'options' => ['start' => 90, 'autoplay' => true, 'loop' => false]],
+            embed_manager::parse_embed($matches[1]));
+
+        $this->assertEquals('{cfstream id=12}', embed_manager::build_embed(12));
+    }
+
+    /**
+     * Test embeds are replaced with players, messages, or left alone when they name no video.
+     */
+    public function test_render_embeds() {
+        $videoid = video_manager::create_video(null, $this->course->id, $this->teacher->id, 1024,
+            ['original_filename' => 'Lecture.mp4']);
+        $context = \context_course::instance($this->course->id);
+
+        $this->assertFalse(embed_manager::has_embeds('<p>No video here</p>'));
+        $this->assertTrue(embed_manager::has_embeds('<p>{CFSTREAM id=1}</p>'));
+
+        // A video still processing shows its status in place of the player
+        $text = embed_manager::render_embeds('<p>Watch {cfstream id=' . $videoid . '} first</p>', $context);
+        $this->assertStringNotContainsString('{cfstream', $text);
+        $this->assertStringNotContainsString('cloudflare-stream-embed-error', $text);
+        $this->assertStringStartsWith('<p>Watch ', $text);
+
+        // A video that does not exist says so
+        $text = embed_manager::render_embeds('{cfstream id=' . ($videoid + 100) . '}', $context);
+        $this->assertStringContainsString('cloudflare-stream-embed-error', $text);
+        $this->assertStringContainsString(get_string('error_video_not_found', 'local_cloudflarestream'), $text);
+
+        $this->assertEquals('{cfstream title=Intro}', embed_manager::render_embeds('{cfstream title=Intro}', $context));
+    }
+
+    /**
+     * Test only the ready videos of the course are offered for embedding.
+     */
+    public function test_get_embeddable_videos() {
+        $ready = $this->create_video('Introduction.mp4', video_manager::STATUS_READY);
+        $this->create_video('Lab.mp4', video_manager::STATUS_PENDING);
+        $other = $this->getDataGenerator()->create_course();
+        video_manager::create_video(null, $other->id, $this->teacher->id, 1024, ['original_filename' => 'Other.mp4']);
+
+        $this->assertEquals([$ready], array_column(embed_manager::get_embeddable_videos($this->course->id), 'id'));
+        $this->assertEmpty(embed_manager::get_embeddable_videos($this->course->id, 'lab'));
+    }
+
+    /**
+     * Create a video in the test course uploaded by the teacher.
+     *
+     * @param string $filename Original filename
+     * @param string $status Video status
+     * @return int Video record ID
+     */
+    private function create_video($filename, $status) {
+        $videoid = video_manager::create_video(null, $this->course->id, $this->teacher->id, 1024,
+            ['original_filename' => $filename]);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => 'cf' . $videoid,
+            'status' => $status,
+            'duration' => 300
+        ]);
+
+        return $videoid;
+    }
+}
@@ -0,0 +1,364 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the plugin external functions.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use external_api;
+use local_cloudflarestream\external\add_bookmark;
+use local_cloudflarestream\external\complete_upload;
+use local_cloudflarestream\external\create_upload;
+use local_cloudflarestream\external\delete_bookmark;
+use local_cloudflarestream\external\get_video_status;
+use local_cloudflarestream\external\get_videos_status;
+use local_cloudflarestream\external\get_user_videos;
+use local_cloudflarestream\external\get_queue_status;
+use local_cloudflarestream\external\get_transcript;
+use local_cloudflarestream\external\record_watch;
+use local_cloudflarestream\external\refresh_token;
+use local_cloudflarestream\external\retry_upload;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->libdir . '/externallib.php');
+
+/**
+ * Test cases for the external functions.
+ *
+ * @group local_cloudflarestream
+ */
+class external_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Enrolled student */
+    private $student;
+
+    /** @var \stdClass Enrolled teacher who uploaded the video */
+    private $teacher;
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $generator = $this->getDataGenerator();
+        $this->course = $generator->create_course();
+        $this->student = $generator->create_user();
+        $this->teacher = $generator->create_user();
+        $generator->enrol_user($this->student->id, $this->course->id, 'student');
+        $generator->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        $this->videoid = video_manager::create_video(1, $this->course->id, $this->teacher->id, 1024000,
+            ['original_filename' => 'lecture.mp4']);
+    }
+
+    /**
+     * Test enrolled users can follow the status of a course video.
+     */
+    public function test_get_video_status() {
+        $this->setUser($this->student);
+
+        $result = get_video_status::execute($this->videoid);
+        $result = external_api::clean_returnvalue(get_video_status::execute_returns(), $result);
+
+        $this->assertEquals($this->videoid, $result['id']);
+        $this->assertEquals(video_manager::STATUS_PENDING, $result['status']);
+        $this->assertEquals('lecture.mp4', $result['filename']);
+    }
+
+    /**
+     * Test users outside the course cannot read the status.
+     */
+    public function test_get_video_status_requires_course_access() {
+        $this->setUser($this->getDataGenerator()->create_user());
+
+        $this->expectException(\require_login_exception::class);
+        get_video_status::execute($this->videoid);
+    }
+
+    /**
+     * Test the batched status check only returns videos of accessible courses.
+     */
+    public function test_get_videos_status() {
+        $othercourse = $this->getDataGenerator()->create_course();
+        $othervideoid = video_manager::create_video(2, $othercourse->id, $this->teacher->id, 1024000);
+        $this->setUser($this->student);
+
+        $result = get_videos_status::execute([
+            ['videoid' => $this->videoid, 'status' => video_manager::STATUS_PENDING],
+            ['videoid' => $othervideoid, 'status' => video_manager::STATUS_PENDING]
+        ]);
+        $result = external_api::clean_returnvalue(get_videos_status::execute_returns(), $result);
+
+        $this->assertFalse($result['changed']);
+        $this->assertCount(1, $result['videos']);
+        $this->assertEquals($this->videoid, $result['videos'][0]['id']);
+    }
+
+    /**
+     * Test the batched status check reports changes right away.
+     */
+    public function test_get_videos_status_reports_changes() {
+        video_manager::update_video($this->videoid, ['status' => video_manager::STATUS_PROCESSING]);
+        $this->setUser($this->student);
+
+        $start = time();
+        $result = get_videos_status::execute([
+            ['videoid' => $this->videoid, 'status' => video_manager::STATUS_PENDING]
+        ], get_videos_status::MAX_WAIT);
+
+        $this->assertTrue($result['changed']);
+        $this->assertEquals(video_manager::STATUS_PROCESSING, $result['videos'][0]['status']);
+        $this->assertLessThan(get_videos_status::CHECK_INTERVAL, time() - $start);
+    }
+
+    /**
+     * Test listing the current user's uploads.
+     */
+    public function test_get_user_videos() {
+        $this->setUser($this->teacher);
+
+        $result = get_user_videos::execute($this->course->id);
+        $result = external_api::clean_returnvalue(get_user_videos::execute_returns(), $result);
+        $this->assertCount(1, $result['videos']);
+
+        $this->setUser($this->student);
+        $result = get_user_videos::execute();
+        $this->assertCount(0, $result['videos']);
+    }
+
+    /**
+     * Test students cannot retry uploads of others.
+     */
+    public function test_retry_upload_requires_permission() {
+        video_manager::update_video($this->videoid, ['status' => video_manager::STATUS_ERROR]);
+        $this->setUser($this->student);
+
+        $this->expectException(\required_capability_exception::class);
+        retry_upload::execute($this->videoid);
+    }
+
+    /**
+     * Test the uploader can retry a failed upload.
+     */
+    public function test_retry_upload() {
+        video_manager::update_video($this->videoid, ['status' => video_manager::STATUS_ERROR]);
+        $this->setUser($this->teacher);
+
+        $result = retry_upload::execute($this->videoid);
+        $this->assertTrue($result['success']);
+        $this->assertEquals(video_manager::STATUS_PENDING, video_manager::get_video($this->videoid)->status);
+    }
+
+    /**
+     * Test students cannot start direct uploads.
+     */
+    public function test_create_upload_requires_permission() {
+        $this->setUser($this->student);
+
+        $this->expectException(\required_capability_exception::class);
+        create_upload::execute($this->course->id, 'lecture.mp4', 1024000);
+    }
+
+    /**
+     * Test only the uploader can finish a direct upload.
+     */
+    public function test_complete_upload_requires_uploader() {
+        video_manager::update_video($this->videoid, ['status' => video_manager::STATUS_UPLOADING]);
+        $this->setUser($this->student);
+
+        $this->expectException(\moodle_exception::class);
+        complete_upload::execute($this->videoid);
+    }
+
+    /**
+     * Test watch heartbeats are refused for videos that are not ready.
+     */
+    public function test_record_watch_requires_viewable_video() {
+        $this->setUser($this->student);
+
+        $this->expectException(\moodle_exception::class);
+        record_watch::execute($this->videoid, [['start' => 0, 'end' => 10]]);
+    }
+
+    /**
+     * Test transcripts are refused for videos the user cannot watch.
+     */
+    public function test_get_transcript_requires_viewable_video() {
+        $this->setUser($this->student);
+
+        $this->expectException(\moodle_exception::class);
+        get_transcript::execute($this->videoid);
+    }
+
+    /**
+     * Test bookmarks can be added to viewable videos and deleted only by their owner.
+     */
+    public function test_bookmarks() {
+        video_manager::update_video($this->videoid, [
+            'status' => video_manager::STATUS_READY,
+            'cloudflare_video_id' => 'abc123'
+        ]);
+        $this->setUser($this->student);
+
+        $result = add_bookmark::execute($this->videoid, 754, 'Key formula');
+        $result = external_api::clean_returnvalue(add_bookmark::execute_returns(), $result);
+        $this->assertEquals(754, $result['position']);
+        $this->assertEquals('Key formula', $result['note']);
+
+        $this->setUser($this->teacher);
+        $this->expectException(\moodle_exception::class);
+        delete_bookmark::execute($result['id']);
+    }
+
+    /**
+     * Test watch heartbeats are recorded for ready videos.
+     */
+    public function test_record_watch() {
+        video_manager::update_video($this->videoid, [
+            'status' => video_manager::STATUS_READY,
+            'cloudflare_video_id' => 'abc123',
+            'duration' => 100
+        ]);
+        $this->setUser($this->student);
+
+        $result = record_watch::execute($this->videoid, [['start' => 0, 'end' => 20]], 100);
+        $result = external_api::clean_returnvalue(record_watch::execute_returns(), $result);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals(20, $result['percentage']);
+    }
+
+    /**
+     * Test watch time is only credited to the activity the player was rendered in.
+     */
+    public function test_record_watch_rejects_forged_cmid() {
+        video_manager::update_video($this->videoid, [
+            'status' => video_manager::STATUS_READY,
+            'cloudflare_video_id' => 'abc123',
+            'duration' => 100
+        ]);
+        $embedding = $this->getDataGenerator()->create_module('page', ['course' => $this->course->id]);
+        $other = $this->getDataGenerator()->create_module('page', ['course' => $this->course->id]);
+        $this->setUser($this->student);
+
+        $invalid = get_string('error_embed_invalid', 'local_cloudflarestream');
+        $segments = [['start' => 0, 'end' => 20]];
+
+        $result = record_watch::execute($this->videoid, $segments, 100, $other->cmid);
+        $this->assertFalse($result['success']);
+        $this->assertEquals($invalid, $result['error']);
+
+        // The signature of one activity cannot be used for another
+        $signature = watch_manager::sign_embed($this->student->id, $this->videoid, $embedding->cmid);
+        $result = record_watch::execute($this->videoid, $segments, 100, $other->cmid, $signature);
+        $this->assertEquals($invalid, $result['error']);
+        $this->assertFalse(watch_manager::get_view($this->student->id, $this->videoid));
+
+        $result = record_watch::execute($this->videoid, $segments, 100, $embedding->cmid, $signature);
+        $this->assertTrue($result['success']);
+        $this->assertEquals($embedding->cmid, watch_manager::get_view($this->student->id, $this->videoid)->cmid);
+    }
+
+    /**
+     * Test a view is used when a player session first reports playing, not when it is opened.
+     */
+    public function test_record_watch_counts_session_once() {
+        video_manager::update_video($this->videoid, [
+            'status' => video_manager::STATUS_READY,
+            'cloudflare_video_id' => 'abc123',
+            'duration' => 100
+        ]);
+        access_rule_manager::save_rules($this->course->id, 0, ['max_views' => 1]);
+        $this->setUser($this->student);
+
+        // Opened players that never play leave the view for the next one
+        $first = stream_session_manager::create_session_key();
+        $second = stream_session_manager::create_session_key();
+        foreach ([$first, $second] as $sessionkey) {
+            token_manager::create_token($this->student->id, $this->videoid, hash('sha256', $sessionkey), time() + 3600,
+                null, null, $sessionkey);
+        }
+        $this->assertFalse(watch_manager::get_view($this->student->id, $this->videoid));
+
+        $segments = [['start' => 0, 'end' => 20]];
+        $this->assertTrue(record_watch::execute($this->videoid, $segments, 100, 0, '', $first)['success']);
+        $this->assertTrue(record_watch::execute($this->videoid, $segments, 100, 0, '', $first)['success']);
+        $this->assertEquals(1, watch_manager::get_view($this->student->id, $this->videoid)->play_count);
+
+        $result = record_watch::execute($this->videoid, $segments, 100, 0, '', $second);
+        $this->assertFalse($result['success']);
+        $this->assertEquals(get_string('access_denied_view_limit_reached', 'local_cloudflarestream', 1), $result['error']);
+        $this->assertEquals(1, watch_manager::get_view($this->student->id, $this->videoid)->play_count);
+    }
+
+    /**
+     * Test a learner who used up their views cannot get a new stream through a token refresh.
+     */
+    public function test_refresh_token_over_view_limit() {
+        video_manager::update_video($this->videoid, [
+            'cloudflare_video_id' => 'abc123',
+            'status' => video_manager::STATUS_READY
+        ]);
+        access_rule_manager::save_rules($this->course->id, 0, ['max_views' => 1]);
+        watch_manager::count_play($this->student->id, $this->videoid);
+        $this->setUser($this->student);
+
+        $invalid = get_string('error_session_invalid', 'local_cloudflarestream');
+        $result = external_api::clean_returnvalue(refresh_token::execute_returns(),
+            refresh_token::execute($this->videoid, ''));
+        $this->assertFalse($result['success']);
+        $this->assertEquals($invalid, $result['error']);
+
+        // Only keys of players opened for this user and video are renewed
+        $sessionkey = stream_session_manager::create_session_key();
+        $this->assertEquals($invalid, refresh_token::execute($this->videoid, $sessionkey)['error']);
+
+        $othervideoid = video_manager::create_video(1, $this->course->id, $this->teacher->id, 1024000);
+        token_manager::create_token($this->student->id, $othervideoid, hash('sha256', $sessionkey), time() + 3600,
+            null, null, $sessionkey);
+        $this->assertEquals($invalid, refresh_token::execute($this->videoid, $sessionkey)['error']);
+
+        token_manager::create_token($this->teacher->id, $this->videoid, hash('sha256', 'teacher'), time() + 3600,
+            null, null, $sessionkey);
+        $this->assertEquals($invalid, refresh_token::execute($this->videoid, $sessionkey)['error']);
+    }
+
+    /**
+     * Test administration functions require site configuration rights.
+     */
+    public function test_admin_functions_require_site_config() {
+        $this->setUser($this->teacher);
+
+        $this->expectException(\required_capability_exception::class);
+        get_queue_status::execute();
+    }
+}
@@ -0,0 +1,191 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for library_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for library_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class library_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Enrolled teacher */
+    private $teacher;
+
+    /** @var \stdClass Enrolled student */
+    private $student;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $generator = $this->getDataGenerator();
+        $this->course = $generator->create_course();
+        $this->teacher = $generator->create_user();
+        $this->student = $generator->create_user();
+        $generator->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+        $generator->enrol_user($this->student->id, $this->course->id, 'student');
+    }
+
+    /**
+     * Test videos are filtered, searched, sorted and paged.
+     */
+    public function test_get_videos() {
+        $intro = $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 300, 1000);
+        $lab = $this->create_video('Lab session.mp4', video_manager::STATUS_READY, 3600, 2000);
+        $failed = $this->create_video('lab recap.mov', video_manager::STATUS_ERROR, 0, 3000);
+
+        // Another course's videos never show up
+        $othercourse = $this->getDataGenerator()->create_course();
+        video_manager::create_video(null, $othercourse->id, $this->teacher->id, 1024, ['original_filename' => 'Lab.mp4']);
+
+        $result = library_manager::get_videos($this->course->id);
+        $this->assertEquals(3, $result['total']);
+        $this->assertEquals([$failed, $lab, $intro], array_column($result['videos'], 'id'));
+
+        $result = library_manager::get_videos($this->course->id, ['search' => 'LAB']);
+        $this->assertEquals([$failed, $lab], array_column($result['videos'], 'id'));
+
+        $result = library_manager::get_videos($this->course->id, ['status' => video_manager::STATUS_READY,
+            'minduration' => 600]);
+        $this->assertEquals([$lab], array_column($result['videos'], 'id'));
+
+        $result = library_manager::get_videos($this->course->id, ['datefrom' => 1500, 'dateto' => 2500]);
+        $this->assertEquals([$lab], array_column($result['videos'], 'id'));
+
+        $result = library_manager::get_videos($this->course->id, [], 'title', 'asc');
+        $this->assertEquals([$intro, $failed, $lab], array_column($result['videos'], 'id'));
+
+        $result = library_manager::get_videos($this->course->id, [], 'title', 'asc', 1, 2);
+        $this->assertEquals(3, $result['total']);
+        $this->assertEquals([$lab], array_column($result['videos'], 'id'));
+    }
+
+    /**
+     * Test the searched title follows the metadata of the video.
+     */
+    public function test_title_follows_metadata() {
+        $videoid = $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 300, 1000);
+        video_manager::update_video($videoid, ['metadata' => json_encode(['name' => 'Week 1 100%_recap'])]);
+
+        $this->assertEquals('Week 1 100%_recap', video_manager::get_video($videoid)->title);
+        $this->assertEquals(0, library_manager::get_videos($this->course->id, ['search' => 'intro'])['total']);
+        $this->assertEquals(1, library_manager::get_videos($this->course->id, ['search' => '100%_'])['total']);
+
+        // Wildcards in the search are matched as they are
+        $this->assertEquals(0, library_manager::get_videos($this->course->id, ['search' => '1_0%'])['total']);
+    }
+
+    /**
+     * Test the uploaders of a course are listed by name.
+     */
+    public function test_get_uploaders() {
+        $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 300, 1000);
+
+        $this->assertEquals([$this->teacher->id => fullname($this->teacher)],
+            library_manager::get_uploaders($this->course->id));
+    }
+
+    /**
+     * Test hidden videos can only be played by people who manage the course.
+     */
+    public function test_hidden_video_access() {
+        $videoid = $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 300, 1000);
+
+        $results = library_manager::apply_bulk_action($this->course->id, 'hide', [$videoid], $this->teacher->id);
+        $this->assertTrue($results[0]['success']);
+        $this->assertTrue(library_manager::is_hidden(video_manager::get_video($videoid)));
+
+        $accesscheck = access_controller::can_view_video($videoid, $this->student->id);
+        $this->assertFalse($accesscheck['allowed']);
+        $this->assertEquals('video_hidden', $accesscheck['reason']);
+        $this->assertTrue(access_controller::can_view_video($videoid, $this->teacher->id)['allowed']);
+
+        library_manager::apply_bulk_action($this->course->id, 'show', [$videoid], $this->teacher->id);
+        $this->assertFalse(library_manager::is_hidden(video_manager::get_video($videoid)));
+    }
+
+    /**
+     * Test bulk actions check each video on its own.
+     */
+    public function test_bulk_action_permissions() {
+        global $DB;
+
+        $ready = $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 300, 1000);
+        $failed = $this->create_video('Lab.mp4', video_manager::STATUS_ERROR, 0, 2000);
+
+        // Students cannot manage videos
+        $results = library_manager::apply_bulk_action($this->course->id, 'hide', [$ready], $this->student->id);
+        $this->assertFalse($results[0]['success']);
+        $this->assertFalse(library_manager::is_hidden(video_manager::get_video($ready)));
+
+        // Videos of other courses are not found through this course
+        $results = library_manager::apply_bulk_action($this->getDataGenerator()->create_course()->id, 'hide',
+            [$ready], $this->teacher->id);
+        $this->assertFalse($results[0]['success']);
+
+        // Retrying only applies to failed uploads
+        $results = library_manager::apply_bulk_action($this->course->id, 'retry', [$ready, $failed], $this->teacher->id);
+        $this->assertFalse($results[0]['success']);
+        $this->assertTrue($results[1]['success']);
+        $this->assertEquals(video_manager::STATUS_PENDING, video_manager::get_video($failed)->status);
+
+        // Syncing is queued for the videos on Cloudflare
+        $results = library_manager::apply_bulk_action($this->course->id, 'resync', [$ready], $this->teacher->id);
+        $this->assertTrue($results[0]['success']);
+        $this->assertTrue($DB->record_exists(video_manager::TABLE_QUEUE, ['video_id' => $ready, 'action' => 'sync']));
+    }
+
+    /**
+     * Create a video in the test course uploaded by the teacher.
+     *
+     * @param string $filename Original filename
+     * @param string $status Video status
+     * @param int $duration Duration in seconds
+     * @param int $uploaddate Upload timestamp
+     * @return int Video record ID
+     */
+    private function create_video($filename, $status, $duration, $uploaddate) {
+        $videoid = video_manager::create_video(null, $this->course->id, $this->teacher->id, 1024,
+            ['original_filename' => $filename]);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => 'cf' . $videoid,
+            'status' => $status,
+            'duration' => $duration,
+            'upload_date' => $uploaddate
+        ]);
+
+        return $videoid;
+    }
+}
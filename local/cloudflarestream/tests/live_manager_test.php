@@ -0,0 +1,258 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for live_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for live_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class live_manager_test extends advanced_testcase {
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        set_config('api_token', 'test_token_1234567890', 'local_cloudflarestream');
+        set_config('account_id', 'testaccount1234567890', 'local_cloudflarestream');
+    }
+
+    /**
+     * Test a session goes live while a broadcast is in progress and ends when it stops.
+     */
+    public function test_apply_input_videos_status() {
+        $session = $this->create_session();
+        $this->assertEquals(live_manager::STATUS_SCHEDULED, $session->status);
+
+        // Nothing broadcast yet
+        $session = live_manager::apply_input_videos($session, []);
+        $this->assertEquals(live_manager::STATUS_SCHEDULED, $session->status);
+
+        $session = live_manager::apply_input_videos($session, [$this->input_video('live1', live_manager::STATE_BROADCASTING)]);
+        $this->assertEquals(live_manager::STATUS_LIVE, $session->status);
+        $this->assertNotEmpty($session->started);
+        $this->assertEmpty($session->ended);
+        $this->assertEquals(0, $session->video_id);
+
+        // The broadcast is over and its recording is being processed
+        $session = live_manager::apply_input_videos($session, [$this->input_video('live1', 'queued')]);
+        $this->assertEquals(live_manager::STATUS_ENDED, $session->status);
+        $this->assertNotEmpty($session->ended);
+        $this->assertNotEmpty($session->video_id);
+    }
+
+    /**
+     * Test recordings become course videos in the account of the session.
+     */
+    public function test_register_recording() {
+        global $DB;
+
+        $session = $this->create_session();
+
+        $session = live_manager::apply_input_videos($session, [
+            $this->input_video('rec2', 'ready', '2025-01-15T11:00:00Z'),
+            $this->input_video('rec1', 'ready', '2025-01-15T10:00:00Z')
+        ]);
+
+        $first = video_manager::get_video_by_cloudflare_id('rec1');
+        $latest = video_manager::get_video_by_cloudflare_id('rec2');
+        $this->assertNotEmpty($first);
+        $this->assertNotEmpty($latest);
+        $this->assertEquals($session->course_id, $latest->course_id);
+        $this->assertEquals($session->user_id, $latest->user_id);
+        $this->assertEquals($session->profile_id, $latest->profile_id);
+        $this->assertEquals(video_manager::STATUS_READY, $latest->status);
+
+        // The session shows its latest recording
+        $this->assertEquals($latest->id, $session->video_id);
+
+        // Registering again does not duplicate the video
+        $this->assertEquals($latest->id, live_manager::register_recording($session, $this->input_video('rec2', 'ready')));
+        $this->assertEquals(2, $DB->count_records(video_manager::TABLE_VIDEOS, ['course_id' => $session->course_id]));
+    }
+
+    /**
+     * Test only videos of known live inputs belong to a session.
+     */
+    public function test_is_session_video() {
+        $this->create_session();
+
+        $this->assertTrue(live_manager::is_session_video($this->input_video('rec1', 'ready')));
+        $this->assertFalse(live_manager::is_session_video(['uid' => 'upload1', 'liveInput' => null]));
+        $this->assertFalse(live_manager::is_session_video(['uid' => 'other1', 'liveInput' => 'unknowninput']));
+    }
+
+    /**
+     * Test the ingest details are stored encrypted and read back.
+     */
+    public function test_get_ingest() {
+        global $DB;
+
+        $session = $this->create_session();
+
+        $stored = $DB->get_field(live_manager::TABLE_LIVE, 'ingest', ['id' => $session->id]);
+        $this->assertStringNotContainsString('rtmpskey123', $stored);
+
+        $ingest = live_manager::get_ingest($session);
+        $this->assertEquals('rtmps://live.cloudflare.com:443/live/', $ingest['rtmps_url']);
+        $this->assertEquals('rtmpskey123', $ingest['rtmps_key']);
+    }
+
+    /**
+     * Test an empty name is refused before calling Cloudflare.
+     */
+    public function test_create_session_requires_name() {
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+
+        $result = live_manager::create_session($course->id, $user->id, '  ', time());
+        $this->assertFalse($result['success']);
+        $this->assertEquals(get_string('error_live_name', 'local_cloudflarestream'), $result['error']);
+    }
+
+    /**
+     * Test who may watch a session.
+     */
+    public function test_can_view_live_session() {
+        $session = $this->create_session();
+
+        $student = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($student->id, $session->course_id, 'student');
+        $outsider = $this->getDataGenerator()->create_user();
+
+        $this->assertTrue(access_controller::can_view_live_session($session, $session->user_id)['allowed']);
+        $this->assertTrue(access_controller::can_view_live_session($session, $student->id)['allowed']);
+
+        $result = access_controller::can_view_live_session($session, $outsider->id);
+        $this->assertFalse($result['allowed']);
+        $this->assertEquals('not_enrolled', $result['reason']);
+
+        $this->assertFalse(access_controller::can_view_live_session($session, 0)['allowed']);
+    }
+
+    /**
+     * Test the live token of a learner carries the access rules of the course.
+     */
+    public function test_live_token_rules() {
+        $session = $this->create_session();
+        $student = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($student->id, $session->course_id, 'student');
+
+        $resource = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($resource, $privatekey);
+        auth\signing_key_manager::add_key('key1', $privatekey);
+
+        set_config('blocked_countries', 'RU', 'local_cloudflarestream');
+        access_rule_manager::save_rules($session->course_id, 0, ['allowed_countries' => 'GB']);
+
+        $result = auth\token_manager::generate_live_url($session, $student->id);
+        $this->assertTrue($result['success']);
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+            ['type' => 'ip.geoip.country', 'action' => 'allow', 'country' => ['GB']],
+            ['type' => 'any', 'action' => 'block'],
+        ], $this->get_token_payload($result['signed_url'])['accessRules']);
+
+        // The teacher who broadcasts only gets the site rules
+        $result = auth\token_manager::generate_live_url($session, $session->user_id);
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+        ], $this->get_token_payload($result['signed_url'])['accessRules']);
+    }
+
+    /**
+     * Create a session the way create_session stores it, without calling Cloudflare.
+     *
+     * @return \stdClass Session record
+     */
+    private function create_session() {
+        global $DB;
+
+        $course = $this->getDataGenerator()->create_course();
+        $teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($teacher->id, $course->id, 'editingteacher');
+
+        $ingest = [
+            'rtmps_url' => 'rtmps://live.cloudflare.com:443/live/',
+            'rtmps_key' => 'rtmpskey123',
+            'srt_url' => 'srt://live.cloudflare.com:778',
+            'srt_stream_id' => 'srtstream123',
+            'srt_passphrase' => 'srtpass123'
+        ];
+
+        $id = $DB->insert_record(live_manager::TABLE_LIVE, (object)[
+            'course_id' => $course->id,
+            'user_id' => $teacher->id,
+            'profile_id' => 0,
+            'name' => 'Week 1 lecture',
+            'live_input_id' => 'input123',
+            'ingest' => config_manager::encrypt_value(json_encode($ingest)),
+            'status' => live_manager::STATUS_SCHEDULED,
+            'scheduled_start' => time() + HOURSECS,
+            'video_id' => 0,
+            'timechecked' => 0,
+            'timecreated' => time(),
+            'timemodified' => time()
+        ]);
+
+        return live_manager::get_session($id);
+    }
+
+    /**
+     * Decode the payload of a signed playback token.
+     *
+     * @param string $token Signed token
+     * @return array Token claims
+     */
+    private function get_token_payload($token) {
+        $payload = explode('.', $token)[1];
+        return json_decode(base64_decode(strtr($payload, '-_', '+/')), true);
+    }
+
+    /**
+     * Build a video of the test live input as the Cloudflare API lists it.
+     *
+     * @param string $uid Cloudflare video ID
+     * @param string $state Processing state
+     * @param string $created Creation date
+     * @return array Video data
+     */
+    private function input_video($uid, $state, $created = '2025-01-15T10:00:00Z') {
+        return [
+            'uid' => $uid,
+            'liveInput' => 'input123',
+            'created' => $created,
+            'size' => 1024,
+            'duration' => $state === 'ready' ? 3600 : -1,
+            'status' => ['state' => $state]
+        ];
+    }
+}
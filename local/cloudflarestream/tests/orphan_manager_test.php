@@ -0,0 +1,171 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for orphan_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for orphan_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class orphan_manager_test extends advanced_testcase {
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+    }
+
+    /**
+     * Test orphans are recorded once and keep their review status.
+     */
+    public function test_record_orphan() {
+        global $DB;
+
+        $orphanid = orphan_manager::record_orphan($this->cloudflare_video('abc123', 'Old lecture.mp4'));
+        $orphan = $DB->get_record(orphan_manager::TABLE_ORPHANS, ['id' => $orphanid]);
+        $this->assertEquals('Old lecture.mp4', $orphan->name);
+        $this->assertEquals(orphan_manager::STATUS_NEW, $orphan->status);
+        $this->assertEquals(125, $orphan->duration);
+        $this->assertEquals(strtotime('2024-05-01T10:00:00Z'), $orphan->created);
+
+        orphan_manager::apply_action('ignore', [$orphanid]);
+        $this->assertTrue(orphan_manager::is_reviewed('abc123'));
+
+        // Found again by the sync task
+        $this->assertEquals($orphanid, orphan_manager::record_orphan($this->cloudflare_video('abc123', 'Renamed.mp4')));
+        $orphan = $DB->get_record(orphan_manager::TABLE_ORPHANS, ['id' => $orphanid]);
+        $this->assertEquals('Renamed.mp4', $orphan->name);
+        $this->assertEquals(orphan_manager::STATUS_IGNORED, $orphan->status);
+        $this->assertEquals(1, $DB->count_records(orphan_manager::TABLE_ORPHANS));
+    }
+
+    /**
+     * Test adopting creates a course video without a Moodle file.
+     */
+    public function test_adopt() {
+        global $DB;
+
+        $course = $this->getDataGenerator()->create_course();
+        $admin = get_admin();
+        $orphanid = orphan_manager::record_orphan($this->cloudflare_video('abc123', 'Old lecture.mp4'));
+
+        $results = orphan_manager::apply_action('adopt', [$orphanid], $course->id, $admin->id);
+        $this->assertTrue($results[0]['success']);
+        $this->assertFalse($DB->record_exists(orphan_manager::TABLE_ORPHANS, ['id' => $orphanid]));
+
+        $video = video_manager::get_video_by_cloudflare_id('abc123');
+        $this->assertNotEmpty($video);
+        $this->assertNull($video->moodle_file_id);
+        $this->assertEquals($course->id, $video->course_id);
+        $this->assertEquals($admin->id, $video->user_id);
+        $this->assertEquals(video_manager::STATUS_READY, $video->status);
+        $this->assertEquals(125, $video->duration);
+        $this->assertEquals('Old lecture.mp4', handlers\player_handler::get_video_title($video));
+
+        // A course is required
+        $orphanid = orphan_manager::record_orphan($this->cloudflare_video('def456', 'Other.mp4'));
+        $this->expectException(\moodle_exception::class);
+        orphan_manager::apply_action('adopt', [$orphanid], 0, $admin->id);
+    }
+
+    /**
+     * Test scheduling, restoring and counting orphans.
+     */
+    public function test_schedule_and_restore() {
+        global $DB;
+
+        $first = orphan_manager::record_orphan($this->cloudflare_video('abc123', 'First.mp4'));
+        $second = orphan_manager::record_orphan($this->cloudflare_video('def456', 'Second.mp4'));
+
+        orphan_manager::apply_action('schedule', [$first]);
+        $orphan = $DB->get_record(orphan_manager::TABLE_ORPHANS, ['id' => $first]);
+        $this->assertEquals(orphan_manager::STATUS_SCHEDULED, $orphan->status);
+        $this->assertGreaterThanOrEqual(time() + orphan_manager::DELETE_DELAY - 5, $orphan->delete_after);
+
+        $this->assertEquals([
+            orphan_manager::STATUS_NEW => 1,
+            orphan_manager::STATUS_SCHEDULED => 1,
+            orphan_manager::STATUS_IGNORED => 0
+        ], orphan_manager::count_by_status());
+        $this->assertEquals([$second], array_keys(orphan_manager::get_orphans()['orphans']));
+
+        // Nothing is due yet
+        $this->assertEquals(['deleted' => 0, 'failed' => 0], orphan_manager::delete_due_orphans());
+
+        orphan_manager::apply_action('restore', [$first]);
+        $orphan = $DB->get_record(orphan_manager::TABLE_ORPHANS, ['id' => $first]);
+        $this->assertEquals(orphan_manager::STATUS_NEW, $orphan->status);
+        $this->assertNull($orphan->delete_after);
+        $this->assertFalse(orphan_manager::is_reviewed('abc123'));
+
+        $results = orphan_manager::apply_action('ignore', [999999]);
+        $this->assertFalse($results[0]['success']);
+    }
+
+    /**
+     * Test orphans that got a Moodle record or left Cloudflare are forgotten.
+     */
+    public function test_forget_resolved() {
+        global $DB;
+
+        orphan_manager::record_orphan($this->cloudflare_video('abc123', 'Adopted elsewhere.mp4'));
+        orphan_manager::record_orphan($this->cloudflare_video('def456', 'Deleted.mp4'));
+        orphan_manager::record_orphan($this->cloudflare_video('ghi789', 'Still there.mp4'));
+
+        $videoid = video_manager::create_video(null, SITEID, get_admin()->id, 1024);
+        video_manager::update_video($videoid, ['cloudflare_video_id' => 'abc123']);
+
+        orphan_manager::forget_resolved(['abc123', 'ghi789']);
+        $this->assertEquals(['ghi789'], array_values($DB->get_fieldset_select(orphan_manager::TABLE_ORPHANS,
+            'cloudflare_video_id', '1 = 1')));
+    }
+
+    /**
+     * Build video data as returned by the Cloudflare API.
+     *
+     * @param string $uid Cloudflare video ID
+     * @param string $name Video name
+     * @return array Video data
+     */
+    private function cloudflare_video($uid, $name) {
+        return [
+            'uid' => $uid,
+            'thumbnail' => "https://videodelivery.net/{$uid}/thumbnails/thumbnail.jpg",
+            'readyToStream' => true,
+            'requireSignedURLs' => true,
+            'status' => ['state' => 'ready'],
+            'meta' => ['name' => $name, 'course' => 'BIO101'],
+            'created' => '2024-05-01T10:00:00Z',
+            'size' => 1048576,
+            'duration' => 124.6,
+            'input' => ['width' => 1920, 'height' => 1080]
+        ];
+    }
+}
@@ -0,0 +1,169 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Unit tests for the fallback player of player_handler.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\handlers\player_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for the fallback player of player_handler.
+ *
+ * @group local_cloudflarestream
+ */
+class player_handler_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Test user, owner of the videos */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->setUser($this->user);
+    }
+
+    /**
+     * Test the original Moodle file is played while it is still kept.
+     */
+    public function test_fallback_player_uses_local_file() {
+        $file = get_file_storage()->create_file_from_string([
+            'contextid' => \context_course::instance($this->course->id)->id,
+            'component' => 'course',
+            'filearea' => 'legacy',
+            'itemid' => 0,
+            'filepath' => '/',
+            'filename' => 'lecture.webm',
+            'mimetype' => 'video/webm'
+        ], 'video');
+
+        $videoid = $this->create_ready_video($file->get_id());
+        $result = player_handler::generate_fallback_player($videoid, ['session_key' => $this->open_session($videoid)]);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals('file', $result['type']);
+        $this->assertStringContainsString('lecture.webm', $result['html']);
+        $this->assertStringContainsString('type="video/webm"', $result['html']);
+        $this->assertStringNotContainsString('data-hls-src', $result['html']);
+    }
+
+    /**
+     * Test there is no fallback without a local file or a Cloudflare video.
+     */
+    public function test_fallback_player_unavailable() {
+        $videoid = $this->create_ready_video(null);
+        video_manager::update_video($videoid, ['cloudflare_video_id' => '']);
+
+        $result = player_handler::generate_fallback_player($videoid, ['session_key' => $this->open_session($videoid)]);
+
+        $this->assertFalse($result['success']);
+        $this->assertEquals(get_string('error_no_fallback', 'local_cloudflarestream'), $result['error']);
+    }
+
+    /**
+     * Test users who cannot view the video get no fallback either.
+     */
+    public function test_fallback_player_requires_access() {
+        $videoid = $this->create_ready_video(null);
+        $this->setUser($this->getDataGenerator()->create_user());
+
+        $result = player_handler::generate_fallback_player($videoid);
+
+        $this->assertFalse($result['success']);
+        $this->assertArrayNotHasKey('html', $result);
+    }
+
+    /**
+     * Test the fallback only replaces a player that was opened, and counted, for the user.
+     */
+    public function test_fallback_player_requires_session() {
+        global $DB;
+
+        $videoid = $this->create_ready_video(null);
+        $invalid = get_string('error_session_invalid', 'local_cloudflarestream');
+
+        $result = player_handler::generate_fallback_player($videoid);
+        $this->assertFalse($result['success']);
+        $this->assertEquals($invalid, $result['error']);
+
+        $sessionkey = stream_session_manager::create_session_key();
+        $result = player_handler::generate_fallback_player($videoid, ['session_key' => $sessionkey]);
+        $this->assertEquals($invalid, $result['error']);
+
+        // A session ended by the concurrent stream limit does not come back through the fallback
+        $sessionkey = $this->open_session($videoid);
+        $DB->set_field(token_manager::TABLE_TOKENS, 'ended_at', time(), ['session_key' => $sessionkey]);
+        $result = player_handler::generate_fallback_player($videoid, ['session_key' => $sessionkey]);
+        $this->assertEquals(get_string('stream_taken_over', 'local_cloudflarestream'), $result['error']);
+    }
+
+    /**
+     * Test HLS manifest URLs point at the Cloudflare delivery domain.
+     */
+    public function test_generate_hls_url() {
+        $this->assertEquals('https://videodelivery.net/abc123/manifest/video.m3u8',
+            player_handler::generate_hls_url('abc123'));
+    }
+
+    /**
+     * Open a player session for the test user the way generate_player() does, by issuing a token to it.
+     *
+     * @param int $videoid Video record ID
+     * @return string Session key
+     */
+    private function open_session($videoid) {
+        $sessionkey = stream_session_manager::create_session_key();
+        token_manager::create_token($this->user->id, $videoid, hash('sha256', $sessionkey), time() + 3600, null, null,
+            $sessionkey);
+
+        return $sessionkey;
+    }
+
+    /**
+     * Create a ready video owned by the test user.
+     *
+     * @param int|null $fileid Moodle file ID
+     * @return int Video record ID
+     */
+    private function create_ready_video($fileid) {
+        $videoid = video_manager::create_video($fileid, $this->course->id, $this->user->id, 1024,
+            ['original_filename' => 'lecture.webm']);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => 'abc123',
+            'status' => video_manager::STATUS_READY
+        ]);
+
+        return $videoid;
+    }
+}
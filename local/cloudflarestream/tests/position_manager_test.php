@@ -0,0 +1,118 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for position_manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for position_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class position_manager_test extends advanced_testcase {
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /** @var \stdClass Test user */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->videoid = video_manager::create_video(1, $course->id, $this->user->id, 1024000);
+    }
+
+    /**
+     * Test saving and reading back a playback position.
+     */
+    public function test_save_and_get_position() {
+        $this->assertTrue(position_manager::save_position($this->user->id, $this->videoid, 2052, 3600));
+        $this->assertEquals(2052, position_manager::get_resume_position($this->user->id, $this->videoid));
+
+        // Saving again updates the existing record
+        $this->assertTrue(position_manager::save_position($this->user->id, $this->videoid, 2100, 3600));
+        $this->assertEquals(2100, position_manager::get_resume_position($this->user->id, $this->videoid));
+
+        global $DB;
+        $this->assertEquals(1, $DB->count_records(position_manager::TABLE_POSITIONS));
+    }
+
+    /**
+     * Test that positions at the start or end of a video are not resumable.
+     */
+    public function test_positions_near_start_or_end_are_cleared() {
+        position_manager::save_position($this->user->id, $this->videoid, 600, 3600);
+
+        // Near the start
+        $this->assertFalse(position_manager::save_position($this->user->id, $this->videoid, 5, 3600));
+        $this->assertFalse(position_manager::get_position($this->user->id, $this->videoid));
+
+        position_manager::save_position($this->user->id, $this->videoid, 600, 3600);
+
+        // Near the end
+        $this->assertFalse(position_manager::save_position($this->user->id, $this->videoid, 3590, 3600));
+        $this->assertEquals(0, position_manager::get_resume_position($this->user->id, $this->videoid));
+    }
+
+    /**
+     * Test positions are removed together with their video.
+     */
+    public function test_positions_deleted_with_video() {
+        position_manager::save_position($this->user->id, $this->videoid, 600, 3600);
+
+        video_manager::delete_video($this->videoid);
+
+        $this->assertFalse(position_manager::get_position($this->user->id, $this->videoid));
+    }
+
+    /**
+     * Test position formatting.
+     */
+    public function test_format_position() {
+        $this->assertEquals('0:00', position_manager::format_position(0));
+        $this->assertEquals('34:12', position_manager::format_position(2052));
+        $this->assertEquals('1:02:03', position_manager::format_position(3723));
+    }
+
+    /**
+     * Test positions are read back in the format they are written.
+     */
+    public function test_parse_position() {
+        $this->assertSame(0, position_manager::parse_position('0:00'));
+        $this->assertSame(2052, position_manager::parse_position(' 34:12 '));
+        $this->assertSame(3723, position_manager::parse_position('1:02:03'));
+        $this->assertNull(position_manager::parse_position('90'));
+        $this->assertNull(position_manager::parse_position('1:2'));
+        $this->assertNull(position_manager::parse_position('abc'));
+    }
+}
@@ -0,0 +1,209 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for profile_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\auth\signing_key_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for profile_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class profile_manager_test extends advanced_testcase {
+
+    /** @var string A well-formed API token */
+    const TOKEN = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEF';
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+    }
+
+    /**
+     * Create a profile.
+     *
+     * @param string $name Profile name
+     * @param int $quota Storage quota in minutes
+     * @return int Profile ID
+     */
+    private function create_profile($name, $quota = 0) {
+        $result = profile_manager::save_profile([
+            'name' => $name,
+            'account_id' => str_pad(dechex(crc32($name)), 32, '0'),
+            'api_token' => self::TOKEN,
+            'storage_quota' => $quota
+        ]);
+        $this->assertTrue($result['success']);
+        return $result['id'];
+    }
+
+    /**
+     * Test that a course uses its own profile, else the nearest category's, else the site credentials.
+     */
+    public function test_course_profile_resolution() {
+        $generator = $this->getDataGenerator();
+        $faculty = $generator->create_category();
+        $department = $generator->create_category(['parent' => $faculty->id]);
+        $course = $generator->create_course(['category' => $department->id]);
+        $other = $generator->create_course();
+
+        $this->assertEquals(0, profile_manager::get_course_profile_id($course->id));
+
+        $facultyprofile = $this->create_profile('Faculty');
+        profile_manager::set_assignments($facultyprofile, [$faculty->id], []);
+        $this->assertEquals($facultyprofile, profile_manager::get_course_profile_id($course->id));
+        $this->assertEquals(0, profile_manager::get_course_profile_id($other->id));
+
+        $departmentprofile = $this->create_profile('Department');
+        profile_manager::set_assignments($departmentprofile, [$department->id], []);
+        $this->assertEquals($departmentprofile, profile_manager::get_course_profile_id($course->id));
+
+        $courseprofile = $this->create_profile('Course');
+        profile_manager::set_assignments($courseprofile, [], [$course->id]);
+        $this->assertEquals($courseprofile, profile_manager::get_course_profile_id($course->id));
+
+        // Assigning a category to another profile moves it
+        profile_manager::set_assignments($facultyprofile, [$department->id], []);
+        $this->assertEmpty(profile_manager::get_assignments($departmentprofile)['categories']);
+        $assignments = profile_manager::get_assignments($courseprofile);
+        $this->assertEquals([$course->shortname], array_column($assignments['courses'], 'shortname'));
+    }
+
+    /**
+     * Test that videos keep the profile they were created with.
+     */
+    public function test_video_remembers_profile() {
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $profileid = $this->create_profile('Medicine');
+        profile_manager::set_assignments($profileid, [], [$course->id]);
+
+        $videoid = video_manager::create_video(null, $course->id, $user->id, 1024, []);
+        profile_manager::set_assignments($profileid, [], []);
+        $newvideoid = video_manager::create_video(null, $course->id, $user->id, 1024, []);
+
+        $this->assertEquals($profileid, video_manager::get_video($videoid)->profile_id);
+        $this->assertEquals(0, video_manager::get_video($newvideoid)->profile_id);
+    }
+
+    /**
+     * Test profile validation and that the API token is stored encrypted and kept when left empty.
+     */
+    public function test_save_profile() {
+        $this->assertFalse(profile_manager::save_profile(['name' => '', 'account_id' => str_repeat('a', 32),
+            'api_token' => self::TOKEN])['success']);
+        $this->assertFalse(profile_manager::save_profile(['name' => 'Bad', 'account_id' => 'not-an-id',
+            'api_token' => self::TOKEN])['success']);
+        $this->assertFalse(profile_manager::save_profile(['name' => 'No token', 'account_id' => str_repeat('a', 32),
+            'api_token' => ''])['success']);
+
+        $profileid = $this->create_profile('Law');
+        $this->assertFalse(profile_manager::save_profile(['name' => 'Law', 'account_id' => str_repeat('b', 32),
+            'api_token' => self::TOKEN])['success']);
+
+        $profile = profile_manager::get_profile($profileid);
+        $this->assertNotEquals(self::TOKEN, $profile->api_token);
+        $this->assertEquals(self::TOKEN, config_manager::decrypt_value($profile->api_token));
+
+        $result = profile_manager::save_profile(['id' => $profileid, 'name' => 'Law school',
+            'account_id' => $profile->account_id, 'api_token' => '', 'storage_quota' => 60]);
+        $this->assertTrue($result['success']);
+        $profile = profile_manager::get_profile($profileid);
+        $this->assertEquals('Law school', $profile->name);
+        $this->assertEquals(60, $profile->storage_quota);
+        $this->assertEquals(self::TOKEN, config_manager::decrypt_value($profile->api_token));
+    }
+
+    /**
+     * Test that uploads are refused once the quota is used up.
+     */
+    public function test_check_quota() {
+        global $DB;
+
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $profileid = $this->create_profile('Arts', 2);
+        profile_manager::set_assignments($profileid, [], [$course->id]);
+
+        $this->assertTrue(profile_manager::check_quota($profileid)['success']);
+        $this->assertTrue(profile_manager::check_quota(0)['success']);
+
+        $failed = video_manager::create_video(null, $course->id, $user->id, 1024, []);
+        $DB->set_field(video_manager::TABLE_VIDEOS, 'duration', 600, ['id' => $failed]);
+        $DB->set_field(video_manager::TABLE_VIDEOS, 'status', video_manager::STATUS_ERROR, ['id' => $failed]);
+        $this->assertEquals(0, profile_manager::get_used_minutes($profileid));
+
+        $videoid = video_manager::create_video(null, $course->id, $user->id, 1024, []);
+        $DB->set_field(video_manager::TABLE_VIDEOS, 'duration', 61, ['id' => $videoid]);
+        $this->assertEquals(2, profile_manager::get_used_minutes($profileid));
+        $this->assertFalse(profile_manager::check_quota($profileid)['success']);
+    }
+
+    /**
+     * Test that profiles holding videos cannot be deleted.
+     */
+    public function test_delete_profile() {
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $profileid = $this->create_profile('History');
+        profile_manager::set_assignments($profileid, [], [$course->id]);
+        $videoid = video_manager::create_video(null, $course->id, $user->id, 1024, []);
+
+        $this->assertFalse(profile_manager::delete_profile($profileid)['success']);
+
+        video_manager::delete_video($videoid);
+        $this->assertTrue(profile_manager::delete_profile($profileid)['success']);
+        $this->assertFalse(profile_manager::get_profile($profileid));
+        $this->assertEquals(0, profile_manager::get_course_profile_id($course->id));
+    }
+
+    /**
+     * Test that every profile keeps its own signing keys.
+     */
+    public function test_signing_keys_per_profile() {
+        $profileid = $this->create_profile('Science');
+        $key = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($key, $pem);
+
+        signing_key_manager::add_key('sitekey', $pem);
+        signing_key_manager::add_key('profilekey', $pem, null, $profileid);
+
+        $this->assertEquals('sitekey', signing_key_manager::get_active_key()['id']);
+        $this->assertEquals('profilekey', signing_key_manager::get_active_key($profileid)['id']);
+        $this->assertCount(1, signing_key_manager::get_keys($profileid));
+
+        // A new account needs new keys
+        $profile = profile_manager::get_profile($profileid);
+        profile_manager::save_profile(['id' => $profileid, 'name' => $profile->name,
+            'account_id' => str_repeat('c', 32), 'api_token' => '']);
+        $this->assertNull(signing_key_manager::get_active_key($profileid));
+        $this->assertEquals('sitekey', signing_key_manager::get_active_key()['id']);
+    }
+}
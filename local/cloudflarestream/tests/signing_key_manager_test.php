@@ -0,0 +1,182 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for signing_key_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\auth\signing_key_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for signing_key_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class signing_key_manager_test extends advanced_testcase {
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+    }
+
+    /**
+     * Test tokens are signed with RS256 and carry the playback claims.
+     */
+    public function test_sign_token() {
+        $key = $this->generate_key();
+        signing_key_manager::add_key('key1', $key['private']);
+
+        $rules = signing_key_manager::build_access_rules(['GB'], [], []);
+        $expiry = time() + 3600;
+        $result = signing_key_manager::sign_token('abc123', $expiry, ['downloadable' => true, 'access_rules' => $rules]);
+        $this->assertTrue($result['success']);
+
+        list($header, $payload, $signature) = explode('.', $result['token']);
+        $this->assertEquals(1, openssl_verify($header . '.' . $payload, $this->base64url_decode($signature),
+            $key['public'], OPENSSL_ALGO_SHA256));
+
+        $header = json_decode($this->base64url_decode($header), true);
+        $this->assertEquals(['alg' => 'RS256', 'kid' => 'key1'], $header);
+
+        $payload = json_decode($this->base64url_decode($payload), true);
+        $this->assertEquals('abc123', $payload['sub']);
+        $this->assertEquals('key1', $payload['kid']);
+        $this->assertEquals($expiry, $payload['exp']);
+        $this->assertLessThanOrEqual(time(), $payload['nbf']);
+        $this->assertTrue($payload['downloadable']);
+        $this->assertEquals($rules, $payload['accessRules']);
+    }
+
+    /**
+     * Test signing fails cleanly when there is no key and no API to create one.
+     */
+    public function test_sign_token_without_key() {
+        $result = signing_key_manager::sign_token('abc123', time() + 3600);
+        $this->assertFalse($result['success']);
+        $this->assertNotEmpty($result['error']);
+    }
+
+    /**
+     * Test the private key is stored encrypted.
+     */
+    public function test_private_key_is_encrypted() {
+        $key = $this->generate_key();
+        signing_key_manager::add_key('key1', $key['private']);
+
+        $stored = get_config('local_cloudflarestream', signing_key_manager::CONFIG_KEYS);
+        $this->assertStringNotContainsString('PRIVATE KEY', $stored);
+        $this->assertEquals($key['private'], signing_key_manager::get_active_key()['pem']);
+    }
+
+    /**
+     * Test a rotated key stays valid for the grace period.
+     */
+    public function test_rotation_grace_period() {
+        set_config('signing_key_grace', 7200, 'local_cloudflarestream');
+        set_config('token_expiry', 3600, 'local_cloudflarestream');
+        $now = time();
+
+        signing_key_manager::add_key('key1', $this->generate_key()['private'], $now - 100);
+        signing_key_manager::add_key('key2', $this->generate_key()['private'], $now);
+
+        $keys = signing_key_manager::get_keys();
+        $this->assertCount(2, $keys);
+        $this->assertEquals('key2', $keys[0]['id']);
+        $this->assertEquals(0, $keys[0]['retired']);
+        $this->assertEquals('key1', $keys[1]['id']);
+        $this->assertEquals($now + 7200, $keys[1]['valid_until']);
+        $this->assertEquals('key2', signing_key_manager::get_active_key()['id']);
+
+        // Within the grace period the previous key is kept
+        $this->assertEquals(0, signing_key_manager::remove_expired_keys($now + 7199));
+        $this->assertCount(2, signing_key_manager::get_keys());
+    }
+
+    /**
+     * Test the grace period is never shorter than the token lifetime.
+     */
+    public function test_grace_period_covers_token_expiry() {
+        set_config('signing_key_grace', 60, 'local_cloudflarestream');
+        set_config('token_expiry', 3600, 'local_cloudflarestream');
+        $this->assertEquals(3600, signing_key_manager::get_grace_period());
+    }
+
+    /**
+     * Test access rules are built in the order Cloudflare evaluates them.
+     */
+    public function test_build_access_rules() {
+        $this->assertEquals([], signing_key_manager::build_access_rules());
+
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+        ], signing_key_manager::build_access_rules([], ['RU'], []));
+
+        $this->assertEquals([
+            ['type' => 'ip.geoip.country', 'action' => 'block', 'country' => ['RU']],
+            ['type' => 'ip.src', 'action' => 'allow', 'ip' => ['10.0.0.0/8']],
+            ['type' => 'ip.geoip.country', 'action' => 'allow', 'country' => ['GB', 'DE']],
+            ['type' => 'any', 'action' => 'block'],
+        ], signing_key_manager::build_access_rules(['GB', 'DE'], ['RU'], ['10.0.0.0/8']));
+    }
+
+    /**
+     * Test the site settings are parsed into access rules.
+     */
+    public function test_site_access_rules() {
+        set_config('allowed_countries', "gb, de\nxyz", 'local_cloudflarestream');
+        set_config('allowed_ip_ranges', "10.0.0.0/8\n192.168.1.5\nnot-an-ip\n10.0.0.0/99", 'local_cloudflarestream');
+
+        $rules = signing_key_manager::get_site_access_rules();
+        $this->assertEquals(['10.0.0.0/8', '192.168.1.5/32'], $rules[0]['ip']);
+        $this->assertEquals(['GB', 'DE'], $rules[1]['country']);
+
+        // A token limited to the viewer only allows the viewer's address
+        $rules = signing_key_manager::get_site_access_rules('10.1.2.3');
+        $this->assertEquals(['10.1.2.3/32'], $rules[0]['ip']);
+    }
+
+    /**
+     * Generate an RSA key pair.
+     *
+     * @return array Private and public key in PEM format
+     */
+    private function generate_key() {
+        $resource = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($resource, $private);
+        return ['private' => $private, 'public' => openssl_pkey_get_details($resource)['key']];
+    }
+
+    /**
+     * Base64 URL decode.
+     *
+     * @param string $data Data to decode
+     * @return string Decoded data
+     */
+    private function base64url_decode($data) {
+        return base64_decode(strtr($data, '-_', '+/'));
+    }
+}
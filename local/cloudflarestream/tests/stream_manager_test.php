@@ -0,0 +1,160 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for stream_manager direct uploads.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\api\cloudflare_client;
+use local_cloudflarestream\api\stream_manager;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for stream_manager direct uploads.
+ *
+ * @group local_cloudflarestream
+ */
+class stream_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Test teacher */
+    private $teacher;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        config_manager::set('max_file_size', 5368709120); // 5GB
+        config_manager::set('supported_formats', 'mp4,mov');
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->teacher = $this->getDataGenerator()->create_user();
+    }
+
+    /**
+     * Test a direct upload creates a video without a Moodle file.
+     */
+    public function test_create_direct_upload() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->once())
+            ->method('create_tus_upload')
+            ->with(4294967296, $this->callback(function($metadata) {
+                return $metadata['name'] === 'lecture.mp4' && array_key_exists('requiresignedurls', $metadata);
+            }))
+            ->willReturn([
+                'success' => true,
+                'result' => [
+                    'uploadURL' => 'https://upload.videodelivery.net/tus/abc123',
+                    'uid' => 'abc123'
+                ]
+            ]);
+
+        $manager = new stream_manager($client);
+        $result = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'lecture.mp4', 4294967296);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals('https://upload.videodelivery.net/tus/abc123', $result['upload_url']);
+
+        $video = video_manager::get_video($result['videoid']);
+        $this->assertNull($video->moodle_file_id);
+        $this->assertEquals('abc123', $video->cloudflare_video_id);
+        $this->assertEquals(video_manager::STATUS_UPLOADING, $video->status);
+        $this->assertEquals('lecture.mp4', json_decode($video->metadata, true)['original_filename']);
+    }
+
+    /**
+     * Test unsupported or oversized files never reach Cloudflare.
+     */
+    public function test_create_direct_upload_validation() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->never())->method('create_tus_upload');
+        $manager = new stream_manager($client);
+
+        $result = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'slides.pdf', 1024);
+        $this->assertFalse($result['success']);
+
+        $result = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'huge.mp4', 6442450944);
+        $this->assertFalse($result['success']);
+    }
+
+    /**
+     * Test asking again with the same upload key moves the video to the new upload URL.
+     */
+    public function test_restart_direct_upload() {
+        global $DB;
+
+        $client = $this->createMock(cloudflare_client::class);
+        $client->expects($this->exactly(3))
+            ->method('create_tus_upload')
+            ->willReturnOnConsecutiveCalls(
+                ['success' => true, 'result' => ['uploadURL' => 'https://upload.videodelivery.net/tus/first', 'uid' => 'first']],
+                ['success' => true, 'result' => ['uploadURL' => 'https://upload.videodelivery.net/tus/second', 'uid' => 'second']],
+                ['success' => true, 'result' => ['uploadURL' => 'https://upload.videodelivery.net/tus/other', 'uid' => 'other']]
+            );
+        $client->expects($this->once())
+            ->method('delete_video')
+            ->with('first')
+            ->willReturn(['success' => true]);
+        $manager = new stream_manager($client);
+
+        $first = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'lecture.mp4', 1024, null, 'key1');
+        $second = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'lecture.mp4', 1024, null, 'key1');
+
+        $this->assertEquals($first['videoid'], $second['videoid']);
+        $this->assertEquals('https://upload.videodelivery.net/tus/second', $second['upload_url']);
+        $this->assertEquals('second', video_manager::get_video($second['videoid'])->cloudflare_video_id);
+        $this->assertEquals(1, $DB->count_records(video_manager::TABLE_VIDEOS, ['course_id' => $this->course->id]));
+
+        // Another file gets a video of its own
+        $other = $manager->create_direct_upload($this->course->id, $this->teacher->id, 'slides.mov', 1024, null, 'key2');
+        $this->assertNotEquals($first['videoid'], $other['videoid']);
+    }
+
+    /**
+     * Test finishing a direct upload queues a status sync.
+     */
+    public function test_complete_direct_upload() {
+        global $DB;
+
+        $videoid = video_manager::create_video(null, $this->course->id, $this->teacher->id, 1024000);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => 'abc123',
+            'status' => video_manager::STATUS_UPLOADING
+        ]);
+
+        $manager = new stream_manager($this->createMock(cloudflare_client::class));
+        $result = $manager->complete_direct_upload($videoid);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals(video_manager::STATUS_PROCESSING, video_manager::get_video($videoid)->status);
+        $this->assertTrue($DB->record_exists(video_manager::TABLE_QUEUE, ['video_id' => $videoid, 'action' => 'sync']));
+
+        // Finishing twice does nothing
+        $this->assertFalse($manager->complete_direct_upload($videoid)['success']);
+    }
+}
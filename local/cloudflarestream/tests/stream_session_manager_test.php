@@ -0,0 +1,174 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for stream_session_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for stream_session_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class stream_session_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Viewing user */
+    private $user;
+
+    /** @var int Video record ID */
+    private $videoid;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->videoid = video_manager::create_video(null, $course->id, $this->user->id, 1024);
+        set_config('max_concurrent_streams', 2, 'local_cloudflarestream');
+    }
+
+    /**
+     * Open a player session the way the player handler does, by issuing a token to it.
+     *
+     * @param int $created Time the session was opened
+     * @return string Session key
+     */
+    private function open_session($created) {
+        global $DB;
+
+        $sessionkey = stream_session_manager::create_session_key();
+        $tokenid = token_manager::create_token($this->user->id, $this->videoid, hash('sha256', $sessionkey),
+            $created + 3600, '10.0.0.1', 'phpunit', $sessionkey);
+        $DB->set_field(token_manager::TABLE_TOKENS, 'created_at', $created, ['id' => $tokenid]);
+
+        return $sessionkey;
+    }
+
+    /**
+     * Test that a third stream ends the oldest one.
+     */
+    public function test_third_stream_ends_oldest() {
+        $now = time();
+        $first = $this->open_session($now - 300);
+        $second = $this->open_session($now - 200);
+        $third = $this->open_session($now - 100);
+
+        $this->assertTrue(stream_session_manager::heartbeat($this->user->id, $this->videoid, $first, false, $now));
+        $this->assertTrue(stream_session_manager::heartbeat($this->user->id, $this->videoid, $second, false, $now));
+        $this->assertCount(2, stream_session_manager::get_active_sessions($this->user->id, $now));
+
+        $this->assertTrue(stream_session_manager::heartbeat($this->user->id, $this->videoid, $third, false, $now));
+        $this->assertTrue(stream_session_manager::is_ended($this->user->id, $first));
+        $this->assertFalse(stream_session_manager::is_ended($this->user->id, $second));
+
+        // The paused player is told so until it takes the stream back
+        $this->assertFalse(stream_session_manager::heartbeat($this->user->id, $this->videoid, $first, false, $now + 15));
+        $this->assertTrue(stream_session_manager::heartbeat($this->user->id, $this->videoid, $first, true, $now + 15));
+        $this->assertFalse(stream_session_manager::is_ended($this->user->id, $first));
+        $this->assertTrue(stream_session_manager::is_ended($this->user->id, $second));
+
+        // Takeovers are logged through the player access log, which uses debugging()
+        $this->resetDebugging();
+    }
+
+    /**
+     * Test that sessions without recent heartbeats do not count.
+     */
+    public function test_stale_sessions_do_not_count() {
+        $now = time();
+        $first = $this->open_session($now - 300);
+        $second = $this->open_session($now - 200);
+        $third = $this->open_session($now - 100);
+
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $first, false,
+            $now - stream_session_manager::ACTIVE_TIMEOUT - 1);
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $second, false, $now);
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $third, false, $now);
+
+        $this->assertFalse(stream_session_manager::is_ended($this->user->id, $first));
+        $this->assertCount(2, stream_session_manager::get_active_sessions($this->user->id, $now));
+    }
+
+    /**
+     * Test a session that never sends a heartbeat is not renewed under the limit.
+     */
+    public function test_silent_session_not_renewed() {
+        $now = time();
+        $silent = $this->open_session($now - 100);
+        $playing = $this->open_session($now - 100);
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $playing, false, $now);
+
+        $this->assertFalse(stream_session_manager::can_renew($this->user->id, $this->videoid, $silent, false, $now));
+        $this->assertTrue(stream_session_manager::can_renew($this->user->id, $this->videoid, $playing, false, $now));
+
+        // Its first token can be replaced once, by the fallback player
+        $this->assertTrue(stream_session_manager::can_renew($this->user->id, $this->videoid, $silent, true, $now));
+        token_manager::create_token($this->user->id, $this->videoid, hash('sha256', $silent . '2'), $now + 3600,
+            '10.0.0.1', 'phpunit', $silent);
+        $this->assertFalse(stream_session_manager::can_renew($this->user->id, $this->videoid, $silent, true, $now));
+
+        // Heartbeats stop counting once they are old
+        $later = $now + stream_session_manager::ACTIVE_TIMEOUT + 1;
+        $this->assertFalse(stream_session_manager::can_renew($this->user->id, $this->videoid, $playing, false, $later));
+
+        set_config('max_concurrent_streams', 0, 'local_cloudflarestream');
+        $this->assertTrue(stream_session_manager::can_renew($this->user->id, $this->videoid, $silent, false, $now));
+    }
+
+    /**
+     * Test heartbeats only count for the video the session was opened for.
+     */
+    public function test_heartbeat_matches_video() {
+        $now = time();
+        $sessionkey = $this->open_session($now - 100);
+        $othervideoid = video_manager::create_video(null, video_manager::get_video($this->videoid)->course_id,
+            $this->user->id, 1024);
+
+        stream_session_manager::heartbeat($this->user->id, $othervideoid, $sessionkey, false, $now);
+        $this->assertCount(0, stream_session_manager::get_active_sessions($this->user->id, $now));
+        $this->assertFalse(stream_session_manager::can_renew($this->user->id, $this->videoid, $sessionkey, false, $now));
+    }
+
+    /**
+     * Test that nothing is ended without a limit, and unknown sessions may play.
+     */
+    public function test_no_limit() {
+        set_config('max_concurrent_streams', 0, 'local_cloudflarestream');
+        $now = time();
+        $first = $this->open_session($now - 300);
+        $second = $this->open_session($now - 200);
+
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $first, false, $now);
+        stream_session_manager::heartbeat($this->user->id, $this->videoid, $second, false, $now);
+
+        $this->assertFalse(stream_session_manager::is_limited($this->user->id));
+        $this->assertFalse(stream_session_manager::is_ended($this->user->id, $first));
+        $this->assertTrue(stream_session_manager::heartbeat($this->user->id, $this->videoid, 'unknown', false, $now));
+    }
+}
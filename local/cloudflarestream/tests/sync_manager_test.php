@@ -0,0 +1,150 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for sync_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for sync_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class sync_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+        $this->course = $this->getDataGenerator()->create_course();
+    }
+
+    /**
+     * Test the sync console lists videos by status and title.
+     */
+    public function test_get_sync_candidates() {
+        $pending = $this->create_video('Introduction.mp4', video_manager::STATUS_PENDING, 1000);
+        $ready = $this->create_video('Lab session.mp4', video_manager::STATUS_READY, 2000);
+        $failed = $this->create_video('lab recap.mov', video_manager::STATUS_ERROR, 3000);
+
+        $this->assertEquals([$pending, $ready, $failed], array_keys(sync_manager::get_sync_candidates()));
+        $this->assertEquals([$pending, $failed],
+            array_keys(sync_manager::get_sync_candidates(sync_manager::STATUS_UNFINISHED)));
+        $this->assertEquals([$ready], array_keys(sync_manager::get_sync_candidates(video_manager::STATUS_READY)));
+        $this->assertEquals([$ready, $failed], array_keys(sync_manager::get_sync_candidates('', 'LAB')));
+        $this->assertEquals([$failed],
+            array_keys(sync_manager::get_sync_candidates(sync_manager::STATUS_UNFINISHED, 'lab')));
+    }
+
+    /**
+     * Test a reset batch reports each video and queues the failed ones again.
+     */
+    public function test_sync_batch_reset() {
+        global $DB;
+
+        $failed = $this->create_video('Lab.mp4', video_manager::STATUS_ERROR, 1000);
+        $ready = $this->create_video('Introduction.mp4', video_manager::STATUS_READY, 2000);
+
+        $results = sync_manager::sync_batch('reset', [$failed, $ready, $failed, 999999]);
+
+        // Duplicates are handled once
+        $this->assertCount(3, $results);
+        $this->assertEquals([$failed, $ready, 999999], array_column($results, 'videoid'));
+
+        $this->assertTrue($results[0]['success']);
+        $this->assertTrue($results[0]['updated']);
+        $this->assertEquals(video_manager::STATUS_PENDING, video_manager::get_video($failed)->status);
+        $this->assertTrue($DB->record_exists(video_manager::TABLE_QUEUE, ['video_id' => $failed, 'action' => 'upload']));
+
+        // Only failed videos can be reset
+        $this->assertFalse($results[1]['success']);
+        $this->assertEquals(video_manager::STATUS_READY, video_manager::get_video($ready)->status);
+
+        $this->assertFalse($results[2]['success']);
+        $this->assertEquals(get_string('error_video_not_found', 'local_cloudflarestream'), $results[2]['message']);
+    }
+
+    /**
+     * Test a sync batch reports the failure for each video when the API is not configured.
+     */
+    public function test_sync_batch_unconfigured() {
+        $pending = $this->create_video('Lab.mp4', video_manager::STATUS_PENDING, 1000);
+
+        $results = sync_manager::sync_batch('sync', [$pending]);
+        $this->assertCount(1, $results);
+        $this->assertFalse($results[0]['success']);
+        $this->assertFalse($results[0]['updated']);
+        $this->assertNotEmpty($results[0]['message']);
+    }
+
+    /**
+     * Test syncs run without site credentials and report the failure for each video.
+     */
+    public function test_sync_without_site_credentials() {
+        $pending = $this->create_video('Lab.mp4', video_manager::STATUS_PENDING, 1000);
+
+        $results = sync_manager::manual_full_sync();
+        $this->assertTrue($results['success']);
+        $this->assertEquals(1, $results['total_processed']);
+        $this->assertEquals(1, $results['errors']);
+        $this->assertStringContainsString("video {$pending}", $results['details'][0]);
+
+        $results = sync_manager::sync_videos_by_status(video_manager::STATUS_PENDING);
+        $this->assertTrue($results['success']);
+        $this->assertEquals(1, $results['errors']);
+    }
+
+    /**
+     * Test batches are capped.
+     */
+    public function test_sync_batch_size() {
+        $results = sync_manager::sync_batch('reset', range(900001, 900000 + sync_manager::MAX_BATCH_SIZE + 10));
+        $this->assertCount(sync_manager::MAX_BATCH_SIZE, $results);
+    }
+
+    /**
+     * Create a video of the test course.
+     *
+     * @param string $filename Original filename
+     * @param string $status Video status
+     * @param int $uploaddate Upload time
+     * @return int Video record ID
+     */
+    private function create_video($filename, $status, $uploaddate) {
+        $videoid = video_manager::create_video(null, $this->course->id, get_admin()->id, 1024,
+            ['original_filename' => $filename]);
+        video_manager::update_video($videoid, [
+            'status' => $status,
+            'upload_date' => $uploaddate,
+            'cloudflare_video_id' => 'cf' . $videoid
+        ]);
+        return $videoid;
+    }
+}
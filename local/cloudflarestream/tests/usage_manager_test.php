@@ -0,0 +1,275 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for usage_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\api\cloudflare_client;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for usage_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class usage_manager_test extends advanced_testcase {
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        set_config('usage_alert_thresholds', '95, 80', 'local_cloudflarestream');
+        set_config('storage_quota', 1000, 'local_cloudflarestream');
+    }
+
+    /**
+     * Test each storage threshold is reported once, and again after the usage dropped below it.
+     */
+    public function test_storage_alerts() {
+        $sink = $this->redirectMessages();
+        $day = make_timestamp(2025, 3, 10, 12);
+
+        $this->assertEquals(0, $this->record(500, 0, $day)->storage_alert);
+        $this->assertEquals(0, $sink->count());
+
+        $snapshot = $this->record(850, 0, $day + DAYSECS);
+        $this->assertEquals(80, $snapshot->storage_alert);
+        $this->assertEquals(1000, $snapshot->storage_limit);
+        $this->assertEquals(1, $sink->count());
+        $message = $sink->get_messages()[0];
+        $this->assertEquals('admin_notification', $message->eventtype);
+        $this->assertStringContainsString('80%', $message->subject);
+
+        // Still above the same threshold, and again the same day
+        $this->record(870, 0, $day + 2 * DAYSECS);
+        $this->record(880, 0, $day + 2 * DAYSECS + 3600);
+        $this->assertEquals(1, $sink->count());
+
+        $this->assertEquals(95, $this->record(960, 0, $day + 3 * DAYSECS)->storage_alert);
+        $this->assertEquals(2, $sink->count());
+
+        // Videos were deleted, then the usage grew again
+        $this->record(500, 0, $day + 4 * DAYSECS);
+        $this->record(820, 0, $day + 5 * DAYSECS);
+        $this->assertEquals(3, $sink->count());
+
+        $sink->close();
+    }
+
+    /**
+     * Test delivery thresholds are reported again in a new month.
+     */
+    public function test_delivery_alerts_monthly() {
+        set_config('delivery_quota', 100, 'local_cloudflarestream');
+        $sink = $this->redirectMessages();
+
+        $this->assertEquals(80, $this->record(0, 85, make_timestamp(2025, 3, 30, 12))->delivery_alert);
+        $this->record(0, 90, make_timestamp(2025, 3, 31, 12));
+        $this->assertEquals(1, $sink->count());
+
+        $this->record(0, 82, make_timestamp(2025, 4, 1, 12));
+        $this->assertEquals(2, $sink->count());
+        $this->assertStringContainsString('monthly', $sink->get_messages()[1]->subject);
+
+        $sink->close();
+    }
+
+    /**
+     * Test no alerts are sent without a quota or thresholds.
+     */
+    public function test_no_quota() {
+        global $DB;
+
+        set_config('storage_quota', 0, 'local_cloudflarestream');
+        $sink = $this->redirectMessages();
+
+        $snapshot = $this->record(5000, 5000, time());
+        $this->assertEquals(0, $snapshot->storage_limit);
+        $this->assertEquals(0, $snapshot->storage_alert);
+        $this->assertEquals(0, $snapshot->delivery_alert);
+
+        set_config('usage_alert_thresholds', '', 'local_cloudflarestream');
+        $this->assertEquals(0, usage_manager::get_alert_level(990, 1000));
+
+        $this->assertEquals(0, $sink->count());
+        $this->assertEquals(1, $DB->count_records(usage_manager::TABLE_USAGE));
+        $sink->close();
+    }
+
+    /**
+     * Test the quota set for an account comes before the limit of the Cloudflare plan.
+     */
+    public function test_get_storage_limit() {
+        $this->assertEquals(1000, usage_manager::get_storage_limit(0, 5000));
+
+        set_config('storage_quota', 0, 'local_cloudflarestream');
+        $this->assertEquals(5000, usage_manager::get_storage_limit(0, 5000));
+
+        $profileid = $this->create_profile(300);
+        $this->assertEquals(300, usage_manager::get_storage_limit($profileid, 5000));
+    }
+
+    /**
+     * Test a snapshot is taken from the storage and delivery reported by Cloudflare.
+     */
+    public function test_take_snapshot() {
+        $client = $this->createMock(cloudflare_client::class);
+        $client->method('get_usage_statistics')->willReturn([
+            'success' => true,
+            'result' => ['totalStorageMinutes' => 120.6, 'totalStorageMinutesLimit' => 2000, 'videoCount' => 7]
+        ]);
+        $client->expects($this->once())->method('get_minutes_viewed')
+            ->with($this->matchesRegularExpression('/^\d{4}-\d{2}-01$/'), $this->matchesRegularExpression('/^\d{4}-\d{2}-\d{2}$/'))
+            ->willReturn(['data' => ['viewer' => ['accounts' => [
+                ['streamMinutesViewedAdaptiveGroups' => [['sum' => ['minutesViewed' => 4321.2]]]]
+            ]]], 'errors' => null]);
+
+        $result = usage_manager::take_snapshot(0, $client);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals(121, $result['snapshot']->stored_minutes);
+        $this->assertEquals(1000, $result['snapshot']->storage_limit);
+        $this->assertEquals(7, $result['snapshot']->video_count);
+        $this->assertEquals(4321, $result['snapshot']->delivered_minutes);
+        $this->assertArrayHasKey(0, usage_manager::get_latest_snapshots());
+        $this->assertCount(1, usage_manager::get_history(0, 30));
+    }
+
+    /**
+     * Test API errors are returned instead of recording a snapshot.
+     */
+    public function test_take_snapshot_error() {
+        global $DB;
+
+        $client = $this->createMock(cloudflare_client::class);
+        $client->method('get_usage_statistics')->willReturn(['success' => true, 'result' => []]);
+        $client->method('get_minutes_viewed')->willReturn(['data' => null, 'errors' => [['message' => 'not authorized']]]);
+
+        $result = usage_manager::take_snapshot(0, $client);
+
+        $this->assertFalse($result['success']);
+        $this->assertEquals('not authorized', $result['error']);
+        $this->assertEquals(0, $DB->count_records(usage_manager::TABLE_USAGE));
+    }
+
+    /**
+     * Test the latest snapshot of every account is found, and deleted with its profile.
+     */
+    public function test_latest_snapshots() {
+        $profileid = $this->create_profile(0);
+        $day = make_timestamp(2025, 3, 10, 12);
+
+        $this->record(100, 0, $day);
+        $this->record(200, 0, $day + DAYSECS);
+        usage_manager::record_snapshot($profileid, ['stored_minutes' => 50], $day);
+
+        $latest = usage_manager::get_latest_snapshots();
+        $this->assertCount(2, $latest);
+        $this->assertEquals(200, $latest[0]->stored_minutes);
+        $this->assertEquals(50, $latest[$profileid]->stored_minutes);
+
+        $this->assertTrue(profile_manager::delete_profile($profileid)['success']);
+        $this->assertArrayNotHasKey($profileid, usage_manager::get_latest_snapshots());
+    }
+
+    /**
+     * Test courses and uploaders are ranked by the minutes they store.
+     */
+    public function test_breakdowns() {
+        $course1 = $this->getDataGenerator()->create_course(['fullname' => 'Anatomy']);
+        $course2 = $this->getDataGenerator()->create_course(['fullname' => 'Botany']);
+        $user1 = $this->getDataGenerator()->create_user();
+        $user2 = $this->getDataGenerator()->create_user();
+
+        $this->create_video($course1->id, $user1->id, 600, video_manager::STATUS_READY);
+        $this->create_video($course2->id, $user1->id, 1800, video_manager::STATUS_READY);
+        $this->create_video($course2->id, $user2->id, 90, video_manager::STATUS_READY);
+        $this->create_video($course1->id, $user2->id, 9000, video_manager::STATUS_ERROR);
+
+        $courses = usage_manager::get_course_breakdown();
+        $this->assertCount(2, $courses);
+        $this->assertEquals('Botany', $courses[0]['name']);
+        $this->assertEquals(2, $courses[0]['videos']);
+        $this->assertEquals(32, $courses[0]['minutes']);
+        $this->assertEquals(10, $courses[1]['minutes']);
+
+        $uploaders = usage_manager::get_uploader_breakdown(1);
+        $this->assertCount(1, $uploaders);
+        $this->assertEquals($user1->id, $uploaders[0]['userid']);
+        $this->assertEquals(fullname($user1), $uploaders[0]['name']);
+        $this->assertEquals(40, $uploaders[0]['minutes']);
+    }
+
+    /**
+     * Record a snapshot of the site account.
+     *
+     * @param int $stored Stored minutes
+     * @param int $delivered Delivered minutes
+     * @param int $time Time of the snapshot
+     * @return \stdClass Snapshot record
+     */
+    private function record($stored, $delivered, $time) {
+        return usage_manager::record_snapshot(0, [
+            'stored_minutes' => $stored,
+            'reported_limit' => 0,
+            'video_count' => 1,
+            'delivered_minutes' => $delivered
+        ], $time);
+    }
+
+    /**
+     * Create a profile.
+     *
+     * @param int $quota Storage quota in minutes
+     * @return int Profile ID
+     */
+    private function create_profile($quota) {
+        $result = profile_manager::save_profile([
+            'name' => 'Faculty',
+            'account_id' => str_repeat('a', 32),
+            'api_token' => 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEF',
+            'storage_quota' => $quota
+        ]);
+        $this->assertTrue($result['success']);
+        return $result['id'];
+    }
+
+    /**
+     * Create a video with a duration.
+     *
+     * @param int $courseid Course ID
+     * @param int $userid Uploader ID
+     * @param int $duration Duration in seconds
+     * @param string $status Video status
+     * @return int Video record ID
+     */
+    private function create_video($courseid, $userid, $duration, $status) {
+        $videoid = video_manager::create_video(1, $courseid, $userid, 1024000);
+        video_manager::update_video($videoid, ['duration' => $duration, 'status' => $status]);
+        return $videoid;
+    }
+}
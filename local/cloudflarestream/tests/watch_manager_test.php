@@ -0,0 +1,179 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for watch_manager class.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for watch_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class watch_manager_test extends advanced_testcase {
+
+    /** @var \stdClass Test course */
+    private $course;
+
+    /** @var \stdClass Test user */
+    private $user;
+
+    /** @var int Test video record ID */
+    private $videoid;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        config_manager::set('completion_threshold', 90);
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        $this->videoid = video_manager::create_video(1, $this->course->id, $this->user->id, 1024000);
+        video_manager::update_video($this->videoid, ['duration' => 100]);
+    }
+
+    /**
+     * Test merging of overlapping and adjacent ranges.
+     */
+    public function test_merge_ranges() {
+        $merged = watch_manager::merge_ranges([[50, 60], [0, 10], [5, 20], [21, 30]]);
+        $this->assertEquals([[0, 30], [50, 60]], $merged);
+    }
+
+    /**
+     * Test that rewatching the same part does not count twice.
+     */
+    public function test_record_segments_merges_with_stored_ranges() {
+        $result = watch_manager::record_segments($this->user->id, $this->videoid, [[0, 30]]);
+        $this->assertTrue($result['success']);
+        $this->assertEquals(30, $result['percentage']);
+
+        $result = watch_manager::record_segments($this->user->id, $this->videoid, [[10, 40]]);
+        $this->assertEquals(40, $result['watched_seconds']);
+        $this->assertEquals(40, $result['percentage']);
+        $this->assertFalse($result['completed']);
+    }
+
+    /**
+     * Test that reaching the threshold completes the video once.
+     */
+    public function test_completion_threshold() {
+        $sink = $this->redirectEvents();
+
+        watch_manager::record_segments($this->user->id, $this->videoid, [[0, 50]]);
+        $result = watch_manager::record_segments($this->user->id, $this->videoid, [[50, 95]]);
+
+        $this->assertTrue($result['completed']);
+        $this->assertEquals(95, watch_manager::get_percentage_watched($this->user->id, $this->videoid));
+
+        $events = array_filter($sink->get_events(), function($event) {
+            return $event instanceof event\video_completed;
+        });
+        $this->assertCount(1, $events);
+
+        // Watching more does not trigger completion again
+        watch_manager::record_segments($this->user->id, $this->videoid, [[95, 100]]);
+        $events = array_filter($sink->get_events(), function($event) {
+            return $event instanceof event\video_completed;
+        });
+        $this->assertCount(1, $events);
+    }
+
+    /**
+     * Test an activity embedding a video only completes once the video is watched.
+     */
+    public function test_completion_waits_for_threshold() {
+        global $CFG;
+        require_once($CFG->libdir . '/completionlib.php');
+        set_config('enablecompletion', 1);
+
+        $course = $this->getDataGenerator()->create_course(['enablecompletion' => 1]);
+        $this->getDataGenerator()->enrol_user($this->user->id, $course->id, 'student');
+        $page = $this->getDataGenerator()->create_module('page', [
+            'course' => $course->id,
+            'completion' => COMPLETION_TRACKING_AUTOMATIC,
+            'completionview' => COMPLETION_VIEW_REQUIRED
+        ]);
+        $cm = get_coursemodule_from_id('page', $page->cmid);
+        $videoid = video_manager::create_video(1, $course->id, $this->user->id, 1024000);
+        video_manager::update_video($videoid, ['duration' => 100]);
+        $completion = new \completion_info($course);
+
+        // Opening the page does not complete it while the video is not watched
+        watch_manager::register_embed($this->user->id, $videoid, $cm->id);
+        $completion->set_module_viewed($cm, $this->user->id);
+        $this->assertEquals(COMPLETION_INCOMPLETE, $completion->get_data($cm, false, $this->user->id)->completionstate);
+
+        watch_manager::record_segments($this->user->id, $videoid, [[0, 50]], null, $cm->id);
+        $this->assertEquals(COMPLETION_INCOMPLETE, $completion->get_data($cm, false, $this->user->id)->completionstate);
+
+        watch_manager::record_segments($this->user->id, $videoid, [[50, 95]], null, $cm->id);
+        $this->assertEquals(COMPLETION_COMPLETE, $completion->get_data($cm, false, $this->user->id)->completionstate);
+    }
+
+    /**
+     * Test per-video threshold override.
+     */
+    public function test_video_threshold_override() {
+        watch_manager::set_completion_threshold($this->videoid, 50);
+
+        $result = watch_manager::record_segments($this->user->id, $this->videoid, [[0, 50]]);
+        $this->assertTrue($result['completed']);
+    }
+
+    /**
+     * Test that implausibly long reports are rejected.
+     */
+    public function test_rejects_more_watch_time_than_elapsed() {
+        video_manager::update_video($this->videoid, ['duration' => 3600]);
+
+        $result = watch_manager::record_segments($this->user->id, $this->videoid, [[0, 1800]]);
+        $this->assertFalse($result['success']);
+        $this->assertFalse(watch_manager::get_view($this->user->id, $this->videoid));
+    }
+
+    /**
+     * Test the per-user report lists every enrolled user.
+     */
+    public function test_video_report() {
+        $other = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($other->id, $this->course->id, 'student');
+
+        watch_manager::record_segments($this->user->id, $this->videoid, [[0, 40]]);
+
+        $report = watch_manager::get_video_report($this->videoid);
+        $this->assertCount(2, $report);
+
+        $rows = array_column($report, 'percentage', 'userid');
+        $this->assertEquals(40, $rows[$this->user->id]);
+        $this->assertEquals(0, $rows[$other->id]);
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for watermark_manager.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for watermark_manager class.
+ *
+ * @group local_cloudflarestream
+ */
+class watermark_manager_test extends advanced_testcase {
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+    }
+
+    /**
+     * Test that courses use the site settings until they get their own.
+     */
+    public function test_course_settings_override_site() {
+        $course = $this->getDataGenerator()->create_course();
+        set_config('watermark_enabled', 1, 'local_cloudflarestream');
+        set_config('watermark_template', '{username}', 'local_cloudflarestream');
+
+        $settings = watermark_manager::get_settings($course->id);
+        $this->assertTrue($settings['inherited']);
+        $this->assertTrue($settings['enabled']);
+        $this->assertEquals('{username}', $settings['template']);
+
+        watermark_manager::save_course_settings($course->id, [
+            'enabled' => 0,
+            'template' => '{fullname}',
+            'opacity' => 50,
+            'frequency' => 10
+        ]);
+        $settings = watermark_manager::get_settings($course->id);
+        $this->assertFalse($settings['inherited']);
+        $this->assertFalse($settings['enabled']);
+        $this->assertEquals('{fullname}', $settings['template']);
+        $this->assertEquals(50, $settings['opacity']);
+        $this->assertEquals(10, $settings['frequency']);
+
+        watermark_manager::reset_course_settings($course->id);
+        $this->assertTrue(watermark_manager::get_settings($course->id)['inherited']);
+    }
+
+    /**
+     * Test that settings are kept within their allowed ranges.
+     */
+    public function test_settings_are_clamped() {
+        $course = $this->getDataGenerator()->create_course();
+
+        watermark_manager::save_course_settings($course->id, [
+            'enabled' => 1,
+            'template' => '   ',
+            'opacity' => 0,
+            'frequency' => 100000
+        ]);
+        $settings = watermark_manager::get_settings($course->id);
+        $this->assertEquals(watermark_manager::DEFAULT_TEMPLATE, $settings['template']);
+        $this->assertEquals(watermark_manager::MIN_OPACITY, $settings['opacity']);
+        $this->assertEquals(watermark_manager::MAX_FREQUENCY, $settings['frequency']);
+    }
+
+    /**
+     * Test that the template is filled with the viewer's details and the time is left to the browser.
+     */
+    public function test_render_text() {
+        $user = $this->getDataGenerator()->create_user([
+            'firstname' => 'Ada',
+            'lastname' => 'Lovelace',
+            'email' => 'ada@example.com',
+            'idnumber' => 'S123'
+        ]);
+
+        $text = watermark_manager::render_text('{fullname} {email} {idnumber} #{userid} {time}', $user);
+        $this->assertEquals('Ada Lovelace ada@example.com S123 #' . $user->id . ' {time}', $text);
+    }
+
+    /**
+     * Test the watermark handed to the player.
+     */
+    public function test_get_player_config() {
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user(['username' => 'viewer1']);
+
+        $this->assertNull(watermark_manager::get_player_config($course->id, $user));
+
+        watermark_manager::save_course_settings($course->id, [
+            'enabled' => 1,
+            'template' => '{username}',
+            'opacity' => 40,
+            'frequency' => 15
+        ]);
+        $config = watermark_manager::get_player_config($course->id, $user);
+        $this->assertEquals('viewer1', $config['text']);
+        $this->assertEquals(0.4, $config['opacity']);
+        $this->assertEquals(15, $config['frequency']);
+    }
+}
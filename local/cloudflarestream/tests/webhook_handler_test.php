@@ -0,0 +1,173 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for webhook_handler.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_cloudflarestream;
+
+use advanced_testcase;
+use local_cloudflarestream\handlers\webhook_handler;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Test cases for webhook_handler class.
+ *
+ * @group local_cloudflarestream
+ */
+class webhook_handler_test extends advanced_testcase {
+
+    /** @var string Webhook secret used in the tests */
+    const SECRET = 'test-webhook-secret';
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        $this->resetAfterTest();
+
+        set_config('api_token', 'test_token_1234567890', 'local_cloudflarestream');
+        set_config('account_id', 'testaccount1234567890', 'local_cloudflarestream');
+        set_config('webhook_secret', self::SECRET, 'local_cloudflarestream');
+    }
+
+    /**
+     * Test signatures are checked against the secret and the time.
+     */
+    public function test_verify_signature() {
+        $body = '{"uid":"abc123"}';
+        $now = 1735689600;
+
+        $this->assertTrue(webhook_handler::verify_signature($body, $this->sign($body, $now), self::SECRET, $now));
+
+        // Tampered body, wrong secret, replayed or malformed headers are rejected
+        $this->assertFalse(webhook_handler::verify_signature('{"uid":"def456"}', $this->sign($body, $now), self::SECRET, $now));
+        $this->assertFalse(webhook_handler::verify_signature($body, $this->sign($body, $now), 'other-secret', $now));
+        $this->assertFalse(webhook_handler::verify_signature($body, $this->sign($body, $now),
+            self::SECRET, $now + webhook_handler::SIGNATURE_TOLERANCE + 1));
+        $this->assertFalse(webhook_handler::verify_signature($body, 'sig1=abc', self::SECRET, $now));
+        $this->assertFalse(webhook_handler::verify_signature($body, '', self::SECRET, $now));
+        $this->assertFalse(webhook_handler::verify_signature($body, $this->sign($body, $now), '', $now));
+    }
+
+    /**
+     * Test a ready notification updates the video and notifies the uploader.
+     */
+    public function test_handle_ready() {
+        $videoid = $this->create_video('abc123');
+        $sink = $this->redirectMessages();
+
+        $body = json_encode([
+            'uid' => 'abc123',
+            'readyToStream' => true,
+            'status' => ['state' => 'ready'],
+            'duration' => 125,
+            'thumbnail' => 'https://videodelivery.net/abc123/thumbnails/thumbnail.jpg'
+        ]);
+        $result = webhook_handler::handle($body, $this->sign($body, time()));
+        $this->assertEquals(200, $result['code']);
+
+        $video = video_manager::get_video($videoid);
+        $this->assertEquals(video_manager::STATUS_READY, $video->status);
+        $this->assertEquals(125, $video->duration);
+        $this->assertNotEmpty($video->ready_date);
+
+        $messages = $sink->get_messages();
+        $this->assertCount(1, $messages);
+        $this->assertEquals('upload_completed', $messages[0]->eventtype);
+
+        // A repeated delivery changes nothing and sends no second notification
+        $sink->clear();
+        webhook_handler::handle($body, $this->sign($body, time()));
+        $this->assertCount(0, $sink->get_messages());
+    }
+
+    /**
+     * Test an error notification keeps the reason.
+     */
+    public function test_handle_error() {
+        $videoid = $this->create_video('abc123');
+        $sink = $this->redirectMessages();
+
+        $body = json_encode([
+            'uid' => 'abc123',
+            'status' => ['state' => 'error', 'errorReasonCode' => 'ERR_DURATION_EXCEED_CONSTRAINT',
+                'errorReasonText' => 'The video is too long']
+        ]);
+        webhook_handler::handle($body, $this->sign($body, time()));
+
+        $video = video_manager::get_video($videoid);
+        $this->assertEquals(video_manager::STATUS_ERROR, $video->status);
+        $this->assertEquals('The video is too long', $video->error_message);
+        $this->assertEquals('upload_failed', $sink->get_messages()[0]->eventtype);
+    }
+
+    /**
+     * Test unsigned, invalid and unknown notifications.
+     */
+    public function test_handle_rejected() {
+        $videoid = $this->create_video('abc123');
+
+        $body = json_encode(['uid' => 'abc123', 'status' => ['state' => 'ready']]);
+        $this->assertEquals(401, webhook_handler::handle($body, '')['code']);
+        $this->assertEquals(video_manager::STATUS_PROCESSING, video_manager::get_video($videoid)->status);
+
+        $this->assertEquals(400, webhook_handler::handle('not json', $this->sign('not json', time()))['code']);
+
+        $body = json_encode(['uid' => 'unknown', 'status' => ['state' => 'ready']]);
+        $this->assertEquals(200, webhook_handler::handle($body, $this->sign($body, time()))['code']);
+
+        // Without a stored secret nothing is accepted
+        unset_config('webhook_secret', 'local_cloudflarestream');
+        $this->assertFalse(webhook_handler::is_registered());
+        $body = json_encode(['uid' => 'abc123', 'status' => ['state' => 'ready']]);
+        $this->assertEquals(401, webhook_handler::handle($body, $this->sign($body, time()))['code']);
+    }
+
+    /**
+     * Create a video being processed on Cloudflare.
+     *
+     * @param string $cloudflarevideoid Cloudflare video ID
+     * @return int Video record ID
+     */
+    private function create_video($cloudflarevideoid) {
+        $course = $this->getDataGenerator()->create_course();
+        $videoid = video_manager::create_video(null, $course->id, get_admin()->id, 1024,
+            ['original_filename' => 'lecture.mp4']);
+        video_manager::update_video($videoid, [
+            'cloudflare_video_id' => $cloudflarevideoid,
+            'status' => video_manager::STATUS_PROCESSING
+        ]);
+        return $videoid;
+    }
+
+    /**
+     * Build a Webhook-Signature header the way Cloudflare does.
+     *
+     * @param string $body Request body
+     * @param int $time Signing time
+     * @return string Header value
+     */
+    private function sign($body, $time) {
+        return 'time=' . $time . ',sig1=' . hash_hmac('sha256', $time . '.' . $body, self::SECRET);
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Upload videos from the browser straight to Cloudflare Stream.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\config_manager;
+
+$courseid = required_param('courseid', PARAM_INT);
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/course:update', $context);
+
+$url = new moodle_url('/local/cloudflarestream/upload.php', ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('incourse');
+$PAGE->set_title(get_string('upload_videos', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+$formats = array_map('trim', explode(',', strtolower(config_manager::get('supported_formats'))));
+$maxfilesize = (int)config_manager::get('max_file_size');
+
+if (config_manager::is_configured()) {
+    $PAGE->requires->js_call_amd('local_cloudflarestream/uploader', 'init', [[
+        'courseid' => $course->id,
+        'formats' => $formats,
+        'maxFileSize' => $maxfilesize
+    ]]);
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('upload_videos', 'local_cloudflarestream'));
+echo $OUTPUT->render_from_template('local_cloudflarestream/upload_widget', [
+    'configured' => config_manager::is_configured(),
+    'accept' => implode(',', array_map(function($format) {
+        return '.' . $format;
+    }, $formats)),
+    'limits' => get_string('upload_limits', 'local_cloudflarestream', [
+        'formats' => implode(', ', $formats),
+        'maxfilesize' => display_size($maxfilesize)
+    ])
+]);
+echo $OUTPUT->footer();
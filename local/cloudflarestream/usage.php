@@ -0,0 +1,165 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Storage and delivery usage of the Cloudflare accounts.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+require_once($CFG->libdir . '/adminlib.php');
+
+use local_cloudflarestream\usage_manager;
+use local_cloudflarestream\profile_manager;
+
+$days = optional_param('days', 90, PARAM_INT);
+if (!in_array($days, [30, 90, 365])) {
+    $days = 90;
+}
+
+admin_externalpage_setup('local_cloudflarestream_usage', '', ['days' => $days]);
+
+$url = new moodle_url('/local/cloudflarestream/usage.php', ['days' => $days]);
+$PAGE->set_title(get_string('usage', 'local_cloudflarestream'));
+$PAGE->set_heading(get_string('usage', 'local_cloudflarestream'));
+
+if (data_submitted() && confirm_sesskey()) {
+    $result = usage_manager::take_snapshots();
+    foreach ($result['errors'] as $account => $error) {
+        \core\notification::error($account . ': ' . s($error));
+    }
+    redirect($url, get_string('usage_snapshots_taken', 'local_cloudflarestream', $result['taken']), null,
+        $result['errors'] ? \core\output\notification::NOTIFY_WARNING : \core\output\notification::NOTIFY_SUCCESS);
+}
+
+$latest = usage_manager::get_latest_snapshots();
+
+$accounts = [];
+foreach (profile_manager::get_all_profile_ids() as $profileid) {
+    $snapshot = $latest[$profileid] ?? null;
+    if (!$snapshot && $profileid != profile_manager::SITE_PROFILE) {
+        continue;
+    }
+
+    $account = [
+        'name' => usage_manager::get_account_name($profileid),
+        'hassnapshot' => (bool)$snapshot,
+        'recorded' => profile_manager::get_used_minutes($profileid)
+    ];
+
+    if ($snapshot) {
+        $account += [
+            'date' => userdate($snapshot->snapshotdate, get_string('strftimedate', 'langconfig')),
+            'videos' => $snapshot->video_count,
+            'storage' => usage_meter($snapshot->stored_minutes, $snapshot->storage_limit, $snapshot->storage_alert),
+            'delivery' => usage_meter($snapshot->delivered_minutes, $snapshot->delivery_limit, $snapshot->delivery_alert),
+            'chart' => $OUTPUT->render(usage_chart(usage_manager::get_history($profileid, $days)))
+        ];
+    }
+
+    $accounts[] = $account;
+}
+
+$periods = [];
+foreach ([30, 90, 365] as $period) {
+    $periods[] = [
+        'label' => get_string('usage_days', 'local_cloudflarestream', $period),
+        'url' => (new moodle_url('/local/cloudflarestream/usage.php', ['days' => $period]))->out(false),
+        'active' => $period === $days
+    ];
+}
+
+$courses = usage_manager::get_course_breakdown();
+foreach ($courses as &$course) {
+    $course['url'] = (new moodle_url('/local/cloudflarestream/library.php', ['courseid' => $course['courseid']]))->out(false);
+    $course['size'] = display_size($course['bytes']);
+}
+unset($course);
+
+$uploaders = usage_manager::get_uploader_breakdown();
+foreach ($uploaders as &$uploader) {
+    $uploader['url'] = (new moodle_url('/user/profile.php', ['id' => $uploader['userid']]))->out(false);
+    $uploader['size'] = display_size($uploader['bytes']);
+}
+unset($uploader);
+
+echo $OUTPUT->header();
+echo $OUTPUT->render_from_template('local_cloudflarestream/usage', [
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'settingsurl' => (new moodle_url('/admin/settings.php', ['section' => 'local_cloudflarestream'],
+        'admin-usageheading'))->out(false),
+    'periods' => $periods,
+    'accounts' => $accounts,
+    'hascourses' => !empty($courses),
+    'courses' => $courses,
+    'hasuploaders' => !empty($uploaders),
+    'uploaders' => $uploaders
+]);
+echo $OUTPUT->footer();
+
+/**
+ * Describe a usage against its quota for the usage template.
+ *
+ * @param int $used Minutes used
+ * @param int $limit Quota in minutes, 0 for none
+ * @param int $alert Highest alert threshold reached
+ * @return array Meter context
+ */
+function usage_meter($used, $limit, $alert) {
+    $percent = $limit ? (int)floor($used * 100 / $limit) : 0;
+
+    return [
+        'used' => $used,
+        'limit' => $limit,
+        'haslimit' => $limit > 0,
+        'percent' => $percent,
+        'width' => min(100, $percent),
+        'color' => $percent >= 100 ? 'danger' : ($alert ? 'warning' : 'success')
+    ];
+}
+
+/**
+ * Build the growth chart of an account.
+ *
+ * @param array $snapshots Snapshot records, oldest first
+ * @return \core\chart_line Chart
+ */
+function usage_chart(array $snapshots) {
+    $labels = [];
+    $stored = [];
+    $delivered = [];
+    $limits = [];
+    foreach ($snapshots as $snapshot) {
+        $labels[] = userdate($snapshot->snapshotdate, get_string('strftimedateshort', 'langconfig'));
+        $stored[] = (int)$snapshot->stored_minutes;
+        $delivered[] = (int)$snapshot->delivered_minutes;
+        $limits[] = (int)$snapshot->storage_limit;
+    }
+
+    $chart = new \core\chart_line();
+    $chart->set_labels($labels);
+    $chart->add_series(new \core\chart_series(get_string('usage_stored_minutes', 'local_cloudflarestream'), $stored));
+    $chart->add_series(new \core\chart_series(get_string('usage_delivered_minutes', 'local_cloudflarestream'), $delivered));
+    if (array_filter($limits)) {
+        $chart->add_series(new \core\chart_series(get_string('usage_storage_limit', 'local_cloudflarestream'), $limits));
+    }
+
+    return $chart;
+}
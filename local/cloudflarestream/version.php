@@ -26,7 +26,7 @@ defined('MOODLE_INTERNAL') || die();
 
 $plugin->component = 'local_cloudflarestream';
 $plugin->release = '1.0.0';
-$plugin->version = 2025011500; // YYYYMMDDHH format
+$plugin->version = 2025011524; // YYYYMMDDHH format
 $plugin->requires = 2022041900; // Moodle 4.0
 $plugin->maturity = MATURITY_STABLE;
 $plugin->supported = [400, 404]; // Moodle 4.0 to 4.4
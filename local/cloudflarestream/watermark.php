@@ -0,0 +1,81 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Viewer watermark settings of a course.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\watermark_manager;
+
+$courseid = required_param('courseid', PARAM_INT);
+
+$course = get_course($courseid);
+require_login($course);
+
+$context = context_course::instance($course->id);
+require_capability('moodle/site:config', context_system::instance());
+
+$url = new moodle_url('/local/cloudflarestream/watermark.php', ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('watermark', 'local_cloudflarestream'));
+$PAGE->set_heading($course->fullname);
+
+if (data_submitted() && confirm_sesskey()) {
+    if (optional_param('reset', false, PARAM_BOOL)) {
+        watermark_manager::reset_course_settings($course->id);
+        redirect($url, get_string('watermark_reset', 'local_cloudflarestream'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    watermark_manager::save_course_settings($course->id, [
+        'enabled' => optional_param('enabled', 0, PARAM_BOOL),
+        'template' => optional_param('template', '', PARAM_TEXT),
+        'opacity' => optional_param('opacity', 0, PARAM_INT),
+        'frequency' => optional_param('frequency', 0, PARAM_INT)
+    ]);
+    redirect($url, get_string('watermark_saved', 'local_cloudflarestream'), null,
+        \core\output\notification::NOTIFY_SUCCESS);
+}
+
+$settings = watermark_manager::get_settings($course->id);
+$templatecontext = [
+    'enabled' => $settings['enabled'],
+    'template' => $settings['template'],
+    'opacity' => $settings['opacity'],
+    'frequency' => $settings['frequency'],
+    'inherited' => $settings['inherited'],
+    'min_opacity' => watermark_manager::MIN_OPACITY,
+    'min_frequency' => watermark_manager::MIN_FREQUENCY,
+    'max_frequency' => watermark_manager::MAX_FREQUENCY,
+    'placeholders' => implode(' ', array_merge(watermark_manager::PLACEHOLDERS, [watermark_manager::TIME_PLACEHOLDER])),
+    'settingsurl' => (new moodle_url('/admin/settings.php', ['section' => 'local_cloudflarestream']))->out(false),
+    'actionurl' => $url->out(false),
+    'sesskey' => sesskey(),
+    'backurl' => (new moodle_url('/course/view.php', ['id' => $course->id]))->out(false)
+];
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('watermark_for', 'local_cloudflarestream', format_string($course->fullname)));
+echo $OUTPUT->render_from_template('local_cloudflarestream/watermark', $templatecontext);
+echo $OUTPUT->footer();
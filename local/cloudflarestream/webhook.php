@@ -0,0 +1,43 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Receives Cloudflare Stream status notifications.
+ *
+ * @package     local_cloudflarestream
+ * @copyright   2025 Your Name <your@email.com>
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+// Cloudflare calls this without a Moodle session, requests are verified by their signature
+define('NO_MOODLE_COOKIES', true);
+define('AJAX_SCRIPT', true);
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_cloudflarestream\handlers\webhook_handler;
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    die();
+}
+
+$result = webhook_handler::handle(file_get_contents('php://input'), $_SERVER['HTTP_WEBHOOK_SIGNATURE'] ?? '',
+    optional_param('profile', 0, PARAM_INT));
+
+http_response_code($result['code']);
+header('Content-Type: application/json');
+echo json_encode(['success' => $result['code'] === 200, 'message' => $result['message']]);